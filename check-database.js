@@ -22,7 +22,7 @@ async function checkData() {
     const metrics = await client.query(`
       SELECT v.name, v.protocol, v.chain, vm.apy, vm.tvl_usd, vm.timestamp
       FROM vault_metrics vm 
-      JOIN vaults v ON vm.vault_address = v.vault_address 
+      JOIN vaults v ON vm.chain = v.chain AND vm.vault_address = v.vault_address 
       ORDER BY vm.timestamp DESC LIMIT 10
     `);
     console.log('\n📈 Latest metrics:');
@@ -1,52 +1,29 @@
 // Deployment script for VaultAPYConsumer contract
 const { ethers } = require('hardhat');
+const ChainRegistry = require('../src/utils/chain-registry');
 
 async function main() {
     console.log('🚀 Deploying VaultAPYConsumer Contract...');
     
-    // Network configuration
-    const networkConfig = {
-        // Ethereum Sepolia Testnet
-        11155111: {
-            name: 'Sepolia',
-            linkToken: '0x779877A7B0D9E8603169DdbD7836e478b4624789',
-            fee: ethers.parseEther('0.1'), // 0.1 LINK
-        },
-        // Polygon Mumbai Testnet  
-        80001: {
-            name: 'Mumbai',
-            linkToken: '0x326C977E6efc84E512bB9C30f76E30c160eD06FB',
-            fee: ethers.parseEther('0.1'),
-        },
-        // Ethereum Mainnet
-        1: {
-            name: 'Mainnet',
-            linkToken: '0x514910771AF9Ca656af840dff83E8264EcF986CA',
-            fee: ethers.parseEther('0.1'),
-        },
-        // Polygon Mainnet
-        137: {
-            name: 'Polygon',
-            linkToken: '0xb0897686c545045aFc77CF20eC7A532E3120E0F1',
-            fee: ethers.parseEther('0.1'),
-        },
-        // Base Mainnet
-        8453: {
-            name: 'Base',
-            linkToken: '0x88Fb150BDc53A65fe94Dea0c9BA0a6dAf8C6e196',
-            fee: ethers.parseEther('0.1'),
-        }
-    };
+    // LINK token per chain comes from the chain registry
+    const LINK_FEE = ethers.parseEther('0.1'); // 0.1 LINK
     
     // Get network info
     const network = await ethers.provider.getNetwork();
     const chainId = Number(network.chainId);
-    const config = networkConfig[chainId];
+    const chain = new ChainRegistry().byChainId(chainId);
     
-    if (!config) {
-        throw new Error(`No configuration found for chain ID ${chainId}`);
+    if (!chain || !chain.contracts.linkToken) {
+        throw new Error(`No LINK token configured for chain ID ${chainId} in src/config/chains.js`);
     }
     
+    const config = {
+        name: chain.name,
+        network: chain.key,
+        linkToken: chain.contracts.linkToken,
+        fee: LINK_FEE
+    };
+    
     console.log(`📡 Deploying to ${config.name} (Chain ID: ${chainId})`);
     
     // Get deployment parameters from environment or prompt
@@ -173,7 +150,7 @@ async function main() {
     
     if (process.env.VERIFY_ON_ETHERSCAN === 'true') {
         console.log(`\n📋 Etherscan Verification:`);
-        console.log(`npx hardhat verify --network ${config.name.toLowerCase()} ${contractAddress} "${config.linkToken}" "${ORACLE_ADDRESS}" "${jobIdBytes32}" "${config.fee.toString()}"`);
+        console.log(`npx hardhat verify --network ${config.network} ${contractAddress} "${config.linkToken}" "${ORACLE_ADDRESS}" "${jobIdBytes32}" "${config.fee.toString()}"`);
     }
     
     console.log(`\n🎉 Deployment complete!`);
@@ -0,0 +1,399 @@
+// src/alerts/alert-engine.js
+const crypto = require('crypto');
+const WebhookDispatcher = require('./webhook-dispatcher');
+
+const RISK_LEVELS = ['low', 'medium-low', 'medium', 'medium-high', 'high'];
+const SCOPE_FIELDS = ['asset', 'chain', 'protocol', 'vault_address'];
+
+// Rule types and the conditions each one accepts
+const RULE_TYPES = {
+  best_vault_change: {
+    description: 'Best risk-adjusted vault for an asset changes',
+    validate(conditions) {
+      const errors = [];
+      if (!conditions.asset) errors.push('conditions.asset is required');
+      if (conditions.risk && !RISK_LEVELS.includes(conditions.risk)) {
+        errors.push(`conditions.risk must be one of: ${RISK_LEVELS.join(', ')}`);
+      }
+      if (conditions.min_tvl !== undefined && !(Number(conditions.min_tvl) >= 0)) {
+        errors.push('conditions.min_tvl must be a non-negative number');
+      }
+      return errors;
+    }
+  },
+  apy_drop: {
+    description: 'APY falls by more than drop_pct percent over window_minutes',
+    validate(conditions) {
+      const errors = [];
+      const dropPct = Number(conditions.drop_pct);
+      if (!(dropPct > 0 && dropPct <= 100)) errors.push('conditions.drop_pct must be between 0 and 100');
+      if (conditions.window_minutes !== undefined && !(parseInt(conditions.window_minutes) >= 15)) {
+        errors.push('conditions.window_minutes must be at least 15 (one collection cycle)');
+      }
+      return errors;
+    }
+  },
+  tvl_below: {
+    description: 'TVL crosses below threshold_usd',
+    validate(conditions) {
+      return Number(conditions.threshold_usd) > 0
+        ? []
+        : ['conditions.threshold_usd must be a positive number'];
+    }
+  }
+};
+
+function getRuleType(type) {
+  return Object.prototype.hasOwnProperty.call(RULE_TYPES, type) ? RULE_TYPES[type] : null;
+}
+
+const PUBLIC_COLUMNS = `
+  id, name, rule_type, conditions, webhook_url, enabled, cooldown_minutes,
+  last_triggered_at, created_at, updated_at
+`;
+
+/**
+ * Stores alert rules, each owned by the API key that created it, and
+ * evaluates them against each freshly saved batch of vault metrics, handing
+ * matches to the WebhookDispatcher.
+ *
+ * Per-rule evaluation state (previous best vault, vaults currently below a
+ * TVL threshold, apy_drop cooldowns) lives in alert_rules.state so it
+ * survives restarts.
+ */
+class AlertEngine {
+  constructor(pool, options = {}) {
+    this.pool = pool;
+    this.dispatcher = options.dispatcher || new WebhookDispatcher(pool);
+    this.findBestVault = options.findBestVault;
+    this.assetRegistry = options.assetRegistry || null;
+  }
+
+  validateRule(input, { partial = false } = {}) {
+    const errors = [];
+
+    if (!partial || input.name !== undefined) {
+      if (!input.name || typeof input.name !== 'string') errors.push('name is required');
+    }
+
+    if (!partial || input.rule_type !== undefined) {
+      if (!getRuleType(input.rule_type)) {
+        errors.push(`rule_type must be one of: ${Object.keys(RULE_TYPES).join(', ')}`);
+      }
+    }
+
+    if (!partial || input.webhook_url !== undefined) {
+      try {
+        const url = new URL(input.webhook_url);
+        if (!['http:', 'https:'].includes(url.protocol)) errors.push('webhook_url must be http(s)');
+      } catch (error) {
+        errors.push('webhook_url must be a valid URL');
+      }
+    }
+
+    if (input.conditions !== undefined && (typeof input.conditions !== 'object' || Array.isArray(input.conditions))) {
+      errors.push('conditions must be an object');
+    }
+
+    if (input.cooldown_minutes !== undefined && !(parseInt(input.cooldown_minutes) >= 0)) {
+      errors.push('cooldown_minutes must be a non-negative integer');
+    }
+
+    return errors;
+  }
+
+  // Resolves the webhook host, so only run it once the URL itself is valid
+  async validateWebhookTarget(input, errors) {
+    if (input.webhook_url === undefined || errors.length > 0) return errors;
+
+    const targetError = await WebhookDispatcher.checkTarget(input.webhook_url);
+    return targetError ? [...errors, targetError] : errors;
+  }
+
+  async listRules(apiKeyId, { ruleType = null, enabled = null } = {}) {
+    const result = await this.pool.query(`
+      SELECT ${PUBLIC_COLUMNS} FROM alert_rules
+      WHERE api_key_id = $1
+      AND ($2::text IS NULL OR rule_type = $2)
+      AND ($3::boolean IS NULL OR enabled = $3)
+      ORDER BY id
+    `, [apiKeyId, ruleType, enabled]);
+    return result.rows;
+  }
+
+  async getRule(id, apiKeyId) {
+    const result = await this.pool.query(
+      `SELECT ${PUBLIC_COLUMNS} FROM alert_rules WHERE id = $1 AND api_key_id = $2`,
+      [id, apiKeyId]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Returns { rule, errors }. The generated webhook secret is only returned here.
+   */
+  async createRule(input, apiKeyId) {
+    let errors = this.validateRule(input);
+    const conditions = input.conditions || {};
+    if (getRuleType(input.rule_type)) errors.push(...getRuleType(input.rule_type).validate(conditions));
+    errors = await this.validateWebhookTarget(input, errors);
+    if (errors.length > 0) return { rule: null, errors };
+
+    const secret = input.webhook_secret || crypto.randomBytes(32).toString('hex');
+    const result = await this.pool.query(`
+      INSERT INTO alert_rules (name, rule_type, conditions, webhook_url, webhook_secret, enabled, cooldown_minutes, api_key_id)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+      RETURNING ${PUBLIC_COLUMNS}
+    `, [
+      input.name,
+      input.rule_type,
+      JSON.stringify(this.normalizeConditions(conditions)),
+      input.webhook_url,
+      secret,
+      input.enabled !== false,
+      input.cooldown_minutes !== undefined ? parseInt(input.cooldown_minutes) : 60,
+      apiKeyId
+    ]);
+
+    return { rule: { ...result.rows[0], webhook_secret: secret }, errors: [] };
+  }
+
+  /**
+   * Partial update. Changing type or conditions resets evaluation state.
+   */
+  async updateRule(id, input, apiKeyId) {
+    const existing = await this.pool.query('SELECT * FROM alert_rules WHERE id = $1 AND api_key_id = $2', [id, apiKeyId]);
+    if (existing.rows.length === 0) return { rule: null, errors: [] };
+
+    const current = existing.rows[0];
+    let errors = this.validateRule(input, { partial: true });
+    const ruleType = input.rule_type || current.rule_type;
+    const conditions = input.conditions || current.conditions;
+    if (getRuleType(ruleType)) errors.push(...getRuleType(ruleType).validate(conditions));
+    errors = await this.validateWebhookTarget(input, errors);
+    if (errors.length > 0) return { rule: null, errors };
+
+    const resetState = input.rule_type !== undefined || input.conditions !== undefined;
+    const result = await this.pool.query(`
+      UPDATE alert_rules
+      SET name = $2, rule_type = $3, conditions = $4, webhook_url = $5,
+          enabled = $6, cooldown_minutes = $7,
+          state = CASE WHEN $8 THEN '{}'::jsonb ELSE state END,
+          updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1
+      RETURNING ${PUBLIC_COLUMNS}
+    `, [
+      id,
+      input.name ?? current.name,
+      ruleType,
+      JSON.stringify(this.normalizeConditions(conditions)),
+      input.webhook_url ?? current.webhook_url,
+      input.enabled ?? current.enabled,
+      input.cooldown_minutes !== undefined ? parseInt(input.cooldown_minutes) : current.cooldown_minutes,
+      resetState
+    ]);
+
+    return { rule: result.rows[0], errors: [] };
+  }
+
+  async deleteRule(id, apiKeyId) {
+    const result = await this.pool.query('DELETE FROM alert_rules WHERE id = $1 AND api_key_id = $2', [id, apiKeyId]);
+    return result.rowCount > 0;
+  }
+
+  normalizeConditions(conditions) {
+    const normalized = { ...conditions };
+    if (normalized.asset) {
+      normalized.asset = this.assetRegistry?.resolveSymbol(normalized.asset) || String(normalized.asset).toUpperCase();
+    }
+    if (normalized.chain) normalized.chain = String(normalized.chain).toLowerCase();
+    if (normalized.protocol) normalized.protocol = String(normalized.protocol).toLowerCase();
+    if (normalized.vault_address) normalized.vault_address = String(normalized.vault_address).toLowerCase();
+    return normalized;
+  }
+
+  inScope(conditions, vault) {
+    return SCOPE_FIELDS.every(field => {
+      if (!conditions[field]) return true;
+      if (field === 'asset') return this.matchesAsset(vault.asset_symbol, conditions.asset);
+      const value = vault[field];
+      return value && String(value).toLowerCase() === String(conditions[field]).toLowerCase();
+    });
+  }
+
+  matchesAsset(vaultAsset, asset) {
+    if (!vaultAsset) return false;
+    return this.assetRegistry
+      ? this.assetRegistry.matches(vaultAsset, asset)
+      : vaultAsset.toUpperCase() === String(asset).toUpperCase();
+  }
+
+  /**
+   * Evaluate every enabled rule owned by an active API key against a
+   * just-saved batch of vaults. Revoked keys keep their rows, so their rules
+   * are filtered here rather than by the cascade.
+   */
+  async evaluate(vaults) {
+    const result = await this.pool.query(`
+      SELECT r.*
+      FROM alert_rules r
+      JOIN api_keys k ON k.id = r.api_key_id
+      WHERE r.enabled = TRUE AND k.status = 'active'
+    `);
+    let triggered = 0;
+
+    for (const rule of result.rows) {
+      try {
+        const state = rule.state || {};
+        let events = [];
+
+        switch (rule.rule_type) {
+          case 'best_vault_change':
+            events = await this.evaluateBestVaultChange(rule, state, vaults);
+            break;
+          case 'apy_drop':
+            events = await this.evaluateApyDrop(rule, state, vaults);
+            break;
+          case 'tvl_below':
+            events = this.evaluateTvlBelow(rule, state, vaults);
+            break;
+        }
+
+        await this.pool.query(`
+          UPDATE alert_rules
+          SET state = $2,
+              last_triggered_at = CASE WHEN $3 THEN CURRENT_TIMESTAMP ELSE last_triggered_at END
+          WHERE id = $1
+        `, [rule.id, JSON.stringify(state), events.length > 0]);
+
+        for (const event of events) {
+          await this.dispatcher.enqueue(rule, rule.rule_type, event);
+          triggered++;
+        }
+      } catch (error) {
+        console.error(`Alert rule ${rule.id} evaluation failed:`, error.message);
+      }
+    }
+
+    if (triggered > 0) {
+      console.log(`🔔 Triggered ${triggered} alert(s) from ${result.rows.length} rule(s)`);
+    }
+
+    return triggered;
+  }
+
+  async evaluateBestVaultChange(rule, state, vaults) {
+    const { asset, chain = null, risk = 'medium', min_tvl = 100000 } = rule.conditions;
+    const candidates = vaults.filter(vault => this.matchesAsset(vault.asset_symbol, asset));
+
+    // A batch without this asset says nothing about the best vault
+    if (candidates.length === 0) return [];
+
+    const { bestVault } = await this.findBestVault(candidates, { asset, risk, chain, min_tvl });
+    if (!bestVault) return [];
+
+    const previous = state.best || null;
+    state.best = this.summarizeVault(bestVault);
+
+    // First evaluation only establishes the baseline
+    if (!previous) return [];
+    if (previous.chain === bestVault.chain && previous.vault_address === bestVault.vault_address) return [];
+
+    return [{
+      criteria: { asset, chain, risk, min_tvl },
+      previous,
+      current: state.best
+    }];
+  }
+
+  async evaluateApyDrop(rule, state, vaults) {
+    const { drop_pct } = rule.conditions;
+    const windowMinutes = parseInt(rule.conditions.window_minutes || 60);
+    const scoped = vaults.filter(vault => this.inScope(rule.conditions, vault) && vault.apy > 0);
+    if (scoped.length === 0) return [];
+
+    // Reference APY: the newest sample at least one window old (but not older than two)
+    const reference = await this.pool.query(`
+      SELECT DISTINCT ON (vm.chain, vm.vault_address) vm.chain, vm.vault_address, vm.apy, vm.timestamp
+      FROM vault_metrics vm
+      JOIN UNNEST($1::text[], $2::text[]) AS target(chain, vault_address)
+        ON vm.chain = target.chain AND vm.vault_address = target.vault_address
+      WHERE vm.timestamp <= NOW() - make_interval(mins => $3)
+      AND vm.timestamp > NOW() - make_interval(mins => $3 * 2)
+      ORDER BY vm.chain, vm.vault_address, vm.timestamp DESC
+    `, [scoped.map(vault => vault.chain), scoped.map(vault => vault.vault_address.toLowerCase()), windowMinutes]);
+
+    const referenceByKey = new Map(reference.rows.map(row => [`${row.chain}:${row.vault_address}`, row]));
+    const cooldownMs = rule.cooldown_minutes * 60 * 1000;
+    state.fired = state.fired || {};
+
+    const events = [];
+    for (const vault of scoped) {
+      const key = `${vault.chain}:${vault.vault_address.toLowerCase()}`;
+      const previous = referenceByKey.get(key);
+      if (!previous) continue;
+
+      const previousApy = parseFloat(previous.apy);
+      if (!(previousApy > 0)) continue;
+
+      const dropPct = ((previousApy - vault.apy) / previousApy) * 100;
+      if (dropPct < drop_pct) continue;
+
+      const lastFired = state.fired[key] ? new Date(state.fired[key]).getTime() : 0;
+      if (Date.now() - lastFired < cooldownMs) continue;
+
+      state.fired[key] = new Date().toISOString();
+      events.push({
+        vault: this.summarizeVault(vault),
+        previous_apy: previousApy,
+        previous_timestamp: previous.timestamp,
+        current_apy: vault.apy,
+        drop_pct: Math.round(dropPct * 100) / 100,
+        window_minutes: windowMinutes
+      });
+    }
+
+    return events;
+  }
+
+  // Fires once when a vault crosses below the threshold, re-arms when it recovers
+  evaluateTvlBelow(rule, state, vaults) {
+    const threshold = Number(rule.conditions.threshold_usd);
+    const below = new Set(state.below || []);
+    const events = [];
+
+    for (const vault of vaults.filter(v => this.inScope(rule.conditions, v))) {
+      const key = `${vault.chain}:${vault.vault_address}`;
+
+      if (vault.tvl_usd < threshold) {
+        if (!below.has(key)) {
+          below.add(key);
+          events.push({ vault: this.summarizeVault(vault), threshold_usd: threshold, tvl_usd: vault.tvl_usd });
+        }
+      } else {
+        below.delete(key);
+      }
+    }
+
+    state.below = Array.from(below);
+    return events;
+  }
+
+  summarizeVault(vault) {
+    return {
+      vault_address: vault.vault_address,
+      name: vault.name,
+      protocol: vault.protocol,
+      chain: vault.chain,
+      asset: vault.asset_symbol,
+      apy: vault.apy,
+      risk_adjusted_apy: vault.risk_adjusted_apy,
+      risk_score: vault.risk_score,
+      tvl_usd: vault.tvl_usd
+    };
+  }
+}
+
+AlertEngine.RULE_TYPES = RULE_TYPES;
+
+module.exports = AlertEngine;
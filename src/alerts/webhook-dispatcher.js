@@ -0,0 +1,281 @@
+// src/alerts/webhook-dispatcher.js
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const axios = require('axios');
+
+const MAX_ATTEMPTS = parseInt(process.env.ALERT_WEBHOOK_MAX_ATTEMPTS || 6);
+const BASE_BACKOFF_SECONDS = 30;
+const REQUEST_TIMEOUT_MS = 10000;
+// A claimed retry is hidden from other runs this long; one that never reports back is retried after it
+const CLAIM_LEASE_SECONDS = 300;
+
+// Set for local development only: lets webhooks reach loopback and private networks
+const ALLOW_PRIVATE_TARGETS = process.env.ALERT_WEBHOOK_ALLOW_PRIVATE === 'true';
+
+// Loopback, private, link-local, CGNAT, multicast and reserved ranges, plus IPv4-mapped IPv6.
+// One list per family: a BlockList matches IPv4 addresses against IPv6 rules in mapped form.
+const PRIVATE_RANGES = { 4: new net.BlockList(), 6: new net.BlockList() };
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([address, prefix]) => PRIVATE_RANGES[4].addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 127], ['::ffff:0:0', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => PRIVATE_RANGES[6].addSubnet(address, prefix, 'ipv6'));
+
+const PRIVATE_TARGET_ERROR = 'webhook_url must not point at a loopback, private or link-local address';
+
+function isPrivateAddress(address) {
+  const family = net.isIP(address);
+  return family !== 0 && PRIVATE_RANGES[family].check(address, `ipv${family}`);
+}
+
+// dns.lookup that refuses private addresses, so a host cannot be re-pointed inward after its rule was accepted
+function guardedLookup(hostname, options, callback) {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) return callback(error);
+
+    const addresses = Array.isArray(address) ? address : [{ address }];
+    if (!ALLOW_PRIVATE_TARGETS && addresses.some(entry => isPrivateAddress(entry.address))) {
+      return callback(Object.assign(new Error(`${hostname} resolves to a private address`), { code: 'EPRIVATE' }));
+    }
+
+    callback(null, address, family);
+  });
+}
+
+const httpAgent = new http.Agent({ lookup: guardedLookup });
+const httpsAgent = new https.Agent({ lookup: guardedLookup });
+
+/**
+ * Delivers alert payloads as signed webhooks. Every attempt is recorded in
+ * alert_deliveries; failures back off exponentially and land in the
+ * dead-letter state once MAX_ATTEMPTS is exhausted.
+ *
+ * Receivers verify X-Vault-Oracle-Signature, which is
+ * "sha256=" + HMAC-SHA256(secret, `${X-Vault-Oracle-Timestamp}.${rawBody}`).
+ */
+class WebhookDispatcher {
+  constructor(pool) {
+    this.pool = pool;
+  }
+
+  static sign(secret, timestamp, body) {
+    return 'sha256=' + crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  }
+
+  /**
+   * Why a webhook URL cannot be used, or null. The host is resolved, so names
+   * pointing into the oracle's own network are refused as well as literal IPs.
+   */
+  static async checkTarget(webhookUrl) {
+    let url;
+    try {
+      url = new URL(webhookUrl);
+    } catch (error) {
+      return 'webhook_url must be a valid URL';
+    }
+
+    if (!['http:', 'https:'].includes(url.protocol)) return 'webhook_url must be http(s)';
+    if (ALLOW_PRIVATE_TARGETS) return null;
+
+    const host = url.hostname.replace(/^\[|\]$/g, '');
+    if (host === 'localhost' || host.endsWith('.localhost')) return PRIVATE_TARGET_ERROR;
+
+    try {
+      const addresses = net.isIP(host) ? [{ address: host }] : await dns.promises.lookup(host, { all: true });
+      return addresses.some(({ address }) => isPrivateAddress(address)) ? PRIVATE_TARGET_ERROR : null;
+    } catch (error) {
+      return `webhook_url host ${host} does not resolve`;
+    }
+  }
+
+  /**
+   * Record a delivery for the rule and make the first attempt right away
+   */
+  async enqueue(rule, eventType, payload) {
+    const result = await this.pool.query(`
+      INSERT INTO alert_deliveries (rule_id, event_type, payload, status, next_attempt_at)
+      VALUES ($1, $2, $3, 'pending', CURRENT_TIMESTAMP)
+      RETURNING *
+    `, [rule.id, eventType, JSON.stringify(payload)]);
+
+    return this.attempt(result.rows[0], rule);
+  }
+
+  async attempt(delivery, rule) {
+    const attempts = delivery.attempts + 1;
+    const timestamp = Math.floor(Date.now() / 1000).toString();
+    const body = JSON.stringify({
+      id: delivery.id,
+      event: delivery.event_type,
+      rule: { id: rule.id, name: rule.name, rule_type: rule.rule_type },
+      data: delivery.payload,
+      attempt: attempts,
+      sent_at: new Date().toISOString()
+    });
+
+    let responseStatus = null;
+    let error = await WebhookDispatcher.checkTarget(rule.webhook_url);
+
+    try {
+      if (error) throw new Error(error);
+
+      const response = await axios.post(rule.webhook_url, body, {
+        timeout: REQUEST_TIMEOUT_MS,
+        httpAgent,
+        httpsAgent,
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'VaultAPYOracle-Webhook/1.0',
+          'X-Vault-Oracle-Event': delivery.event_type,
+          'X-Vault-Oracle-Delivery': String(delivery.id),
+          'X-Vault-Oracle-Timestamp': timestamp,
+          'X-Vault-Oracle-Signature': WebhookDispatcher.sign(rule.webhook_secret, timestamp, body)
+        },
+        validateStatus: () => true,
+        maxRedirects: 0
+      });
+
+      responseStatus = response.status;
+      if (response.status < 200 || response.status >= 300) {
+        error = `HTTP ${response.status}`;
+      }
+    } catch (requestError) {
+      error = requestError.message;
+    }
+
+    if (!error) {
+      const result = await this.pool.query(`
+        UPDATE alert_deliveries
+        SET status = 'delivered', attempts = $2, response_status = $3,
+            last_error = NULL, next_attempt_at = NULL, delivered_at = CURRENT_TIMESTAMP
+        WHERE id = $1
+        RETURNING *
+      `, [delivery.id, attempts, responseStatus]);
+      return result.rows[0];
+    }
+
+    const deadLetter = attempts >= MAX_ATTEMPTS;
+    const backoffSeconds = BASE_BACKOFF_SECONDS * 2 ** (attempts - 1);
+
+    const result = await this.pool.query(`
+      UPDATE alert_deliveries
+      SET status = $2, attempts = $3, response_status = $4, last_error = $5,
+          next_attempt_at = CASE WHEN $2 = 'retrying' THEN NOW() + make_interval(secs => $6) ELSE NULL END
+      WHERE id = $1
+      RETURNING *
+    `, [delivery.id, deadLetter ? 'dead_letter' : 'retrying', attempts, responseStatus, error, backoffSeconds]);
+
+    if (deadLetter) {
+      console.error(`☠️  Webhook delivery ${delivery.id} for rule ${rule.id} dead-lettered after ${attempts} attempts: ${error}`);
+    } else {
+      console.warn(`⚠️  Webhook delivery ${delivery.id} failed (${error}), retrying in ${backoffSeconds}s`);
+    }
+
+    return result.rows[0];
+  }
+
+  /**
+   * Re-attempt deliveries whose backoff has elapsed, for rules of active API
+   * keys. Each delivery is claimed before it is sent, so overlapping runs and
+   * other instances never send the same one twice.
+   */
+  async processRetries(limit = 50) {
+    let processed = 0;
+
+    while (processed < limit) {
+      const row = await this.claimRetry();
+      if (!row) break;
+
+      await this.attempt(row, {
+        id: row.rule_id,
+        name: row.name,
+        rule_type: row.rule_type,
+        webhook_url: row.webhook_url,
+        webhook_secret: row.webhook_secret
+      });
+      processed++;
+    }
+
+    return processed;
+  }
+
+  // Lease the oldest due retry by pushing its next attempt out; locked rows are left to their claimant
+  async claimRetry() {
+    const result = await this.pool.query(`
+      WITH claimed AS (
+        UPDATE alert_deliveries
+        SET next_attempt_at = NOW() + make_interval(secs => $1)
+        WHERE id = (
+          SELECT d.id
+          FROM alert_deliveries d
+          JOIN alert_rules r ON r.id = d.rule_id
+          JOIN api_keys k ON k.id = r.api_key_id
+          WHERE d.status = 'retrying' AND d.next_attempt_at <= NOW() AND k.status = 'active'
+          ORDER BY d.next_attempt_at ASC
+          LIMIT 1
+          FOR UPDATE OF d SKIP LOCKED
+        )
+        RETURNING *
+      )
+      SELECT c.*, r.name, r.rule_type, r.webhook_url, r.webhook_secret
+      FROM claimed c
+      JOIN alert_rules r ON r.id = c.rule_id
+    `, [CLAIM_LEASE_SECONDS]);
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Move a dead-lettered delivery of one of the API key's rules back into the retry queue
+   */
+  async requeue(deliveryId, apiKeyId) {
+    const result = await this.pool.query(`
+      UPDATE alert_deliveries d
+      SET status = 'retrying', attempts = 0, next_attempt_at = CURRENT_TIMESTAMP
+      FROM alert_rules r
+      WHERE d.id = $1 AND d.status = 'dead_letter'
+      AND r.id = d.rule_id AND r.api_key_id = $2
+      RETURNING d.*
+    `, [deliveryId, apiKeyId]);
+
+    return result.rows[0] || null;
+  }
+
+  // Deliveries of the API key's rules only
+  async getDeliveries({ apiKeyId, ruleId = null, status = null, limit = 50 }) {
+    const params = [apiKeyId];
+    const conditions = ['r.api_key_id = $1'];
+
+    if (ruleId) {
+      params.push(ruleId);
+      conditions.push(`d.rule_id = $${params.length}`);
+    }
+
+    if (status) {
+      params.push(status);
+      conditions.push(`d.status = $${params.length}`);
+    }
+
+    params.push(limit);
+    const result = await this.pool.query(`
+      SELECT d.id, d.rule_id, d.event_type, d.payload, d.status, d.attempts, d.response_status,
+             d.last_error, d.next_attempt_at, d.created_at, d.delivered_at
+      FROM alert_deliveries d
+      JOIN alert_rules r ON r.id = d.rule_id
+      WHERE ${conditions.join(' AND ')}
+      ORDER BY d.created_at DESC
+      LIMIT $${params.length}
+    `, params);
+
+    return result.rows;
+  }
+}
+
+WebhookDispatcher.DELIVERY_STATUSES = ['pending', 'delivered', 'retrying', 'dead_letter'];
+
+module.exports = WebhookDispatcher;
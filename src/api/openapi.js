@@ -0,0 +1,1008 @@
+// src/api/openapi.js
+// OpenAPI 3 description of the REST API. Served at /openapi.json and used by
+// RequestValidator, so a route's documented parameters are the ones it accepts.
+const { API_PLANS, ANONYMOUS_PLAN } = require('../config/api-plans');
+const AlertEngine = require('../alerts/alert-engine');
+const WebhookDispatcher = require('../alerts/webhook-dispatcher');
+const ChainRegistry = require('../utils/chain-registry');
+const RiskModelRegistry = require('../utils/risk-model-registry');
+
+const RISK_LEVELS = ['low', 'medium-low', 'medium', 'medium-high', 'high'];
+const SORT_FIELDS = ['risk_adjusted_apy', 'apy', 'base_apy', 'tvl', 'risk_score'];
+const APY_BASES = ['total', 'base'];
+const AMOUNT_PATTERN = '^(?=.*[1-9])[0-9]+(\\.[0-9]+)?$'; // positive plain decimal
+const HISTORY_INTERVALS = ['auto', 'raw', 'hourly', 'daily'];
+const ALERT_RULE_TYPES = Object.keys(AlertEngine.RULE_TYPES);
+const DELIVERY_STATUSES = WebhookDispatcher.DELIVERY_STATUSES;
+const CHAIN_DESCRIPTION = `Blockchain network: ${new ChainRegistry().getCollectedChains().join(', ')}`;
+const RISK_MODELS = new RiskModelRegistry();
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+const param = (name) => ({ $ref: `#/components/parameters/${name}` });
+
+// Standard { success, data, metadata } envelope
+function envelope(dataSchema, description = 'Successful response') {
+  return {
+    description,
+    content: {
+      'application/json': {
+        schema: {
+          type: 'object',
+          properties: {
+            success: { type: 'boolean' },
+            data: dataSchema,
+            metadata: ref('Metadata')
+          }
+        }
+      }
+    }
+  };
+}
+
+const errorResponse = (description) => ({
+  description,
+  content: { 'application/json': { schema: ref('Error') } }
+});
+
+const STANDARD_ERRORS = {
+  400: { $ref: '#/components/responses/ValidationError' },
+  429: { $ref: '#/components/responses/RateLimited' },
+  500: errorResponse('Unexpected server error')
+};
+
+const ADMIN_ERRORS = {
+  ...STANDARD_ERRORS,
+  401: errorResponse('Missing or wrong admin token'),
+  503: errorResponse('Admin API disabled (ADMIN_API_TOKEN not set)')
+};
+
+const ALERT_ERRORS = {
+  ...STANDARD_ERRORS,
+  401: errorResponse('Missing API key (alert rules belong to the key that created them)')
+};
+
+const API_KEY_REQUIRED = [{ ApiKeyHeader: [] }, { ApiKeyQuery: [] }];
+
+const jsonBody = (schemaName) => ({
+  required: true,
+  content: { 'application/json': { schema: ref(schemaName) } }
+});
+
+const spec = {
+  openapi: '3.0.3',
+  info: {
+    title: 'Vault APY Oracle API',
+    version: '1.0.0',
+    description: 'Real-time vault APY data for DeFi automation agents.\n\n' +
+      `Requests without an API key are limited to ${ANONYMOUS_PLAN.requestsPerMinute} requests/minute per IP. ` +
+      'Send an API key (X-API-Key header or api_key query parameter) for per-plan limits and daily quotas. ' +
+      'Each request costs 1 rate-limit unit; POST /api/v1/vaults/compare costs 2; fresh=true, amount=, ' +
+      '/api/v1/vaults/top and /api/v1/vaults/{chain}/{address}/simulate cost 10. ' +
+      'Limits are reported in RateLimit-* headers, and 429 responses carry Retry-After.\n\n' +
+      'Alert routes need an API key and only see the rules created with it. ' +
+      'Alert webhooks are POSTed as JSON with X-Vault-Oracle-Signature: ' +
+      'sha256=HMAC-SHA256(secret, `${X-Vault-Oracle-Timestamp}.${body}`).',
+    'x-plans': API_PLANS
+  },
+  servers: [{ url: '/' }],
+  tags: [
+    { name: 'Vaults' },
+    { name: 'Markets' },
+    { name: 'Streaming' },
+    { name: 'Alerts' },
+    { name: 'Admin' },
+    { name: 'Meta' }
+  ],
+  security: [{}, { ApiKeyHeader: [] }, { ApiKeyQuery: [] }],
+  paths: {
+    '/': {
+      get: {
+        operationId: 'getDocumentation',
+        tags: ['Meta'],
+        summary: 'This documentation',
+        responses: { 200: { description: 'Endpoint summary generated from this specification' } }
+      }
+    },
+    '/health': {
+      get: {
+        operationId: 'getHealth',
+        tags: ['Meta'],
+        summary: 'Health check',
+        responses: {
+          200: { description: 'Service and database are up; status is degraded when a chain has no healthy RPC endpoint' },
+          503: { description: 'Database unreachable' }
+        }
+      }
+    },
+    '/openapi.json': {
+      get: {
+        operationId: 'getOpenAPISpec',
+        tags: ['Meta'],
+        summary: 'OpenAPI 3 specification',
+        responses: { 200: { description: 'This document' } }
+      }
+    },
+    '/docs': {
+      get: {
+        operationId: 'getDocsUI',
+        tags: ['Meta'],
+        summary: 'Interactive API explorer (Swagger UI)',
+        responses: { 200: { description: 'HTML page', content: { 'text/html': {} } } }
+      }
+    },
+    '/api/v1/vaults/best/{asset}': {
+      get: {
+        operationId: 'getBestVault',
+        tags: ['Vaults'],
+        summary: 'Get best vault for asset',
+        description: 'Highest risk-adjusted APY among vaults that pass the risk filter. ' +
+          'With amount, the leading vaults are re-ranked on their APY after that deposit (see simulateDeposit).',
+        parameters: [
+          param('AssetPath'),
+          param('Risk'),
+          param('Chain'),
+          param('MinTvl'),
+          param('Fresh'),
+          param('RiskModel'),
+          param('ApyBasis'),
+          param('Amount')
+        ],
+        responses: {
+          200: envelope(ref('Vault')),
+          404: errorResponse('No vaults found matching criteria'),
+          ...STANDARD_ERRORS
+        }
+      }
+    },
+    '/api/v1/vaults/top/{asset}': {
+      get: {
+        operationId: 'getTopVaults',
+        tags: ['Vaults'],
+        summary: 'Get top vaults for asset',
+        parameters: [
+          param('AssetPath'),
+          param('Risk'),
+          param('Chain'),
+          param('Limit'),
+          param('SortBy'),
+          param('RiskModel'),
+          param('ApyBasis')
+        ],
+        responses: {
+          200: envelope({ type: 'array', items: ref('Vault') }),
+          ...STANDARD_ERRORS
+        }
+      }
+    },
+    '/api/v1/vaults/{chain}/{address}': {
+      get: {
+        operationId: 'getVault',
+        tags: ['Vaults'],
+        summary: 'Get specific vault data',
+        parameters: [param('ChainPath'), param('AddressPath')],
+        responses: {
+          200: envelope(ref('VaultSnapshot')),
+          404: errorResponse('Vault not found'),
+          ...STANDARD_ERRORS
+        }
+      }
+    },
+    '/api/v1/vaults/{chain}/{address}/history': {
+      get: {
+        operationId: 'getVaultHistory',
+        tags: ['Vaults'],
+        summary: 'Get bucketed APY, TVL and risk history for a vault',
+        parameters: [
+          param('ChainPath'),
+          param('AddressPath'),
+          param('From'),
+          param('To'),
+          param('Interval')
+        ],
+        responses: {
+          200: envelope(ref('VaultHistory')),
+          404: errorResponse('Vault not found'),
+          ...STANDARD_ERRORS
+        }
+      }
+    },
+    '/api/v1/vaults/{chain}/{address}/simulate': {
+      get: {
+        operationId: 'simulateDeposit',
+        tags: ['Vaults'],
+        summary: 'Simulate the APY impact of a deposit',
+        description: 'Post-deposit utilization and APY from the protocol rate model (Aave V3 strategy, ' +
+          'Compound V3 getSupplyRate, MetaMorpho supply queue and market IRMs); other vaults are diluted pro rata.',
+        parameters: [param('ChainPath'), param('AddressPath'), param('DepositAmount')],
+        responses: {
+          200: envelope(ref('DepositSimulation')),
+          404: errorResponse('Vault not found'),
+          503: errorResponse('No RPC endpoints configured for the chain'),
+          ...STANDARD_ERRORS
+        }
+      }
+    },
+    '/api/v1/vaults/compare': {
+      post: {
+        operationId: 'compareVaults',
+        tags: ['Vaults'],
+        summary: 'Compare multiple vaults',
+        requestBody: jsonBody('CompareRequest'),
+        responses: {
+          200: envelope({ type: 'array', items: ref('Vault') }),
+          ...STANDARD_ERRORS
+        }
+      }
+    },
+    '/api/v1/assets': {
+      get: {
+        operationId: 'getAssets',
+        tags: ['Markets'],
+        summary: 'Get supported assets, their aliases and per-chain token addresses',
+        responses: {
+          200: envelope({ type: 'array', items: ref('AssetInfo') }),
+          ...STANDARD_ERRORS
+        }
+      }
+    },
+    '/api/v1/sources': {
+      get: {
+        operationId: 'getSources',
+        tags: ['Markets'],
+        summary: 'Get the configured vault data sources, their capabilities and last collection stats',
+        parameters: [
+          {
+            name: 'check', in: 'query',
+            description: 'Run each source health check (one upstream request per source)',
+            schema: { type: 'boolean', default: false }
+          }
+        ],
+        responses: {
+          200: envelope({ type: 'array', items: ref('SourceInfo') }),
+          ...STANDARD_ERRORS
+        }
+      }
+    },
+    '/api/v1/chains': {
+      get: {
+        operationId: 'getChains',
+        tags: ['Markets'],
+        summary: 'Get supported chains',
+        responses: {
+          200: envelope({ type: 'array', items: ref('ChainSummary') }),
+          ...STANDARD_ERRORS
+        }
+      }
+    },
+    '/api/v1/risk/models': {
+      get: {
+        operationId: 'getRiskModels',
+        tags: ['Markets'],
+        summary: 'Get the risk models available for risk_model, with their weights and score tables',
+        responses: {
+          200: envelope({ type: 'array', items: ref('RiskModel') }),
+          ...STANDARD_ERRORS
+        }
+      }
+    },
+    '/api/v1/protocols': {
+      get: {
+        operationId: 'getProtocols',
+        tags: ['Markets'],
+        summary: 'Get supported protocols (filter by chain, asset)',
+        parameters: [param('Chain'), param('Asset')],
+        responses: {
+          200: envelope({ type: 'array', items: ref('ProtocolSummary') }),
+          ...STANDARD_ERRORS
+        }
+      }
+    },
+    '/api/v1/stream': {
+      get: {
+        operationId: 'streamUpdates',
+        tags: ['Streaming'],
+        summary: 'Real-time vault updates (Server-Sent Events, or WebSocket upgrade on the same path)',
+        description: 'Subscribe with ?asset=&chain=&protocol=&vault=&risk= or, over WebSocket, ' +
+          'send {"action":"subscribe","filter":{...}}. Events: connected, subscriptions, vault_update, best_vault_changed. ' +
+          'WebSocket upgrades pass the same API key, rate-limit and quota checks; each API key or IP may hold ' +
+          'REALTIME_MAX_CONNECTIONS_PER_CALLER (default 10) concurrent connections.',
+        parameters: [
+          param('Asset'),
+          param('Chain'),
+          { name: 'protocol', in: 'query', description: 'Protocol identifier (e.g., aave-v3)', schema: { type: 'string' } },
+          { name: 'vault', in: 'query', description: 'Vault address', schema: { type: 'string' } },
+          param('Risk')
+        ],
+        responses: {
+          200: { description: 'Event stream', content: { 'text/event-stream': {} } },
+          ...STANDARD_ERRORS
+        }
+      }
+    },
+    '/api/v1/alerts': {
+      get: {
+        operationId: 'listAlerts',
+        tags: ['Alerts'],
+        security: API_KEY_REQUIRED,
+        summary: "List the API key's alert rules",
+        parameters: [
+          { name: 'rule_type', in: 'query', description: 'Rule type filter', schema: { type: 'string', enum: ALERT_RULE_TYPES } },
+          { name: 'enabled', in: 'query', description: 'Only enabled (true) or disabled (false) rules', schema: { type: 'boolean' } }
+        ],
+        responses: {
+          200: envelope({ type: 'array', items: ref('AlertRule') }),
+          ...ALERT_ERRORS
+        }
+      },
+      post: {
+        operationId: 'createAlert',
+        tags: ['Alerts'],
+        security: API_KEY_REQUIRED,
+        summary: 'Create an alert rule (returns the webhook signing secret once)',
+        requestBody: jsonBody('AlertRuleInput'),
+        responses: {
+          201: envelope(ref('AlertRuleWithSecret'), 'Rule created'),
+          ...ALERT_ERRORS
+        }
+      }
+    },
+    '/api/v1/alerts/deliveries/dead-letter': {
+      get: {
+        operationId: 'listDeadLetters',
+        tags: ['Alerts'],
+        security: API_KEY_REQUIRED,
+        summary: 'Deliveries that exhausted all retries',
+        parameters: [param('DeliveryLimit')],
+        responses: {
+          200: envelope({ type: 'array', items: ref('AlertDelivery') }),
+          ...ALERT_ERRORS
+        }
+      }
+    },
+    '/api/v1/alerts/deliveries/{id}/retry': {
+      post: {
+        operationId: 'retryDelivery',
+        tags: ['Alerts'],
+        security: API_KEY_REQUIRED,
+        summary: 'Re-queue a dead-lettered delivery',
+        parameters: [param('IdPath')],
+        responses: {
+          200: envelope(ref('AlertDelivery')),
+          404: errorResponse('No dead-lettered delivery with this id'),
+          ...ALERT_ERRORS
+        }
+      }
+    },
+    '/api/v1/alerts/{id}': {
+      get: {
+        operationId: 'getAlert',
+        tags: ['Alerts'],
+        security: API_KEY_REQUIRED,
+        summary: 'Get an alert rule',
+        parameters: [param('IdPath')],
+        responses: {
+          200: envelope(ref('AlertRule')),
+          404: errorResponse('Alert rule not found'),
+          ...ALERT_ERRORS
+        }
+      },
+      put: {
+        operationId: 'updateAlert',
+        tags: ['Alerts'],
+        security: API_KEY_REQUIRED,
+        summary: 'Update an alert rule',
+        parameters: [param('IdPath')],
+        requestBody: jsonBody('AlertRuleUpdate'),
+        responses: {
+          200: envelope(ref('AlertRule')),
+          404: errorResponse('Alert rule not found'),
+          ...ALERT_ERRORS
+        }
+      },
+      delete: {
+        operationId: 'deleteAlert',
+        tags: ['Alerts'],
+        security: API_KEY_REQUIRED,
+        summary: 'Delete an alert rule',
+        parameters: [param('IdPath')],
+        responses: {
+          200: envelope({ type: 'object', properties: { id: { type: 'integer' }, deleted: { type: 'boolean' } } }),
+          404: errorResponse('Alert rule not found'),
+          ...ALERT_ERRORS
+        }
+      }
+    },
+    '/api/v1/alerts/{id}/deliveries': {
+      get: {
+        operationId: 'listAlertDeliveries',
+        tags: ['Alerts'],
+        security: API_KEY_REQUIRED,
+        summary: 'Webhook delivery history for a rule',
+        parameters: [
+          param('IdPath'),
+          { name: 'status', in: 'query', description: 'Delivery status filter', schema: { type: 'string', enum: DELIVERY_STATUSES } },
+          param('DeliveryLimit')
+        ],
+        responses: {
+          200: envelope({ type: 'array', items: ref('AlertDelivery') }),
+          404: errorResponse('Alert rule not found'),
+          ...ALERT_ERRORS
+        }
+      }
+    },
+    '/api/v1/admin/keys': {
+      get: {
+        operationId: 'listApiKeys',
+        tags: ['Admin'],
+        summary: 'List API keys and usage (admin)',
+        security: [{ AdminToken: [] }],
+        responses: {
+          200: envelope({ type: 'array', items: ref('ApiKey') }),
+          ...ADMIN_ERRORS
+        }
+      },
+      post: {
+        operationId: 'createApiKey',
+        tags: ['Admin'],
+        summary: 'Issue an API key (admin)',
+        security: [{ AdminToken: [] }],
+        requestBody: jsonBody('ApiKeyInput'),
+        responses: {
+          201: envelope(ref('ApiKeyWithSecret'), 'Key issued'),
+          ...ADMIN_ERRORS
+        }
+      }
+    },
+    '/api/v1/admin/keys/{id}/rotate': {
+      post: {
+        operationId: 'rotateApiKey',
+        tags: ['Admin'],
+        summary: 'Revoke an API key and issue a replacement (admin)',
+        security: [{ AdminToken: [] }],
+        parameters: [param('IdPath')],
+        responses: {
+          201: envelope(ref('ApiKeyWithSecret'), 'Replacement key issued'),
+          404: errorResponse('No active API key with this id'),
+          ...ADMIN_ERRORS
+        }
+      }
+    },
+    '/api/v1/admin/keys/{id}': {
+      delete: {
+        operationId: 'revokeApiKey',
+        tags: ['Admin'],
+        summary: 'Revoke an API key (admin)',
+        security: [{ AdminToken: [] }],
+        parameters: [param('IdPath')],
+        responses: {
+          200: envelope(ref('ApiKey')),
+          404: errorResponse('No active API key with this id'),
+          ...ADMIN_ERRORS
+        }
+      }
+    }
+  },
+  components: {
+    securitySchemes: {
+      ApiKeyHeader: { type: 'apiKey', in: 'header', name: 'X-API-Key' },
+      ApiKeyQuery: { type: 'apiKey', in: 'query', name: 'api_key' },
+      AdminToken: { type: 'http', scheme: 'bearer', description: 'ADMIN_API_TOKEN' }
+    },
+    parameters: {
+      AssetPath: {
+        name: 'asset', in: 'path', required: true,
+        description: 'Asset symbol or alias (e.g., USDC, USDC.e, USDT, DAI, ETH, wstETH, WBTC)',
+        schema: { type: 'string', minLength: 1, maxLength: 20 }
+      },
+      Asset: {
+        name: 'asset', in: 'query',
+        description: 'Asset symbol or alias (e.g., USDC, USDC.e, USDT, DAI, ETH, wstETH, WBTC)',
+        schema: { type: 'string', minLength: 1, maxLength: 20 }
+      },
+      ChainPath: {
+        name: 'chain', in: 'path', required: true,
+        description: CHAIN_DESCRIPTION,
+        schema: { type: 'string', minLength: 1, maxLength: 50 }
+      },
+      Chain: {
+        name: 'chain', in: 'query',
+        description: CHAIN_DESCRIPTION,
+        schema: { type: 'string', minLength: 1, maxLength: 50 }
+      },
+      AddressPath: {
+        name: 'address', in: 'path', required: true,
+        description: 'Vault contract address (DefiLlama pool ids are resolved to the address when known)',
+        schema: { type: 'string', minLength: 1, maxLength: 100 }
+      },
+      Amount: {
+        name: 'amount', in: 'query',
+        description: 'Planned deposit in units of the asset, e.g. 5000000 for 5M USDC; ranks on post-deposit APY (costs 10 rate-limit units)',
+        schema: { type: 'string', pattern: AMOUNT_PATTERN, maxLength: 40 }
+      },
+      DepositAmount: {
+        name: 'amount', in: 'query', required: true,
+        description: 'Deposit in units of the vault\'s underlying token, e.g. 5000000 for 5M USDC',
+        schema: { type: 'string', pattern: AMOUNT_PATTERN, maxLength: 40 }
+      },
+      IdPath: {
+        name: 'id', in: 'path', required: true,
+        description: 'Numeric identifier',
+        schema: { type: 'integer', minimum: 1 }
+      },
+      Risk: {
+        name: 'risk', in: 'query',
+        description: 'Risk tolerance: low, medium-low, medium, medium-high, high',
+        schema: { type: 'string', enum: RISK_LEVELS, default: 'medium' }
+      },
+      RiskModel: {
+        name: 'risk_model', in: 'query',
+        description: `Risk model version used for scoring (default: ${RISK_MODELS.defaultVersion}, see /api/v1/risk/models)`,
+        schema: { type: 'string', enum: RISK_MODELS.versions() }
+      },
+      ApyBasis: {
+        name: 'apy_basis', in: 'query',
+        description: 'APY that risk_adjusted_apy is computed from: total (reward APY discounted by the risk model) or base (incentives ignored)',
+        schema: { type: 'string', enum: APY_BASES, default: 'total' }
+      },
+      MinTvl: {
+        name: 'min_tvl', in: 'query',
+        description: 'Minimum TVL in USD (default: 100000)',
+        schema: { type: 'number', minimum: 0, default: 100000 }
+      },
+      Fresh: {
+        name: 'fresh', in: 'query',
+        description: 'Bypass cache and collect live data (costs 10 rate-limit units)',
+        schema: { type: 'boolean', default: false }
+      },
+      Limit: {
+        name: 'limit', in: 'query',
+        description: 'Number of results to return (default: 10, max: 100)',
+        schema: { type: 'integer', minimum: 1, maximum: 100, default: 10 }
+      },
+      SortBy: {
+        name: 'sort_by', in: 'query',
+        description: 'Sort order: risk_adjusted_apy, apy, base_apy, tvl, risk_score (default: risk_adjusted_apy)',
+        schema: { type: 'string', enum: SORT_FIELDS, default: 'risk_adjusted_apy' }
+      },
+      From: {
+        name: 'from', in: 'query',
+        description: 'History start, ISO 8601 (default: 7 days before `to`)',
+        schema: { type: 'string', minLength: 1 }
+      },
+      To: {
+        name: 'to', in: 'query',
+        description: 'History end, ISO 8601 (default: now)',
+        schema: { type: 'string', minLength: 1 }
+      },
+      Interval: {
+        name: 'interval', in: 'query',
+        description: 'History bucket size: auto, raw, hourly, daily (default: auto)',
+        schema: { type: 'string', enum: HISTORY_INTERVALS, default: 'auto' }
+      },
+      DeliveryLimit: {
+        name: 'limit', in: 'query',
+        description: 'Number of deliveries to return (default: 50, max: 500)',
+        schema: { type: 'integer', minimum: 1, maximum: 500, default: 50 }
+      }
+    },
+    responses: {
+      ValidationError: {
+        description: 'Request failed validation',
+        content: { 'application/json': { schema: ref('ValidationError') } }
+      },
+      RateLimited: {
+        description: 'Rate limit or daily quota exceeded',
+        headers: {
+          'Retry-After': { schema: { type: 'integer' }, description: 'Seconds until the request would be allowed' }
+        },
+        content: { 'application/json': { schema: ref('Error') } }
+      }
+    },
+    schemas: {
+      Metadata: {
+        type: 'object',
+        properties: { timestamp: { type: 'string', format: 'date-time' } },
+        additionalProperties: true
+      },
+      Error: {
+        type: 'object',
+        properties: {
+          success: { type: 'boolean', enum: [false] },
+          error: { type: 'string' }
+        }
+      },
+      ValidationError: {
+        type: 'object',
+        properties: {
+          success: { type: 'boolean', enum: [false] },
+          error: { type: 'string', enum: ['Request validation failed'] },
+          details: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                location: { type: 'string', enum: ['path', 'query', 'body'] },
+                field: { type: 'string' },
+                message: { type: 'string' },
+                allowed_values: { type: 'array', items: {} }
+              }
+            }
+          }
+        }
+      },
+      Vault: {
+        type: 'object',
+        properties: {
+          vault_address: { type: 'string' },
+          name: { type: 'string' },
+          protocol: { type: 'string' },
+          chain: { type: 'string' },
+          asset: { type: 'string' },
+          apy: { type: 'number' },
+          base_apy: { type: 'number', description: 'APY from the vault itself (interest, fees), excluding reward incentives' },
+          reward_apy: { type: 'number', nullable: true, description: 'APY paid in reward tokens; null when no source reports the split' },
+          reward_tokens: { type: 'array', items: ref('RewardToken') },
+          simulated_apy: { type: 'number', nullable: true, description: 'APY after the requested deposit (best vault with amount only)' },
+          deposit_simulation: { ...ref('DepositSimulation'), nullable: true },
+          risk_adjusted_apy: { type: 'number' },
+          risk_score: { type: 'integer' },
+          risk_category: { type: 'string' },
+          risk_breakdown: {
+            type: 'object',
+            additionalProperties: { type: 'number' },
+            description: 'Component scores (0-100, higher = safer) weighted by the risk model, e.g. protocol, tvl, apy, stability, liquidity'
+          },
+          risk_model_version: { type: 'string' },
+          tvl_usd: { type: 'number' },
+          utilization_rate: { type: 'number', minimum: 0, maximum: 1, nullable: true, description: 'Borrowed share of supplied assets (lending vaults)' },
+          withdrawable_liquidity_usd: { type: 'number', nullable: true, description: 'USD that could be withdrawn right now; null when not read on-chain' },
+          source_apys: { type: 'object', additionalProperties: ref('SourceApy') },
+          consensus_confidence: { type: 'number', minimum: 0, maximum: 1, nullable: true },
+          apy_disagreement: { type: 'boolean' },
+          data_source: { type: 'string' }
+        }
+      },
+      DepositSimulation: {
+        type: 'object',
+        properties: {
+          vault_address: { type: 'string' },
+          chain: { type: 'string' },
+          protocol: { type: 'string' },
+          amount: { type: 'string' },
+          apy: { type: 'number', description: 'Spot APY' },
+          base_apy: { type: 'number' },
+          reward_apy: { type: 'number' },
+          simulated_apy: { type: 'number', description: 'APY after the deposit' },
+          simulated_base_apy: { type: 'number', description: 'Base APY moved by the rate model change' },
+          simulated_reward_apy: { type: 'number', description: 'Reward APY diluted pro rata' },
+          apy_impact: { type: 'number', description: 'simulated_apy - apy, in percentage points' },
+          method: {
+            type: 'string',
+            enum: ['aave_rate_strategy', 'compound_v3_rate_model', 'metamorpho_irm', 'pro_rata', 'unavailable']
+          },
+          utilization_before: { type: 'number', nullable: true },
+          utilization_after: { type: 'number', nullable: true },
+          accepts_full_amount: { type: 'boolean', nullable: true, description: 'false when supply caps leave no room for all of it' },
+          details: { type: 'object', nullable: true, additionalProperties: true }
+        }
+      },
+      RewardToken: {
+        type: 'object',
+        properties: {
+          address: { type: 'string', nullable: true },
+          symbol: { type: 'string', nullable: true }
+        }
+      },
+      SourceApy: {
+        type: 'object',
+        description: 'APY one source reported, relative to the consensus APY',
+        properties: {
+          apy: { type: 'number' },
+          base_apy: { type: 'number', description: 'Present when the source reports a base/reward split' },
+          reward_apy: { type: 'number', description: 'Present when the source reports a base/reward split' },
+          weight: { type: 'number' },
+          deviation: { type: 'number', description: 'Percentage points above (+) or below (-) the consensus' },
+          outlier: { type: 'boolean', description: 'Outside the agreement tolerance; excluded from the consensus' }
+        }
+      },
+      VaultSnapshot: {
+        type: 'object',
+        properties: {
+          vault_address: { type: 'string' },
+          name: { type: 'string' },
+          protocol: { type: 'string' },
+          chain: { type: 'string' },
+          asset: { type: 'string' },
+          apy: { type: 'number' },
+          base_apy: { type: 'number', nullable: true },
+          reward_apy: { type: 'number', nullable: true },
+          reward_tokens: { type: 'array', items: ref('RewardToken') },
+          tvl_usd: { type: 'number' },
+          utilization_rate: { type: 'number', minimum: 0, maximum: 1, nullable: true },
+          withdrawable_liquidity_usd: { type: 'number', nullable: true },
+          risk_score: { type: 'integer' },
+          risk_model_version: { type: 'string', nullable: true, description: 'NULL for scores recorded before versioned risk models' },
+          source_apys: { type: 'object', additionalProperties: ref('SourceApy') },
+          consensus_confidence: { type: 'number', minimum: 0, maximum: 1, nullable: true },
+          apy_disagreement: { type: 'boolean' },
+          last_updated: { type: 'string', format: 'date-time' },
+          data_age_minutes: { type: 'integer' }
+        }
+      },
+      Ohlc: {
+        type: 'object',
+        properties: {
+          open: { type: 'number', nullable: true },
+          close: { type: 'number', nullable: true },
+          min: { type: 'number', nullable: true },
+          max: { type: 'number', nullable: true },
+          avg: { type: 'number', nullable: true }
+        }
+      },
+      VaultHistory: {
+        type: 'object',
+        properties: {
+          vault_address: { type: 'string' },
+          name: { type: 'string' },
+          protocol: { type: 'string' },
+          chain: { type: 'string' },
+          asset: { type: 'string' },
+          interval: { type: 'string', enum: HISTORY_INTERVALS.filter(interval => interval !== 'auto') },
+          series: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                timestamp: { type: 'string', format: 'date-time' },
+                samples: { type: 'integer' },
+                apy: ref('Ohlc'),
+                tvl_usd: ref('Ohlc'),
+                risk_score: {
+                  type: 'object',
+                  properties: {
+                    min: { type: 'number', nullable: true },
+                    max: { type: 'number', nullable: true },
+                    avg: { type: 'number', nullable: true }
+                  }
+                }
+              }
+            }
+          }
+        }
+      },
+      CompareRequest: {
+        type: 'object',
+        required: ['vaults'],
+        properties: {
+          vaults: {
+            type: 'array',
+            minItems: 1,
+            maxItems: 50,
+            items: {
+              type: 'object',
+              required: ['chain', 'address'],
+              properties: {
+                chain: { type: 'string', minLength: 1 },
+                address: { type: 'string', minLength: 1 }
+              }
+            }
+          }
+        }
+      },
+      AssetInfo: {
+        type: 'object',
+        properties: {
+          symbol: { type: 'string' },
+          name: { type: 'string' },
+          class: { type: 'string', enum: ['stable', 'volatile'] },
+          decimals: { type: 'integer' },
+          aliases: { type: 'array', items: { type: 'string' } },
+          chains: { type: 'array', items: { type: 'string' } },
+          addresses: { type: 'object', additionalProperties: { type: 'array', items: { type: 'string' } } },
+          collected: { type: 'boolean' }
+        }
+      },
+      SourceInfo: {
+        type: 'object',
+        properties: {
+          name: { type: 'string' },
+          capabilities: {
+            type: 'object',
+            properties: {
+              assets: { type: 'array', items: { type: 'string' } },
+              chains: { type: 'array', items: { type: 'string' } },
+              fields: { type: 'array', items: { type: 'string' } },
+              requires_api_key: { type: 'boolean' }
+            }
+          },
+          stats: {
+            type: 'object',
+            properties: {
+              last_run_at: { type: 'string', format: 'date-time', nullable: true },
+              last_count: { type: 'integer' },
+              last_duration_ms: { type: 'integer', nullable: true },
+              last_error: { type: 'string', nullable: true }
+            }
+          },
+          health: {
+            type: 'object',
+            description: 'Present when check=true',
+            properties: {
+              healthy: { type: 'boolean' },
+              status: { type: 'integer', nullable: true },
+              latency_ms: { type: 'integer' },
+              error: { type: 'string' }
+            }
+          }
+        }
+      },
+      ChainSummary: {
+        type: 'object',
+        properties: {
+          chain: { type: 'string' },
+          vault_count: { type: 'integer' },
+          avg_apy: { type: 'number' },
+          total_tvl_usd: { type: 'number' }
+        }
+      },
+      RiskModel: {
+        type: 'object',
+        properties: {
+          version: { type: 'string' },
+          name: { type: 'string' },
+          description: { type: 'string' },
+          default: { type: 'boolean' },
+          weights: { type: 'object', additionalProperties: { type: 'number' } },
+          curves: { type: 'object', additionalProperties: true, description: 'Step curves: missing, steps [{min|max, score}], otherwise' },
+          stability: { type: 'object', additionalProperties: true, description: 'APY stability settings: history window minimum, jump threshold, sub-score weights' },
+          rewards: { type: 'object', additionalProperties: true, description: 'discount (0-1) applied to reward APY in risk-adjusted APY' },
+          protocols: { type: 'object', additionalProperties: true },
+          chains: { type: 'object', additionalProperties: true },
+          sources: { type: 'object', additionalProperties: true },
+          categories: { type: 'object', additionalProperties: { type: 'number' }, description: 'Minimum score per risk level' }
+        }
+      },
+      ProtocolSummary: {
+        type: 'object',
+        properties: {
+          protocol: { type: 'string' },
+          vault_count: { type: 'integer' },
+          total_tvl_usd: { type: 'number' },
+          tvl_weighted_apy: { type: 'number' },
+          chains: { type: 'array', items: { type: 'string' } },
+          audit_status: { type: 'string' },
+          risk_category: { type: 'string' },
+          protocol_risk_score: { type: 'number' },
+          governance_token: { type: 'string', nullable: true },
+          launch_date: { type: 'string', nullable: true }
+        }
+      },
+      AlertRuleInput: {
+        type: 'object',
+        required: ['name', 'rule_type', 'webhook_url'],
+        properties: {
+          name: { type: 'string', minLength: 1, maxLength: 255 },
+          rule_type: {
+            type: 'string',
+            enum: ALERT_RULE_TYPES,
+            description: 'best_vault_change {asset, risk, chain, min_tvl}, apy_drop {drop_pct, window_minutes}, ' +
+              'tvl_below {threshold_usd}; apy_drop and tvl_below accept asset, chain, protocol, vault_address scopes'
+          },
+          conditions: { type: 'object', additionalProperties: true },
+          webhook_url: {
+            type: 'string',
+            minLength: 1,
+            description: 'http(s) URL; hosts resolving to loopback, private or link-local addresses are rejected'
+          },
+          webhook_secret: { type: 'string', minLength: 16, maxLength: 128 },
+          enabled: { type: 'boolean' },
+          cooldown_minutes: { type: 'integer', minimum: 0 }
+        },
+        additionalProperties: false
+      },
+      AlertRuleUpdate: {
+        type: 'object',
+        minProperties: 1,
+        properties: {
+          name: { type: 'string', minLength: 1, maxLength: 255 },
+          rule_type: { type: 'string', enum: ALERT_RULE_TYPES },
+          conditions: { type: 'object', additionalProperties: true },
+          webhook_url: { type: 'string', minLength: 1 },
+          enabled: { type: 'boolean' },
+          cooldown_minutes: { type: 'integer', minimum: 0 }
+        },
+        additionalProperties: false
+      },
+      AlertRule: {
+        type: 'object',
+        properties: {
+          id: { type: 'integer' },
+          name: { type: 'string' },
+          rule_type: { type: 'string', enum: ALERT_RULE_TYPES },
+          conditions: { type: 'object', additionalProperties: true },
+          webhook_url: { type: 'string' },
+          enabled: { type: 'boolean' },
+          cooldown_minutes: { type: 'integer' },
+          last_triggered_at: { type: 'string', format: 'date-time', nullable: true },
+          created_at: { type: 'string', format: 'date-time' },
+          updated_at: { type: 'string', format: 'date-time' }
+        }
+      },
+      AlertRuleWithSecret: {
+        allOf: [
+          ref('AlertRule'),
+          { type: 'object', properties: { webhook_secret: { type: 'string' } } }
+        ]
+      },
+      AlertDelivery: {
+        type: 'object',
+        properties: {
+          id: { type: 'integer' },
+          rule_id: { type: 'integer' },
+          event_type: { type: 'string' },
+          payload: { type: 'object', additionalProperties: true },
+          status: { type: 'string', enum: DELIVERY_STATUSES },
+          attempts: { type: 'integer' },
+          response_status: { type: 'integer', nullable: true },
+          last_error: { type: 'string', nullable: true },
+          next_attempt_at: { type: 'string', format: 'date-time', nullable: true },
+          created_at: { type: 'string', format: 'date-time' },
+          delivered_at: { type: 'string', format: 'date-time', nullable: true }
+        }
+      },
+      ApiKeyInput: {
+        type: 'object',
+        required: ['name'],
+        properties: {
+          name: { type: 'string', minLength: 1, maxLength: 255 },
+          plan: { type: 'string', enum: Object.keys(API_PLANS), default: 'free' }
+        },
+        additionalProperties: false
+      },
+      ApiKey: {
+        type: 'object',
+        properties: {
+          id: { type: 'integer' },
+          name: { type: 'string' },
+          plan: { type: 'string', enum: Object.keys(API_PLANS) },
+          key_prefix: { type: 'string' },
+          status: { type: 'string', enum: ['active', 'revoked'] },
+          rotated_from: { type: 'integer', nullable: true },
+          last_used_at: { type: 'string', format: 'date-time', nullable: true },
+          created_at: { type: 'string', format: 'date-time' },
+          revoked_at: { type: 'string', format: 'date-time', nullable: true },
+          total_requests: { type: 'integer' },
+          requests_today: { type: 'integer' }
+        }
+      },
+      ApiKeyWithSecret: {
+        allOf: [
+          ref('ApiKey'),
+          { type: 'object', properties: { api_key: { type: 'string' } } }
+        ]
+      }
+    }
+  }
+};
+
+/**
+ * Condensed endpoint and parameter listing for the `/` route
+ */
+function summarizeSpec(openapi = spec) {
+  const endpoints = {};
+
+  for (const [path, operations] of Object.entries(openapi.paths)) {
+    for (const [method, operation] of Object.entries(operations)) {
+      endpoints[`${method.toUpperCase()} ${path.replace(/\{(\w+)\}/g, ':$1')}`] = operation.summary;
+    }
+  }
+
+  const parameters = {};
+  for (const parameter of Object.values(openapi.components.parameters)) {
+    parameters[parameter.name] = parameters[parameter.name] || parameter.description;
+  }
+
+  return { endpoints, parameters };
+}
+
+module.exports = { spec, summarizeSpec };
@@ -0,0 +1,343 @@
+// src/api/realtime-hub.js
+const http = require('http');
+const { WebSocketServer, WebSocket } = require('ws');
+
+const HEARTBEAT_INTERVAL_MS = 25000;
+const MAX_FILTERS_PER_CLIENT = 20;
+
+/**
+ * Push channel for vault updates. WebSocket clients and Server-Sent Events
+ * clients share the same subscription model: a list of filters on asset,
+ * chain, protocol or a specific vault (chain + address).
+ *
+ * Connections are counted per caller (API key or IP) and capped at
+ * REALTIME_MAX_CONNECTIONS_PER_CALLER (default 10) across both transports.
+ */
+class RealtimeHub {
+  constructor(options = {}) {
+    this.assetRegistry = options.assetRegistry || null;
+    this.clients = new Map(); // id -> { transport, send, filters, caller }
+    this.nextClientId = 1;
+    this.lastBestVaults = new Map(); // "asset:chain:risk" -> last published best vault
+    this.wss = null;
+    this.heartbeat = null;
+    this.maxConnectionsPerCaller = options.maxConnectionsPerCaller ??
+      parseInt(process.env.REALTIME_MAX_CONNECTIONS_PER_CALLER || 10);
+  }
+
+  /**
+   * Accept WebSocket upgrades on the given HTTP server. Upgrades never pass
+   * through Express middleware, so authorize(req) does its checks here: it
+   * resolves to { caller } to admit the connection or { status, error, headers }
+   * to refuse it.
+   */
+  attach(httpServer, { path = '/api/v1/stream', authorize = async () => ({ caller: null }) } = {}) {
+    this.wss = new WebSocketServer({ noServer: true });
+
+    httpServer.on('upgrade', async (req, socket, head) => {
+      socket.on('error', () => socket.destroy());
+
+      if (new URL(req.url, 'http://localhost').pathname !== path) {
+        return this.refuseUpgrade(socket, 400, `WebSocket upgrades are only served on ${path}`);
+      }
+
+      let verdict;
+      try {
+        verdict = await authorize(req);
+      } catch (error) {
+        console.error('WebSocket authorization error:', error.message);
+        return this.refuseUpgrade(socket, 503, 'Unable to validate API key');
+      }
+
+      if (verdict.error) {
+        return this.refuseUpgrade(socket, verdict.status, verdict.error, verdict.headers);
+      }
+      if (!this.hasCapacity(verdict.caller)) {
+        return this.refuseUpgrade(socket, 429, this.capacityError());
+      }
+
+      this.wss.handleUpgrade(req, socket, head, (ws) => this.wss.emit('connection', ws, req, verdict.caller));
+    });
+
+    this.wss.on('connection', (ws, req, caller) => {
+      ws.isAlive = true;
+      ws.on('pong', () => { ws.isAlive = true; });
+
+      const query = Object.fromEntries(new URL(req.url, 'http://localhost').searchParams);
+      const clientId = this.addClient('websocket', (payload) => {
+        if (ws.readyState === WebSocket.OPEN) {
+          ws.send(JSON.stringify(payload));
+        }
+      }, this.hasFilterFields(query) ? [this.normalizeFilter(query)] : [], caller);
+
+      ws.on('message', (message) => this.handleMessage(clientId, message));
+      ws.on('close', () => this.removeClient(clientId));
+      ws.on('error', () => this.removeClient(clientId));
+    });
+
+    // Drop WebSocket peers that stop answering pings
+    this.heartbeat = setInterval(() => {
+      this.wss.clients.forEach(ws => {
+        if (!ws.isAlive) return ws.terminate();
+        ws.isAlive = false;
+        ws.ping();
+      });
+    }, HEARTBEAT_INTERVAL_MS);
+
+    console.log(`📡 Realtime WebSocket endpoint ready at ${path}`);
+  }
+
+  // Answer a refused upgrade with a plain HTTP response, as the REST routes would
+  refuseUpgrade(socket, status, error, headers = {}) {
+    const body = JSON.stringify({ success: false, error });
+    const lines = [
+      `HTTP/1.1 ${status} ${http.STATUS_CODES[status]}`,
+      'Content-Type: application/json',
+      `Content-Length: ${Buffer.byteLength(body)}`,
+      'Connection: close',
+      ...Object.entries(headers).map(([name, value]) => `${name}: ${value}`)
+    ];
+    socket.end(`${lines.join('\r\n')}\r\n\r\n${body}`);
+  }
+
+  connectionCount(caller) {
+    let count = 0;
+    for (const client of this.clients.values()) {
+      if (client.caller === caller) count++;
+    }
+    return count;
+  }
+
+  hasCapacity(caller) {
+    return !caller || this.connectionCount(caller) < this.maxConnectionsPerCaller;
+  }
+
+  capacityError() {
+    return `At most ${this.maxConnectionsPerCaller} concurrent stream connections per API key or IP`;
+  }
+
+  /**
+   * Express handler for the Server-Sent Events fallback; caller is the key
+   * connections are counted under
+   */
+  handleSSE(req, res, caller = null) {
+    if (!this.hasCapacity(caller)) {
+      return res.status(429).json({ success: false, error: this.capacityError() });
+    }
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+
+    // compression() buffers writes unless flushed explicitly
+    const write = (chunk) => {
+      res.write(chunk);
+      if (typeof res.flush === 'function') res.flush();
+    };
+
+    const filters = this.hasFilterFields(req.query) ? [this.normalizeFilter(req.query)] : [];
+    const clientId = this.addClient('sse', (payload) => {
+      write(`event: ${payload.type}\ndata: ${JSON.stringify(payload)}\n\n`);
+    }, filters, caller);
+
+    const keepAlive = setInterval(() => write(': keep-alive\n\n'), HEARTBEAT_INTERVAL_MS);
+
+    req.on('close', () => {
+      clearInterval(keepAlive);
+      this.removeClient(clientId);
+    });
+  }
+
+  addClient(transport, send, filters = [], caller = null) {
+    const id = this.nextClientId++;
+    this.clients.set(id, { transport, send, filters, caller });
+
+    send({
+      type: 'connected',
+      client_id: id,
+      subscriptions: filters,
+      timestamp: new Date().toISOString()
+    });
+
+    return id;
+  }
+
+  removeClient(id) {
+    this.clients.delete(id);
+  }
+
+  handleMessage(clientId, message) {
+    const client = this.clients.get(clientId);
+    if (!client) return;
+
+    let request;
+    try {
+      request = JSON.parse(message.toString());
+    } catch (error) {
+      return client.send({ type: 'error', error: 'Messages must be JSON' });
+    }
+
+    switch (request.action) {
+      case 'subscribe': {
+        if (!this.hasFilterFields(request.filter || {})) {
+          return client.send({ type: 'error', error: 'filter needs at least one of asset, chain, protocol, vault' });
+        }
+        if (client.filters.length >= MAX_FILTERS_PER_CLIENT) {
+          return client.send({ type: 'error', error: `At most ${MAX_FILTERS_PER_CLIENT} subscriptions per connection` });
+        }
+        client.filters.push(this.normalizeFilter(request.filter));
+        break;
+      }
+
+      case 'unsubscribe': {
+        const target = JSON.stringify(this.normalizeFilter(request.filter || {}));
+        client.filters = request.filter
+          ? client.filters.filter(filter => JSON.stringify(filter) !== target)
+          : [];
+        break;
+      }
+
+      case 'ping':
+        return client.send({ type: 'pong', timestamp: new Date().toISOString() });
+
+      default:
+        return client.send({ type: 'error', error: `Unknown action: ${request.action}` });
+    }
+
+    client.send({ type: 'subscriptions', subscriptions: client.filters });
+  }
+
+  hasFilterFields(source) {
+    return ['asset', 'chain', 'protocol', 'vault'].some(field => source[field]);
+  }
+
+  normalizeFilter(raw) {
+    return {
+      asset: raw.asset ? this.normalizeAsset(raw.asset) : null,
+      chain: raw.chain ? String(raw.chain).toLowerCase() : null,
+      protocol: raw.protocol ? String(raw.protocol).toLowerCase() : null,
+      vault: raw.vault ? String(raw.vault).toLowerCase() : null,
+      risk: raw.risk ? String(raw.risk).toLowerCase() : 'medium'
+    };
+  }
+
+  // Canonical registry symbol when known, so ETH subscribers get WETH vaults
+  normalizeAsset(asset) {
+    return this.assetRegistry?.resolveSymbol(asset) || String(asset).toUpperCase();
+  }
+
+  matches(filter, vault) {
+    if (filter.asset && (!vault.asset_symbol || this.normalizeAsset(vault.asset_symbol) !== filter.asset)) return false;
+    if (filter.chain && vault.chain?.toLowerCase() !== filter.chain) return false;
+    if (filter.protocol && vault.protocol?.toLowerCase() !== filter.protocol) return false;
+    if (filter.vault && vault.vault_address?.toLowerCase() !== filter.vault) return false;
+    return true;
+  }
+
+  get clientCount() {
+    return this.clients.size;
+  }
+
+  /**
+   * Push freshly persisted metrics to every client with a matching filter
+   */
+  publishVaultUpdates(vaults) {
+    const timestamp = new Date().toISOString();
+
+    for (const client of this.clients.values()) {
+      const matching = vaults.filter(vault =>
+        client.filters.some(filter => this.matches(filter, vault))
+      );
+
+      if (matching.length > 0) {
+        client.send({
+          type: 'vault_update',
+          vaults: matching.map(vault => this.formatVault(vault)),
+          timestamp
+        });
+      }
+    }
+  }
+
+  /**
+   * Distinct best-vault questions clients are subscribed to (asset filters only)
+   */
+  getBestVaultSubscriptions() {
+    const keys = new Map();
+
+    for (const client of this.clients.values()) {
+      for (const filter of client.filters) {
+        if (!filter.asset || filter.vault || filter.protocol) continue;
+        keys.set(this.bestVaultKey(filter), { asset: filter.asset, chain: filter.chain, risk: filter.risk });
+      }
+    }
+
+    return Array.from(keys.values());
+  }
+
+  /**
+   * Notify subscribers when the best vault for (asset, chain, risk) changes
+   */
+  publishBestVault(criteria, bestVault) {
+    const key = this.bestVaultKey(criteria);
+    const previous = this.lastBestVaults.get(key);
+
+    const changed = bestVault && (!previous ||
+      previous.vault_address !== bestVault.vault_address ||
+      previous.chain !== bestVault.chain ||
+      previous.apy !== bestVault.apy);
+
+    if (!changed) return false;
+
+    this.lastBestVaults.set(key, bestVault);
+
+    const payload = {
+      type: 'best_vault_changed',
+      criteria,
+      previous: previous ? this.formatVault(previous) : null,
+      current: this.formatVault(bestVault),
+      timestamp: new Date().toISOString()
+    };
+
+    for (const client of this.clients.values()) {
+      if (client.filters.some(filter => this.bestVaultKey(filter) === key && !filter.vault && !filter.protocol)) {
+        client.send(payload);
+      }
+    }
+
+    return true;
+  }
+
+  bestVaultKey({ asset, chain, risk }) {
+    return `${asset}:${chain || 'all'}:${risk || 'medium'}`;
+  }
+
+  formatVault(vault) {
+    return {
+      vault_address: vault.vault_address,
+      name: vault.name,
+      protocol: vault.protocol,
+      chain: vault.chain,
+      asset: vault.asset_symbol,
+      apy: vault.apy,
+      risk_adjusted_apy: vault.risk_adjusted_apy,
+      risk_score: vault.risk_score,
+      risk_category: vault.risk_category,
+      tvl_usd: vault.tvl_usd,
+      consensus_confidence: vault.consensus_confidence ?? null,
+      apy_disagreement: vault.apy_disagreement || false,
+      data_source: vault.data_source
+    };
+  }
+
+  close() {
+    if (this.heartbeat) clearInterval(this.heartbeat);
+    if (this.wss) this.wss.close();
+    this.clients.clear();
+  }
+}
+
+module.exports = RealtimeHub;
@@ -0,0 +1,157 @@
+// src/api/request-validator.js
+const Ajv = require('ajv');
+
+const SCHEMA_ID = 'openapi';
+
+/**
+ * Compiles JSON Schema validators for every operation in the OpenAPI spec and
+ * exposes them as Express middleware keyed by operationId.
+ *
+ * Path and query values arrive as strings, so they are checked with type
+ * coercion ("10" is a valid integer). Bodies are checked strictly. Validation
+ * runs on copies; handlers still see the original request values.
+ */
+class RequestValidator {
+  constructor(spec) {
+    this.spec = spec;
+    this.operations = new Map(); // operationId -> { params, query, body }
+
+    const options = { allErrors: true, strict: false };
+    this.coercingAjv = new Ajv({ ...options, coerceTypes: true });
+    this.strictAjv = new Ajv(options);
+
+    const components = { $id: SCHEMA_ID, components: spec.components };
+    this.coercingAjv.addSchema(components);
+    this.strictAjv.addSchema(components);
+
+    this.compile();
+  }
+
+  resolve(node) {
+    if (!node || !node.$ref) return node;
+    const path = node.$ref.replace(/^#\//, '').split('/');
+    return path.reduce((target, key) => target[key], this.spec);
+  }
+
+  // Point local refs at the registered components document
+  externalize(schema) {
+    return JSON.parse(JSON.stringify(schema).replace(/"\$ref":"#\//g, `"$ref":"${SCHEMA_ID}#/`));
+  }
+
+  compile() {
+    for (const operations of Object.values(this.spec.paths)) {
+      for (const operation of Object.values(operations)) {
+        if (!operation.operationId) continue;
+
+        const parameters = (operation.parameters || []).map(parameter => this.resolve(parameter));
+        const compiled = {
+          params: this.compileParameters(parameters.filter(parameter => parameter.in === 'path')),
+          query: this.compileParameters(parameters.filter(parameter => parameter.in === 'query')),
+          body: null
+        };
+
+        const bodySchema = operation.requestBody?.content?.['application/json']?.schema;
+        if (bodySchema) {
+          compiled.body = this.strictAjv.compile(this.externalize(bodySchema));
+          compiled.bodyRequired = operation.requestBody.required === true;
+        }
+
+        this.operations.set(operation.operationId, compiled);
+      }
+    }
+  }
+
+  compileParameters(parameters) {
+    if (parameters.length === 0) return null;
+
+    const schema = {
+      type: 'object',
+      properties: {},
+      required: parameters.filter(parameter => parameter.required).map(parameter => parameter.name),
+      additionalProperties: true
+    };
+
+    for (const parameter of parameters) {
+      schema.properties[parameter.name] = this.externalize(parameter.schema);
+    }
+
+    return this.coercingAjv.compile(schema);
+  }
+
+  formatErrors(location, errors) {
+    return errors.map(error => {
+      const path = error.instancePath.slice(1).replace(/\//g, '.');
+      const field = error.keyword === 'required'
+        ? [path, error.params.missingProperty].filter(Boolean).join('.')
+        : path;
+
+      const detail = {
+        location,
+        field: field || null,
+        message: error.message
+      };
+
+      if (error.keyword === 'enum') detail.allowed_values = error.params.allowedValues;
+      if (error.keyword === 'additionalProperties') {
+        detail.field = [field, error.params.additionalProperty].filter(Boolean).join('.');
+        detail.message = 'is not a recognized field';
+      }
+
+      return detail;
+    });
+  }
+
+  /**
+   * Returns an array of error details; empty when the request is valid
+   */
+  validateRequest(operationId, req) {
+    const operation = this.operations.get(operationId);
+    if (!operation) {
+      throw new Error(`No OpenAPI operation named ${operationId}`);
+    }
+
+    const details = [];
+
+    if (operation.params && !operation.params({ ...req.params })) {
+      details.push(...this.formatErrors('path', operation.params.errors));
+    }
+
+    if (operation.query && !operation.query({ ...req.query })) {
+      details.push(...this.formatErrors('query', operation.query.errors));
+    }
+
+    if (operation.body) {
+      const hasBody = req.body !== undefined && Object.keys(req.body || {}).length > 0;
+
+      if (!hasBody && operation.bodyRequired) {
+        details.push({ location: 'body', field: null, message: 'request body is required' });
+      } else if (hasBody && !operation.body(req.body)) {
+        details.push(...this.formatErrors('body', operation.body.errors));
+      }
+    }
+
+    return details;
+  }
+
+  middleware(operationId) {
+    if (!this.operations.has(operationId)) {
+      throw new Error(`No OpenAPI operation named ${operationId}`);
+    }
+
+    return (req, res, next) => {
+      const details = this.validateRequest(operationId, req);
+
+      if (details.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: 'Request validation failed',
+          details
+        });
+      }
+
+      next();
+    };
+  }
+}
+
+module.exports = RequestValidator;
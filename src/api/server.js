@@ -1,12 +1,70 @@
 // src/api/server.js
+const crypto = require('crypto');
 const express = require('express');
 const compression = require('compression');
 const { Pool } = require('pg');
-const DefiLlamaCollector = require('../collectors/api/defillama-collector');
+const SourceRegistry = require('../collectors/source-registry');
+const VaultOnChainCollector = require('../collectors/onchain/vault-onchain-collector');
+const VaultIdentityResolver = require('../utils/vault-identity-resolver');
 const RiskScorer = require('../utils/risk-scorer');
+const ApyStability = require('../utils/apy-stability');
 const CacheManager = require('../utils/cache-manager');
+const MetricsRollup = require('../utils/metrics-rollup');
+const AssetRegistry = require('../utils/asset-registry');
+const RealtimeHub = require('./realtime-hub');
+const AlertEngine = require('../alerts/alert-engine');
+const ApiKeyManager = require('../utils/api-key-manager');
+const { API_PLANS, ANONYMOUS_PLAN } = require('../config/api-plans');
+const { createRateLimiter } = require('../utils/rate-limiter');
+const { spec: openAPISpec, summarizeSpec } = require('./openapi');
+const RequestValidator = require('./request-validator');
 const cron = require('node-cron');
 
+// History rollup sources; interval=auto picks raw, hourly or daily from the requested range
+const HISTORY_ROLLUP_TABLES = {
+  hourly: 'vault_metrics_hourly',
+  daily: 'vault_metrics_daily'
+};
+// Bucket length per rollup, so the bucket that contains `from` is included
+const HISTORY_BUCKET_INTERVALS = {
+  hourly: '1 hour',
+  daily: '1 day'
+};
+const HISTORY_MAX_POINTS = 5000;
+
+// NUMERIC/DECIMAL columns come back from pg as strings
+const toNumber = value => (value === null || value === undefined ? null : parseFloat(value));
+
+// NaN or Infinity would fail a NUMERIC/BIGINT insert and roll back the whole batch
+const finiteOrNull = value => (Number.isFinite(value) ? value : null);
+
+const SWAGGER_UI_HTML = `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>Vault APY Oracle API</title>
+  <link rel="stylesheet" href="https://unpkg.com/swagger-ui-dist@5/swagger-ui.css">
+</head>
+<body>
+  <div id="swagger-ui"></div>
+  <script src="https://unpkg.com/swagger-ui-dist@5/swagger-ui-bundle.js" crossorigin></script>
+  <script>
+    window.ui = SwaggerUIBundle({ url: '/openapi.json', dom_id: '#swagger-ui' });
+  </script>
+</body>
+</html>`;
+
+// Rate-limit units per request; live collection costs far more than a cached read
+const RATE_LIMIT_COSTS = {
+  default: 1,
+  compare: 2,
+  live: 10
+};
+const RATE_LIMIT_WINDOW_MS = 60000; // 1 minute
+
+// Rate limits, quotas and stream connections are counted per API key, or per IP without one
+const callerKey = (apiKey, ip) => (apiKey ? `key:${apiKey.id}` : `ip:${ip}`);
+
 class VaultAPYAPIServer {
   constructor() {
     this.app = express();
@@ -26,9 +84,23 @@ class VaultAPYAPIServer {
     });
 
     // Initialize components
-    this.defiLlamaCollector = new DefiLlamaCollector();
-    this.riskScorer = new RiskScorer();
+    this.sourceRegistry = new SourceRegistry({
+      identityResolver: new VaultIdentityResolver(this.pool)
+    });
+    this.onChainCollector = new VaultOnChainCollector();
+    this.simulationCandidates = parseInt(process.env.DEPOSIT_SIMULATION_CANDIDATES || 10); // per amount-aware /best
+    this.riskScorer = new RiskScorer({ apyStability: new ApyStability(this.pool) });
     this.cacheManager = new CacheManager();
+    this.metricsRollup = new MetricsRollup(this.pool);
+    this.assetRegistry = new AssetRegistry();
+    this.realtimeHub = new RealtimeHub({ assetRegistry: this.assetRegistry });
+    this.apiKeyManager = new ApiKeyManager(this.pool);
+    this.rateLimiter = createRateLimiter();
+    this.validator = new RequestValidator(openAPISpec);
+    this.alertEngine = new AlertEngine(this.pool, {
+      assetRegistry: this.assetRegistry,
+      findBestVault: (vaults, criteria) => this.findBestVault(vaults, criteria)
+    });
     
     this.setupMiddleware();
     this.setupRoutes();
@@ -45,7 +117,8 @@ class VaultAPYAPIServer {
     this.app.use((req, res, next) => {
       res.header('Access-Control-Allow-Origin', '*');
       res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
-      res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, Authorization');
+      res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, Authorization, X-API-Key');
+      res.header('Access-Control-Expose-Headers', 'RateLimit-Policy, RateLimit-Limit, RateLimit-Remaining, RateLimit-Reset, Retry-After, X-Quota-Limit, X-Quota-Remaining');
       next();
     });
 
@@ -65,83 +138,210 @@ class VaultAPYAPIServer {
       next();
     });
 
-    // Improved rate limiting with Redis fallback to memory
+    // Resolve the caller: API key (header or query param) or anonymous by IP
     this.app.use(async (req, res, next) => {
       try {
-        const ip = req.ip;
-        const now = Date.now();
-        const windowMs = 60000; // 1 minute
-        const maxRequests = 200; // Increased limit for better performance
-        const key = `rate_limit:${ip}`;
-
-        // Try Redis first, fallback to memory
-        let rateLimitData = await this.cacheManager.getVaultData(key);
-        
-        if (!rateLimitData) {
-          rateLimitData = { count: 0, resetTime: now + windowMs };
+        const apiKey = req.get('X-API-Key') || req.query.api_key;
+        if (!apiKey) return next();
+
+        req.apiKey = await this.apiKeyManager.authenticate(apiKey);
+
+        if (!req.apiKey) {
+          return res.status(401).json({
+            success: false,
+            error: 'Invalid or revoked API key'
+          });
         }
 
-        if (now > rateLimitData.resetTime) {
-          rateLimitData = { count: 1, resetTime: now + windowMs };
-        } else {
-          rateLimitData.count++;
-          if (rateLimitData.count > maxRequests) {
-            return res.status(429).json({ 
-              error: 'Rate limit exceeded', 
-              retryAfter: Math.ceil((rateLimitData.resetTime - now) / 1000) 
-            });
-          }
+        next();
+      } catch (error) {
+        console.error('API key lookup error:', error.message);
+        res.status(503).json({
+          success: false,
+          error: 'Unable to validate API key'
+        });
+      }
+    });
+
+    // Sliding-window rate limiting per API key, or per IP for anonymous callers
+    this.app.use(async (req, res, next) => {
+      try {
+        const windowMs = RATE_LIMIT_WINDOW_MS;
+        const plan = req.apiKey ? this.apiKeyManager.getPlan(req.apiKey.plan) : ANONYMOUS_PLAN;
+        const key = callerKey(req.apiKey, req.ip);
+        const cost = this.getRequestCost(req);
+
+        const result = await this.rateLimiter.consume(key, {
+          limit: plan.requestsPerMinute,
+          windowMs,
+          cost
+        });
+
+        res.set('RateLimit-Policy', `${plan.requestsPerMinute};w=${windowMs / 1000}`);
+        res.set('RateLimit-Limit', String(result.limit));
+        res.set('RateLimit-Remaining', String(result.remaining));
+        res.set('RateLimit-Reset', String(Math.ceil(result.resetMs / 1000)));
+
+        if (!result.allowed) {
+          const retryAfter = Math.ceil(result.retryAfterMs / 1000);
+          res.set('Retry-After', String(retryAfter));
+          return res.status(429).json({ 
+            error: 'Rate limit exceeded', 
+            cost,
+            retryAfter
+          });
         }
 
-        await this.cacheManager.setVaultData(key, rateLimitData, 60);
         next();
       } catch (error) {
         console.error('Rate limiting error:', error.message);
         next(); // Continue on error to avoid blocking requests
       }
     });
+
+    // Daily quota and usage counting for API keys
+    this.app.use(async (req, res, next) => {
+      if (!req.apiKey) return next();
+
+      try {
+        const usage = await this.apiKeyManager.recordUsage(req.apiKey);
+
+        if (usage.quota !== null) {
+          res.set('X-Quota-Limit', String(usage.quota));
+          res.set('X-Quota-Remaining', String(usage.remaining));
+        }
+
+        if (!usage.allowed) {
+          return res.status(429).json({
+            error: 'Daily quota exceeded',
+            plan: req.apiKey.plan,
+            quota: usage.quota
+          });
+        }
+
+        next();
+      } catch (error) {
+        console.error('Usage tracking error:', error.message);
+        next(); // Don't block keyed requests if usage accounting fails
+      }
+    });
+  }
+
+  /**
+   * The API key, rate limit and quota checks above, for WebSocket upgrades,
+   * which never reach the Express middleware. Resolves to { caller } or to
+   * { status, error, headers } for the refusal.
+   */
+  async authorizeStream(req) {
+    const url = new URL(req.url, 'http://localhost');
+    const presented = req.headers['x-api-key'] || url.searchParams.get('api_key');
+    const apiKey = presented ? await this.apiKeyManager.authenticate(presented) : null;
+
+    if (presented && !apiKey) {
+      return { status: 401, error: 'Invalid or revoked API key' };
+    }
+
+    const caller = callerKey(apiKey, req.socket.remoteAddress);
+    const plan = apiKey ? this.apiKeyManager.getPlan(apiKey.plan) : ANONYMOUS_PLAN;
+
+    try {
+      const result = await this.rateLimiter.consume(caller, {
+        limit: plan.requestsPerMinute,
+        windowMs: RATE_LIMIT_WINDOW_MS,
+        cost: RATE_LIMIT_COSTS.default
+      });
+
+      if (!result.allowed) {
+        const retryAfter = Math.ceil(result.retryAfterMs / 1000);
+        return { status: 429, error: 'Rate limit exceeded', headers: { 'Retry-After': retryAfter } };
+      }
+    } catch (error) {
+      console.error('Rate limiting error:', error.message);
+    }
+
+    if (apiKey) {
+      try {
+        const usage = await this.apiKeyManager.recordUsage(apiKey);
+        if (!usage.allowed) {
+          return { status: 429, error: 'Daily quota exceeded' };
+        }
+      } catch (error) {
+        console.error('Usage tracking error:', error.message);
+      }
+    }
+
+    return { caller };
+  }
+
+  // fresh=true and /top/ hit the upstream APIs on every call
+  getRequestCost(req) {
+    if (req.query.fresh === 'true' || req.path.startsWith('/api/v1/vaults/top/') ||
+        req.query.amount !== undefined || req.path.endsWith('/simulate')) {
+      return RATE_LIMIT_COSTS.live;
+    }
+    if (req.method === 'POST' && req.path === '/api/v1/vaults/compare') {
+      return RATE_LIMIT_COSTS.compare;
+    }
+    return RATE_LIMIT_COSTS.default;
   }
 
   setupRoutes() {
-    // API Documentation endpoint
+    const validate = (operationId) => this.validator.middleware(operationId);
+
+    // API Documentation endpoint, condensed from the OpenAPI spec
     this.app.get('/', (req, res) => {
+      const { endpoints, parameters } = summarizeSpec(openAPISpec);
+
       res.json({
-        name: 'Vault APY Oracle API',
-        version: '1.0.0',
+        name: openAPISpec.info.title,
+        version: openAPISpec.info.version,
         description: 'Real-time vault APY data for DeFi automation agents',
         documentation: {
-          endpoints: {
-            'GET /': 'This documentation',
-            'GET /health': 'Health check',
-            'GET /api/v1/vaults/best/:asset': 'Get best vault for asset',
-            'GET /api/v1/vaults/top/:asset': 'Get top vaults for asset',
-            'GET /api/v1/vaults/:chain/:address': 'Get specific vault data',
-            'GET /api/v1/chains': 'Get supported chains',
-            'GET /api/v1/protocols': 'Get supported protocols',
-            'POST /api/v1/vaults/compare': 'Compare multiple vaults'
+          openapi: '/openapi.json',
+          explorer: '/docs',
+          endpoints,
+          authentication: {
+            api_key: 'Send X-API-Key header or ?api_key= for per-plan rate limits and daily quotas',
+            anonymous: `Without a key: ${ANONYMOUS_PLAN.requestsPerMinute} requests/minute per IP`,
+            rate_limit_costs: 'Each request costs 1 unit; POST /compare costs 2; fresh=true, amount=, /vaults/top and /simulate cost 10. See RateLimit-* headers',
+            alerts: 'Alert routes require an API key and only see the rules created with it',
+            admin: 'Admin routes require Authorization: Bearer <ADMIN_API_TOKEN>',
+            plans: API_PLANS
           },
-          parameters: {
-            asset: 'Asset symbol (e.g., USDC, USDT)',
-            risk: 'Risk tolerance: low, medium-low, medium, medium-high, high',
-            chain: 'Blockchain network: ethereum, base, arbitrum, polygon',
-            limit: 'Number of results to return (default: 10, max: 100)'
-          }
+          parameters
         },
         timestamp: new Date().toISOString()
       });
     });
 
-    // Health check
+    // OpenAPI 3 specification
+    this.app.get('/openapi.json', (req, res) => {
+      res.json(openAPISpec);
+    });
+
+    // Swagger UI, loaded from a CDN and pointed at /openapi.json
+    this.app.get('/docs', (req, res) => {
+      res.type('html').send(SWAGGER_UI_HTML);
+    });
+
+    // Health check, with per-endpoint RPC pool health (latency, failures, circuit state)
     this.app.get('/health', async (req, res) => {
+      const rpc = this.onChainCollector.providerPool.getStats();
+
       try {
         // Test database connection
         const client = await this.pool.connect();
         await client.query('SELECT 1');
         client.release();
 
+        // Degraded when a configured chain has no healthy endpoint left
+        const degraded = Object.values(rpc).some(endpoints => !endpoints.some(endpoint => endpoint.healthy));
+
         res.json({ 
-          status: 'healthy',
+          status: degraded ? 'degraded' : 'healthy',
           database: 'connected',
+          realtime_clients: this.realtimeHub.clientCount,
+          rpc,
           timestamp: new Date().toISOString(),
           uptime: process.uptime()
         });
@@ -149,6 +349,7 @@ class VaultAPYAPIServer {
         res.status(503).json({
           status: 'unhealthy',
           database: 'disconnected',
+          rpc,
           error: error.message,
           timestamp: new Date().toISOString()
         });
@@ -156,25 +357,29 @@ class VaultAPYAPIServer {
     });
 
     // Get best vault for an asset
-    this.app.get('/api/v1/vaults/best/:asset', async (req, res) => {
+    this.app.get('/api/v1/vaults/best/:asset', validate('getBestVault'), async (req, res) => {
       try {
         const { asset } = req.params;
         const { 
           risk = 'medium', 
           chain,
           min_tvl = 100000,
-          fresh = false 
+          fresh = false,
+          risk_model,
+          apy_basis = 'total',
+          amount
         } = req.query;
 
-        console.log(`🔍 Finding best vault for ${asset} with ${risk} risk`);
+        console.log(`🔍 Finding best vault for ${asset} with ${risk} risk${amount ? ` for a ${amount} deposit` : ''}`);
 
-        // Use cache manager for request deduplication and caching
-        const cacheKey = `best_vault:${asset}:${risk}:${chain || 'all'}:${min_tvl}`;
+        // Use cache manager for request deduplication and caching (aliases share an entry)
+        const assetKey = this.assetRegistry.resolveSymbol(asset) || asset.toUpperCase();
+        const cacheKey = `best_vault:${assetKey}:${risk}:${chain || 'all'}:${min_tvl}`;
         
         let vaults;
         if (fresh === 'true') {
           // Get fresh data from APIs
-          vaults = await this.defiLlamaCollector.collectAllVaults();
+          vaults = await this.collectWithOnChainData();
         } else {
           // Use cache with request deduplication
           vaults = await this.cacheManager.getOrSetWithDeduplication(
@@ -184,7 +389,7 @@ class VaultAPYAPIServer {
               let dbVaults = await this.getVaultsFromDB(asset, chain);
               if (dbVaults.length === 0) {
                 console.log('📡 Cache miss - fetching from API');
-                dbVaults = await this.defiLlamaCollector.collectAllVaults();
+                dbVaults = await this.collectWithOnChainData();
               }
               return dbVaults;
             },
@@ -193,33 +398,17 @@ class VaultAPYAPIServer {
         }
 
         // Filter and score
-        let filteredVaults = vaults.filter(vault => 
-          vault.asset_symbol.toUpperCase() === asset.toUpperCase() &&
-          vault.tvl_usd >= parseInt(min_tvl)
-        );
-
-        if (chain) {
-          filteredVaults = filteredVaults.filter(vault => 
-            vault.chain.toLowerCase() === chain.toLowerCase()
-          );
-        }
-
-        const safeVaults = await this.riskScorer.filterByRiskTolerance(filteredVaults, risk);
+        const { bestVault, filteredVaults, safeVaults } = await this.findBestVault(vaults, {
+          asset, risk, chain, min_tvl, risk_model, apy_basis, amount
+        });
         
-        if (safeVaults.length === 0) {
+        if (!bestVault) {
           return res.status(404).json({
             error: 'No vaults found matching criteria',
             criteria: { asset, risk, chain, min_tvl }
           });
         }
 
-        const bestVault = safeVaults
-          .map(vault => ({
-            ...vault,
-            risk_adjusted_apy: this.riskScorer.getRiskAdjustedAPY(vault.apy, vault.risk_score)
-          }))
-          .sort((a, b) => b.risk_adjusted_apy - a.risk_adjusted_apy)[0];
-
         res.json({
           success: true,
           data: {
@@ -229,16 +418,28 @@ class VaultAPYAPIServer {
             chain: bestVault.chain,
             asset: bestVault.asset_symbol,
             apy: bestVault.apy,
+            base_apy: RiskScorer.baseAPY(bestVault),
+            reward_apy: bestVault.reward_apy ?? null,
+            reward_tokens: bestVault.reward_tokens || [],
+            simulated_apy: bestVault.simulated_apy ?? null,
+            deposit_simulation: bestVault.deposit_simulation ?? null,
             risk_adjusted_apy: bestVault.risk_adjusted_apy,
             risk_score: bestVault.risk_score,
             risk_category: bestVault.risk_category,
+            risk_breakdown: bestVault.risk_breakdown,
+            risk_model_version: bestVault.risk_model_version,
             tvl_usd: bestVault.tvl_usd,
+            utilization_rate: bestVault.utilization_rate ?? null,
+            withdrawable_liquidity_usd: bestVault.withdrawable_liquidity_usd ?? null,
+            source_apys: bestVault.source_apys || {},
+            consensus_confidence: bestVault.consensus_confidence ?? null,
+            apy_disagreement: bestVault.apy_disagreement || false,
             data_source: bestVault.data_source
           },
           metadata: {
             total_vaults_analyzed: filteredVaults.length,
             vaults_passing_risk_filter: safeVaults.length,
-            criteria: { asset, risk, chain, min_tvl },
+            criteria: { asset, risk, chain, min_tvl, risk_model, apy_basis, amount },
             timestamp: new Date().toISOString()
           }
         });
@@ -253,20 +454,22 @@ class VaultAPYAPIServer {
     });
 
     // Get top vaults for an asset
-    this.app.get('/api/v1/vaults/top/:asset', async (req, res) => {
+    this.app.get('/api/v1/vaults/top/:asset', validate('getTopVaults'), async (req, res) => {
       try {
         const { asset } = req.params;
         const { 
           risk = 'medium', 
           chain,
           limit = 10,
-          sort_by = 'risk_adjusted_apy' // or 'apy', 'tvl', 'risk_score'
+          sort_by = 'risk_adjusted_apy', // or 'apy', 'base_apy', 'tvl', 'risk_score'
+          risk_model,
+          apy_basis = 'total'
         } = req.query;
 
-        const vaults = await this.defiLlamaCollector.collectAllVaults();
+        const vaults = await this.collectWithOnChainData();
         
         let filteredVaults = vaults.filter(vault => 
-          vault.asset_symbol.toUpperCase() === asset.toUpperCase()
+          this.assetRegistry.matches(vault.asset_symbol, asset)
         );
 
         if (chain) {
@@ -275,17 +478,18 @@ class VaultAPYAPIServer {
           );
         }
 
-        const safeVaults = await this.riskScorer.filterByRiskTolerance(filteredVaults, risk);
+        const safeVaults = await this.riskScorer.filterByRiskTolerance(filteredVaults, risk, risk_model);
         
         const enrichedVaults = safeVaults.map(vault => ({
           ...vault,
-          risk_adjusted_apy: this.riskScorer.getRiskAdjustedAPY(vault.apy, vault.risk_score)
+          risk_adjusted_apy: this.riskScorer.getVaultRiskAdjustedAPY(vault, apy_basis)
         }));
 
         // Sort based on requested criteria
         const sortFunctions = {
           'risk_adjusted_apy': (a, b) => b.risk_adjusted_apy - a.risk_adjusted_apy,
           'apy': (a, b) => b.apy - a.apy,
+          'base_apy': (a, b) => RiskScorer.baseAPY(b) - RiskScorer.baseAPY(a),
           'tvl': (a, b) => b.tvl_usd - a.tvl_usd,
           'risk_score': (a, b) => b.risk_score - a.risk_score
         };
@@ -303,17 +507,27 @@ class VaultAPYAPIServer {
             chain: vault.chain,
             asset: vault.asset_symbol,
             apy: vault.apy,
+            base_apy: RiskScorer.baseAPY(vault),
+            reward_apy: vault.reward_apy ?? null,
+            reward_tokens: vault.reward_tokens || [],
             risk_adjusted_apy: vault.risk_adjusted_apy,
             risk_score: vault.risk_score,
             risk_category: vault.risk_category,
+            risk_breakdown: vault.risk_breakdown,
+            risk_model_version: vault.risk_model_version,
             tvl_usd: vault.tvl_usd,
+            utilization_rate: vault.utilization_rate ?? null,
+            withdrawable_liquidity_usd: vault.withdrawable_liquidity_usd ?? null,
+            source_apys: vault.source_apys || {},
+            consensus_confidence: vault.consensus_confidence ?? null,
+            apy_disagreement: vault.apy_disagreement || false,
             data_source: vault.data_source
           })),
           metadata: {
             total_results: sortedVaults.length,
             total_analyzed: filteredVaults.length,
             sort_by,
-            criteria: { asset, risk, chain, limit },
+            criteria: { asset, risk, chain, limit, risk_model, apy_basis },
             timestamp: new Date().toISOString()
           }
         });
@@ -327,19 +541,28 @@ class VaultAPYAPIServer {
       }
     });
 
+    // Real-time vault updates: Server-Sent Events here, WebSocket upgrades on the same path
+    this.app.get('/api/v1/stream', validate('streamUpdates'), (req, res) => {
+      this.realtimeHub.handleSSE(req, res, callerKey(req.apiKey, req.ip));
+    });
+
     // Get specific vault data
-    this.app.get('/api/v1/vaults/:chain/:address', async (req, res) => {
+    this.app.get('/api/v1/vaults/:chain/:address', validate('getVault'), async (req, res) => {
       try {
-        const { chain, address } = req.params;
+        const { chain } = req.params;
+        const address = await this.resolveVaultAddress(chain, req.params.address);
 
         // Check database first
         const client = await this.pool.connect();
         
         try {
           const result = await client.query(`
-            SELECT v.*, vm.apy, vm.tvl_usd, vm.risk_score, vm.timestamp
+            SELECT v.*, vm.apy, vm.tvl_usd, vm.risk_score, vm.risk_model_version, vm.timestamp,
+                   vm.utilization_rate, vm.withdrawable_liquidity_usd,
+                   vm.base_apy, vm.reward_apy, vm.reward_tokens,
+                   vm.source_apys, vm.consensus_confidence, vm.apy_disagreement
             FROM vaults v
-            LEFT JOIN vault_metrics vm ON v.vault_address = vm.vault_address
+            LEFT JOIN vault_metrics vm ON v.chain = vm.chain AND v.vault_address = vm.vault_address
             WHERE v.vault_address = $1 AND v.chain = $2
             ORDER BY vm.timestamp DESC
             LIMIT 1
@@ -364,8 +587,17 @@ class VaultAPYAPIServer {
               chain: vault.chain,
               asset: vault.asset_symbol,
               apy: parseFloat(vault.apy),
+              base_apy: toNumber(vault.base_apy),
+              reward_apy: toNumber(vault.reward_apy),
+              reward_tokens: vault.reward_tokens || [],
               tvl_usd: parseInt(vault.tvl_usd),
+              utilization_rate: toNumber(vault.utilization_rate),
+              withdrawable_liquidity_usd: toNumber(vault.withdrawable_liquidity_usd),
               risk_score: vault.risk_score,
+              risk_model_version: vault.risk_model_version,
+              source_apys: vault.source_apys || {},
+              consensus_confidence: vault.consensus_confidence === null ? null : parseFloat(vault.consensus_confidence),
+              apy_disagreement: vault.apy_disagreement,
               last_updated: vault.timestamp,
               data_age_minutes: Math.round(age / 60000)
             },
@@ -388,37 +620,170 @@ class VaultAPYAPIServer {
       }
     });
 
-    // Compare multiple vaults
-    this.app.post('/api/v1/vaults/compare', async (req, res) => {
+    // Get historical time-series for a specific vault
+    this.app.get('/api/v1/vaults/:chain/:address/history', validate('getVaultHistory'), async (req, res) => {
       try {
-        const { vaults } = req.body; // Array of {chain, address}
-        
-        if (!Array.isArray(vaults) || vaults.length === 0) {
+        const { chain } = req.params;
+        const address = await this.resolveVaultAddress(chain, req.params.address);
+        const { from, to, interval = 'auto' } = req.query;
+
+        const toDate = to ? new Date(to) : new Date();
+        const fromDate = from ? new Date(from) : new Date(toDate.getTime() - 7 * 24 * 60 * 60 * 1000);
+
+        if (isNaN(fromDate.getTime()) || isNaN(toDate.getTime())) {
+          return res.status(400).json({
+            success: false,
+            error: 'from and to must be valid ISO 8601 dates'
+          });
+        }
+
+        if (fromDate >= toDate) {
           return res.status(400).json({
             success: false,
-            error: 'Please provide an array of vaults to compare'
+            error: 'from must be earlier than to'
+          });
+        }
+
+        const resolvedInterval = interval === 'auto'
+          ? this.metricsRollup.resolveInterval(fromDate, toDate)
+          : interval;
+
+        const history = await this.getVaultHistory(chain, address, fromDate, toDate, resolvedInterval);
+
+        if (!history) {
+          return res.status(404).json({
+            success: false,
+            error: `Vault ${address} not found on ${chain}`
+          });
+        }
+
+        res.json({
+          success: true,
+          data: {
+            vault_address: history.vault.vault_address,
+            name: history.vault.name,
+            protocol: history.vault.protocol,
+            chain: history.vault.chain,
+            asset: history.vault.asset_symbol,
+            interval: resolvedInterval,
+            series: history.series
+          },
+          metadata: {
+            from: fromDate.toISOString(),
+            to: toDate.toISOString(),
+            points: history.series.length,
+            truncated: history.series.length >= HISTORY_MAX_POINTS,
+            timestamp: new Date().toISOString()
+          }
+        });
+
+      } catch (error) {
+        console.error('Vault history error:', error.message);
+        res.status(500).json({
+          success: false,
+          error: error.message
+        });
+      }
+    });
+
+    // Simulate a deposit: post-deposit utilization and APY from the protocol's rate model
+    this.app.get('/api/v1/vaults/:chain/:address/simulate', validate('simulateDeposit'), async (req, res) => {
+      try {
+        const { chain } = req.params;
+        const address = await this.resolveVaultAddress(chain, req.params.address);
+        const { amount } = req.query;
+
+        const client = await this.pool.connect();
+        let result;
+        try {
+          result = await client.query(`
+            SELECT v.*, vm.apy, vm.reward_apy, vm.tvl_usd, vm.timestamp
+            FROM vaults v
+            LEFT JOIN vault_metrics vm ON v.chain = vm.chain AND v.vault_address = vm.vault_address
+            WHERE v.vault_address = $1 AND v.chain = $2
+            ORDER BY vm.timestamp DESC
+            LIMIT 1
+          `, [address, chain.toLowerCase()]);
+        } finally {
+          // Released before the RPC reads
+          client.release();
+        }
+
+        if (result.rows.length === 0) {
+          return res.status(404).json({
+            success: false,
+            error: `Vault ${address} not found on ${chain}`
+          });
+        }
+
+        const vault = result.rows[0];
+
+        if (!this.onChainCollector.providers[vault.chain]) {
+          return res.status(503).json({
+            success: false,
+            error: `No RPC endpoints configured for chain: ${vault.chain}`
           });
         }
 
+        const simulation = await this.onChainCollector.simulateDeposit({
+          vault_address: vault.vault_address,
+          chain: vault.chain,
+          protocol: vault.protocol,
+          apy: toNumber(vault.apy),
+          reward_apy: toNumber(vault.reward_apy)
+        }, amount);
+
+        res.json({
+          success: true,
+          data: {
+            name: vault.name,
+            asset: vault.asset_symbol,
+            tvl_usd: toNumber(vault.tvl_usd),
+            ...simulation
+          },
+          metadata: {
+            apy_as_of: vault.timestamp,
+            timestamp: new Date().toISOString()
+          }
+        });
+
+      } catch (error) {
+        console.error('Deposit simulation error:', error.message);
+        res.status(500).json({
+          success: false,
+          error: error.message
+        });
+      }
+    });
+
+    // Compare multiple vaults
+    this.app.post('/api/v1/vaults/compare', validate('compareVaults'), async (req, res) => {
+      try {
+        const { vaults } = req.body; // Array of {chain, address}
+
         const results = [];
         const client = await this.pool.connect();
 
         try {
           for (const vault of vaults) {
             const result = await client.query(`
-              SELECT v.*, vm.apy, vm.tvl_usd, vm.risk_score, vm.timestamp
+              SELECT v.*, vm.apy, vm.tvl_usd, vm.risk_score, vm.risk_model_version, vm.timestamp,
+                     vm.utilization_rate, vm.withdrawable_liquidity_usd,
+                     vm.base_apy, vm.reward_apy, vm.reward_tokens,
+                     vm.source_apys, vm.consensus_confidence, vm.apy_disagreement
               FROM vaults v
-              LEFT JOIN vault_metrics vm ON v.vault_address = vm.vault_address
+              LEFT JOIN vault_metrics vm ON v.chain = vm.chain AND v.vault_address = vm.vault_address
               WHERE v.vault_address = $1 AND v.chain = $2
               ORDER BY vm.timestamp DESC
               LIMIT 1
-            `, [vault.address, vault.chain.toLowerCase()]);
+            `, [vault.address.toLowerCase(), vault.chain.toLowerCase()]);
 
             if (result.rows.length > 0) {
               const vaultData = result.rows[0];
               const riskAdjustedAPY = this.riskScorer.getRiskAdjustedAPY(
                 parseFloat(vaultData.apy), 
-                vaultData.risk_score
+                vaultData.risk_score,
+                { rewardApy: toNumber(vaultData.reward_apy) || 0, modelVersion: vaultData.risk_model_version }
               );
 
               results.push({
@@ -427,9 +792,18 @@ class VaultAPYAPIServer {
                 protocol: vaultData.protocol,
                 chain: vaultData.chain,
                 apy: parseFloat(vaultData.apy),
+                base_apy: toNumber(vaultData.base_apy),
+                reward_apy: toNumber(vaultData.reward_apy),
+                reward_tokens: vaultData.reward_tokens || [],
                 risk_adjusted_apy: riskAdjustedAPY,
                 risk_score: vaultData.risk_score,
-                tvl_usd: parseInt(vaultData.tvl_usd)
+                risk_model_version: vaultData.risk_model_version,
+                tvl_usd: parseInt(vaultData.tvl_usd),
+                utilization_rate: toNumber(vaultData.utilization_rate),
+                withdrawable_liquidity_usd: toNumber(vaultData.withdrawable_liquidity_usd),
+                source_apys: vaultData.source_apys || {},
+                consensus_confidence: vaultData.consensus_confidence === null ? null : parseFloat(vaultData.consensus_confidence),
+                apy_disagreement: vaultData.apy_disagreement
               });
             }
           }
@@ -461,19 +835,67 @@ class VaultAPYAPIServer {
       }
     });
 
+    // Get supported assets from the registry
+    this.app.get('/api/v1/assets', (req, res) => {
+      const assets = this.assetRegistry.list();
+
+      res.json({
+        success: true,
+        data: assets,
+        metadata: {
+          total_results: assets.length,
+          collected: this.assetRegistry.getCollectedAssets(),
+          timestamp: new Date().toISOString()
+        }
+      });
+    });
+
+    // Get configured data sources, optionally with a live health check
+    this.app.get('/api/v1/sources', validate('getSources'), async (req, res) => {
+      try {
+        const sources = this.sourceRegistry.getSources();
+
+        if (req.query.check === 'true') {
+          const health = await this.sourceRegistry.healthCheck();
+          sources.forEach((source, index) => {
+            const { name, ...result } = health[index];
+            source.health = result;
+          });
+        }
+
+        res.json({
+          success: true,
+          data: sources,
+          metadata: {
+            total_results: sources.length,
+            timestamp: new Date().toISOString()
+          }
+        });
+      } catch (error) {
+        res.status(500).json({
+          success: false,
+          error: error.message
+        });
+      }
+    });
+
     // Get supported chains
     this.app.get('/api/v1/chains', async (req, res) => {
       try {
         const client = await this.pool.connect();
         
         try {
+          // Latest hourly rollup per vault instead of scanning a day of raw rows
           const result = await client.query(`
             SELECT chain, COUNT(*) as vault_count, 
-                   AVG(vm.apy) as avg_apy,
-                   SUM(vm.tvl_usd) as total_tvl
-            FROM vaults v
-            LEFT JOIN vault_metrics vm ON v.vault_address = vm.vault_address
-            WHERE vm.timestamp > NOW() - INTERVAL '1 day'
+                   AVG(apy_close) as avg_apy,
+                   SUM(tvl_close) as total_tvl
+            FROM (
+              SELECT DISTINCT ON (chain, vault_address) chain, vault_address, apy_close, tvl_close
+              FROM vault_metrics_hourly
+              WHERE bucket_start > NOW() - INTERVAL '1 day'
+              ORDER BY chain, vault_address, bucket_start DESC
+            ) latest
             GROUP BY chain
             ORDER BY total_tvl DESC
           `);
@@ -503,75 +925,845 @@ class VaultAPYAPIServer {
         });
       }
     });
-  }
 
-  async getVaultsFromDB(asset, chain = null) {
-    const client = await this.pool.connect();
-    
-    try {
-      let query = `
-        SELECT v.*, vm.apy, vm.tvl_usd, vm.risk_score, vm.timestamp
-        FROM vaults v
-        LEFT JOIN vault_metrics vm ON v.vault_address = vm.vault_address
-        WHERE v.asset_symbol = $1
-        AND vm.timestamp > NOW() - INTERVAL '1 hour'
-      `;
-      
-      const params = [asset.toUpperCase()];
-      
-      if (chain) {
-        query += ' AND v.chain = $2';
-        params.push(chain.toLowerCase());
+    // Risk models available for the risk_model parameter
+    this.app.get('/api/v1/risk/models', validate('getRiskModels'), (req, res) => {
+      res.json({
+        success: true,
+        data: this.riskScorer.models.list(),
+        metadata: {
+          default_version: this.riskScorer.models.defaultVersion,
+          timestamp: new Date().toISOString()
+        }
+      });
+    });
+
+    // Get supported protocols
+    this.app.get('/api/v1/protocols', validate('getProtocols'), async (req, res) => {
+      try {
+        const { chain, asset } = req.query;
+
+        const protocols = await this.getProtocolsFromDB(chain, asset);
+
+        res.json({
+          success: true,
+          data: protocols,
+          metadata: {
+            total_results: protocols.length,
+            criteria: { chain, asset },
+            timestamp: new Date().toISOString()
+          }
+        });
+
+      } catch (error) {
+        console.error('Protocols error:', error.message);
+        res.status(500).json({
+          success: false,
+          error: error.message
+        });
       }
-      
-      query += ' ORDER BY vm.timestamp DESC';
-      
-      const result = await client.query(query, params);
-      
-      return result.rows.map(row => ({
-        vault_address: row.vault_address,
-        chain: row.chain,
-        protocol: row.protocol,
-        name: row.name,
-        asset_symbol: row.asset_symbol,
-        apy: parseFloat(row.apy || 0),
-        tvl_usd: parseInt(row.tvl_usd || 0),
-        risk_score: row.risk_score,
-        data_source: 'database'
-      }));
+    });
 
-    } finally {
-      client.release();
-    }
+    this.setupAlertRoutes();
+    this.setupAdminRoutes();
   }
 
-  setupCronJobs() {
-    // Update vault data every 15 minutes
-    cron.schedule('*/15 * * * *', async () => {
+  setupAlertRoutes() {
+    const validate = (operationId) => this.validator.middleware(operationId);
+
+    // Alert rules belong to the API key that created them, so every route needs one
+    const requireApiKey = (req, res, next) => {
+      if (!req.apiKey) {
+        return res.status(401).json({
+          success: false,
+          error: 'API key required (X-API-Key header or api_key query parameter)'
+        });
+      }
+
+      next();
+    };
+
+    // List the caller's alert rules
+    this.app.get('/api/v1/alerts', requireApiKey, validate('listAlerts'), async (req, res) => {
       try {
-        console.log('🔄 Running scheduled vault data update...');
-        const vaults = await this.defiLlamaCollector.collectAllVaults();
-        
-        // Add risk scores with parallel processing
-        const enrichedVaults = await Promise.all(
-          vaults.map(async vault => {
+        const { rule_type, enabled } = req.query;
+
+        const rules = await this.alertEngine.listRules(req.apiKey.id, {
+          ruleType: rule_type || null,
+          enabled: enabled === undefined ? null : enabled === 'true'
+        });
+
+        res.json({
+          success: true,
+          data: rules,
+          metadata: {
+            total_results: rules.length,
+            criteria: { rule_type, enabled },
+            rule_types: Object.keys(AlertEngine.RULE_TYPES),
+            timestamp: new Date().toISOString()
+          }
+        });
+
+      } catch (error) {
+        console.error('List alerts error:', error.message);
+        res.status(500).json({
+          success: false,
+          error: error.message
+        });
+      }
+    });
+
+    // Create an alert rule
+    this.app.post('/api/v1/alerts', requireApiKey, validate('createAlert'), async (req, res) => {
+      try {
+        const { rule, errors } = await this.alertEngine.createRule(req.body || {}, req.apiKey.id);
+
+        if (errors.length > 0) {
+          return res.status(400).json({
+            success: false,
+            error: 'Invalid alert rule',
+            details: errors
+          });
+        }
+
+        res.status(201).json({
+          success: true,
+          data: rule,
+          metadata: {
+            note: 'Store webhook_secret now; it is not returned again',
+            timestamp: new Date().toISOString()
+          }
+        });
+
+      } catch (error) {
+        console.error('Create alert error:', error.message);
+        res.status(500).json({
+          success: false,
+          error: error.message
+        });
+      }
+    });
+
+    // Dead-lettered deliveries across the caller's rules
+    this.app.get('/api/v1/alerts/deliveries/dead-letter', requireApiKey, validate('listDeadLetters'), async (req, res) => {
+      try {
+        const { limit = 50 } = req.query;
+        const deliveries = await this.alertEngine.dispatcher.getDeliveries({
+          apiKeyId: req.apiKey.id,
+          status: 'dead_letter',
+          limit: Math.min(parseInt(limit) || 50, 500)
+        });
+
+        res.json({
+          success: true,
+          data: deliveries,
+          metadata: {
+            total_results: deliveries.length,
+            timestamp: new Date().toISOString()
+          }
+        });
+
+      } catch (error) {
+        console.error('Dead-letter deliveries error:', error.message);
+        res.status(500).json({
+          success: false,
+          error: error.message
+        });
+      }
+    });
+
+    // Re-queue a dead-lettered delivery
+    this.app.post('/api/v1/alerts/deliveries/:id/retry', requireApiKey, validate('retryDelivery'), async (req, res) => {
+      try {
+        const id = parseInt(req.params.id);
+
+        const delivery = await this.alertEngine.dispatcher.requeue(id, req.apiKey.id);
+
+        if (!delivery) {
+          return res.status(404).json({
+            success: false,
+            error: `No dead-lettered delivery ${id}`
+          });
+        }
+
+        res.json({
+          success: true,
+          data: delivery,
+          metadata: {
+            timestamp: new Date().toISOString()
+          }
+        });
+
+      } catch (error) {
+        console.error('Retry delivery error:', error.message);
+        res.status(500).json({
+          success: false,
+          error: error.message
+        });
+      }
+    });
+
+    // Get a single alert rule
+    this.app.get('/api/v1/alerts/:id', requireApiKey, validate('getAlert'), async (req, res) => {
+      try {
+        const id = parseInt(req.params.id);
+
+        const rule = await this.alertEngine.getRule(id, req.apiKey.id);
+
+        if (!rule) {
+          return res.status(404).json({
+            success: false,
+            error: `Alert rule ${id} not found`
+          });
+        }
+
+        res.json({
+          success: true,
+          data: rule,
+          metadata: {
+            timestamp: new Date().toISOString()
+          }
+        });
+
+      } catch (error) {
+        console.error('Get alert error:', error.message);
+        res.status(500).json({
+          success: false,
+          error: error.message
+        });
+      }
+    });
+
+    // Update an alert rule
+    this.app.put('/api/v1/alerts/:id', requireApiKey, validate('updateAlert'), async (req, res) => {
+      try {
+        const id = parseInt(req.params.id);
+
+        const { rule, errors } = await this.alertEngine.updateRule(id, req.body || {}, req.apiKey.id);
+
+        if (errors.length > 0) {
+          return res.status(400).json({
+            success: false,
+            error: 'Invalid alert rule',
+            details: errors
+          });
+        }
+
+        if (!rule) {
+          return res.status(404).json({
+            success: false,
+            error: `Alert rule ${id} not found`
+          });
+        }
+
+        res.json({
+          success: true,
+          data: rule,
+          metadata: {
+            timestamp: new Date().toISOString()
+          }
+        });
+
+      } catch (error) {
+        console.error('Update alert error:', error.message);
+        res.status(500).json({
+          success: false,
+          error: error.message
+        });
+      }
+    });
+
+    // Delete an alert rule (its delivery history goes with it)
+    this.app.delete('/api/v1/alerts/:id', requireApiKey, validate('deleteAlert'), async (req, res) => {
+      try {
+        const id = parseInt(req.params.id);
+
+        const deleted = await this.alertEngine.deleteRule(id, req.apiKey.id);
+
+        if (!deleted) {
+          return res.status(404).json({
+            success: false,
+            error: `Alert rule ${id} not found`
+          });
+        }
+
+        res.json({
+          success: true,
+          data: { id, deleted: true },
+          metadata: {
+            timestamp: new Date().toISOString()
+          }
+        });
+
+      } catch (error) {
+        console.error('Delete alert error:', error.message);
+        res.status(500).json({
+          success: false,
+          error: error.message
+        });
+      }
+    });
+
+    // Webhook delivery history for a rule
+    this.app.get('/api/v1/alerts/:id/deliveries', requireApiKey, validate('listAlertDeliveries'), async (req, res) => {
+      try {
+        const id = parseInt(req.params.id);
+
+        const { status, limit = 50 } = req.query;
+
+        const rule = await this.alertEngine.getRule(id, req.apiKey.id);
+
+        if (!rule) {
+          return res.status(404).json({
+            success: false,
+            error: `Alert rule ${id} not found`
+          });
+        }
+
+        const deliveries = await this.alertEngine.dispatcher.getDeliveries({
+          apiKeyId: req.apiKey.id,
+          ruleId: id,
+          status,
+          limit: Math.min(parseInt(limit) || 50, 500)
+        });
+
+        res.json({
+          success: true,
+          data: deliveries,
+          metadata: {
+            rule_id: id,
+            total_results: deliveries.length,
+            criteria: { status, limit },
+            timestamp: new Date().toISOString()
+          }
+        });
+
+      } catch (error) {
+        console.error('Alert deliveries error:', error.message);
+        res.status(500).json({
+          success: false,
+          error: error.message
+        });
+      }
+    });
+  }
+
+  setupAdminRoutes() {
+    // Admin routes need Authorization: Bearer $ADMIN_API_TOKEN and are disabled without it
+    const requireAdmin = (req, res, next) => {
+      const adminToken = process.env.ADMIN_API_TOKEN;
+
+      if (!adminToken) {
+        return res.status(503).json({
+          success: false,
+          error: 'Admin API is disabled (ADMIN_API_TOKEN not set)'
+        });
+      }
+
+      const provided = (req.get('Authorization') || '').replace(/^Bearer\s+/i, '');
+      const expectedHash = crypto.createHash('sha256').update(adminToken).digest();
+      const providedHash = crypto.createHash('sha256').update(provided).digest();
+
+      if (!provided || !crypto.timingSafeEqual(expectedHash, providedHash)) {
+        return res.status(401).json({
+          success: false,
+          error: 'Admin token required'
+        });
+      }
+
+      next();
+    };
+
+    const validate = (operationId) => this.validator.middleware(operationId);
+
+    // List API keys with usage counters
+    this.app.get('/api/v1/admin/keys', requireAdmin, async (req, res) => {
+      try {
+        const keys = await this.apiKeyManager.listKeys();
+
+        res.json({
+          success: true,
+          data: keys,
+          metadata: {
+            total_results: keys.length,
+            plans: API_PLANS,
+            timestamp: new Date().toISOString()
+          }
+        });
+
+      } catch (error) {
+        console.error('List API keys error:', error.message);
+        res.status(500).json({
+          success: false,
+          error: error.message
+        });
+      }
+    });
+
+    // Issue a new API key
+    this.app.post('/api/v1/admin/keys', requireAdmin, validate('createApiKey'), async (req, res) => {
+      try {
+        const { name, plan = 'free' } = req.body;
+
+        const key = await this.apiKeyManager.createKey({ name, plan });
+
+        res.status(201).json({
+          success: true,
+          data: key,
+          metadata: {
+            note: 'Store api_key now; it is not returned again',
+            timestamp: new Date().toISOString()
+          }
+        });
+
+      } catch (error) {
+        console.error('Create API key error:', error.message);
+        res.status(500).json({
+          success: false,
+          error: error.message
+        });
+      }
+    });
+
+    // Revoke a key and issue its replacement
+    this.app.post('/api/v1/admin/keys/:id/rotate', requireAdmin, validate('rotateApiKey'), async (req, res) => {
+      try {
+        const id = parseInt(req.params.id);
+
+        const key = await this.apiKeyManager.rotateKey(id);
+
+        if (!key) {
+          return res.status(404).json({
+            success: false,
+            error: `No active API key ${id}`
+          });
+        }
+
+        res.status(201).json({
+          success: true,
+          data: key,
+          metadata: {
+            note: 'Store api_key now; it is not returned again',
+            timestamp: new Date().toISOString()
+          }
+        });
+
+      } catch (error) {
+        console.error('Rotate API key error:', error.message);
+        res.status(500).json({
+          success: false,
+          error: error.message
+        });
+      }
+    });
+
+    // Revoke a key
+    this.app.delete('/api/v1/admin/keys/:id', requireAdmin, validate('revokeApiKey'), async (req, res) => {
+      try {
+        const id = parseInt(req.params.id);
+
+        const key = await this.apiKeyManager.revokeKey(id);
+
+        if (!key) {
+          return res.status(404).json({
+            success: false,
+            error: `No active API key ${id}`
+          });
+        }
+
+        res.json({
+          success: true,
+          data: key,
+          metadata: {
+            timestamp: new Date().toISOString()
+          }
+        });
+
+      } catch (error) {
+        console.error('Revoke API key error:', error.message);
+        res.status(500).json({
+          success: false,
+          error: error.message
+        });
+      }
+    });
+  }
+
+  // Source data plus on-chain utilization, withdrawable liquidity and reward token symbols
+  async collectWithOnChainData() {
+    let vaults = await this.sourceRegistry.collectAll();
+
+    // Liquidity is optional; the vaults score without it
+    try {
+      vaults = await this.onChainCollector.attachLiquidity(vaults);
+    } catch (error) {
+      console.error('⚠️ Liquidity collection failed:', error.message);
+    }
+
+    try {
+      vaults = await this.onChainCollector.nameRewardTokens(vaults);
+    } catch (error) {
+      console.error('⚠️ Reward token lookup failed:', error.message);
+    }
+
+    return vaults;
+  }
+
+  async findBestVault(vaults, {
+    asset, risk = 'medium', chain = null, min_tvl = 0, risk_model = null, apy_basis = 'total', amount = null
+  }) {
+    let filteredVaults = vaults.filter(vault => 
+      this.assetRegistry.matches(vault.asset_symbol, asset) &&
+      vault.tvl_usd >= parseInt(min_tvl)
+    );
+
+    if (chain) {
+      filteredVaults = filteredVaults.filter(vault => 
+        vault.chain.toLowerCase() === chain.toLowerCase()
+      );
+    }
+
+    const safeVaults = await this.riskScorer.filterByRiskTolerance(filteredVaults, risk, risk_model);
+
+    let rankedVaults = safeVaults
+      .map(vault => ({
+        ...vault,
+        risk_adjusted_apy: this.riskScorer.getVaultRiskAdjustedAPY(vault, apy_basis)
+      }))
+      .sort((a, b) => b.risk_adjusted_apy - a.risk_adjusted_apy);
+
+    if (amount) {
+      rankedVaults = await this.rankBySimulatedAPY(rankedVaults, amount, apy_basis);
+    }
+
+    return { bestVault: rankedVaults[0] || null, filteredVaults, safeVaults };
+  }
+
+  /**
+   * Re-rank the leading vaults on their APY after depositing `amount` of the
+   * asset. Vaults whose caps can't take the whole amount drop out; vaults that
+   * can't be read on-chain keep their spot APY but rank after simulated ones.
+   */
+  async rankBySimulatedAPY(rankedVaults, amount, apyBasis = 'total') {
+    const simulated = await Promise.all(rankedVaults.slice(0, this.simulationCandidates).map(async vault => {
+      try {
+        const simulation = await this.onChainCollector.simulateDeposit(vault, amount);
+        return {
+          ...vault,
+          simulated_apy: simulation.simulated_apy,
+          deposit_simulation: simulation,
+          risk_adjusted_apy: this.riskScorer.getVaultRiskAdjustedAPY({
+            ...vault,
+            apy: simulation.simulated_apy,
+            base_apy: simulation.simulated_base_apy,
+            reward_apy: simulation.simulated_reward_apy
+          }, apyBasis)
+        };
+      } catch (error) {
+        console.log(`⚠️ Deposit simulation skipped for ${vault.vault_address}: ${error.message}`);
+        return { ...vault, simulated_apy: null, deposit_simulation: null };
+      }
+    }));
+
+    return simulated
+      .filter(vault => vault.deposit_simulation?.accepts_full_amount !== false)
+      .sort((a, b) =>
+        (Boolean(b.deposit_simulation) - Boolean(a.deposit_simulation)) ||
+        (b.risk_adjusted_apy - a.risk_adjusted_apy)
+      );
+  }
+
+  // Push persisted metrics and best-vault changes to stream subscribers
+  async publishRealtimeUpdates(vaults) {
+    if (this.realtimeHub.clientCount === 0) return;
+
+    try {
+      this.realtimeHub.publishVaultUpdates(vaults);
+
+      for (const criteria of this.realtimeHub.getBestVaultSubscriptions()) {
+        const { bestVault } = await this.findBestVault(vaults, { ...criteria, min_tvl: 100000 });
+        this.realtimeHub.publishBestVault(criteria, bestVault);
+      }
+    } catch (error) {
+      console.error('Realtime publish failed:', error.message);
+    }
+  }
+
+  async getProtocolsFromDB(chain = null, asset = null) {
+    const client = await this.pool.connect();
+
+    try {
+      // Latest hourly rollup per vault, then aggregate per protocol
+      const conditions = [`h.bucket_start > NOW() - INTERVAL '1 day'`];
+      const params = [];
+
+      if (chain) {
+        params.push(chain.toLowerCase());
+        conditions.push(`v.chain = $${params.length}`);
+      }
+
+      if (asset) {
+        params.push(this.assetRegistry.resolveSymbol(asset) || asset.toUpperCase());
+        conditions.push(`v.asset_symbol = $${params.length}`);
+      }
+
+      const [aggregates, metadata] = await Promise.all([
+        client.query(`
+          SELECT protocol,
+                 COUNT(*) AS vault_count,
+                 SUM(tvl_usd) AS total_tvl,
+                 SUM(apy * tvl_usd) / NULLIF(SUM(tvl_usd), 0) AS tvl_weighted_apy,
+                 ARRAY_AGG(DISTINCT chain) AS chains
+          FROM (
+            SELECT DISTINCT ON (v.chain, v.vault_address)
+                   v.protocol, v.chain, h.apy_close AS apy, h.tvl_close AS tvl_usd
+            FROM vaults v
+            JOIN vault_metrics_hourly h ON v.chain = h.chain AND v.vault_address = h.vault_address
+            WHERE ${conditions.join(' AND ')}
+            ORDER BY v.chain, v.vault_address, h.bucket_start DESC
+          ) latest
+          GROUP BY protocol
+          ORDER BY total_tvl DESC NULLS LAST
+        `, params),
+        client.query(`
+          SELECT name, chain, audit_status, launch_date, governance_token, risk_category
+          FROM protocols
+        `)
+      ]);
+
+      // protocols.name is the family ("Aave"), vaults.protocol the deployment ("aave-v3")
+      const findMetadata = (protocol) => {
+        const key = protocol.toLowerCase();
+        return metadata.rows.find(row => key === row.name.toLowerCase()) ||
+               metadata.rows.find(row => key.startsWith(row.name.toLowerCase()));
+      };
+
+      const formatProtocol = (protocol, stats, meta) => {
+        const protocolRiskScore = this.riskScorer.getProtocolScore(protocol);
+        return {
+          protocol,
+          vault_count: stats ? parseInt(stats.vault_count) : 0,
+          total_tvl_usd: stats ? parseInt(stats.total_tvl || 0) : 0,
+          tvl_weighted_apy: stats ? parseFloat(stats.tvl_weighted_apy || 0) : 0,
+          chains: stats ? stats.chains : [meta.chain],
+          audit_status: meta?.audit_status || 'unknown',
+          risk_category: meta?.risk_category || this.riskScorer.getRiskCategory(protocolRiskScore),
+          protocol_risk_score: protocolRiskScore,
+          governance_token: meta?.governance_token || null,
+          launch_date: meta?.launch_date || null
+        };
+      };
+
+      const results = aggregates.rows.map(row =>
+        formatProtocol(row.protocol, row, findMetadata(row.protocol))
+      );
+
+      // Seeded protocols without recent vault data are still supported, unless filtering by asset
+      if (!asset) {
+        metadata.rows
+          .filter(meta => !chain || meta.chain === chain.toLowerCase())
+          .filter(meta => !results.some(result =>
+            result.protocol.toLowerCase().startsWith(meta.name.toLowerCase())
+          ))
+          .forEach(meta => results.push(formatProtocol(meta.name.toLowerCase(), null, meta)));
+      }
+
+      return results;
+
+    } finally {
+      client.release();
+    }
+  }
+
+  // DefiLlama pool UUIDs from older responses resolve to the vault's contract address.
+  // Addresses are stored lowercase, so lookups use that form.
+  async resolveVaultAddress(chain, address) {
+    if (VaultIdentityResolver.isAddress(address)) return address.toLowerCase();
+
+    const resolver = this.sourceRegistry.identityResolver;
+    await resolver.load();
+    const identity = resolver.lookup('defillama', address);
+
+    return (identity && identity.chain === chain.toLowerCase() ? identity.vault_address : address).toLowerCase();
+  }
+
+  async getVaultsFromDB(asset, chain = null) {
+    const client = await this.pool.connect();
+    
+    try {
+      let query = `
+        SELECT v.*, vm.apy, vm.tvl_usd, vm.risk_score, vm.timestamp,
+               vm.utilization_rate, vm.withdrawable_liquidity_usd,
+               vm.base_apy, vm.reward_apy, vm.reward_tokens,
+               vm.source_apys, vm.consensus_confidence, vm.apy_disagreement
+        FROM vaults v
+        LEFT JOIN vault_metrics vm ON v.chain = vm.chain AND v.vault_address = vm.vault_address
+        WHERE v.asset_symbol = $1
+        AND vm.timestamp > NOW() - INTERVAL '1 hour'
+      `;
+      
+      const params = [this.assetRegistry.resolveSymbol(asset) || asset.toUpperCase()];
+      
+      if (chain) {
+        query += ' AND v.chain = $2';
+        params.push(chain.toLowerCase());
+      }
+      
+      query += ' ORDER BY vm.timestamp DESC';
+      
+      const result = await client.query(query, params);
+      
+      return result.rows.map(row => ({
+        vault_address: row.vault_address,
+        chain: row.chain,
+        protocol: row.protocol,
+        name: row.name,
+        asset_symbol: row.asset_symbol,
+        apy: parseFloat(row.apy || 0),
+        base_apy: toNumber(row.base_apy),
+        reward_apy: toNumber(row.reward_apy),
+        reward_tokens: row.reward_tokens || [],
+        tvl_usd: parseInt(row.tvl_usd || 0),
+        utilization_rate: toNumber(row.utilization_rate),
+        withdrawable_liquidity_usd: toNumber(row.withdrawable_liquidity_usd),
+        risk_score: row.risk_score,
+        source_apys: row.source_apys || {},
+        consensus_confidence: row.consensus_confidence === null ? null : parseFloat(row.consensus_confidence),
+        apy_disagreement: row.apy_disagreement,
+        data_source: 'database'
+      }));
+
+    } finally {
+      client.release();
+    }
+  }
+
+  async getVaultHistory(chain, address, fromDate, toDate, interval = 'hourly') {
+    const client = await this.pool.connect();
+
+    try {
+      const vaultResult = await client.query(`
+        SELECT vault_address, chain, protocol, name, asset_symbol
+        FROM vaults
+        WHERE vault_address = $1 AND chain = $2
+      `, [address, chain.toLowerCase()]);
+
+      if (vaultResult.rows.length === 0) {
+        return null;
+      }
+
+      const params = [address, chain.toLowerCase(), fromDate, toDate];
+      const result = interval === 'raw'
+        ? await client.query(`
+            SELECT timestamp AS bucket, 1 AS sample_count,
+                   apy AS apy_open, apy AS apy_high, apy AS apy_low, apy AS apy_close, apy AS apy_avg,
+                   tvl_usd AS tvl_open, tvl_usd AS tvl_high, tvl_usd AS tvl_low, tvl_usd AS tvl_close, tvl_usd AS tvl_avg,
+                   risk_score AS risk_score_min, risk_score AS risk_score_max, risk_score AS risk_score_avg
+            FROM vault_metrics
+            WHERE vault_address = $1 AND chain = $2
+            AND timestamp >= $3 AND timestamp < $4
+            ORDER BY timestamp ASC
+            LIMIT ${HISTORY_MAX_POINTS}
+          `, params)
+        : await client.query(`
+            SELECT bucket_start AS bucket, sample_count,
+                   apy_open, apy_high, apy_low, apy_close, apy_avg,
+                   tvl_open, tvl_high, tvl_low, tvl_close, tvl_avg,
+                   risk_score_min, risk_score_max, risk_score_avg
+            FROM ${HISTORY_ROLLUP_TABLES[interval]}
+            WHERE vault_address = $1 AND chain = $2
+            AND bucket_start > $3::timestamp - INTERVAL '${HISTORY_BUCKET_INTERVALS[interval]}'
+            AND bucket_start < $4
+            ORDER BY bucket_start ASC
+            LIMIT ${HISTORY_MAX_POINTS}
+          `, params);
+
+      const ohlc = (row, prefix) => ({
+        open: toNumber(row[`${prefix}_open`]),
+        close: toNumber(row[`${prefix}_close`]),
+        min: toNumber(row[`${prefix}_low`]),
+        max: toNumber(row[`${prefix}_high`]),
+        avg: toNumber(row[`${prefix}_avg`])
+      });
+
+      return {
+        vault: vaultResult.rows[0],
+        series: result.rows.map(row => ({
+          timestamp: row.bucket,
+          samples: parseInt(row.sample_count),
+          apy: ohlc(row, 'apy'),
+          tvl_usd: ohlc(row, 'tvl'),
+          risk_score: {
+            min: toNumber(row.risk_score_min),
+            max: toNumber(row.risk_score_max),
+            avg: toNumber(row.risk_score_avg)
+          }
+        }))
+      };
+
+    } finally {
+      client.release();
+    }
+  }
+
+  setupCronJobs() {
+    // Update vault data every 15 minutes
+    cron.schedule('*/15 * * * *', async () => {
+      try {
+        console.log('🔄 Running scheduled vault data update...');
+        const vaults = await this.collectWithOnChainData();
+        
+        // Add risk scores with parallel processing
+        const enrichedVaults = await Promise.all(
+          vaults.map(async vault => {
             const riskAnalysis = await this.riskScorer.calculateRiskScore(vault);
             return {
               ...vault,
               risk_score: riskAnalysis.riskScore,
-              risk_category: riskAnalysis.riskCategory
+              risk_category: riskAnalysis.riskCategory,
+              risk_model_version: riskAnalysis.modelVersion
             };
           })
         );
 
         // Save to database
-        await this.saveVaultData(enrichedVaults.slice(0, 100)); // Limit to top 100 for performance
+        const savedVaults = enrichedVaults.slice(0, 100); // Limit to top 100 for performance
+        await this.saveVaultData(savedVaults);
         console.log(`✅ Updated ${enrichedVaults.length} vaults`);
+
+        await this.publishRealtimeUpdates(savedVaults);
         
       } catch (error) {
         console.error('❌ Scheduled update failed:', error.message);
       }
     });
+
+    // Roll raw metrics into hourly/daily buckets shortly after each collection run
+    cron.schedule('2,17,32,47 * * * *', async () => {
+      try {
+        await this.metricsRollup.run();
+      } catch (error) {
+        console.error('❌ Metrics rollup failed:', error.message);
+      }
+    });
+
+    // Retry failed webhook deliveries whose backoff has elapsed
+    cron.schedule('* * * * *', async () => {
+      try {
+        await this.alertEngine.dispatcher.processRetries();
+      } catch (error) {
+        console.error('❌ Webhook retry run failed:', error.message);
+      }
+    });
+
+    // Apply the retention policy once a day
+    cron.schedule('30 3 * * *', async () => {
+      try {
+        await this.metricsRollup.run({ prune: true });
+      } catch (error) {
+        console.error('❌ Metrics retention failed:', error.message);
+      }
+    });
   }
 
   async saveVaultData(vaultDataArray) {
@@ -587,8 +1779,9 @@ class VaultAPYAPIServer {
         `($${i*5+1}, $${i*5+2}, $${i*5+3}, $${i*5+4}, $${i*5+5})`
       ).join(', ');
       
+      // Addresses are stored lowercase so lookups can compare them directly
       const vaultParams = vaultDataArray.flatMap(vault => [
-        vault.vault_address,
+        vault.vault_address.toLowerCase(),
         vault.chain,
         vault.protocol,
         vault.name,
@@ -598,7 +1791,7 @@ class VaultAPYAPIServer {
       await client.query(`
         INSERT INTO vaults (vault_address, chain, protocol, name, asset_symbol)
         VALUES ${vaultValues}
-        ON CONFLICT (vault_address) 
+        ON CONFLICT (chain, vault_address) 
         DO UPDATE SET 
           updated_at = CURRENT_TIMESTAMP,
           name = EXCLUDED.name
@@ -606,21 +1799,33 @@ class VaultAPYAPIServer {
 
       // Batch insert metrics
       const metricsValues = vaultDataArray.map((vault, i) => 
-        `($${i*6+1}, $${i*6+2}, $${i*6+3}, $${i*6+4}, $${i*6+5}, $${i*6+6})`
+        `(${Array.from({ length: 16 }, (_, j) => `$${i*16+j+1}`).join(', ')})`
       ).join(', ');
       
       const metricsParams = vaultDataArray.flatMap(vault => [
-        vault.vault_address,
+        vault.vault_address.toLowerCase(),
+        vault.chain,
         vault.apy,
         vault.apr || vault.apy,
         vault.tvl_usd,
         vault.risk_score,
-        vault.data_source
+        vault.data_source,
+        vault.source_apys ? JSON.stringify(vault.source_apys) : null,
+        vault.consensus_confidence ?? null,
+        vault.apy_disagreement || false,
+        vault.risk_model_version || null,
+        finiteOrNull(vault.utilization_rate),
+        finiteOrNull(vault.withdrawable_liquidity_usd),
+        vault.base_apy ?? null,
+        vault.reward_apy ?? null,
+        vault.reward_tokens?.length > 0 ? JSON.stringify(vault.reward_tokens) : null
       ]);
 
       await client.query(`
         INSERT INTO vault_metrics 
-        (vault_address, apy, apr, tvl_usd, risk_score, data_source)
+        (vault_address, chain, apy, apr, tvl_usd, risk_score, data_source,
+         source_apys, consensus_confidence, apy_disagreement, risk_model_version,
+         utilization_rate, withdrawable_liquidity_usd, base_apy, reward_apy, reward_tokens)
         VALUES ${metricsValues}
       `, metricsParams);
 
@@ -639,15 +1844,25 @@ class VaultAPYAPIServer {
     } finally {
       client.release();
     }
+
+    // Alert failures must not fail the save
+    try {
+      await this.alertEngine.evaluate(vaultDataArray);
+    } catch (error) {
+      console.error('Alert evaluation failed:', error.message);
+    }
   }
 
   start() {
-    this.app.listen(this.port, () => {
+    this.server = this.app.listen(this.port, () => {
       console.log(`🚀 Vault APY API Server running on port ${this.port}`);
       console.log(`📖 API Documentation: http://localhost:${this.port}`);
       console.log(`🔍 Health check: http://localhost:${this.port}/health`);
       console.log(`🏆 Best vault example: http://localhost:${this.port}/api/v1/vaults/best/USDC?risk=medium`);
+      console.log(`📡 Live updates: ws://localhost:${this.port}/api/v1/stream?asset=USDC`);
     });
+
+    this.realtimeHub.attach(this.server, { authorize: (req) => this.authorizeStream(req) });
   }
 }
 
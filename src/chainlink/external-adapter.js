@@ -1,10 +1,16 @@
 const express = require('express');
 const { Pool } = require('pg');
-const { FilteredDefiLlamaCollector } = require('../collectors/api/defillama-collector');
-const VaultsFyiCollector = require('../collectors/api/vaults-fyi-collector');
+const SourceRegistry = require('../collectors/source-registry');
+const VaultIdentityResolver = require('../utils/vault-identity-resolver');
 const VaultOnChainCollector = require('../collectors/onchain/vault-onchain-collector');
 const EnhancedVaultOnChainCollector = require('../collectors/onchain/enhanced-vault-collector');
+const RpcProviderPool = require('../utils/rpc-provider-pool');
 const RiskScorer = require('../utils/risk-scorer');
+const ApyStability = require('../utils/apy-stability');
+const AssetRegistry = require('../utils/asset-registry');
+
+// NaN or Infinity would fail a NUMERIC/BIGINT insert and roll back the transaction
+const finiteOrNull = value => (Number.isFinite(value) ? value : null);
 
 class VaultAPYExternalAdapter {
   constructor() {
@@ -21,11 +27,17 @@ class VaultAPYExternalAdapter {
     });
 
     // Initialize components
-    this.vaultsFyiCollector = new VaultsFyiCollector();
-    this.defiLlamaCollector = new FilteredDefiLlamaCollector();
-    this.onChainCollector = new VaultOnChainCollector();
-    this.enhancedOnChainCollector = new EnhancedVaultOnChainCollector();
-    this.riskScorer = new RiskScorer();
+    this.sourceRegistry = new SourceRegistry({
+      identityResolver: new VaultIdentityResolver(this.pool)
+    });
+    this.providerPool = new RpcProviderPool();
+    this.onChainCollector = new VaultOnChainCollector({ providerPool: this.providerPool });
+    this.enhancedOnChainCollector = new EnhancedVaultOnChainCollector({
+      pool: this.pool,
+      providerPool: this.providerPool
+    });
+    this.riskScorer = new RiskScorer({ apyStability: new ApyStability(this.pool) });
+    this.assetRegistry = new AssetRegistry();
     
     this.setupMiddleware();
     this.setupRoutes();
@@ -59,13 +71,29 @@ class VaultAPYExternalAdapter {
   }
 
   setupRoutes() {
-    // Health check
-    this.app.get('/health', (req, res) => {
-      res.json({ 
-        status: 'healthy', 
-        timestamp: new Date().toISOString(),
-        version: '1.0.0'
-      });
+    // Health check; ?check=true probes every RPC endpoint first
+    this.app.get('/health', async (req, res) => {
+      try {
+        const rpc = req.query.check === 'true'
+          ? await this.providerPool.healthCheck()
+          : this.providerPool.getStats();
+
+        // Degraded when a configured chain has no healthy endpoint left
+        const degraded = Object.values(rpc).some(endpoints => !endpoints.some(endpoint => endpoint.healthy));
+
+        res.json({ 
+          status: degraded ? 'degraded' : 'healthy', 
+          rpc,
+          timestamp: new Date().toISOString(),
+          version: '1.0.0'
+        });
+      } catch (error) {
+        res.status(503).json({
+          status: 'unhealthy',
+          error: error.message,
+          timestamp: new Date().toISOString()
+        });
+      }
     });
 
     // Main Chainlink external adapter endpoint
@@ -136,38 +164,7 @@ class VaultAPYExternalAdapter {
   }
 
   async collectFromAllSources() {
-    console.log('🔄 Collecting from DefiLlama and Vaults.fyi...');
-    const [defiLlamaVaults, vaultsFyiVaults] = await Promise.all([
-      this.defiLlamaCollector.collectAllVaults(),
-      this.vaultsFyiCollector.collectAllVaults()
-    ]);
-
-    // Deduplicate vaults by vault_address + chain
-    const vaultMap = new Map();
-
-    // Add DefiLlama vaults first
-    defiLlamaVaults.forEach(vault => {
-      const key = `${vault.vault_address}-${vault.chain}`.toLowerCase();
-      vaultMap.set(key, { ...vault, source_priority: 'defillama' });
-    });
-
-    // Add Vaults.fyi vaults (will override if better data)
-    vaultsFyiVaults.forEach(vault => {
-      const key = `${vault.vault_address}-${vault.chain}`.toLowerCase();
-      const existing = vaultMap.get(key);
-    
-      // Prefer Vaults.fyi if it has more complete data or higher TVL
-      if (!existing || 
-          vault.tvl_usd > existing.tvl_usd || 
-          (vault.risk_score && !existing.risk_score)) {
-        vaultMap.set(key, { ...vault, source_priority: 'vaultsfyi' });
-      }
-    });
-
-    const vaults = Array.from(vaultMap.values());
-    console.log(`📊 Deduplicated: ${defiLlamaVaults.length} DefiLlama + ${vaultsFyiVaults.length} Vaults.fyi → ${vaults.length} unique vaults`);
-  
-    return vaults;
+    return this.sourceRegistry.collectAll();
   }
 
   // Add this method to your VaultAPYExternalAdapter class
@@ -223,6 +220,7 @@ class VaultAPYExternalAdapter {
         
         return {
           ...apiVault,
+          ...this.onChainCollector.liquidityFor(apiVault, onChainMatch),
           on_chain_data: {
             name: onChainMatch.name,
             symbol: onChainMatch.symbol,
@@ -230,7 +228,8 @@ class VaultAPYExternalAdapter {
             asset_symbol: onChainMatch.asset_symbol,
             share_price: onChainMatch.share_price,
             block_number: onChainMatch.block_number,
-            vault_type: onChainMatch.vault_type
+            vault_type: onChainMatch.vault_type,
+            available_liquidity: onChainMatch.available_liquidity ?? null
           },
           validation_score: this.calculateValidationScore(validation),
           data_confidence: this.getConfidenceLevel(validation),
@@ -399,40 +398,42 @@ class VaultAPYExternalAdapter {
       vault_address,
       vault_addresses, // NEW
       criteria, // NEW
+      risk_model = null,
+      apy_basis = 'total', // 'base' ranks on base APY only, ignoring reward incentives
       request_type = 'best_vault'
     } = data;
 
     switch (request_type) {
       case 'best_vault':
-        return await this.getBestVault(asset, risk_level, chain);
+        return await this.getBestVault(asset, risk_level, chain, risk_model, apy_basis);
     
       case 'vault_apy':
-        if (!vault_address) throw new Error('vault_address required for vault_apy request');
+        if (!vault_address || !chain) throw new Error('vault_address and chain required for vault_apy request');
         return await this.getVaultAPY(chain, vault_address);
     
       case 'top_vaults':
         const limit = data.limit || 10;
         const minTvl = data.min_tvl || 0;
-        return await this.getTopVaults(asset, risk_level, chain, limit, minTvl);
+        return await this.getTopVaults(asset, risk_level, chain, limit, minTvl, risk_model, apy_basis);
     
       case 'batch_vault_lookup': // NEW
-        return await this.getBatchVaultData(vault_addresses, criteria);
+        return await this.getBatchVaultData(vault_addresses, criteria, chain);
     
       case 'custom_search': // NEW
         return await this.getCustomVaultSearch(criteria);
     
       case 'compare_vaults': // NEW
-        return await this.compareSpecificVaults(vault_addresses);
+        return await this.compareSpecificVaults(vault_addresses, chain);
 
       case 'enhanced_best_vault': // NEW - Enhanced APY calculation
-        return await this.getBestVaultWithCalculatedAPY(asset, risk_level, chain);
+        return await this.getBestVaultWithCalculatedAPY(asset, risk_level, chain, risk_model, apy_basis);
     
       default:
         throw new Error(`Unknown request_type: ${request_type}`);
     }
   }
 
-  async getBestVault(asset = 'USDC', riskLevel = 'medium', chain = null) {
+  async getBestVault(asset = 'USDC', riskLevel = 'medium', chain = null, riskModel = null, apyBasis = 'total') {
     try {
       console.log(`🔍 Finding best vault for ${asset} with ${riskLevel} risk${chain ? ` on ${chain}` : ''}`);
       
@@ -443,7 +444,7 @@ class VaultAPYExternalAdapter {
 
       // Filter by asset and chain if specified
       let filteredVaults = vaults.filter(vault => 
-        vault.asset_symbol.toUpperCase() === asset.toUpperCase()
+        this.assetRegistry.matches(vault.asset_symbol, asset)
       );
       
       if (chain) {
@@ -453,7 +454,7 @@ class VaultAPYExternalAdapter {
       }
 
       // Apply risk filtering
-      const safeVaults = this.riskScorer.filterByRiskTolerance(filteredVaults, riskLevel);
+      const safeVaults = await this.riskScorer.filterByRiskTolerance(filteredVaults, riskLevel, riskModel);
       
       if (safeVaults.length === 0) {
         throw new Error(`No vaults found for ${asset} with ${riskLevel} risk level`);
@@ -463,7 +464,7 @@ class VaultAPYExternalAdapter {
       const bestVault = safeVaults
         .map(vault => ({
           ...vault,
-          risk_adjusted_apy: this.riskScorer.getRiskAdjustedAPY(vault.apy, vault.risk_score)
+          risk_adjusted_apy: this.riskScorer.getVaultRiskAdjustedAPY(vault, apyBasis)
         }))
         .sort((a, b) => {
           const confidenceA = a.validation_score || 0;
@@ -482,13 +483,22 @@ class VaultAPYExternalAdapter {
       return {
         vault_address: bestVault.vault_address,
         apy: bestVault.apy,
+        base_apy: RiskScorer.baseAPY(bestVault),
+        reward_apy: bestVault.reward_apy ?? null,
+        reward_tokens: bestVault.reward_tokens || [],
         risk_adjusted_apy: bestVault.risk_adjusted_apy,
         risk_score: bestVault.risk_score,
         risk_category: bestVault.risk_category,
+        risk_model_version: bestVault.risk_model_version,
         tvl_usd: bestVault.tvl_usd,
+        utilization_rate: bestVault.utilization_rate ?? null,
+        withdrawable_liquidity_usd: bestVault.withdrawable_liquidity_usd ?? null,
         protocol: bestVault.protocol,
         chain: bestVault.chain,
         name: bestVault.name,
+        source_apys: bestVault.source_apys || {},
+        consensus_confidence: bestVault.consensus_confidence ?? null,
+        apy_disagreement: bestVault.apy_disagreement || false,
         value: bestVault.apy * 100, // Chainlink often expects integer values
         timestamp: Date.now()
       };
@@ -508,13 +518,14 @@ class VaultAPYExternalAdapter {
       
       try {
         const result = await client.query(`
-          SELECT v.*, vm.apy, vm.tvl_usd, vm.risk_score, vm.timestamp
+          SELECT v.*, vm.apy, vm.tvl_usd, vm.risk_score, vm.timestamp,
+                 vm.source_apys, vm.consensus_confidence, vm.apy_disagreement
           FROM vaults v
-          LEFT JOIN vault_metrics vm ON v.vault_address = vm.vault_address
+          LEFT JOIN vault_metrics vm ON v.chain = vm.chain AND v.vault_address = vm.vault_address
           WHERE v.vault_address = $1 AND v.chain = $2
           ORDER BY vm.timestamp DESC
           LIMIT 1
-        `, [vaultAddress, chain.toLowerCase()]);
+        `, [vaultAddress.toLowerCase(), chain.toLowerCase()]);
 
         if (result.rows.length > 0) {
           const vault = result.rows[0];
@@ -530,6 +541,9 @@ class VaultAPYExternalAdapter {
               protocol: vault.protocol,
               chain: vault.chain,
               name: vault.name,
+              source_apys: vault.source_apys || {},
+              consensus_confidence: vault.consensus_confidence === null ? null : parseFloat(vault.consensus_confidence),
+              apy_disagreement: vault.apy_disagreement,
               value: parseFloat(vault.apy) * 100,
               cached: true,
               timestamp: vault.timestamp
@@ -551,11 +565,12 @@ class VaultAPYExternalAdapter {
         }
 
         // Calculate risk score
-        const riskAnalysis = this.riskScorer.calculateRiskScore(targetVault);
+        const riskAnalysis = await this.riskScorer.calculateRiskScore(targetVault);
         const enrichedVault = {
           ...targetVault,
           risk_score: riskAnalysis.riskScore,
-          risk_category: riskAnalysis.riskCategory
+          risk_category: riskAnalysis.riskCategory,
+          risk_model_version: riskAnalysis.modelVersion
         };
 
         // Save fresh data
@@ -567,9 +582,13 @@ class VaultAPYExternalAdapter {
           tvl_usd: enrichedVault.tvl_usd,
           risk_score: enrichedVault.risk_score,
           risk_category: enrichedVault.risk_category,
+          risk_model_version: enrichedVault.risk_model_version,
           protocol: enrichedVault.protocol,
           chain: enrichedVault.chain,
           name: enrichedVault.name,
+          source_apys: enrichedVault.source_apys || {},
+          consensus_confidence: enrichedVault.consensus_confidence ?? null,
+          apy_disagreement: enrichedVault.apy_disagreement || false,
           value: enrichedVault.apy * 100,
           cached: false,
           timestamp: new Date().toISOString()
@@ -585,7 +604,7 @@ class VaultAPYExternalAdapter {
     }
   }
 
-  async getTopVaults(asset = 'USDC', riskLevel = 'medium', chain = null, limit = 10, minTvl = 0) {
+  async getTopVaults(asset = 'USDC', riskLevel = 'medium', chain = null, limit = 10, minTvl = 0, riskModel = null, apyBasis = 'total') {
     try {
       // Get fresh data from BOTH sources
       console.log('🔄 Collecting from both DefiLlama and Vaults.fyi...');
@@ -593,7 +612,7 @@ class VaultAPYExternalAdapter {
       console.log(`📊 Got ${vaults.length} total vaults from combined sources`);
       
       let filteredVaults = vaults.filter(vault => 
-        vault.asset_symbol.toUpperCase() === asset.toUpperCase()
+        this.assetRegistry.matches(vault.asset_symbol, asset)
       );
       
       if (chain) {
@@ -609,12 +628,12 @@ class VaultAPYExternalAdapter {
         );
       }
 
-      const safeVaults = this.riskScorer.filterByRiskTolerance(filteredVaults, riskLevel);
+      const safeVaults = await this.riskScorer.filterByRiskTolerance(filteredVaults, riskLevel, riskModel);
       
       const topVaults = safeVaults
         .map(vault => ({
           ...vault,
-          risk_adjusted_apy: this.riskScorer.getRiskAdjustedAPY(vault.apy, vault.risk_score)
+          risk_adjusted_apy: this.riskScorer.getVaultRiskAdjustedAPY(vault, apyBasis)
         }))
         .sort((a, b) => b.risk_adjusted_apy - a.risk_adjusted_apy)
         .slice(0, limit);
@@ -624,9 +643,14 @@ class VaultAPYExternalAdapter {
           vault_address: vault.vault_address,
           apy: vault.apy,
           apy_percentage: vault.apy * 100,
+          base_apy: RiskScorer.baseAPY(vault),
+          reward_apy: vault.reward_apy ?? null,
+          reward_tokens: vault.reward_tokens || [],
           risk_adjusted_apy: vault.risk_adjusted_apy,
           risk_score: vault.risk_score,
+          risk_model_version: vault.risk_model_version,
           tvl_usd: vault.tvl_usd,
+          withdrawable_liquidity_usd: vault.withdrawable_liquidity_usd ?? null,
           protocol: vault.protocol,
           chain: vault.chain,
           name: vault.name,
@@ -655,12 +679,12 @@ class VaultAPYExternalAdapter {
         await client.query(`
           INSERT INTO vaults (vault_address, chain, protocol, name, asset_symbol)
           VALUES ($1, $2, $3, $4, $5)
-          ON CONFLICT (vault_address) 
+          ON CONFLICT (chain, vault_address) 
           DO UPDATE SET 
             updated_at = CURRENT_TIMESTAMP,
             name = EXCLUDED.name
         `, [
-          vaultData.vault_address,
+          vaultData.vault_address.toLowerCase(), // Stored lowercase so lookups compare directly
           vaultData.chain,
           vaultData.protocol,
           vaultData.name,
@@ -670,15 +694,27 @@ class VaultAPYExternalAdapter {
         // Insert metrics
         await client.query(`
           INSERT INTO vault_metrics 
-          (vault_address, apy, apr, tvl_usd, risk_score, data_source)
-          VALUES ($1, $2, $3, $4, $5, $6)
+          (vault_address, chain, apy, apr, tvl_usd, risk_score, data_source,
+           source_apys, consensus_confidence, apy_disagreement, risk_model_version,
+           utilization_rate, withdrawable_liquidity_usd, base_apy, reward_apy, reward_tokens)
+          VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16)
         `, [
-          vaultData.vault_address,
+          vaultData.vault_address.toLowerCase(),
+          vaultData.chain,
           vaultData.apy,
           vaultData.apr || vaultData.apy,
           vaultData.tvl_usd,
           vaultData.risk_score,
-          vaultData.data_source
+          vaultData.data_source,
+          vaultData.source_apys ? JSON.stringify(vaultData.source_apys) : null,
+          vaultData.consensus_confidence ?? null,
+          vaultData.apy_disagreement || false,
+          vaultData.risk_model_version || null,
+          finiteOrNull(vaultData.utilization_rate),
+          finiteOrNull(vaultData.withdrawable_liquidity_usd),
+          vaultData.base_apy ?? null,
+          vaultData.reward_apy ?? null,
+          vaultData.reward_tokens?.length > 0 ? JSON.stringify(vaultData.reward_tokens) : null
         ]);
       }
 
@@ -692,7 +728,8 @@ class VaultAPYExternalAdapter {
     }
   }
   
-  async getBatchVaultData(vaultAddresses, criteria = {}) {
+  // vaultAddresses holds addresses on `chain`, or { chain, address } pairs
+  async getBatchVaultData(vaultAddresses, criteria = {}, chain = null) {
     try {
       console.log(`🔍 Batch lookup for ${vaultAddresses.length} vaults`);
     
@@ -704,17 +741,22 @@ class VaultAPYExternalAdapter {
         const freshVaults = await this.collectFromAllSources();
         console.log(`📊 Got ${freshVaults.length} total vaults from combined sources`);
       
-        for (const vaultAddress of vaultAddresses) {
+        for (const entry of vaultAddresses) {
+          const vaultAddress = typeof entry === 'string' ? entry : entry.address;
+          const vaultChain = (typeof entry === 'string' ? chain : entry.chain || chain)?.toLowerCase();
+
           try {
+            if (!vaultChain) throw new Error('chain required for each vault in vault_addresses');
+
             // First check database
             const dbResult = await client.query(`
               SELECT v.*, vm.apy, vm.tvl_usd, vm.risk_score, vm.timestamp
               FROM vaults v
-              LEFT JOIN vault_metrics vm ON v.vault_address = vm.vault_address
-              WHERE v.vault_address = $1
+              LEFT JOIN vault_metrics vm ON v.chain = vm.chain AND v.vault_address = vm.vault_address
+              WHERE v.vault_address = $1 AND v.chain = $2
               ORDER BY vm.timestamp DESC
               LIMIT 1
-            `, [vaultAddress]);
+            `, [vaultAddress.toLowerCase(), vaultChain]);
 
             let vaultData;
           
@@ -739,12 +781,13 @@ class VaultAPYExternalAdapter {
           
             // If no cached data, get from fresh API data
             if (!vaultData) {
-              const freshVault = freshVaults.find(v => 
-                v.vault_address.toLowerCase() === vaultAddress.toLowerCase()
+              const freshVault = freshVaults.find(v =>
+                v.vault_address.toLowerCase() === vaultAddress.toLowerCase() &&
+                v.chain?.toLowerCase() === vaultChain
               );
               
               if (freshVault) {
-                const riskAnalysis = this.riskScorer.calculateRiskScore(freshVault);
+                const riskAnalysis = await this.riskScorer.calculateRiskScore(freshVault);
                 vaultData = {
                   vault_address: freshVault.vault_address,
                   name: freshVault.name,
@@ -758,7 +801,11 @@ class VaultAPYExternalAdapter {
                 };
               
                 // Save fresh data
-                await this.saveVaultData([{...freshVault, risk_score: riskAnalysis.riskScore}]);
+                await this.saveVaultData([{
+                  ...freshVault,
+                  risk_score: riskAnalysis.riskScore,
+                  risk_model_version: riskAnalysis.modelVersion
+                }]);
               }
             }
           
@@ -767,12 +814,13 @@ class VaultAPYExternalAdapter {
               if (this.matchesCriteria(vaultData, criteria)) {
                 results.push({
                   ...vaultData,
-                  risk_adjusted_apy: this.riskScorer.getRiskAdjustedAPY(vaultData.apy, vaultData.risk_score)
+                  risk_adjusted_apy: this.riskScorer.getVaultRiskAdjustedAPY(vaultData)
                 });
               }
             } else {
               results.push({
                 vault_address: vaultAddress,
+                chain: vaultChain,
                 error: 'Vault not found',
                 found: false
               });
@@ -781,6 +829,7 @@ class VaultAPYExternalAdapter {
           } catch (error) {
             results.push({
               vault_address: vaultAddress,
+              chain: vaultChain || null,
               error: error.message,
               found: false
             });
@@ -838,7 +887,7 @@ class VaultAPYExternalAdapter {
       // Apply filters
       let filteredVaults = vaults.filter(vault => {
         // Asset filter
-        if (vault.asset_symbol.toUpperCase() !== asset.toUpperCase()) return false;
+        if (!this.assetRegistry.matches(vault.asset_symbol, asset)) return false;
       
         // APY range
         if (vault.apy < min_apy || vault.apy > max_apy) return false;
@@ -857,15 +906,19 @@ class VaultAPYExternalAdapter {
       });
     
       // Add risk scores and filter by risk
-      const enrichedVaults = filteredVaults.map(vault => {
-        const riskAnalysis = this.riskScorer.calculateRiskScore(vault);
+      const scoredVaults = await Promise.all(filteredVaults.map(async vault => {
+        const riskAnalysis = await this.riskScorer.calculateRiskScore(vault);
         return {
           ...vault,
           risk_score: riskAnalysis.riskScore,
           risk_category: riskAnalysis.riskCategory,
-          risk_adjusted_apy: this.riskScorer.getRiskAdjustedAPY(vault.apy, riskAnalysis.riskScore)
+          risk_adjusted_apy: this.riskScorer.getRiskAdjustedAPY(vault.apy, riskAnalysis.riskScore, {
+            rewardApy: parseFloat(vault.reward_apy) || 0,
+            modelVersion: riskAnalysis.modelVersion
+          })
         };
-      }).filter(vault => 
+      }));
+      const enrichedVaults = scoredVaults.filter(vault => 
         vault.risk_score >= risk_min && vault.risk_score <= risk_max
       );
     
@@ -898,11 +951,11 @@ class VaultAPYExternalAdapter {
     }
   }
 
-  async compareSpecificVaults(vaultAddresses) {
+  async compareSpecificVaults(vaultAddresses, chain = null) {
     try {
       console.log(`⚖️ Comparing ${vaultAddresses.length} specific vaults`);
     
-      const batchResult = await this.getBatchVaultData(vaultAddresses);
+      const batchResult = await this.getBatchVaultData(vaultAddresses, {}, chain);
       const validVaults = batchResult.vaults;
     
       if (validVaults.length === 0) {
@@ -1018,6 +1071,7 @@ class VaultAPYExternalAdapter {
         apy_percentage: enhancedData.calculated_apy ? (enhancedData.calculated_apy * 100) : null,
         calculation_method: enhancedData.apy_calculation_method,
         confidence_score: enhancedData.confidence_score,
+        fallback_tier: enhancedData.fallback_tier,
         calculation_details: enhancedData.calculation_details,
         on_chain_data: {
           name: enhancedData.name,
@@ -1070,6 +1124,7 @@ class VaultAPYExternalAdapter {
         best_apy: comprehensiveData.calculated_apy,
         best_apy_percentage: comprehensiveData.calculated_apy ? (comprehensiveData.calculated_apy * 100) : null,
         confidence_score: comprehensiveData.confidence_score,
+        fallback_tier: comprehensiveData.fallback_tier,
         
         // All calculation methods
         calculation_methods: comprehensiveData.calculation_methods,
@@ -1118,7 +1173,7 @@ class VaultAPYExternalAdapter {
   /**
    * Enhanced version of getBestVault that uses calculated APYs
    */
-  async getBestVaultWithCalculatedAPY(asset = 'USDC', riskLevel = 'medium', chain = null) {
+  async getBestVaultWithCalculatedAPY(asset = 'USDC', riskLevel = 'medium', chain = null, riskModel = null, apyBasis = 'total') {
     try {
       console.log(`🎯 Finding best vault with calculated APY for ${asset} (${riskLevel} risk)`);
       
@@ -1129,7 +1184,7 @@ class VaultAPYExternalAdapter {
 
       // Filter by asset and chain
       let filteredVaults = vaults.filter(vault => 
-        vault.asset_symbol.toUpperCase() === asset.toUpperCase()
+        this.assetRegistry.matches(vault.asset_symbol, asset)
       );
       
       if (chain) {
@@ -1139,7 +1194,7 @@ class VaultAPYExternalAdapter {
       }
 
       // Apply risk filtering
-      const safeVaults = this.riskScorer.filterByRiskTolerance(filteredVaults, riskLevel);
+      const safeVaults = await this.riskScorer.filterByRiskTolerance(filteredVaults, riskLevel, riskModel);
       
       if (safeVaults.length === 0) {
         throw new Error(`No vaults found for ${asset} with ${riskLevel} risk level`);
@@ -1169,21 +1224,33 @@ class VaultAPYExternalAdapter {
           const enhancedData = await this.enhancedOnChainCollector.getSmartCalculatedAPY(
             vault.vault_address,
             vault.chain,
-            vault.protocol
+            vault.protocol,
+            { asset_symbol: vault.asset_symbol }
           );
 
-          if (enhancedData && enhancedData.calculated_apy) {
+          if (enhancedData && enhancedData.calculated_apy !== null) {
+            // Only real on-chain calculations vote in the APY consensus; persisted fallbacks do not.
+            // They read the supply rate alone, so they are compared on the base APY.
+            const onChain = enhancedData.fallback_tier === 'none';
+            const reconciled = onChain
+              ? this.sourceRegistry.consensus.addObservation(
+                vault, 'onchain', enhancedData.calculated_apy * 100, { basis: 'base' }
+              )
+              : vault;
+
             enhancedCandidates.push({
-              ...vault,
+              ...reconciled,
               calculated_apy: enhancedData.calculated_apy,
               apy_confidence: enhancedData.confidence_score,
               calculation_method: enhancedData.method,
-              enhanced_apy: true
+              fallback_tier: enhancedData.fallback_tier,
+              enhanced_apy: onChain
             });
           } else {
             // Fallback to API APY
             enhancedCandidates.push({
               ...vault,
+              fallback_tier: 'unavailable',
               enhanced_apy: false
             });
           }
@@ -1191,6 +1258,7 @@ class VaultAPYExternalAdapter {
           console.log(`⚠️ Enhanced APY failed for ${vault.vault_address}: ${error.message}`);
           enhancedCandidates.push({
             ...vault,
+            fallback_tier: 'unavailable',
             enhanced_apy: false
           });
         }
@@ -1200,11 +1268,8 @@ class VaultAPYExternalAdapter {
       const bestVault = enhancedCandidates
         .map(vault => ({
           ...vault,
-          final_apy: vault.calculated_apy || vault.apy,
-          risk_adjusted_apy: this.riskScorer.getRiskAdjustedAPY(
-            vault.calculated_apy || vault.apy, 
-            vault.risk_score
-          )
+          final_apy: vault.apy,
+          risk_adjusted_apy: this.riskScorer.getVaultRiskAdjustedAPY(vault, apyBasis)
         }))
         .sort((a, b) => {
           // Prefer enhanced calculations
@@ -1225,18 +1290,28 @@ class VaultAPYExternalAdapter {
       return {
         vault_address: bestVault.vault_address,
         apy: bestVault.final_apy,
+        base_apy: RiskScorer.baseAPY(bestVault),
+        reward_apy: bestVault.reward_apy ?? null,
+        reward_tokens: bestVault.reward_tokens || [],
         calculated_apy: bestVault.calculated_apy || null,
         apy_confidence: bestVault.apy_confidence || 0,
         calculation_method: bestVault.calculation_method || 'api_only',
+        fallback_tier: bestVault.fallback_tier,
         enhanced_calculation: bestVault.enhanced_apy,
+        source_apys: bestVault.source_apys || {},
+        consensus_confidence: bestVault.consensus_confidence ?? null,
+        apy_disagreement: bestVault.apy_disagreement || false,
         risk_adjusted_apy: bestVault.risk_adjusted_apy,
         risk_score: bestVault.risk_score,
         risk_category: bestVault.risk_category,
+        risk_model_version: bestVault.risk_model_version,
         tvl_usd: bestVault.tvl_usd,
+        utilization_rate: bestVault.utilization_rate ?? null,
+        withdrawable_liquidity_usd: bestVault.withdrawable_liquidity_usd ?? null,
         protocol: bestVault.protocol,
         chain: bestVault.chain,
         name: bestVault.name,
-        value: Math.round((bestVault.calculated_apy || bestVault.apy) * 100),
+        value: Math.round(bestVault.final_apy * 100),
         timestamp: Date.now()
       };
 
@@ -1247,6 +1322,8 @@ class VaultAPYExternalAdapter {
   }
 
   start() {
+    this.providerPool.startHealthChecks();
+
     this.app.listen(this.port, () => {
       console.log(`🚀 Vault APY External Adapter running on port ${this.port}`);
       console.log(`📡 Chainlink endpoint: http://localhost:${this.port}`);
@@ -1,49 +1,88 @@
 // src/collectors/api/vaults-fyi-collector.js
 const axios = require('axios');
+const AssetRegistry = require('../../utils/asset-registry');
+const ChainRegistry = require('../../utils/chain-registry');
 
 class VaultsFyiCollector {
   constructor() {
     this.baseUrl = 'https://api.vaults.fyi';
     this.apiKey = process.env.VAULTS_FYI_API_KEY; // Add to .env if needed
+    this.assetRegistry = new AssetRegistry();
+    this.chainRegistry = new ChainRegistry();
   }
 
-  async collectAllVaults() {
-    try {
-      console.log('🏦 Fetching vault data from Vaults.fyi...');
-    
-      const response = await this.makeRequest('/v2/detailed-vaults', {
-        allowedAssets: ['USDC'],
-        allowedNetworks: ['mainnet', 'base', 'arbitrum', 'optimism', 'polygon'],
-        minTvl: 100000,
-        perPage: 25 // Increase to get more vaults
-      });
-    
-      const vaults = response?.data || [];
-    
-      if (vaults.length === 0) {
-        console.log('⚠️ No vaults returned from /v2/detailed-vaults endpoint');
-        return [];
-      }
+  /**
+   * Source plugin: fetch detailed vaults and keep collected assets on target chains.
+   * Returns raw Vaults.fyi vaults; throws if the request fails.
+   */
+  async collect() {
+    console.log('🏦 Fetching vault data from Vaults.fyi...');
+
+    const response = await this.makeRequest('/v2/detailed-vaults', {
+      allowedAssets: this.assetRegistry.getCollectionSymbols(),
+      allowedNetworks: this.chainRegistry.getCollectedChains()
+        .map(chain => this.chainRegistry.sourceName(chain, 'vaultsfyi')),
+      minTvl: 100000,
+      perPage: 25 // Increase to get more vaults
+    });
+
+    const vaults = response?.data || [];
+
+    if (vaults.length === 0) {
+      console.log('⚠️ No vaults returned from /v2/detailed-vaults endpoint');
+      return [];
+    }
+
+    console.log(`📊 Retrieved ${vaults.length} total vaults from Vaults.fyi`);
+
+    // Filter for registry assets on target chains
+    const assetVaults = vaults.filter(vault => {
+      const normalizedVault = this.normalize(vault);
+      const isCollectedAsset = this.assetRegistry.isCollected(normalizedVault.asset_symbol);
+      const isTargetChain = this.chainRegistry.isCollected(normalizedVault.chain);
+      const hasMinTVL = normalizedVault.tvl_usd >= 100000;
 
-      console.log(`📊 Retrieved ${vaults.length} total vaults from Vaults.fyi`);
+      return isCollectedAsset && isTargetChain && hasMinTVL;
+    });
 
-      // Filter for USDC vaults on target chains
-      const targetChains = ['ethereum', 'optimism', 'arbitrum', 'polygon', 'base'];
+    console.log(`📈 Found ${assetVaults.length} qualifying vaults from Vaults.fyi`);
 
-      const usdcVaults = vaults
-        .map(vault => this.normalizeVaultData(vault))
-        .filter(normalizedVault => {
-          const hasUSDC = normalizedVault.asset_symbol?.toUpperCase().includes('USDC');
-          const isTargetChain = targetChains.includes(normalizedVault.chain);
-          const hasMinTVL = normalizedVault.tvl_usd >= 100000;
+    return assetVaults;
+  }
+
+  normalize(vault) {
+    return this.normalizeVaultData(vault);
+  }
 
-          return hasUSDC && isTargetChain && hasMinTVL;
-        });
+  async healthCheck() {
+    const startTime = Date.now();
 
-      console.log(`📈 Found ${usdcVaults.length} qualifying USDC vaults from Vaults.fyi`);
-    
-      return usdcVaults;
-    
+    try {
+      await this.makeRequest('/v2/detailed-vaults', { perPage: 1 });
+      return { healthy: true, latency_ms: Date.now() - startTime };
+    } catch (error) {
+      return {
+        healthy: false,
+        status: error.response?.status || null,
+        error: error.message,
+        latency_ms: Date.now() - startTime
+      };
+    }
+  }
+
+  capabilities() {
+    return {
+      assets: this.assetRegistry.getCollectedAssets(),
+      chains: this.chainRegistry.getCollectedChains(),
+      fields: ['apy', 'apr', 'base_apy', 'reward_apy', 'reward_tokens', 'tvl_usd', 'risk_score', 'holders_count'],
+      requires_api_key: false
+    };
+  }
+
+  async collectAllVaults() {
+    try {
+      const vaults = await this.collect();
+      return vaults.map(vault => this.normalize(vault));
     } catch (error) {
       console.error('❌ Vaults.fyi collection failed:', error.message);
       return [];
@@ -72,39 +111,12 @@ class VaultsFyiCollector {
   }
 
   normalizeVaultData(vault) {
-  // Handle network name mapping - Vaults.fyi uses different names than DefiLlama
+    // Vaults.fyi network names ("mainnet") and CAIP-2 ids resolve through the chain registry
     const getChainName = (vault) => {
       if (!vault.network?.name) return null;
-    
+
       const networkName = String(vault.network.name).toLowerCase();
-    
-      // Map Vaults.fyi network names to standard chain names
-      const chainMapping = {
-        'mainnet': 'ethereum',
-        'ethereum': 'ethereum',
-        'optimism': 'optimism', 
-        'arbitrum': 'arbitrum',
-        'polygon': 'polygon',
-        'gnosis': 'gnosis',
-        'base': 'base',
-        'unichain': 'unichain',
-        'swellchain': 'swellchain',
-        'celo': 'celo',
-        'worldchain': 'worldchain',
-        'berachain': 'berachain',
-        'ink': 'ink',
-        'bsc': 'bsc',
-        // Handle CAIP format (eip155:1, eip155:10, etc.)
-        'eip155:1': 'ethereum',
-        'eip155:10': 'optimism',
-        'eip155:42161': 'arbitrum',
-        'eip155:137': 'polygon',
-        'eip155:100': 'gnosis',
-        'eip155:8453': 'base',
-        'eip155:56': 'bsc'
-      };
-    
-      return chainMapping[networkName] || networkName;
+      return this.chainRegistry.resolve(networkName) || networkName;
     };
 
     const safeNumber = (value, fallback = 0) => {
@@ -117,15 +129,32 @@ class VaultsFyiCollector {
       return isNaN(num) ? fallback : num;
     };
 
+    const chain = getChainName(vault);
+
+    // Longest window that has a total
+    const apy = ['30day', '7day', '1day'].map(window => vault.apy?.[window]).find(window => window?.total);
+
+    const assetSymbol = this.assetRegistry.identify({
+      symbol: vault.asset?.symbol,
+      chain,
+      addresses: [vault.asset?.address]
+    }) || vault.asset?.symbol || 'UNKNOWN';
+
     return {
       vault_address: vault.address || `vaults-fyi-${Date.now()}`,
-      chain: getChainName(vault),
+      chain,
       protocol: vault.protocol?.name || 'unknown',
       name: vault.name || 'Unknown Vault',
-      asset_symbol: vault.asset?.symbol || 'UNKNOWN',
+      asset_symbol: assetSymbol,
       asset_address: vault.asset?.address,
-      apy: safeNumber(vault.apy?.['30day']?.total || vault.apy?.['7day']?.total || vault.apy?.['1day']?.total),
-      apr: safeNumber(vault.apy?.['30day']?.base || vault.apy?.['7day']?.base || vault.apy?.['1day']?.base),
+      asset_class: this.assetRegistry.getAsset(assetSymbol)?.class || null,
+      apy: safeNumber(apy?.total),
+      apr: safeNumber(apy?.base),
+      base_apy: safeNumber(apy?.base, null),
+      reward_apy: safeNumber(apy?.reward, undefined), // Missing rather than 0, so another source's split wins
+      reward_tokens: (vault.rewards || [])
+        .map(reward => ({ address: reward.asset?.address || null, symbol: reward.asset?.symbol || null }))
+        .filter(token => token.address || token.symbol),
       tvl_usd: safeInt(vault.tvl?.usd),
       utilization_rate: null, // Not provided in this format
       risk_score: vault.score?.vaultScore || null,
@@ -1,15 +1,16 @@
 // src/collectors/onchain/enhanced-vault-collector.js
 const { ethers } = require('ethers');
 const VaultOnChainCollector = require('./vault-onchain-collector');
-const ProtocolAPYCalculators = require('./protocol-apy-calculators');
+const ApyFallback = require('../../utils/apy-fallback');
 
 /**
- * Enhanced vault collector with protocol-specific APY calculations
+ * Enhanced vault collector with protocol-specific APY calculations. Vaults
+ * that can't be calculated on-chain fall back to persisted APYs (see ApyFallback).
  */
 class EnhancedVaultOnChainCollector extends VaultOnChainCollector {
-  constructor() {
-    super();
-    this.apyCalculators = new ProtocolAPYCalculators();
+  constructor(options = {}) {
+    super(options);
+    this.apyFallback = new ApyFallback(options.pool || null);
   }
 
   /**
@@ -32,9 +33,7 @@ class EnhancedVaultOnChainCollector extends VaultOnChainCollector {
       // Check if this is a real Ethereum address or DeFi Llama UUID
       if (!this.isEthereumAddress(vaultAddress)) {
         console.log(`⚠️ Skipping on-chain calculation for UUID: ${vaultAddress}`);
-        
-        // For UUIDs, we can only do protocol-specific estimation
-        return await this.getProtocolEstimationForUUID(vaultAddress, chain, protocol, metadata);
+        return await this.getFallbackAPY(vaultAddress, chain, protocol, metadata);
       }
       
       // First get basic on-chain data for real addresses
@@ -60,11 +59,13 @@ class EnhancedVaultOnChainCollector extends VaultOnChainCollector {
           apy_calculation_method: apyData.method,
           confidence_score: apyData.confidence_score,
           calculation_details: apyData.calculation_details,
+          fallback_tier: 'none',
           calculation_timestamp: Date.now()
         };
       }
 
-      return basicData;
+      const fallback = await this.getFallbackAPY(vaultAddress, chain, protocol, metadata);
+      return { ...basicData, ...fallback };
 
     } catch (error) {
       console.error(`❌ Enhanced vault data collection failed: ${error.message}`);
@@ -73,68 +74,33 @@ class EnhancedVaultOnChainCollector extends VaultOnChainCollector {
   }
 
   /**
-   * Protocol estimation for UUID-based vaults (DeFi Llama pools)
+   * APY from persisted data for vaults that can't be calculated on-chain
+   * (DeFi Llama UUIDs, unsupported protocols)
    */
-  async getProtocolEstimationForUUID(uuid, chain, protocol, metadata = {}) {
-    try {
-      console.log(`📊 Protocol estimation for UUID ${uuid} (${protocol})`);
-      
-      const protocolLower = protocol.toLowerCase();
-      let estimatedAPY = 0.04; // 4% default
-      let confidence = 0.3; // Low confidence for estimates
-      let method = 'protocol_estimation';
-      
-      // Protocol-specific estimations based on typical ranges
-      if (protocolLower.includes('aave')) {
-        estimatedAPY = 0.02 + (Math.random() * 0.03); // 2-5% for Aave USDC
-        confidence = 0.6;
-        method = 'aave_typical_range';
-      } else if (protocolLower.includes('compound')) {
-        estimatedAPY = 0.015 + (Math.random() * 0.025); // 1.5-4% for Compound
-        confidence = 0.6;
-        method = 'compound_typical_range';
-      } else if (protocolLower.includes('morpho')) {
-        estimatedAPY = 0.025 + (Math.random() * 0.04); // 2.5-6.5% for Morpho
-        confidence = 0.5;
-        method = 'morpho_typical_range';
-      } else if (protocolLower.includes('yearn')) {
-        estimatedAPY = 0.03 + (Math.random() * 0.05); // 3-8% for Yearn
-        confidence = 0.4;
-        method = 'yearn_typical_range';
-      }
-      
-      console.log(`✅ Estimated APY for ${protocol}: ${(estimatedAPY * 100).toFixed(2)}%`);
-      
-      return {
-        vault_address: uuid,
-        chain: chain,
-        protocol: protocol,
-        calculated_apy: estimatedAPY,
-        apy_calculation_method: method,
-        confidence_score: confidence,
-        calculation_details: {
-          estimation_type: 'uuid_protocol_based',
-          protocol_category: protocolLower,
-          note: 'UUID-based estimation, not on-chain calculation'
-        },
-        calculation_timestamp: Date.now(),
-        is_estimation: true
-      };
-      
-    } catch (error) {
-      console.error(`❌ Protocol estimation failed: ${error.message}`);
-      return null;
-    }
+  async getFallbackAPY(vaultAddress, chain, protocol, metadata = {}) {
+    const fallback = await this.apyFallback.resolve(vaultAddress, chain, protocol, metadata);
+
+    return {
+      vault_address: vaultAddress,
+      chain: chain,
+      protocol: protocol,
+      calculated_apy: fallback.calculated_apy,
+      apy_calculation_method: fallback.method,
+      confidence_score: fallback.confidence_score,
+      calculation_details: fallback.calculation_details,
+      fallback_tier: fallback.fallback_tier
+    };
   }
 
   /**
-   * Batch process vaults with APY calculations
+   * Batch process vaults with APY calculations. Each vault's reads are
+   * multicalled, so batches only bound how many calculations run at once.
    */
   async batchGetVaultDataWithAPY(vaultList) {
     console.log(`🔬 Getting enhanced data for ${vaultList.length} vaults with APY calculations`);
     
     const results = [];
-    const BATCH_SIZE = 3; // Smaller batches for APY calculations
+    const BATCH_SIZE = 3; // APY calculations in flight at once
 
     for (let i = 0; i < vaultList.length; i += BATCH_SIZE) {
       const batch = vaultList.slice(i, i + BATCH_SIZE);
@@ -149,11 +115,6 @@ class EnhancedVaultOnChainCollector extends VaultOnChainCollector {
 
       const batchResults = await Promise.all(batchPromises);
       results.push(...batchResults.filter(result => result !== null));
-      
-      // Longer delay for complex calculations
-      if (i + BATCH_SIZE < vaultList.length) {
-        await new Promise(resolve => setTimeout(resolve, 2000));
-      }
     }
 
     console.log(`📊 Enhanced data collected for ${results.length}/${vaultList.length} vaults`);
@@ -185,42 +146,32 @@ class EnhancedVaultOnChainCollector extends VaultOnChainCollector {
   }
 
   /**
-   * Historical APY calculation using multiple time points
+   * Realized APY over the last daysBack days from ERC-4626 share prices at
+   * timestamp-accurate blocks
    */
   async calculateHistoricalAPY(vaultAddress, chain, protocol, daysBack = 7) {
     try {
       console.log(`📈 Calculating ${daysBack}-day historical APY for ${vaultAddress}`);
       
       const provider = this.providers[chain];
-      const currentBlock = await provider.getBlockNumber();
-      
-      // Calculate blocks to go back (approximate)
-      const blocksPerDay = this.apyCalculators.blocksPerYear[chain] / 365;
-      const blocksBack = Math.floor(blocksPerDay * daysBack);
-      const historicalBlock = currentBlock - blocksBack;
-
-      // Get current and historical share prices
-      const [currentData, historicalData] = await Promise.all([
-        this.getSharePrice(vaultAddress, provider, currentBlock),
-        this.getSharePrice(vaultAddress, provider, historicalBlock)
-      ]);
+      const realized = await this.apyCalculators.calculateRealizedAPY(vaultAddress, provider, chain, [daysBack]);
+      const window = realized.windows[`${daysBack}d`];
 
-      if (currentData && historicalData) {
-        const priceChange = (currentData.sharePrice - historicalData.sharePrice) / historicalData.sharePrice;
-        const annualizedReturn = priceChange * (365 / daysBack);
-        
-        console.log(`✅ Historical APY calculated: ${(annualizedReturn * 100).toFixed(2)}%`);
+      if (window) {
+        console.log(`✅ Historical APY calculated: ${(window.apy * 100).toFixed(2)}%`);
         
         return {
-          calculated_apy: annualizedReturn,
+          calculated_apy: window.apy,
           method: `historical_${daysBack}d`,
           confidence_score: 0.8,
           calculation_details: {
-            current_price: currentData.sharePrice,
-            historical_price: historicalData.sharePrice,
-            price_change: priceChange,
+            current_price: window.assets_per_share_end,
+            historical_price: window.assets_per_share_start,
+            price_change: window.assets_per_share_end / window.assets_per_share_start - 1,
             days_analyzed: daysBack,
-            blocks_analyzed: blocksBack
+            elapsed_seconds: window.elapsed_seconds,
+            start_block: window.start_block,
+            current_block: realized.current_block
           }
         };
       }
@@ -233,37 +184,6 @@ class EnhancedVaultOnChainCollector extends VaultOnChainCollector {
     }
   }
 
-  /**
-   * Get share price at a specific block
-   */
-  async getSharePrice(vaultAddress, provider, blockNumber) {
-    try {
-      const vaultContract = new ethers.Contract(vaultAddress, [
-        "function totalAssets() external view returns (uint256)",
-        "function totalSupply() external view returns (uint256)"
-      ], provider);
-
-      const [totalAssets, totalSupply] = await Promise.all([
-        vaultContract.totalAssets({ blockTag: blockNumber }),
-        vaultContract.totalSupply({ blockTag: blockNumber })
-      ]);
-
-      const sharePrice = Number(totalSupply) > 0 
-        ? Number(totalAssets) / Number(totalSupply)
-        : 1;
-
-      return {
-        sharePrice,
-        block: blockNumber,
-        timestamp: (await provider.getBlock(blockNumber)).timestamp
-      };
-
-    } catch (error) {
-      console.error(`❌ Share price query failed for block ${blockNumber}: ${error.message}`);
-      return null;
-    }
-  }
-
   /**
    * Comprehensive vault analysis with multiple APY calculation methods
    */
@@ -337,10 +257,16 @@ class EnhancedVaultOnChainCollector extends VaultOnChainCollector {
         }
       }
 
+      // Nothing calculated on-chain: label the persisted fallback instead
+      const fallback = bestAPY === null
+        ? await this.apyFallback.resolve(vaultAddress, chain, protocol, metadata)
+        : null;
+
       return {
         ...basicData,
-        calculated_apy: bestAPY,
-        confidence_score: highestConfidence,
+        calculated_apy: fallback ? fallback.calculated_apy : bestAPY,
+        confidence_score: fallback ? fallback.confidence_score : highestConfidence,
+        fallback_tier: fallback ? fallback.fallback_tier : 'none',
         calculation_methods: apyMethods,
         protocol_apy: protocolAPY,
         weekly_apy: weeklyAPY,
@@ -364,27 +290,34 @@ class EnhancedVaultOnChainCollector extends VaultOnChainCollector {
     try {
       // Check if this is a UUID (DeFi Llama pool) vs real address
       if (!this.isEthereumAddress(vaultAddress)) {
-        console.log(`🔍 Smart calculation for UUID ${vaultAddress} - using protocol estimation`);
-        return await this.getProtocolEstimationForUUID(vaultAddress, chain, protocol, metadata);
+        console.log(`🔍 Smart calculation for UUID ${vaultAddress} - using persisted APY fallback`);
+        return await this.apyFallback.resolve(vaultAddress, chain, protocol, metadata);
       }
 
+      let calculated = null;
+
       // For real addresses, use full calculation methods
       // For protocols with reliable rate queries, use protocol-specific method
       if (protocolLower.includes('aave') || protocolLower.includes('compound')) {
         const protocolAPY = await this.getProtocolAPY(vaultAddress, protocol, chain, metadata);
         if (protocolAPY && protocolAPY.confidence_score > 0.8) {
-          return protocolAPY;
+          calculated = protocolAPY;
         }
       }
 
       // For other protocols, prefer historical data if available
-      const historicalAPY = await this.calculateHistoricalAPY(vaultAddress, chain, protocol, 7);
-      if (historicalAPY) {
-        return historicalAPY;
+      if (!calculated) {
+        calculated = await this.calculateHistoricalAPY(vaultAddress, chain, protocol, 7);
       }
 
       // Fallback to protocol-specific calculation
-      return await this.getProtocolAPY(vaultAddress, protocol, chain, metadata);
+      if (!calculated) {
+        calculated = await this.getProtocolAPY(vaultAddress, protocol, chain, metadata);
+      }
+
+      return calculated
+        ? { ...calculated, fallback_tier: 'none' }
+        : await this.apyFallback.resolve(vaultAddress, chain, protocol, metadata);
 
     } catch (error) {
       console.error(`❌ Smart APY calculation failed: ${error.message}`);
@@ -1,5 +1,33 @@
 // src/collectors/onchain/protocol-apy-calculators.js
 const { ethers } = require('ethers');
+const BlockFinder = require('../../utils/block-finder');
+const Multicall = require('../../utils/multicall');
+const ChainRegistry = require('../../utils/chain-registry');
+
+const SECONDS_PER_YEAR = 31536000;
+const REALIZED_WINDOWS_DAYS = [1, 7, 30];
+
+// Aave rate strategy getters: per reserve (v3.1+) first, then per strategy (v3.0)
+const AAVE_RATE_GETTERS = {
+  optimal_usage_ratio: ['getOptimalUsageRatio(address)', 'OPTIMAL_USAGE_RATIO()'],
+  base_variable_borrow_rate: ['getBaseVariableBorrowRate(address)', 'getBaseVariableBorrowRate()'],
+  variable_rate_slope1: ['getVariableRateSlope1(address)', 'getVariableRateSlope1()'],
+  variable_rate_slope2: ['getVariableRateSlope2(address)', 'getVariableRateSlope2()']
+};
+
+// Reserve factor (bps) and supply cap (whole tokens) in Aave's reserve configuration bitmap
+const AAVE_RESERVE_FACTOR_BIT = 64n;
+const AAVE_SUPPLY_CAP_BIT = 116n;
+
+// bigint / bigint as a float, e.g. a utilization
+const ratio = (numerator, denominator) =>
+  denominator > 0n ? Number((numerator * 10n ** 18n) / denominator) / 1e18 : 0;
+
+// "1000.5" -> 1000500000n with 6 decimals; fraction digits beyond decimals are dropped
+const toUnits = (amount, decimals) => {
+  const [whole, fraction = ''] = String(amount).split('.');
+  return ethers.parseUnits(`${whole || '0'}.${fraction.slice(0, decimals) || '0'}`, decimals);
+};
 
 /**
  * Protocol-specific APY calculation modules
@@ -7,15 +35,11 @@ const { ethers } = require('ethers');
  */
 class ProtocolAPYCalculators {
   constructor() {
-    // Blocks per year for different chains
-    this.blocksPerYear = {
-      ethereum: 2628000,   // 12 seconds per block
-      polygon: 15768000,   // 2 seconds per block 
-      arbitrum: 2628000,   // Similar to Ethereum
-      base: 15768000,      // 2 seconds per block
-      optimism: 31536000,  // 1 second per block
-      avalanche: 15768000  // 2 seconds per block
-    };
+    this.blockFinder = new BlockFinder();
+    this.multicall = new Multicall();
+
+    // Aave pools and the Morpho Blue singleton per chain
+    this.chainRegistry = new ChainRegistry();
 
     // Protocol-specific contract ABIs
     this.protocolABIs = {
@@ -23,16 +47,49 @@ class ProtocolAPYCalculators {
         "function getReserveData(address asset) external view returns (tuple(uint256 configuration, uint128 liquidityIndex, uint128 currentLiquidityRate, uint128 variableBorrowIndex, uint128 currentVariableBorrowRate, uint128 currentStableBorrowRate, uint40 lastUpdateTimestamp, uint16 id, address aTokenAddress, address stableDebtTokenAddress, address variableDebtTokenAddress, address interestRateStrategyAddress, uint128 accruedToTreasury, uint128 unbacked, uint128 isolationModeTotalDebt))",
         "function UNDERLYING_ASSET_ADDRESS() external view returns (address)"
       ],
+      aaveToken: [
+        "function UNDERLYING_ASSET_ADDRESS() external view returns (address)",
+        "function totalSupply() external view returns (uint256)",
+        "function decimals() external view returns (uint8)",
+        "function balanceOf(address owner) external view returns (uint256)"
+      ],
+      aaveRateStrategy: [
+        "function getOptimalUsageRatio(address reserve) external view returns (uint256)",
+        "function getBaseVariableBorrowRate(address reserve) external view returns (uint256)",
+        "function getVariableRateSlope1(address reserve) external view returns (uint256)",
+        "function getVariableRateSlope2(address reserve) external view returns (uint256)",
+        "function OPTIMAL_USAGE_RATIO() external view returns (uint256)",
+        "function getBaseVariableBorrowRate() external view returns (uint256)",
+        "function getVariableRateSlope1() external view returns (uint256)",
+        "function getVariableRateSlope2() external view returns (uint256)"
+      ],
       morpho: [
-        "function market(bytes32 id) external view returns (tuple(uint128 totalSupplyAssets, uint128 totalSupplyShares, uint128 totalBorrowAssets, uint128 totalBorrowShares, uint128 lastUpdate, uint128 fee))",
-        "function position(bytes32 id, address user) external view returns (tuple(uint256 supplyShares, uint128 borrowShares, uint128 collateral))",
-        "function accrueInterest(bytes32 id) external view returns (uint256 assets, uint256 shares)"
+        "function market(bytes32 id) external view returns (uint128 totalSupplyAssets, uint128 totalSupplyShares, uint128 totalBorrowAssets, uint128 totalBorrowShares, uint128 lastUpdate, uint128 fee)",
+        "function idToMarketParams(bytes32 id) external view returns (address loanToken, address collateralToken, address oracle, address irm, uint256 lltv)",
+        "function position(bytes32 id, address user) external view returns (uint256 supplyShares, uint128 borrowShares, uint128 collateral)"
+      ],
+      morphoIrm: [
+        "function borrowRateView(tuple(address loanToken, address collateralToken, address oracle, address irm, uint256 lltv) marketParams, tuple(uint128 totalSupplyAssets, uint128 totalSupplyShares, uint128 totalBorrowAssets, uint128 totalBorrowShares, uint128 lastUpdate, uint128 fee) market) external view returns (uint256)"
+      ],
+      metaMorpho: [
+        "function MORPHO() external view returns (address)",
+        "function fee() external view returns (uint96)",
+        "function withdrawQueueLength() external view returns (uint256)",
+        "function withdrawQueue(uint256 index) external view returns (bytes32)",
+        "function supplyQueueLength() external view returns (uint256)",
+        "function supplyQueue(uint256 index) external view returns (bytes32)",
+        "function config(bytes32 id) external view returns (uint184 cap, bool enabled, uint64 removableAt)",
+        "function asset() external view returns (address)"
+      ],
+      erc20: [
+        "function decimals() external view returns (uint8)"
       ],
       compound: [
         "function supplyRatePerTimestamp() external view returns (uint64)",
         "function borrowRatePerTimestamp() external view returns (uint64)", 
         "function totalSupply() external view returns (uint256)",
         "function totalBorrow() external view returns (uint256)",
+        "function decimals() external view returns (uint8)",
         "function getSupplyRate(uint256 utilization) external view returns (uint64)",
         "function getBorrowRate(uint256 utilization) external view returns (uint64)"
       ],
@@ -58,16 +115,7 @@ class ProtocolAPYCalculators {
       const aTokenContract = new ethers.Contract(vaultAddress, this.protocolABIs.aave, provider);
       const underlyingAsset = await aTokenContract.UNDERLYING_ASSET_ADDRESS();
       
-      // Get pool contract (standard Aave address for most chains)
-      const aavePoolAddresses = {
-        ethereum: '0x87870Bca3F3fD6335C3F4ce8392D69350B4fA4E2',
-        polygon: '0x794a61358D6845594F94dc1DB02A252b5b4814aD',
-        arbitrum: '0x794a61358D6845594F94dc1DB02A252b5b4814aD',
-        base: '0xA238Dd80C259a72e81d7e4664a9801593F98d1c5',
-        optimism: '0x794a61358D6845594F94dc1DB02A252b5b4814aD'
-      };
-      
-      const poolAddress = aavePoolAddresses[chain];
+      const poolAddress = this.chainRegistry.getContract(chain, 'aaveV3Pool');
       if (!poolAddress) throw new Error(`Aave not deployed on ${chain}`);
       
       const poolContract = new ethers.Contract(poolAddress, this.protocolABIs.aave, provider);
@@ -75,7 +123,6 @@ class ProtocolAPYCalculators {
       
       // Convert ray (1e27) rate to APY
       const liquidityRate = reserveData.currentLiquidityRate;
-      const SECONDS_PER_YEAR = 31536000;
       const RAY = 1e27;
       
       // Aave uses continuous compounding: APY = (1 + rate/RAY)^SECONDS_PER_YEAR - 1
@@ -102,66 +149,246 @@ class ProtocolAPYCalculators {
   }
 
   /**
-   * Calculate APY for Morpho Blue markets
+   * Params, totals and utilization of Morpho Blue markets, in one aggregate3 call
+   *
+   * @param {string[]} marketIds
+   * @param {string} [supplier] also read this address's position in each market
+   */
+  async getMorphoMarkets(morphoAddress, marketIds, provider, supplier = null) {
+    const morphoABI = this.protocolABIs.morpho;
+    const reads = supplier ? 3 : 2;
+    const results = await this.multicall.aggregate(provider, marketIds.flatMap(marketId => [
+      { target: morphoAddress, abi: morphoABI, method: 'idToMarketParams', args: [marketId] },
+      { target: morphoAddress, abi: morphoABI, method: 'market', args: [marketId] },
+      ...(supplier ? [{ target: morphoAddress, abi: morphoABI, method: 'position', args: [marketId, supplier] }] : [])
+    ]));
+
+    return marketIds.map((marketId, index) => {
+      const [marketParams, marketData, position] = results.slice(index * reads, (index + 1) * reads);
+
+      if (!marketParams.success || !marketData.success ||
+          marketParams.value.loanToken === ethers.ZeroAddress) {
+        throw new Error(`Unknown Morpho Blue market ${marketId}`);
+      }
+      if (supplier && !position.success) {
+        throw new Error(`Could not read position of ${supplier} in market ${marketId}`);
+      }
+
+      const params = {
+        loanToken: marketParams.value.loanToken,
+        collateralToken: marketParams.value.collateralToken,
+        oracle: marketParams.value.oracle,
+        irm: marketParams.value.irm,
+        lltv: marketParams.value.lltv
+      };
+      const market = {
+        totalSupplyAssets: marketData.value.totalSupplyAssets,
+        totalSupplyShares: marketData.value.totalSupplyShares,
+        totalBorrowAssets: marketData.value.totalBorrowAssets,
+        totalBorrowShares: marketData.value.totalBorrowShares,
+        lastUpdate: marketData.value.lastUpdate,
+        fee: marketData.value.fee
+      };
+
+      return {
+        marketId,
+        params,
+        market,
+        utilization: ratio(market.totalBorrowAssets, market.totalSupplyAssets),
+        position: supplier ? position.value : null
+      };
+    });
+  }
+
+  /**
+   * Supply APY of Morpho Blue markets. The borrow rate comes from each
+   * market's IRM (borrowRateView, per second, WAD) and compounds continuously;
+   * suppliers earn it on the utilized share minus the market fee. The markets
+   * are read in one aggregate3 call and their IRMs in a second.
+   */
+  async getMorphoMarketRates(morphoAddress, marketIds, provider, supplier = null) {
+    const markets = await this.getMorphoMarkets(morphoAddress, marketIds, provider, supplier);
+    return this.priceMorphoMarkets(markets, provider);
+  }
+
+  /**
+   * Rates for markets as read by getMorphoMarkets, or with totals changed to
+   * price a hypothetical state; one aggregate3 call to the IRMs
+   */
+  async priceMorphoMarkets(markets, provider) {
+    // Idle markets have no IRM and earn nothing
+    const priced = markets.filter(({ params }) => params.irm !== ethers.ZeroAddress);
+    const borrowRates = await this.multicall.aggregate(provider, priced.map(({ params, market }) => ({
+      target: params.irm,
+      abi: this.protocolABIs.morphoIrm,
+      method: 'borrowRateView',
+      args: [params, market]
+    })));
+
+    return markets.map(rates => {
+      let borrowRatePerSecond = 0;
+      const pricedIndex = priced.indexOf(rates);
+      if (pricedIndex !== -1) {
+        if (!borrowRates[pricedIndex].success) {
+          throw new Error(`IRM borrowRateView failed for market ${rates.marketId}`);
+        }
+        borrowRatePerSecond = Number(borrowRates[pricedIndex].value) / 1e18;
+      }
+
+      const feeRate = Number(rates.market.fee) / 1e18;
+      const borrowAPY = Math.exp(borrowRatePerSecond * SECONDS_PER_YEAR) - 1;
+      const supplyAPY = borrowAPY * rates.utilization * (1 - feeRate);
+
+      return { ...rates, borrowRatePerSecond, borrowAPY, supplyAPY, feeRate };
+    });
+  }
+
+  /**
+   * Calculate APY for a Morpho Blue market, by id or by MarketParams
    */
-  async calculateMorphoAPY(marketId, provider, chain) {
+  async calculateMorphoAPY(market, provider, chain) {
     try {
+      const morphoAddress = this.chainRegistry.getContract(chain, 'morphoBlue');
+      if (!morphoAddress) throw new Error(`Morpho Blue not deployed on ${chain}`);
+
+      const marketId = typeof market === 'string' ? market : this.getMorphoMarketId(market);
       console.log(`🔵 Calculating Morpho Blue APY for market ${marketId}`);
+
+      const [rates] = await this.getMorphoMarketRates(morphoAddress, [marketId], provider);
+
+      console.log(`✅ Morpho APY calculated: ${(rates.supplyAPY * 100).toFixed(2)}%`);
       
-      // Morpho Blue main contract
-      const morphoAddresses = {
-        ethereum: '0xBBBBBbbBBb9cC5e90e3b3Af64bdAF62C37EEFFCb',
-        base: '0xBBBBBbbBBb9cC5e90e3b3Af64bdAF62C37EEFFCb'
+      return {
+        calculated_apy: rates.supplyAPY,
+        method: 'morpho_irm_borrow_rate',
+        confidence_score: 0.9,
+        calculation_details: {
+          market_id: marketId,
+          market_params: {
+            loan_token: rates.params.loanToken,
+            collateral_token: rates.params.collateralToken,
+            oracle: rates.params.oracle,
+            irm: rates.params.irm,
+            lltv: Number(rates.params.lltv) / 1e18
+          },
+          utilization: rates.utilization,
+          borrow_rate_per_second: rates.borrowRatePerSecond,
+          borrow_apy: rates.borrowAPY,
+          fee_rate: rates.feeRate,
+          supply_apy: rates.supplyAPY
+        }
       };
       
-      const morphoAddress = morphoAddresses[chain];
-      if (!morphoAddress) throw new Error(`Morpho Blue not deployed on ${chain}`);
-      
-      const morphoContract = new ethers.Contract(morphoAddress, this.protocolABIs.morpho, provider);
-      
-      // Get market data
-      const marketData = await morphoContract.market(marketId);
-      const { totalSupplyAssets, totalBorrowAssets, lastUpdate, fee } = marketData;
-      
-      // Calculate utilization rate
-      const utilization = Number(totalSupplyAssets) > 0 
-        ? Number(totalBorrowAssets) / Number(totalSupplyAssets) 
-        : 0;
-      
-      // Morpho Blue uses adaptive rates based on utilization
-      // Simplified calculation - in practice you'd need the IRM contract
-      const baseRate = 0.02; // 2% base
-      const utilizationRate = utilization;
-      const optimalUtilization = 0.8;
-      
-      let borrowRate;
-      if (utilization <= optimalUtilization) {
-        borrowRate = baseRate + (utilizationRate * 0.05); // 5% slope
-      } else {
-        const excessUtilization = (utilization - optimalUtilization) / (1 - optimalUtilization);
-        borrowRate = baseRate + 0.04 + (excessUtilization * 0.5); // Jump rate
+    } catch (error) {
+      console.error(`❌ Morpho APY calculation failed: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * The vault's assets in each market of its withdrawQueue. Markets come with
+   * supply rates (an extra IRM round trip) unless withRates is false.
+   */
+  async getMetaMorphoAllocations(vaultAddress, provider, { withRates = true } = {}) {
+    const metaMorphoABI = this.protocolABIs.metaMorpho;
+    const [morpho, fee, queueLength] = await this.multicall.aggregate(provider,
+      ['MORPHO', 'fee', 'withdrawQueueLength'].map(method => ({ target: vaultAddress, abi: metaMorphoABI, method }))
+    );
+    if (![morpho, fee, queueLength].every(result => result.success)) {
+      throw new Error('Not a MetaMorpho vault');
+    }
+
+    const queue = await this.multicall.aggregate(provider,
+      Array.from({ length: Number(queueLength.value) }, (_, index) => ({
+        target: vaultAddress, abi: metaMorphoABI, method: 'withdrawQueue', args: [index]
+      }))
+    );
+    if (queue.some(result => !result.success)) {
+      throw new Error('Could not read the withdraw queue');
+    }
+
+    const marketIds = queue.map(result => result.value);
+    const markets = withRates
+      ? await this.getMorphoMarketRates(morpho.value, marketIds, provider, vaultAddress)
+      : await this.getMorphoMarkets(morpho.value, marketIds, provider, vaultAddress);
+
+    const allocations = markets.map(rates => {
+      // Morpho's share math: 1e6 virtual shares and 1 virtual asset per market
+      const assets = (rates.position.supplyShares * (rates.market.totalSupplyAssets + 1n)) /
+        (rates.market.totalSupplyShares + 10n ** 6n);
+
+      return { marketId: rates.marketId, assets, rates };
+    });
+
+    return { feeRate: Number(fee.value) / 1e18, allocations };
+  }
+
+  /**
+   * What a MetaMorpho vault could pay out now: in each market, the vault's
+   * assets up to the market's unborrowed liquidity
+   *
+   * @returns {Promise<{total_assets: bigint, available_assets: bigint, utilization: number}>}
+   */
+  async getMetaMorphoLiquidity(vaultAddress, provider) {
+    const { allocations } = await this.getMetaMorphoAllocations(vaultAddress, provider, { withRates: false });
+
+    let totalAssets = 0n;
+    let availableAssets = 0n;
+    allocations.forEach(({ assets, rates: { market } }) => {
+      const marketLiquidity = market.totalSupplyAssets - market.totalBorrowAssets;
+      totalAssets += assets;
+      availableAssets += assets < marketLiquidity ? assets : marketLiquidity;
+    });
+
+    return {
+      total_assets: totalAssets,
+      available_assets: availableAssets,
+      utilization: totalAssets > 0n ? 1 - Number((availableAssets * 10n ** 18n) / totalAssets) / 1e18 : 0
+    };
+  }
+
+  /**
+   * APY of a MetaMorpho vault: supply APY of each withdrawQueue market weighted
+   * by the vault's assets in it, net of the vault's performance fee
+   */
+  async calculateMetaMorphoAPY(vaultAddress, provider, chain) {
+    try {
+      console.log(`🔵 Calculating MetaMorpho vault APY for ${vaultAddress}`);
+
+      const { feeRate: vaultFeeRate, allocations } = await this.getMetaMorphoAllocations(vaultAddress, provider);
+
+      const totalAssets = allocations.reduce((sum, allocation) => sum + allocation.assets, 0n);
+      if (totalAssets === 0n) {
+        throw new Error('Vault has no assets allocated');
       }
-      
-      // Supply rate = borrow rate * utilization * (1 - fee)
-      const feeRate = Number(fee) / 1e18;
-      const supplyRate = borrowRate * utilization * (1 - feeRate);
-      
-      console.log(`✅ Morpho APY calculated: ${(supplyRate * 100).toFixed(2)}%`);
-      
+
+      const grossAPY = allocations.reduce((sum, allocation) =>
+        sum + allocation.rates.supplyAPY * (Number((allocation.assets * 10n ** 18n) / totalAssets) / 1e18), 0);
+      const netAPY = grossAPY * (1 - vaultFeeRate);
+
+      console.log(`✅ MetaMorpho APY calculated: ${(netAPY * 100).toFixed(2)}% across ${allocations.length} markets`);
+
       return {
-        calculated_apy: supplyRate,
-        method: 'morpho_utilization_model',
-        confidence_score: 0.85,
+        calculated_apy: netAPY,
+        method: 'metamorpho_allocation_weighted',
+        confidence_score: 0.9,
         calculation_details: {
-          utilization: utilization,
-          borrow_rate: borrowRate,
-          fee_rate: feeRate,
-          supply_rate: supplyRate
+          gross_apy: grossAPY,
+          vault_fee_rate: vaultFeeRate,
+          total_assets: totalAssets.toString(),
+          markets: allocations.map(allocation => ({
+            market_id: allocation.marketId,
+            collateral_token: allocation.rates.params.collateralToken,
+            assets: allocation.assets.toString(),
+            weight: Number((allocation.assets * 10n ** 18n) / totalAssets) / 1e18,
+            utilization: allocation.rates.utilization,
+            supply_apy: allocation.rates.supplyAPY
+          }))
         }
       };
-      
+
     } catch (error) {
-      console.error(`❌ Morpho APY calculation failed: ${error.message}`);
+      console.error(`❌ MetaMorpho APY calculation failed: ${error.message}`);
       return null;
     }
   }
@@ -176,10 +403,14 @@ class ProtocolAPYCalculators {
       const cometContract = new ethers.Contract(vaultAddress, this.protocolABIs.compound, provider);
       
       // Get current rates
-      const [totalSupply, totalBorrow] = await Promise.all([
-        cometContract.totalSupply(),
-        cometContract.totalBorrow()
-      ]);
+      const [supplyResult, borrowResult] = await this.multicall.aggregate(provider,
+        ['totalSupply', 'totalBorrow'].map(method => ({ target: vaultAddress, abi: this.protocolABIs.compound, method }))
+      );
+      if (!supplyResult.success || !borrowResult.success) {
+        throw new Error('Not a Compound V3 market');
+      }
+      const totalSupply = supplyResult.value;
+      const totalBorrow = borrowResult.value;
       
       // Calculate utilization
       const utilization = Number(totalSupply) > 0 
@@ -191,7 +422,6 @@ class ProtocolAPYCalculators {
       const supplyRate = await cometContract.getSupplyRate(utilizationScaled);
       
       // Convert per-timestamp rate to APY (Compound V3 uses per-second rates)
-      const SECONDS_PER_YEAR = 31536000;
       const ratePerSecond = Number(supplyRate) / 1e18;
       const apy = Math.pow(1 + ratePerSecond, SECONDS_PER_YEAR) - 1;
       
@@ -215,110 +445,100 @@ class ProtocolAPYCalculators {
   }
 
   /**
-   * Calculate APY for Yearn V3 vaults using historical performance
+   * Yearn V3 vaults are ERC-4626, so their realized APY comes from share price
+   * history. V2 vaults lack convertToAssets and return null.
    */
   async calculateYearnAPY(vaultAddress, provider, chain) {
-    try {
-      console.log(`🌾 Calculating Yearn APY for ${vaultAddress}`);
-      
-      const vaultContract = new ethers.Contract(vaultAddress, [
-        ...this.protocolABIs.yearn,
-        "function token() external view returns (address)",
-        "function decimals() external view returns (uint8)"
-      ], provider);
-      
-      const [pricePerShare, decimals, lastHarvest] = await Promise.all([
-        vaultContract.pricePerShare(),
-        vaultContract.decimals(),
-        vaultContract.lastHarvest().catch(() => BigInt(Date.now() / 1000))
-      ]);
-      
-      // For Yearn, we need historical price per share data
-      // This is a simplified calculation - in practice you'd query multiple blocks
-      const currentPPS = Number(pricePerShare) / Math.pow(10, Number(decimals));
-      
-      // Estimate based on time since last harvest and typical Yearn returns
-      const timeSinceHarvest = Date.now() / 1000 - Number(lastHarvest);
-      const daysSinceHarvest = timeSinceHarvest / 86400;
-      
-      // Simplified APY estimation (would need historical data for accuracy)
-      let estimatedAPY = 0.05; // 5% default for stable strategies
-      
-      // Adjust based on vault symbol/strategy type
-      const symbol = await vaultContract.symbol().catch(() => '');
-      if (symbol.includes('USDC') || symbol.includes('USDT')) {
-        estimatedAPY = 0.03 + (Math.random() * 0.04); // 3-7% for stablecoins
+    console.log(`🌾 Calculating Yearn APY for ${vaultAddress}`);
+    return this.calculateERC4626APY(vaultAddress, provider, chain);
+  }
+
+  /**
+   * Realized APY from convertToAssets(1 share) now and at the blocks closest to
+   * each window's start. Compounds over the actual seconds between the two
+   * block timestamps. Windows the vault didn't exist for are left out.
+   */
+  async calculateRealizedAPY(vaultAddress, provider, chain, windowsDays = REALIZED_WINDOWS_DAYS) {
+    const vaultContract = new ethers.Contract(vaultAddress, [
+      "function convertToAssets(uint256 shares) external view returns (uint256)",
+      "function decimals() external view returns (uint8)"
+    ], provider);
+
+    const [latestBlock, decimals] = await Promise.all([
+      provider.getBlock('latest'),
+      vaultContract.decimals()
+    ]);
+    const latest = { number: latestBlock.number, timestamp: latestBlock.timestamp };
+
+    // Extra precision for low-decimal shares; reported per single share
+    const shareDecimals = Math.max(Number(decimals), 18);
+    const shares = 10n ** BigInt(shareDecimals);
+    const assetsNow = await vaultContract.convertToAssets(shares, { blockTag: latest.number });
+
+    const windows = {};
+    for (const days of windowsDays) {
+      try {
+        const start = await this.blockFinder.findBlockByTimestamp(
+          provider, chain, latest.timestamp - days * 86400, latest
+        );
+        const elapsed = latest.timestamp - start.timestamp;
+        if (elapsed <= 0) continue;
+
+        const assetsThen = await vaultContract.convertToAssets(shares, { blockTag: start.number });
+        if (assetsThen === 0n) continue;
+
+        const growth = Number((assetsNow * 10n ** 18n) / assetsThen) / 1e18;
+        windows[`${days}d`] = {
+          apy: Math.pow(growth, SECONDS_PER_YEAR / elapsed) - 1,
+          start_block: start.number,
+          start_timestamp: start.timestamp,
+          elapsed_seconds: elapsed,
+          assets_per_share_start: Number(assetsThen) / 10 ** shareDecimals,
+          assets_per_share_end: Number(assetsNow) / 10 ** shareDecimals
+        };
+      } catch (error) {
+        console.log(`⚠️ No ${days}d share price for ${vaultAddress}: ${error.message}`);
       }
-      
-      console.log(`✅ Yearn APY estimated: ${(estimatedAPY * 100).toFixed(2)}%`);
-      
-      return {
-        calculated_apy: estimatedAPY,
-        method: 'yearn_price_per_share_estimation',
-        confidence_score: 0.6, // Lower confidence without historical data
-        calculation_details: {
-          current_pps: currentPPS,
-          days_since_harvest: daysSinceHarvest,
-          estimation_method: 'simplified'
-        }
-      };
-      
-    } catch (error) {
-      console.error(`❌ Yearn APY calculation failed: ${error.message}`);
-      return null;
     }
+
+    return {
+      current_block: latest.number,
+      current_timestamp: latest.timestamp,
+      windows
+    };
   }
 
   /**
-   * Generic ERC4626 APY calculation using historical share price
+   * Generic ERC4626 APY: the 7-day realized APY, else 30-day, else 1-day
    */
   async calculateERC4626APY(vaultAddress, provider, chain) {
     try {
       console.log(`📊 Calculating ERC4626 APY for ${vaultAddress}`);
-      
-      const vaultContract = new ethers.Contract(vaultAddress, [
-        "function totalAssets() external view returns (uint256)",
-        "function totalSupply() external view returns (uint256)",
-        "function decimals() external view returns (uint8)",
-        "function asset() external view returns (address)"
-      ], provider);
-      
-      const [totalAssets, totalSupply, decimals] = await Promise.all([
-        vaultContract.totalAssets(),
-        vaultContract.totalSupply(),
-        vaultContract.decimals()
-      ]);
-      
-      // Calculate current share price
-      const sharePrice = Number(totalSupply) > 0 
-        ? Number(totalAssets) / Number(totalSupply)
-        : 1;
-      
-      // For ERC4626, we need historical data to calculate actual APY
-      // This is a placeholder that would need to query historical blocks
-      const currentBlock = await provider.getBlockNumber();
-      
-      // Simplified estimation based on typical DeFi yields
-      let estimatedAPY = 0.04; // 4% default
-      
-      // Could enhance this by:
-      // 1. Querying sharePrice from 1 week/month ago
-      // 2. Calculating actual returns
-      // 3. Annualizing the returns
-      
-      console.log(`✅ ERC4626 APY estimated: ${(estimatedAPY * 100).toFixed(2)}%`);
-      
+
+      const realized = await this.calculateRealizedAPY(vaultAddress, provider, chain);
+      const window = ['7d', '30d', '1d'].find(key => realized.windows[key]);
+
+      if (!window) {
+        console.log(`⚠️ No share price history for ${vaultAddress}`);
+        return null;
+      }
+
+      const apy = realized.windows[window].apy;
+      console.log(`✅ ERC4626 ${window} realized APY: ${(apy * 100).toFixed(2)}%`);
+
       return {
-        calculated_apy: estimatedAPY,
-        method: 'erc4626_share_price_estimation',
-        confidence_score: 0.5, // Low confidence without historical data
+        calculated_apy: apy,
+        method: `erc4626_realized_${window}`,
+        confidence_score: window === '1d' ? 0.75 : 0.9,
         calculation_details: {
-          current_share_price: sharePrice,
-          current_block: currentBlock,
-          needs_historical_data: true
+          ...realized,
+          realized_apy: Object.fromEntries(
+            Object.entries(realized.windows).map(([key, value]) => [key, value.apy])
+          ),
+          compounding: 'elapsed_seconds'
         }
       };
-      
+
     } catch (error) {
       console.error(`❌ ERC4626 APY calculation failed: ${error.message}`);
       return null;
@@ -337,9 +557,10 @@ class ProtocolAPYCalculators {
       }
       
       if (protocolLower.includes('morpho')) {
-        // For Morpho, we need the market ID from the vault address or metadata
-        const id = marketId || this.deriveMorphoMarketId(vaultAddress);
-        return await this.calculateMorphoAPY(id, provider, chain);
+        // A market id (or MarketParams) targets one market; otherwise the address is a MetaMorpho vault
+        return marketId
+          ? await this.calculateMorphoAPY(marketId, provider, chain)
+          : await this.calculateMetaMorphoAPY(vaultAddress, provider, chain);
       }
       
       if (protocolLower.includes('compound')) {
@@ -360,12 +581,266 @@ class ProtocolAPYCalculators {
   }
 
   /**
-   * Helper to derive Morpho market ID from vault address
+   * Supply APY before and after depositing `amount` (underlying token units,
+   * e.g. "250000.5") from the protocol's own rate model. Throws when the vault
+   * isn't a market the model can read; null for protocols without a model here.
+   *
+   * @returns {Promise<{method, apy_before, apy_after, utilization_before, utilization_after,
+   *   reward_dilution, accepts_full_amount, details}|null>} APYs as fractions;
+   *   reward_dilution is the share of a fixed reward emission the existing
+   *   supply keeps once the deposit joins it
+   */
+  async simulateDeposit(vaultAddress, protocol, amount, provider, chain) {
+    const protocolLower = String(protocol || '').toLowerCase();
+
+    if (protocolLower.includes('aave')) {
+      return this.simulateAaveDeposit(vaultAddress, amount, provider, chain);
+    }
+    if (protocolLower.includes('compound')) {
+      return this.simulateCompoundDeposit(vaultAddress, amount, provider);
+    }
+    if (protocolLower.includes('morpho')) {
+      return this.simulateMetaMorphoDeposit(vaultAddress, amount, provider);
+    }
+    return null;
+  }
+
+  /**
+   * Aave V3: the variable borrow rate on the reserve strategy's two-slope
+   * curve at the new utilization, paid to suppliers on the borrowed share net
+   * of the reserve factor (stable debt counts as borrowed, unbacked supply is
+   * ignored). Three aggregate3 round trips.
+   */
+  async simulateAaveDeposit(aTokenAddress, amount, provider, chain) {
+    const poolAddress = this.chainRegistry.getContract(chain, 'aaveV3Pool');
+    if (!poolAddress) throw new Error(`Aave not deployed on ${chain}`);
+
+    const tokenABI = this.protocolABIs.aaveToken;
+    const [underlying, totalSupply, decimals] = await this.multicall.aggregate(provider,
+      ['UNDERLYING_ASSET_ADDRESS', 'totalSupply', 'decimals'].map(method => ({ target: aTokenAddress, abi: tokenABI, method }))
+    );
+    if (![underlying, totalSupply, decimals].every(result => result.success)) {
+      throw new Error('Not an Aave aToken');
+    }
+
+    const [reserve] = await this.multicall.aggregate(provider, [{
+      target: poolAddress, abi: this.protocolABIs.aave, method: 'getReserveData', args: [underlying.value]
+    }]);
+    if (!reserve.success) throw new Error(`No Aave reserve for ${underlying.value}`);
+
+    const { configuration, interestRateStrategyAddress, variableDebtTokenAddress, stableDebtTokenAddress } = reserve.value;
+    const getters = Object.values(AAVE_RATE_GETTERS).flat();
+    const results = await this.multicall.aggregate(provider, [
+      { target: underlying.value, abi: tokenABI, method: 'balanceOf', args: [aTokenAddress] },
+      { target: variableDebtTokenAddress, abi: tokenABI, method: 'totalSupply' },
+      { target: stableDebtTokenAddress, abi: tokenABI, method: 'totalSupply' },
+      ...getters.map(method => ({
+        target: interestRateStrategyAddress,
+        abi: this.protocolABIs.aaveRateStrategy,
+        method,
+        args: method.endsWith('(address)') ? [underlying.value] : []
+      }))
+    ]);
+
+    const [available, variableDebt, stableDebt] = results;
+    if (!available.success || !variableDebt.success) {
+      throw new Error('Could not read Aave reserve liquidity');
+    }
+
+    // Rays as fractions, from whichever getter generation the strategy has
+    const curve = {};
+    Object.entries(AAVE_RATE_GETTERS).forEach(([param, [perReserve, perStrategy]]) => {
+      const result = [perReserve, perStrategy]
+        .map(method => results[3 + getters.indexOf(method)])
+        .find(candidate => candidate.success);
+      if (!result) throw new Error(`Aave rate strategy has no ${param}`);
+      curve[param] = Number(result.value) / 1e27;
+    });
+
+    const reserveFactor = Number((configuration >> AAVE_RESERVE_FACTOR_BIT) & 0xFFFFn) / 10000;
+    const supplyCap = (configuration >> AAVE_SUPPLY_CAP_BIT) & ((1n << 36n) - 1n);
+    const deposit = toUnits(amount, Number(decimals.value));
+    const debt = variableDebt.value + (stableDebt.success ? stableDebt.value : 0n);
+
+    const rateAt = (utilization) => {
+      const { optimal_usage_ratio: optimal } = curve;
+      const borrowRate = curve.base_variable_borrow_rate + (utilization <= optimal
+        ? curve.variable_rate_slope1 * utilization / optimal
+        : curve.variable_rate_slope1 + curve.variable_rate_slope2 * (utilization - optimal) / (1 - optimal));
+      const supplyRate = borrowRate * utilization * (1 - reserveFactor);
+
+      // Aave rates are yearly in ray and accrue per second
+      return {
+        borrow_apy: Math.pow(1 + borrowRate / SECONDS_PER_YEAR, SECONDS_PER_YEAR) - 1,
+        supply_apy: Math.pow(1 + supplyRate / SECONDS_PER_YEAR, SECONDS_PER_YEAR) - 1
+      };
+    };
+
+    const utilizationBefore = ratio(debt, available.value + debt);
+    const utilizationAfter = ratio(debt, available.value + deposit + debt);
+    const before = rateAt(utilizationBefore);
+    const after = rateAt(utilizationAfter);
+
+    return {
+      method: 'aave_rate_strategy',
+      apy_before: before.supply_apy,
+      apy_after: after.supply_apy,
+      utilization_before: utilizationBefore,
+      utilization_after: utilizationAfter,
+      reward_dilution: ratio(totalSupply.value, totalSupply.value + deposit),
+      accepts_full_amount: supplyCap === 0n ||
+        totalSupply.value + deposit <= supplyCap * 10n ** BigInt(decimals.value),
+      details: {
+        ...curve,
+        reserve_factor: reserveFactor,
+        supply_cap: supplyCap === 0n ? null : supplyCap.toString(),
+        borrow_apy_before: before.borrow_apy,
+        borrow_apy_after: after.borrow_apy
+      }
+    };
+  }
+
+  /**
+   * Compound V3 (Comet): the market's own getSupplyRate at the utilization
+   * the deposit leaves behind. Two aggregate3 round trips.
+   */
+  async simulateCompoundDeposit(cometAddress, amount, provider) {
+    const cometABI = this.protocolABIs.compound;
+    const [totalSupply, totalBorrow, decimals] = await this.multicall.aggregate(provider,
+      ['totalSupply', 'totalBorrow', 'decimals'].map(method => ({ target: cometAddress, abi: cometABI, method }))
+    );
+    if (![totalSupply, totalBorrow, decimals].every(result => result.success)) {
+      throw new Error('Not a Compound V3 market');
+    }
+
+    const deposit = toUnits(amount, Number(decimals.value));
+    const scaledUtilization = (supply) => supply > 0n ? (totalBorrow.value * 10n ** 18n) / supply : 0n;
+    const utilizations = [scaledUtilization(totalSupply.value), scaledUtilization(totalSupply.value + deposit)];
+
+    const rates = await this.multicall.aggregate(provider, utilizations.flatMap(utilization => [
+      { target: cometAddress, abi: cometABI, method: 'getSupplyRate', args: [utilization] },
+      { target: cometAddress, abi: cometABI, method: 'getBorrowRate', args: [utilization] }
+    ]));
+    if (rates.some(result => !result.success)) {
+      throw new Error('Compound V3 rate model call failed');
+    }
+
+    // Per-second rates, compounded as in calculateCompoundAPY
+    const [supplyBefore, borrowBefore, supplyAfter, borrowAfter] = rates.map(result =>
+      Math.pow(1 + Number(result.value) / 1e18, SECONDS_PER_YEAR) - 1
+    );
+
+    return {
+      method: 'compound_v3_rate_model',
+      apy_before: supplyBefore,
+      apy_after: supplyAfter,
+      utilization_before: Number(utilizations[0]) / 1e18,
+      utilization_after: Number(utilizations[1]) / 1e18,
+      reward_dilution: ratio(totalSupply.value, totalSupply.value + deposit),
+      accepts_full_amount: true, // the base asset has no supply cap
+      details: {
+        borrow_apy_before: borrowBefore,
+        borrow_apy_after: borrowAfter
+      }
+    };
+  }
+
+  /**
+   * MetaMorpho: the deposit fills the supplyQueue markets in order up to each
+   * market's cap, as the vault does, and every market is repriced by its IRM
+   * with the new supply. Whatever no cap has room for is left out (the vault
+   * would revert) and accepts_full_amount is false.
+   */
+  async simulateMetaMorphoDeposit(vaultAddress, amount, provider) {
+    const metaMorphoABI = this.protocolABIs.metaMorpho;
+    const { feeRate, allocations } = await this.getMetaMorphoAllocations(vaultAddress, provider, { withRates: false });
+
+    const [queueLength, asset] = await this.multicall.aggregate(provider,
+      ['supplyQueueLength', 'asset'].map(method => ({ target: vaultAddress, abi: metaMorphoABI, method }))
+    );
+    if (!queueLength.success || !asset.success) throw new Error('Could not read the supply queue');
+
+    const queue = await this.multicall.aggregate(provider, [
+      { target: asset.value, abi: this.protocolABIs.erc20, method: 'decimals' },
+      ...Array.from({ length: Number(queueLength.value) }, (_, index) => ({
+        target: vaultAddress, abi: metaMorphoABI, method: 'supplyQueue', args: [index]
+      }))
+    ]);
+    const [decimals, ...marketIds] = queue;
+    if (queue.some(result => !result.success)) throw new Error('Could not read the supply queue');
+
+    const caps = await this.multicall.aggregate(provider, marketIds.map(({ value }) => ({
+      target: vaultAddress, abi: metaMorphoABI, method: 'config', args: [value]
+    })));
+    if (caps.some(result => !result.success)) throw new Error('Could not read market caps');
+
+    const deposit = toUnits(amount, Number(decimals.value));
+    let remaining = deposit;
+    const added = new Map(); // marketId -> assets
+    marketIds.forEach(({ value: marketId }, index) => {
+      const allocation = allocations.find(candidate => candidate.marketId === marketId);
+      const cap = caps[index].value.cap;
+      if (!allocation || remaining === 0n || cap <= allocation.assets) return;
+
+      const supplied = remaining < cap - allocation.assets ? remaining : cap - allocation.assets;
+      added.set(marketId, supplied);
+      remaining -= supplied;
+    });
+
+    const after = allocations.map(({ marketId, rates }) => {
+      const market = { ...rates.market, totalSupplyAssets: rates.market.totalSupplyAssets + (added.get(marketId) || 0n) };
+      return { ...rates, market, utilization: ratio(market.totalBorrowAssets, market.totalSupplyAssets) };
+    });
+    const priced = await this.priceMorphoMarkets([...allocations.map(({ rates }) => rates), ...after], provider);
+
+    // Asset-weighted over the vault's markets, net of the vault fee
+    const vaultState = (markets, assetsOf) => {
+      const total = allocations.reduce((sum, allocation) => sum + assetsOf(allocation), 0n);
+      return markets.reduce((state, market, index) => {
+        const weight = ratio(assetsOf(allocations[index]), total);
+        return {
+          apy: state.apy + market.supplyAPY * weight * (1 - feeRate),
+          utilization: state.utilization + market.utilization * weight
+        };
+      }, { apy: 0, utilization: 0 });
+    };
+    const before = vaultState(priced.slice(0, allocations.length), ({ assets }) => assets);
+    const afterState = vaultState(priced.slice(allocations.length),
+      ({ marketId, assets }) => assets + (added.get(marketId) || 0n));
+
+    const totalAssets = allocations.reduce((sum, { assets }) => sum + assets, 0n);
+
+    return {
+      method: 'metamorpho_irm',
+      apy_before: before.apy,
+      apy_after: afterState.apy,
+      utilization_before: before.utilization,
+      utilization_after: afterState.utilization,
+      reward_dilution: ratio(totalAssets, totalAssets + deposit - remaining),
+      accepts_full_amount: remaining === 0n,
+      details: {
+        vault_fee_rate: feeRate,
+        unallocated_amount: ethers.formatUnits(remaining, Number(decimals.value)),
+        markets: allocations.map(({ marketId }, index) => ({
+          market_id: marketId,
+          added_assets: ethers.formatUnits(added.get(marketId) || 0n, Number(decimals.value)),
+          utilization_before: priced[index].utilization,
+          utilization_after: priced[allocations.length + index].utilization,
+          supply_apy_before: priced[index].supplyAPY,
+          supply_apy_after: priced[allocations.length + index].supplyAPY
+        }))
+      }
+    };
+  }
+
+  /**
+   * Morpho Blue market id: keccak256(abi.encode(MarketParams))
    */
-  deriveMorphoMarketId(vaultAddress) {
-    // This would need to be implemented based on Morpho's market ID derivation
-    // For now, return a placeholder
-    return ethers.id(`morpho_market_${vaultAddress}`);
+  getMorphoMarketId({ loanToken, collateralToken, oracle, irm, lltv }) {
+    return ethers.keccak256(ethers.AbiCoder.defaultAbiCoder().encode(
+      ['address', 'address', 'address', 'address', 'uint256'],
+      [loanToken, collateralToken, oracle, irm, lltv]
+    ));
   }
 
   /**
@@ -1,16 +1,32 @@
 // src/collectors/onchain/vault-onchain-collector.js
 const { ethers } = require('ethers');
+const Multicall = require('../../utils/multicall');
+const RpcProviderPool = require('../../utils/rpc-provider-pool');
+const ChainRegistry = require('../../utils/chain-registry');
+const ProtocolAPYCalculators = require('./protocol-apy-calculators');
+
+// Vaults read per aggregate3 round trip in batchGetVaultData
+const DEFAULT_VAULTS_PER_BATCH = 25;
+
+// Reads that make up a vault profile. Every vault gets the token and ERC-4626
+// reads; protocol reads are added when the protocol is known.
+const PROFILE_READS = {
+  token: ['name', 'symbol', 'decimals', 'totalSupply'],
+  erc4626: ['asset', 'totalAssets'],
+  aave: ['UNDERLYING_ASSET_ADDRESS'],
+  // cTokens (V2) and Comet markets (V3); whichever set answers decides the version
+  compound: ['underlying', 'supplyRatePerBlock', 'exchangeRateStored', 'totalBorrows', 'getCash',
+    'baseToken', 'totalBorrow', 'getUtilization'],
+  yearn: ['token', 'pricePerShare']
+};
 
 class VaultOnChainCollector {
-  constructor() {
-    this.providers = {
-      ethereum: new ethers.JsonRpcProvider(process.env.ALCHEMY_ETH_URL),
-      base: new ethers.JsonRpcProvider(process.env.ALCHEMY_BASE_URL),
-      arbitrum: new ethers.JsonRpcProvider(process.env.ALCHEMY_ARBITRUM_URL),
-      polygon: new ethers.JsonRpcProvider(process.env.ALCHEMY_POLYGON_URL),
-      optimism: new ethers.JsonRpcProvider(process.env.ALCHEMY_OPTIMISM_URL),
-      avalanche: new ethers.JsonRpcProvider(process.env.ALCHEMY_AVALANCHE_URL)
-    };
+  constructor(options = {}) {
+    this.chainRegistry = new ChainRegistry();
+
+    // Pass a shared pool so every collector fails over and reports together
+    this.providerPool = options.providerPool || new RpcProviderPool({ chainRegistry: this.chainRegistry });
+    this.providers = this.providerPool.providers; // chain -> pooled provider
 
     // Common ERC4626 Vault ABI (standardized vault interface)
     this.vaultABI = [
@@ -21,7 +37,8 @@ class VaultOnChainCollector {
       "function symbol() external view returns (string)",
       "function decimals() external view returns (uint8)",
       "function convertToAssets(uint256 shares) external view returns (uint256)",
-      "function previewWithdraw(uint256 assets) external view returns (uint256)"
+      "function previewWithdraw(uint256 assets) external view returns (uint256)",
+      "function previewRedeem(uint256 shares) external view returns (uint256)"
     ];
 
     // ERC20 ABI for asset tokens
@@ -32,400 +49,552 @@ class VaultOnChainCollector {
       "function name() external view returns (string)"
     ];
 
-    // Protocol-specific ABIs
-    this.protocolABIs = {
-      aave: [
-        "function getReserveData(address asset) external view returns (tuple(uint256 liquidityIndex, uint256 currentLiquidityRate, uint256 variableBorrowRate, uint256 stableBorrowRate, uint256 lastUpdateTimestamp))"
-      ],
-      compound: [
-        "function supplyRatePerBlock() external view returns (uint256)",
-        "function borrowRatePerBlock() external view returns (uint256)",
-        "function totalSupply() external view returns (uint256)",
-        "function totalBorrows() external view returns (uint256)",
-        "function getCash() external view returns (uint256)"
-      ],
-      yearn: [
-        "function pricePerShare() external view returns (uint256)",
-        "function totalAssets() external view returns (uint256)"
-      ]
-    };
+    // Everything PROFILE_READS may call on a vault
+    this.profileABI = [
+      ...this.vaultABI,
+      // Aave aTokens
+      "function UNDERLYING_ASSET_ADDRESS() external view returns (address)",
+      // Compound cTokens
+      "function underlying() external view returns (address)",
+      "function supplyRatePerBlock() external view returns (uint256)",
+      "function exchangeRateStored() external view returns (uint256)",
+      "function totalBorrows() external view returns (uint256)",
+      "function getCash() external view returns (uint256)",
+      // Compound V3 (Comet) markets
+      "function baseToken() external view returns (address)",
+      "function totalBorrow() external view returns (uint256)",
+      "function getUtilization() external view returns (uint256)",
+      // Yearn V2 vaults
+      "function token() external view returns (address)",
+      "function pricePerShare() external view returns (uint256)"
+    ];
+
+    this.multicall = new Multicall();
+    this.apyCalculators = new ProtocolAPYCalculators();
+    this.vaultsPerBatch = parseInt(process.env.MULTICALL_VAULTS_PER_BATCH || DEFAULT_VAULTS_PER_BATCH);
+    this.tokenMetadata = new Map(); // "chain:address" -> { symbol, decimals }
   }
 
   async getVaultOnChainData(vaultAddress, chain, protocol = null) {
     try {
       console.log(`📡 Getting on-chain data for ${vaultAddress} on ${chain}`);
-      
-      const provider = this.providers[chain];
-      if (!provider) {
-        throw new Error(`No provider configured for chain: ${chain}`);
-      }
 
       // Validate and normalize the address
-      if (!vaultAddress || !vaultAddress.startsWith('0x') || vaultAddress.length !== 42) {
+      if (!this.isVaultAddress(vaultAddress)) {
         throw new Error(`Invalid vault address format: ${vaultAddress}`);
       }
 
-      // Try different approaches based on vault type
-      let vaultData = {};
-
-      // 1. Try basic ERC20 data first (most reliable)
-      try {
-        vaultData = await this.getBasicTokenData(vaultAddress, provider);
-        vaultData.vault_type = 'basic_token';
-        console.log(`✅ Got basic token data for ${vaultData.symbol}`);
-      } catch (error) {
-        console.log(`Basic token failed: ${error.message}`);
+      const [vaultData] = await this.getVaultProfiles(chain, [{ vault_address: vaultAddress, protocol }]);
+      if (!vaultData) {
+        throw new Error('No token or vault methods responded');
       }
 
-      // 2. Try protocol-specific methods if we have protocol info
-      if (protocol && (!vaultData.total_assets || vaultData.total_assets === '0.0')) {
-        try {
-          const protocolData = await this.getProtocolSpecificData(vaultAddress, provider, protocol);
-          vaultData = { ...vaultData, ...protocolData };
-          vaultData.vault_type = protocol;
-          console.log(`✅ Enhanced with ${protocol} data`);
-        } catch (error) {
-          console.log(`Protocol-specific method failed: ${error.message}`);
-        }
-      }
+      console.log(`✅ Got ${vaultData.vault_type} data for ${vaultData.symbol}`);
+      return vaultData;
 
-      // 3. Try ERC4626 standard (most modern vaults)
-      if (!vaultData.asset_address) {
-        try {
-          const erc4626Data = await this.getERC4626Data(vaultAddress, provider);
-          vaultData = { ...vaultData, ...erc4626Data };
-          vaultData.vault_type = 'erc4626';
-          console.log(`✅ Enhanced with ERC4626 data`);
-        } catch (error) {
-          console.log(`ERC4626 failed: ${error.message}`);
-        }
-      }
+    } catch (error) {
+      console.error(`❌ On-chain data collection failed for ${vaultAddress}:`, error.message);
+      return null;
+    }
+  }
+
+  isVaultAddress(address) {
+    return typeof address === 'string' && address.startsWith('0x') && address.length === 42;
+  }
+
+  // "aave-v3" -> "aave"; null when only the generic reads apply
+  protocolFamily(protocol) {
+    const name = String(protocol || '').toLowerCase();
+    return ['aave', 'compound', 'yearn', 'morpho'].find(family => name.includes(family)) || null;
+  }
+
+  /**
+   * Fill in reward token symbols the sources didn't name, one aggregate3
+   * round trip per chain for tokens not seen before
+   */
+  async nameRewardTokens(vaults) {
+    const unnamed = new Map(); // chain -> addresses
+    vaults.forEach(vault => (vault.reward_tokens || []).forEach(token => {
+      if (token.symbol || !this.isVaultAddress(token.address) || !this.providers[vault.chain]) return;
+      if (!unnamed.has(vault.chain)) unnamed.set(vault.chain, []);
+      unnamed.get(vault.chain).push(token.address);
+    }));
+    if (unnamed.size === 0) return vaults;
+
+    await Promise.all(Array.from(unnamed.entries()).map(([chain, addresses]) =>
+      this.loadTokenMetadata(this.providers[chain], chain, addresses)
+    ));
+
+    return vaults.map(vault => vault.reward_tokens?.length > 0 ? {
+      ...vault,
+      reward_tokens: vault.reward_tokens.map(token => ({
+        ...token,
+        symbol: token.symbol ||
+          this.tokenMetadata.get(`${vault.chain}:${String(token.address).toLowerCase()}`)?.symbol || null
+      }))
+    } : vault);
+  }
+
+  /**
+   * Profiles of several vaults on one chain, read in one aggregate3 round trip
+   * (plus one for underlying tokens not seen before). Each read may fail on its
+   * own; vaults where nothing responded come back as null.
+   *
+   * @param {Array<{vault_address, protocol}>} vaults
+   */
+  async getVaultProfiles(chain, vaults) {
+    const provider = this.providers[chain];
+    if (!provider) {
+      throw new Error(`No provider configured for chain: ${chain}`);
+    }
+
+    const reads = vaults.map(({ vault_address, protocol }) => {
+      const family = this.protocolFamily(protocol);
+      return {
+        vault_address,
+        protocol,
+        family,
+        methods: [
+          ...PROFILE_READS.token,
+          ...PROFILE_READS.erc4626,
+          ...(PROFILE_READS[family] || [])
+        ]
+      };
+    });
+
+    const calls = reads.flatMap(({ vault_address, methods }) =>
+      methods.map(method => ({ target: vault_address, abi: this.profileABI, method }))
+    );
+    calls.push(this.multicall.blockNumberCall());
+
+    const results = await this.multicall.aggregate(provider, calls);
+    const blockNumber = results.pop().value;
+
+    // Failed reads become null
+    let offset = 0;
+    const values = reads.map(({ methods }) => Object.fromEntries(methods.map(method => {
+      const result = results[offset++];
+      return [method, result.success ? result.value : null];
+    })));
+
+    const assetAddresses = values.map((value, index) => this.assetAddressOf(reads[index].family, value));
+    await this.loadTokenMetadata(provider, chain, assetAddresses.filter(Boolean));
+
+    const profiles = reads.map((read, index) => {
+      const assetAddress = assetAddresses[index];
+      const asset = assetAddress
+        ? this.tokenMetadata.get(`${chain}:${assetAddress.toLowerCase()}`) || null
+        : null;
+
+      const vaultData = this.buildProfile(read, values[index], asset, chain);
+      if (!vaultData) return null;
 
       return {
         ...vaultData,
-        vault_address: vaultAddress,
+        vault_address: read.vault_address,
         chain,
         data_source: 'onchain',
         timestamp: Date.now(),
-        block_number: await provider.getBlockNumber()
+        block_number: blockNumber === null ? null : Number(blockNumber)
       };
+    });
 
-    } catch (error) {
-      console.error(`❌ On-chain data collection failed for ${vaultAddress}:`, error.message);
-      return null;
+    return this.loadLiquidity(provider, reads, profiles);
+  }
+
+  /**
+   * Assets that could leave each vault right now: Compound's cash (Comet's
+   * supply less borrows), the underlying held by Aave aTokens, what redeeming
+   * every share of an ERC-4626 vault would pay out (previewRedeem, so strategy
+   * vaults count their deployed funds; the idle balance if it reverts), and for
+   * MetaMorpho vaults what their markets can pay out. One aggregate3 round trip
+   * for the balances and redemptions, three per MetaMorpho vault.
+   */
+  async loadLiquidity(provider, reads, profiles) {
+    const balanceReads = profiles
+      .map((profile, index) => ({ profile, index, family: reads[index].family }))
+      .filter(({ profile, family }) => profile?.asset_address && !['compound', 'morpho'].includes(family));
+    const redeemReads = balanceReads.filter(({ profile }) => profile.vault_type === 'erc4626');
+
+    const results = await this.multicall.aggregate(provider, [
+      ...balanceReads.map(({ profile }) => ({
+        target: profile.asset_address, abi: this.erc20ABI, method: 'balanceOf', args: [profile.vault_address]
+      })),
+      ...redeemReads.map(({ profile }) => ({
+        target: profile.vault_address,
+        abi: this.vaultABI,
+        method: 'previewRedeem',
+        args: [ethers.parseUnits(profile.total_supply, profile.decimals)]
+      }))
+    ]);
+    const balances = results.slice(0, balanceReads.length);
+    const redemptions = new Map(redeemReads.map(({ index }, readIndex) =>
+      [index, results[balanceReads.length + readIndex]]
+    ));
+
+    const liquid = [...profiles];
+    balanceReads.forEach(({ profile, index, family }, readIndex) => {
+      const redemption = redemptions.get(index);
+      const read = redemption?.success ? redemption : balances[readIndex];
+      if (!read.success) return;
+
+      const available = ethers.formatUnits(read.value, profile.asset_decimals ?? profile.decimals);
+      const totalAssets = parseFloat(profile.total_assets);
+
+      // An aToken's underlying balance is the reserve's unborrowed liquidity
+      const utilization = family === 'aave' && totalAssets > 0
+        ? Math.max(0, 1 - parseFloat(available) / totalAssets)
+        : null;
+      liquid[index] = this.withLiquidity(profile, available, utilization);
+    });
+
+    await Promise.all(profiles.map(async (profile, index) => {
+      if (!profile) return;
+
+      if (reads[index].family === 'compound' && profile.available_liquidity !== undefined) {
+        liquid[index] = this.withLiquidity(profile, profile.available_liquidity, profile.utilization_rate);
+      } else if (reads[index].family === 'morpho' && profile.vault_type === 'erc4626') {
+        try {
+          const liquidity = await this.apyCalculators.getMetaMorphoLiquidity(profile.vault_address, provider);
+          const decimals = profile.asset_decimals ?? profile.decimals;
+          liquid[index] = this.withLiquidity(
+            { ...profile, total_assets: ethers.formatUnits(liquidity.total_assets, decimals) },
+            ethers.formatUnits(liquidity.available_assets, decimals),
+            liquidity.utilization
+          );
+        } catch (error) {
+          console.log(`⚠️ MetaMorpho liquidity failed for ${profile.vault_address}: ${error.message}`);
+        }
+      }
+    }));
+
+    return liquid;
+  }
+
+  withLiquidity(profile, available, utilization) {
+    const totalAssets = parseFloat(profile.total_assets);
+    const withdrawableRatio = Math.min(1, parseFloat(available) / totalAssets);
+    return {
+      ...profile,
+      available_liquidity: available ?? null,
+      utilization_rate: Number.isFinite(utilization) ? utilization : null,
+      withdrawable_ratio: totalAssets > 0 && Number.isFinite(withdrawableRatio) ? withdrawableRatio : null
+    };
+  }
+
+  // Liquidity of a vault's on-chain profile in the vault's own USD terms
+  liquidityFor(vault, profile) {
+    if (!profile || profile.withdrawable_ratio === null || profile.withdrawable_ratio === undefined) {
+      return {};
     }
+
+    return {
+      utilization_rate: profile.utilization_rate,
+      withdrawable_liquidity_usd: vault.tvl_usd > 0 ? Math.round(vault.tvl_usd * profile.withdrawable_ratio) : null
+    };
   }
 
-  async getERC4626Data(vaultAddress, provider) {
-    const vaultContract = new ethers.Contract(vaultAddress, this.vaultABI, provider);
-    
+  /**
+   * Add utilization_rate and withdrawable_liquidity_usd to API vaults that have
+   * a contract address on a chain with RPC endpoints
+   */
+  async attachLiquidity(vaults) {
+    const candidates = vaults.filter(vault => this.isVaultAddress(vault.vault_address) && this.providers[vault.chain]);
+    if (candidates.length === 0) return vaults;
+
+    const profiles = await this.batchGetVaultData(candidates.map(({ vault_address, chain, protocol }) => ({
+      vault_address, chain, protocol
+    })));
+    const byVault = new Map(profiles.map(profile => [`${profile.chain}:${profile.vault_address.toLowerCase()}`, profile]));
+
+    return vaults.map(vault => ({
+      ...vault,
+      ...this.liquidityFor(vault, byVault.get(`${vault.chain}:${String(vault.vault_address).toLowerCase()}`))
+    }));
+  }
+
+  /**
+   * APY of a vault after depositing `amount` of its underlying token. Where
+   * the protocol's rate model can be read (Aave, Compound V3, MetaMorpho), its
+   * APY change is applied to the vault's reported base APY; reward APY is
+   * diluted pro rata either way. Other vaults are diluted pro rata as a whole,
+   * as if their yield were fixed in absolute terms. APYs are percentages like
+   * the vault's own.
+   */
+  async simulateDeposit(vault, amount) {
+    const provider = this.providers[vault.chain];
+    if (!provider) {
+      throw new Error(`No provider configured for chain: ${vault.chain}`);
+    }
+    if (!this.isVaultAddress(vault.vault_address)) {
+      throw new Error(`Invalid vault address format: ${vault.vault_address}`);
+    }
+
+    const apy = parseFloat(vault.apy) || 0;
+    const rewardApy = Math.min(parseFloat(vault.reward_apy) || 0, apy);
+    // From the (consensus) APY rather than a source's base_apy, so no deposit means no change
+    const baseApy = apy - rewardApy;
+
+    let model = null;
     try {
-      const [
-        totalAssets,
-        totalSupply,
-        assetAddress,
-        name,
-        symbol,
-        decimals
-      ] = await Promise.all([
-        vaultContract.totalAssets(),
-        vaultContract.totalSupply(),
-        vaultContract.asset(),
-        vaultContract.name(),
-        vaultContract.symbol(),
-        vaultContract.decimals()
-      ]);
-
-      // Get asset token info
-      const assetContract = new ethers.Contract(assetAddress, this.erc20ABI, provider);
-      const [assetSymbol, assetDecimals] = await Promise.all([
-        assetContract.symbol(),
-        assetContract.decimals()
-      ]);
-
-      // Calculate share price (assets per share) - handle BigInt properly
-      const sharePrice = totalSupply > 0n 
-        ? Number(totalAssets) / Number(totalSupply)
-        : 1;
+      model = await this.apyCalculators.simulateDeposit(vault.vault_address, vault.protocol, amount, provider, vault.chain);
+    } catch (error) {
+      console.log(`⚠️ Rate model simulation failed for ${vault.vault_address}: ${error.message}`);
+    }
 
-      return {
-        name,
-        symbol,
-        decimals: Number(decimals),
-        total_assets: ethers.formatUnits(totalAssets, assetDecimals),
-        total_supply: ethers.formatUnits(totalSupply, decimals),
-        asset_address: assetAddress,
-        asset_symbol: assetSymbol,
-        asset_decimals: Number(assetDecimals),
-        share_price: sharePrice,
-        utilization_rate: null
+    let simulation;
+    if (model) {
+      simulation = {
+        method: model.method,
+        simulated_base_apy: Math.max(0, baseApy + (model.apy_after - model.apy_before) * 100),
+        simulated_reward_apy: rewardApy * model.reward_dilution,
+        utilization_before: model.utilization_before,
+        utilization_after: model.utilization_after,
+        accepts_full_amount: model.accepts_full_amount,
+        details: model.details
+      };
+    } else {
+      // The same yield shared by more assets
+      const profile = await this.getVaultOnChainData(vault.vault_address, vault.chain, vault.protocol);
+      const totalAssets = parseFloat(profile?.total_assets);
+      const dilution = totalAssets > 0 ? totalAssets / (totalAssets + parseFloat(amount)) : null;
+
+      simulation = {
+        method: dilution === null ? 'unavailable' : 'pro_rata',
+        simulated_base_apy: baseApy * (dilution ?? 1),
+        simulated_reward_apy: rewardApy * (dilution ?? 1),
+        utilization_before: null,
+        utilization_after: null,
+        accepts_full_amount: null,
+        details: null
       };
-    } catch (error) {
-      throw new Error(`ERC4626 method failed: ${error.message}`);
     }
+
+    const simulatedApy = simulation.simulated_base_apy + simulation.simulated_reward_apy;
+    return {
+      vault_address: vault.vault_address,
+      chain: vault.chain,
+      protocol: vault.protocol,
+      amount: String(amount),
+      apy,
+      base_apy: baseApy,
+      reward_apy: rewardApy,
+      simulated_apy: simulatedApy,
+      apy_impact: simulatedApy - apy,
+      ...simulation
+    };
   }
 
-  async getProtocolSpecificData(vaultAddress, provider, protocol) {
-    switch (protocol.toLowerCase()) {
-      case 'aave':
-      case 'aave-v3':
-        return await this.getAaveData(vaultAddress, provider);
-      
-      case 'compound':
-      case 'compound-v3':
-        return await this.getCompoundData(vaultAddress, provider);
-      
-      case 'yearn':
-        return await this.getYearnData(vaultAddress, provider);
-      
-      default:
-        throw new Error(`Protocol ${protocol} not supported`);
-    }
+  assetAddressOf(family, value) {
+    const address = (family === 'aave' && value.UNDERLYING_ASSET_ADDRESS) ||
+      (family === 'compound' && (value.underlying || value.baseToken)) ||
+      (family === 'yearn' && value.token) ||
+      value.asset;
+    return address && address !== ethers.ZeroAddress ? address : null;
   }
 
-  async getAaveData(vaultAddress, provider) {
-    try {
-      console.log(`📞 Calling Aave token methods for ${vaultAddress}...`);
-      
-      // Start with basic ERC20 calls
-      const tokenContract = new ethers.Contract(vaultAddress, this.erc20ABI, provider);
-      
-      const name = await tokenContract.name().catch(() => 'Unknown Aave Token');
-      const symbol = await tokenContract.symbol().catch(() => 'aUNKNOWN');
-      const decimals = await tokenContract.decimals().catch(() => 18);
-      const totalSupply = await tokenContract.totalSupply().catch(() => 0n);
-      
-      console.log(`✅ Aave token data: ${name} (${symbol})`);
-
-      // Try to get underlying asset (optional for aTokens)
-      let underlyingAsset = null;
-      let assetSymbol = symbol.replace('a', ''); // Remove 'a' prefix as fallback
-      
-      try {
-        const aTokenContract = new ethers.Contract(vaultAddress, [
-          "function UNDERLYING_ASSET_ADDRESS() external view returns (address)"
-        ], provider);
-        
-        underlyingAsset = await aTokenContract.UNDERLYING_ASSET_ADDRESS();
-        
-        if (underlyingAsset) {
-          const assetContract = new ethers.Contract(underlyingAsset, this.erc20ABI, provider);
-          assetSymbol = await assetContract.symbol().catch(() => assetSymbol);
-        }
-      } catch (error) {
-        console.log(`Could not get underlying asset: ${error.message}`);
+  /**
+   * Symbol and decimals of underlying tokens, cached per chain. Incomplete
+   * answers aren't cached so they are retried on the next read.
+   */
+  async loadTokenMetadata(provider, chain, addresses) {
+    const missing = [...new Set(addresses.map(address => address.toLowerCase()))]
+      .filter(address => !this.tokenMetadata.has(`${chain}:${address}`));
+    if (missing.length === 0) return;
+
+    const results = await this.multicall.aggregate(provider, missing.flatMap(address => [
+      { target: address, abi: this.erc20ABI, method: 'symbol' },
+      { target: address, abi: this.erc20ABI, method: 'decimals' }
+    ]));
+
+    missing.forEach((address, index) => {
+      const [symbol, decimals] = results.slice(index * 2, index * 2 + 2);
+      if (symbol.success && decimals.success) {
+        this.tokenMetadata.set(`${chain}:${address}`, {
+          symbol: symbol.value,
+          decimals: Number(decimals.value)
+        });
       }
+    });
+  }
 
-      return {
-        name,
-        symbol,
-        decimals: Number(decimals),
-        total_assets: ethers.formatUnits(totalSupply, decimals),
-        total_supply: ethers.formatUnits(totalSupply, decimals),
-        asset_address: underlyingAsset,
-        asset_symbol: assetSymbol,
-        share_price: 1.0
-      };
-    } catch (error) {
-      throw new Error(`Aave data collection failed: ${error.message}`);
+  // Protocol-specific data first, then ERC4626, then plain token data
+  buildProfile({ family, protocol }, value, asset, chain) {
+    const protocolData = family === 'aave' ? this.getAaveData(value, asset)
+      : family === 'compound' ? this.getCompoundData(value, asset, chain) || this.getCometData(value, asset)
+      : family === 'yearn' ? this.getYearnData(value, asset)
+      : null;
+    if (protocolData) {
+      return { ...protocolData, vault_type: protocol };
+    }
+
+    const erc4626Data = this.getERC4626Data(value, asset);
+    if (erc4626Data) {
+      return { ...erc4626Data, vault_type: 'erc4626' };
     }
+
+    const tokenData = this.getBasicTokenData(value);
+    return tokenData && { ...tokenData, vault_type: 'basic_token' };
   }
 
-  async getCompoundData(vaultAddress, provider) {
-    const cTokenContract = new ethers.Contract(vaultAddress, [
-      ...this.erc20ABI,
-      ...this.protocolABIs.compound,
-      "function underlying() external view returns (address)",
-      "function exchangeRateStored() external view returns (uint256)"
-    ], provider);
+  getBasicTokenData(value) {
+    if (PROFILE_READS.token.every(method => value[method] === null)) {
+      return null;
+    }
+
+    const decimals = value.decimals ?? 18n;
+    const symbol = value.symbol ?? 'UNKNOWN';
+    const totalSupply = ethers.formatUnits(value.totalSupply ?? 0n, decimals);
 
-    const [
-      name,
+    return {
+      name: value.name ?? 'Unknown Token',
       symbol,
-      decimals,
-      totalSupply,
-      supplyRate,
-      exchangeRate,
-      totalBorrows,
-      cash
-    ] = await Promise.all([
-      cTokenContract.name(),
-      cTokenContract.symbol(),
-      cTokenContract.decimals(),
-      cTokenContract.totalSupply(),
-      cTokenContract.supplyRatePerBlock(),
-      cTokenContract.exchangeRateStored(),
-      cTokenContract.totalBorrows(),
-      cTokenContract.getCash()
-    ]);
+      decimals: Number(decimals),
+      total_supply: totalSupply,
+      total_assets: totalSupply,
+      asset_symbol: symbol,
+      share_price: 1.0
+    };
+  }
+
+  getERC4626Data(value, asset) {
+    const tokenData = this.getBasicTokenData(value);
+    if (!tokenData || !value.asset || value.totalAssets === null) {
+      return null;
+    }
+
+    const totalAssets = ethers.formatUnits(value.totalAssets, asset?.decimals ?? tokenData.decimals);
+    const totalSupply = parseFloat(tokenData.total_supply);
+
+    return {
+      ...tokenData,
+      total_assets: totalAssets,
+      asset_address: value.asset,
+      asset_symbol: asset?.symbol ?? null,
+      asset_decimals: asset?.decimals ?? null,
+      share_price: totalSupply > 0 ? parseFloat(totalAssets) / totalSupply : 1,
+      utilization_rate: null
+    };
+  }
+
+  getAaveData(value, asset) {
+    const tokenData = this.getBasicTokenData(value);
+    if (!tokenData || !value.UNDERLYING_ASSET_ADDRESS) {
+      return null;
+    }
+
+    // aTokens rebase 1:1 with the underlying
+    return {
+      ...tokenData,
+      total_assets: tokenData.total_supply,
+      asset_address: value.UNDERLYING_ASSET_ADDRESS,
+      asset_symbol: asset?.symbol ?? tokenData.symbol.replace('a', ''),
+      share_price: 1.0
+    };
+  }
+
+  getCompoundData(value, asset, chain) {
+    const tokenData = this.getBasicTokenData(value);
+    const { supplyRatePerBlock, exchangeRateStored, totalBorrows, getCash } = value;
+    if (!tokenData || [supplyRatePerBlock, exchangeRateStored, totalBorrows, getCash].includes(null)) {
+      return null;
+    }
 
     // Calculate utilization rate
-    const totalAssets = cash + totalBorrows;
-    const utilizationRate = totalAssets > 0 ? Number(totalBorrows) / Number(totalAssets) : 0;
+    const totalAssets = getCash + totalBorrows;
+    const utilizationRate = totalAssets > 0n ? Number(totalBorrows) / Number(totalAssets) : 0;
 
     // Convert supply rate (per block) to APY
-    const blocksPerYear = 2102400; // Ethereum blocks per year
-    const supplyAPY = (Math.pow(1 + Number(supplyRate) / 1e18, blocksPerYear) - 1) * 100;
+    const blocksPerYear = this.chainRegistry.blocksPerYear(chain);
+    const supplyAPY = (Math.pow(1 + Number(supplyRatePerBlock) / 1e18, blocksPerYear) - 1) * 100;
+
+    // cETH has no underlying() and 18 decimals
+    const assetDecimals = asset?.decimals ?? 18;
 
     return {
-      name,
-      symbol,
-      decimals: Number(decimals),
-      total_assets: ethers.formatEther(totalAssets),
-      total_supply: ethers.formatUnits(totalSupply, decimals),
-      share_price: Number(exchangeRate) / 1e18,
+      ...tokenData,
+      total_assets: ethers.formatUnits(totalAssets, assetDecimals),
+      asset_address: value.underlying,
+      asset_symbol: asset?.symbol ?? null,
+      share_price: Number(exchangeRateStored) / 1e18,
       supply_apy: supplyAPY,
       utilization_rate: utilizationRate,
-      total_borrows: ethers.formatEther(totalBorrows)
+      available_liquidity: ethers.formatUnits(getCash, assetDecimals),
+      total_borrows: ethers.formatUnits(totalBorrows, assetDecimals)
     };
   }
 
-  async getYearnData(vaultAddress, provider) {
-    const yearnContract = new ethers.Contract(vaultAddress, [
-      ...this.erc20ABI,
-      ...this.protocolABIs.yearn,
-      "function token() external view returns (address)"
-    ], provider);
-
-    const [
-      name,
-      symbol,
-      decimals,
-      totalSupply,
-      totalAssets,
-      pricePerShare,
-      tokenAddress
-    ] = await Promise.all([
-      yearnContract.name(),
-      yearnContract.symbol(),
-      yearnContract.decimals(),
-      yearnContract.totalSupply(),
-      yearnContract.totalAssets(),
-      yearnContract.pricePerShare(),
-      yearnContract.token()
-    ]);
+  // Comet's totalSupply and totalBorrow are present values in the base token
+  getCometData(value, asset) {
+    const tokenData = this.getBasicTokenData(value);
+    const { baseToken, totalSupply, totalBorrow, getUtilization } = value;
+    if (!tokenData || [baseToken, totalSupply, totalBorrow, getUtilization].includes(null)) {
+      return null;
+    }
 
-    // Get underlying token info
-    const tokenContract = new ethers.Contract(tokenAddress, this.erc20ABI, provider);
-    const [tokenSymbol, tokenDecimals] = await Promise.all([
-      tokenContract.symbol(),
-      tokenContract.decimals()
-    ]);
+    const assetDecimals = asset?.decimals ?? tokenData.decimals;
+    const available = totalSupply > totalBorrow ? totalSupply - totalBorrow : 0n;
 
     return {
-      name,
-      symbol,
-      decimals: Number(decimals),
-      total_assets: ethers.formatUnits(totalAssets, tokenDecimals),
-      total_supply: ethers.formatUnits(totalSupply, decimals),
-      asset_address: tokenAddress,
-      asset_symbol: tokenSymbol,
-      share_price: Number(pricePerShare) / Math.pow(10, Number(decimals))
+      ...tokenData,
+      total_assets: ethers.formatUnits(totalSupply, assetDecimals),
+      asset_address: baseToken,
+      asset_symbol: asset?.symbol ?? null,
+      share_price: 1.0,
+      utilization_rate: Number(getUtilization) / 1e18,
+      available_liquidity: ethers.formatUnits(available, assetDecimals),
+      total_borrows: ethers.formatUnits(totalBorrow, assetDecimals)
     };
   }
 
-  async getBasicTokenData(vaultAddress, provider) {
-    try {
-      console.log(`📞 Creating contract for ${vaultAddress}...`);
-      
-      // Create contract with minimal ABI first
-      const minimalABI = [
-        "function name() view returns (string)",
-        "function symbol() view returns (string)", 
-        "function decimals() view returns (uint8)",
-        "function totalSupply() view returns (uint256)"
-      ];
-      
-      const tokenContract = new ethers.Contract(vaultAddress, minimalABI, provider);
-      
-      console.log(`📞 Contract created, calling methods...`);
-      
-      // Test connection first
-      try {
-        const decimals = await tokenContract.decimals();
-        console.log(`✅ Contract responsive, decimals: ${decimals}`);
-      } catch (error) {
-        console.log(`❌ Contract test failed: ${error.message}`);
-        throw new Error(`Contract not responsive: ${error.message}`);
-      }
-      
-      // Call methods individually with detailed error handling
-      let name, symbol, decimals, totalSupply;
-      
-      try {
-        name = await tokenContract.name();
-        console.log(`✅ Got name: ${name}`);
-      } catch (error) {
-        console.log(`⚠️ Name failed: ${error.message}`);
-        name = 'Unknown Token';
-      }
-      
-      try {
-        symbol = await tokenContract.symbol();
-        console.log(`✅ Got symbol: ${symbol}`);
-      } catch (error) {
-        console.log(`⚠️ Symbol failed: ${error.message}`);
-        symbol = 'UNKNOWN';
-      }
-      
-      try {
-        decimals = await tokenContract.decimals();
-        console.log(`✅ Got decimals: ${decimals}`);
-      } catch (error) {
-        console.log(`⚠️ Decimals failed: ${error.message}`);
-        decimals = 18n;
-      }
-      
-      try {
-        totalSupply = await tokenContract.totalSupply();
-        console.log(`✅ Got totalSupply: ${totalSupply}`);
-      } catch (error) {
-        console.log(`⚠️ TotalSupply failed: ${error.message}`);
-        totalSupply = 0n;
-      }
-
-      console.log(`✅ Basic token data: ${name} (${symbol})`);
-
-      return {
-        name,
-        symbol,
-        decimals: Number(decimals),
-        total_supply: ethers.formatUnits(totalSupply, decimals),
-        total_assets: ethers.formatUnits(totalSupply, decimals),
-        asset_symbol: symbol,
-        share_price: 1.0
-      };
-    } catch (error) {
-      console.error(`❌ Basic token data failed: ${error.message}`);
-      throw new Error(`Basic token data failed: ${error.message}`);
+  getYearnData(value, asset) {
+    const tokenData = this.getBasicTokenData(value);
+    // V3 vaults expose asset() instead of token()
+    const tokenAddress = value.token || value.asset;
+    if (!tokenData || !tokenAddress || value.totalAssets === null || value.pricePerShare === null) {
+      return null;
     }
+
+    return {
+      ...tokenData,
+      total_assets: ethers.formatUnits(value.totalAssets, asset?.decimals ?? tokenData.decimals),
+      asset_address: tokenAddress,
+      asset_symbol: asset?.symbol ?? null,
+      share_price: Number(value.pricePerShare) / Math.pow(10, tokenData.decimals)
+    };
   }
 
+  /**
+   * On-chain data for many vaults: one aggregate3 round trip per chain and
+   * MULTICALL_VAULTS_PER_BATCH (25) vaults, chains in parallel
+   */
   async batchGetVaultData(vaultList) {
     console.log(`📡 Getting on-chain data for ${vaultList.length} vaults`);
-    
-    const results = [];
-    const BATCH_SIZE = 5; // Avoid rate limiting
-
-    for (let i = 0; i < vaultList.length; i += BATCH_SIZE) {
-      const batch = vaultList.slice(i, i + BATCH_SIZE);
-      
-      const batchPromises = batch.map(({ vault_address, chain, protocol }) =>
-        this.getVaultOnChainData(vault_address, chain, protocol)
-          .catch(error => {
-            console.error(`Failed to get data for ${vault_address}: ${error.message}`);
-            return null;
-          })
-      );
-
-      const batchResults = await Promise.all(batchPromises);
-      results.push(...batchResults.filter(result => result !== null));
-      
-      // Rate limiting delay
-      if (i + BATCH_SIZE < vaultList.length) {
-        await new Promise(resolve => setTimeout(resolve, 1000));
+
+    const byChain = new Map();
+    vaultList.forEach(vault => {
+      if (!this.isVaultAddress(vault.vault_address)) {
+        console.log(`⚠️ Skipping invalid vault address: ${vault.vault_address}`);
+        return;
       }
-    }
+      if (!byChain.has(vault.chain)) byChain.set(vault.chain, []);
+      byChain.get(vault.chain).push(vault);
+    });
+
+    const chainResults = await Promise.all(Array.from(byChain.entries()).map(async ([chain, vaults]) => {
+      const profiles = [];
+      for (let i = 0; i < vaults.length; i += this.vaultsPerBatch) {
+        const batch = vaults.slice(i, i + this.vaultsPerBatch);
+        try {
+          profiles.push(...await this.getVaultProfiles(chain, batch));
+        } catch (error) {
+          console.error(`Failed to get data for ${batch.length} ${chain} vaults: ${error.message}`);
+        }
+      }
+      return profiles;
+    }));
+
+    const results = chainResults.flat().filter(result => result !== null);
 
     console.log(`📊 Successfully collected on-chain data for ${results.length}/${vaultList.length} vaults`);
     return results;
@@ -0,0 +1,183 @@
+// src/collectors/source-registry.js
+const fs = require('fs');
+const path = require('path');
+const ApyConsensus = require('../utils/apy-consensus');
+
+// Built-in sources, resolved relative to this directory
+const BUILT_IN_SOURCES = {
+  defillama: './api/defillama-collector',
+  vaultsfyi: './api/vaults-fyi-collector'
+};
+
+const DEFAULT_SOURCES = ['defillama', 'vaultsfyi'];
+const PLUGIN_METHODS = ['collect', 'normalize', 'healthCheck', 'capabilities'];
+
+/**
+ * Loads vault data sources and collects from them as one set.
+ *
+ * A source plugin is a class exposing:
+ *   collect()      -> raw records (throws on failure)
+ *   normalize(raw) -> vault row in the shared schema
+ *   healthCheck()  -> { healthy, latency_ms, ... }
+ *   capabilities() -> { assets, chains, fields, ... }
+ *
+ * Sources come from VAULT_SOURCES (comma-separated built-in names) or
+ * VAULT_SOURCES_CONFIG, a JSON file of [{ name, module, enabled, options }].
+ * When an identity resolver is given, pool ids are mapped to contract
+ * addresses first; vaults reported by several sources are then merged by
+ * ApyConsensus.
+ */
+class SourceRegistry {
+  constructor(options = {}) {
+    this.sources = new Map(); // name -> { name, plugin, stats }
+    this.consensus = options.consensus || new ApyConsensus();
+    this.identityResolver = options.identityResolver || null;
+
+    const definitions = options.sources || SourceRegistry.loadDefinitions();
+    definitions
+      .filter(definition => definition.enabled !== false)
+      .forEach(definition => this.register(definition));
+
+    if (this.sources.size === 0) {
+      throw new Error('No vault data sources are enabled');
+    }
+  }
+
+  static loadDefinitions() {
+    const configPath = process.env.VAULT_SOURCES_CONFIG;
+    if (configPath) {
+      const resolved = path.resolve(configPath);
+      const definitions = JSON.parse(fs.readFileSync(resolved, 'utf8'));
+      if (!Array.isArray(definitions)) {
+        throw new Error(`${configPath} must contain an array of source definitions`);
+      }
+      // Custom module paths are relative to the config file
+      return definitions.map(definition => ({
+        ...definition,
+        module: definition.module && definition.module.startsWith('.')
+          ? path.resolve(path.dirname(resolved), definition.module)
+          : definition.module
+      }));
+    }
+
+    const names = process.env.VAULT_SOURCES
+      ? process.env.VAULT_SOURCES.split(',').map(name => name.trim().toLowerCase()).filter(Boolean)
+      : DEFAULT_SOURCES;
+
+    return names.map(name => ({ name }));
+  }
+
+  register({ name, module: modulePath, plugin, options = {} }) {
+    if (!name) {
+      throw new Error('Source definitions need a name');
+    }
+    if (this.sources.has(name)) {
+      throw new Error(`Source ${name} is registered twice`);
+    }
+
+    let instance = plugin;
+    if (!instance) {
+      const target = modulePath || BUILT_IN_SOURCES[name];
+      if (!target) {
+        throw new Error(`Unknown source ${name}; set a module path in VAULT_SOURCES_CONFIG`);
+      }
+      const SourceClass = require(target);
+      instance = new SourceClass(options);
+    }
+
+    const missing = PLUGIN_METHODS.filter(method => typeof instance[method] !== 'function');
+    if (missing.length > 0) {
+      throw new Error(`Source ${name} does not implement ${missing.join(', ')}`);
+    }
+
+    this.sources.set(name, {
+      name,
+      plugin: instance,
+      stats: { last_run_at: null, last_count: 0, last_duration_ms: null, last_error: null }
+    });
+    console.log(`🔌 Registered vault source: ${name}`);
+  }
+
+  get(name) {
+    return this.sources.get(name)?.plugin || null;
+  }
+
+  async collectFrom(source) {
+    const startTime = Date.now();
+
+    try {
+      const records = await source.plugin.collect();
+      const vaults = records.map(record => source.plugin.normalize(record));
+
+      source.stats = {
+        last_run_at: new Date().toISOString(),
+        last_count: vaults.length,
+        last_duration_ms: Date.now() - startTime,
+        last_error: null
+      };
+      return vaults;
+    } catch (error) {
+      console.error(`❌ ${source.name} collection failed:`, error.message);
+      source.stats = {
+        last_run_at: new Date().toISOString(),
+        last_count: 0,
+        last_duration_ms: Date.now() - startTime,
+        last_error: error.message
+      };
+      return [];
+    }
+  }
+
+  /**
+   * Collect from every source in parallel and merge vaults reported by more
+   * than one source into a single row with a consensus APY
+   */
+  async collectAll() {
+    const sources = Array.from(this.sources.values());
+    console.log(`🔄 Collecting from ${sources.map(source => source.name).join(', ')}...`);
+
+    const results = await Promise.all(sources.map(source => this.collectFrom(source)));
+    let sourced = results.map((vaults, index) => ({ source: sources[index].name, vaults }));
+
+    if (this.identityResolver) {
+      try {
+        sourced = await this.identityResolver.resolveAll(sourced);
+      } catch (error) {
+        console.error('⚠️ Vault identity resolution failed:', error.message);
+      }
+    }
+
+    const vaults = this.consensus.merge(sourced);
+
+    const counts = results.map((vaults, index) => `${vaults.length} ${sources[index].name}`).join(' + ');
+    const disputed = vaults.filter(vault => vault.apy_disagreement).length;
+    console.log(`📊 Deduplicated: ${counts} → ${vaults.length} unique vaults (${disputed} with APY disagreement)`);
+
+    return vaults;
+  }
+
+  async healthCheck() {
+    const sources = Array.from(this.sources.values());
+    const checks = await Promise.all(sources.map(async source => {
+      try {
+        return await source.plugin.healthCheck();
+      } catch (error) {
+        return { healthy: false, error: error.message };
+      }
+    }));
+
+    return sources.map((source, index) => ({ name: source.name, ...checks[index] }));
+  }
+
+  getSources() {
+    return Array.from(this.sources.values()).map(source => ({
+      name: source.name,
+      capabilities: source.plugin.capabilities(),
+      stats: source.stats
+    }));
+  }
+}
+
+SourceRegistry.BUILT_IN_SOURCES = Object.keys(BUILT_IN_SOURCES);
+
+module.exports = SourceRegistry;
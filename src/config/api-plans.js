@@ -0,0 +1,25 @@
+// src/config/api-plans.js
+// Rate limits and daily quotas per API key plan. dailyQuota: null means unlimited.
+
+const API_PLANS = {
+  free: {
+    requestsPerMinute: 60,
+    dailyQuota: 5000
+  },
+  pro: {
+    requestsPerMinute: 600,
+    dailyQuota: 100000
+  },
+  enterprise: {
+    requestsPerMinute: 3000,
+    dailyQuota: null
+  }
+};
+
+// Requests without an API key are limited per client IP
+const ANONYMOUS_PLAN = {
+  requestsPerMinute: 200,
+  dailyQuota: null
+};
+
+module.exports = { API_PLANS, ANONYMOUS_PLAN };
@@ -0,0 +1,87 @@
+// src/config/assets.js
+// Supported underlying assets. `aliases` are symbols that resolve to the asset
+// (bridged variants included); `addresses` are the canonical tokens per chain,
+// with bridged variants listed after the native token.
+// COLLECT_ASSETS=USDC,USDT limits which assets collectors fetch.
+
+const ASSETS = {
+  USDC: {
+    name: 'USD Coin',
+    class: 'stable',
+    decimals: 6,
+    aliases: ['USDC', 'USDC.e', 'USDbC', 'USDCe'],
+    addresses: {
+      ethereum: ['0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48'],
+      base: ['0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913', '0xd9aAEc86B65D86f6A7B5B1b0c42FFA531710b6CA'],
+      arbitrum: ['0xaf88d065e77c8cC2239327C5EDb3A432268e5831', '0xFF970A61A04b1cA14834A43f5dE4533eBDDB5CC8'],
+      optimism: ['0x0b2C639c533813f4Aa9D7837CAf62653d097Ff85', '0x7F5c764cBc14f9669B88837ca1490cCa17c31607'],
+      polygon: ['0x3c499c542cEF5E3811e1192ce70d8cC03d5c3359', '0x2791Bca1f2de4661ED88A30C99A7a9449Aa84174']
+    }
+  },
+  USDT: {
+    name: 'Tether USD',
+    class: 'stable',
+    decimals: 6,
+    aliases: ['USDT', 'USDT0', 'USDT.e', 'USD₮0'],
+    addresses: {
+      ethereum: ['0xdAC17F958D2ee523a2206206994597C13D831ec7'],
+      base: ['0xfde4C96c8593536E31F229EA8f37b2ADa2699bb2'],
+      arbitrum: ['0xFd086bC7CD5C481DCC9C85ebE478A1C0b69FCbb9'],
+      optimism: ['0x94b008aA00579c1307B0EF2c499aD98a8ce58e58'],
+      polygon: ['0xc2132D05D31c914a87C6611C10748AEb04B58e8F']
+    }
+  },
+  DAI: {
+    name: 'Dai Stablecoin',
+    class: 'stable',
+    decimals: 18,
+    aliases: ['DAI', 'DAI.e'],
+    addresses: {
+      ethereum: ['0x6B175474E89094C44Da98b954EedeAC495271d0F'],
+      base: ['0x50c5725949A6F0c72E6C4a641F24049A917DB0Cb'],
+      arbitrum: ['0xDA10009cBd5D07dd0CeCc66161FC93D7c9000da1'],
+      optimism: ['0xDA10009cBd5D07dd0CeCc66161FC93D7c9000da1'],
+      polygon: ['0x8f3Cf7ad23Cd3CaDbD9735AFf958023239c6A063']
+    }
+  },
+  WETH: {
+    name: 'Wrapped Ether',
+    class: 'volatile',
+    decimals: 18,
+    aliases: ['WETH', 'ETH', 'WETH.e'],
+    addresses: {
+      ethereum: ['0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2'],
+      base: ['0x4200000000000000000000000000000000000006'],
+      arbitrum: ['0x82aF49447D8a07e3bd95BD0d56f35241523fBab1'],
+      optimism: ['0x4200000000000000000000000000000000000006'],
+      polygon: ['0x7ceB23fD6bC0adD59E62ac25578270cFf1b9f619']
+    }
+  },
+  wstETH: {
+    name: 'Lido Wrapped Staked ETH',
+    class: 'volatile',
+    decimals: 18,
+    aliases: ['wstETH'],
+    addresses: {
+      ethereum: ['0x7f39C581F595B53c5cb19bD0b3f8dA6c935E2Ca0'],
+      base: ['0xc1CBa3fCea344f92D9239c08C0568f6F2F0ee452'],
+      arbitrum: ['0x5979D7b546E38E414F7E9822514be443A4800529'],
+      optimism: ['0x1F32b1c2345538c0c6f582fCB022739c4A194Ebb'],
+      polygon: ['0x03b54A6e9a984069379fae1a4fC4dBAE93B3bCCD']
+    }
+  },
+  WBTC: {
+    name: 'Wrapped BTC',
+    class: 'volatile',
+    decimals: 8,
+    aliases: ['WBTC', 'WBTC.e'],
+    addresses: {
+      ethereum: ['0x2260FAC5E5542a773Aa44fBCfeDf7C193bc2C599'],
+      arbitrum: ['0x2f2a2543B76A4166549F7aaB2e75Bef0aefC5B0f'],
+      optimism: ['0x68f180fcCe6836688e9084f035309E29Bf0A2095'],
+      polygon: ['0x1BFD67037B42Cf73acF2047067bd4F2C47D9BfD6']
+    }
+  }
+};
+
+module.exports = ASSETS;
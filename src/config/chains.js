@@ -0,0 +1,143 @@
+// src/config/chains.js
+// Supported chains, keyed by the name stored in vaults.chain. `aliases` are
+// other spellings that resolve to the chain; `sourceNames` are the names data
+// sources use for it. The CAIP-2 id (eip155:<chainId>) also resolves.
+// `rpcEnv` is the primary RPC endpoint's env key (more in RPC_URLS_<CHAIN>),
+// `contracts` the protocol deployments, `riskMultiplier` the chain risk
+// factor new risk models start from (each published model keeps its own
+// copy). Chains with `collect: false` are known but not collected.
+// COLLECT_CHAINS=ethereum,base limits which chains collectors fetch.
+
+const CHAINS = {
+  ethereum: {
+    name: 'Ethereum',
+    chainId: 1,
+    aliases: ['eth', 'mainnet'],
+    sourceNames: { defillama: 'Ethereum', vaultsfyi: 'mainnet' },
+    blockTimeSeconds: 12,
+    rpcEnv: 'ALCHEMY_ETH_URL',
+    riskMultiplier: 1.0, // Safest, most established
+    collect: true,
+    contracts: {
+      aaveV3Pool: '0x87870Bca3F3fD6335C3F4ce8392D69350B4fA4E2',
+      morphoBlue: '0xBBBBBbbBBb9cC5e90e3b3Af64bdAF62C37EEFFCb',
+      linkToken: '0x514910771AF9Ca656af840dff83E8264EcF986CA'
+    }
+  },
+  base: {
+    name: 'Base',
+    chainId: 8453,
+    aliases: [],
+    sourceNames: { defillama: 'Base', vaultsfyi: 'base' },
+    blockTimeSeconds: 2,
+    rpcEnv: 'ALCHEMY_BASE_URL',
+    riskMultiplier: 0.95, // Coinbase L2, very safe
+    collect: true,
+    contracts: {
+      aaveV3Pool: '0xA238Dd80C259a72e81d7e4664a9801593F98d1c5',
+      morphoBlue: '0xBBBBBbbBBb9cC5e90e3b3Af64bdAF62C37EEFFCb',
+      linkToken: '0x88Fb150BDc53A65fe94Dea0c9BA0a6dAf8C6e196'
+    }
+  },
+  arbitrum: {
+    name: 'Arbitrum One',
+    chainId: 42161,
+    aliases: ['arbitrum-one', 'arb'],
+    sourceNames: { defillama: 'Arbitrum', vaultsfyi: 'arbitrum' },
+    blockTimeSeconds: 0.25,
+    rpcEnv: 'ALCHEMY_ARBITRUM_URL',
+    riskMultiplier: 0.9, // Established L2
+    collect: true,
+    contracts: {
+      aaveV3Pool: '0x794a61358D6845594F94dc1DB02A252b5b4814aD'
+    }
+  },
+  polygon: {
+    name: 'Polygon',
+    chainId: 137,
+    aliases: ['matic', 'polygon-pos'],
+    sourceNames: { defillama: 'Polygon', vaultsfyi: 'polygon' },
+    blockTimeSeconds: 2,
+    rpcEnv: 'ALCHEMY_POLYGON_URL',
+    riskMultiplier: 0.85, // Established but some risks
+    collect: true,
+    contracts: {
+      aaveV3Pool: '0x794a61358D6845594F94dc1DB02A252b5b4814aD',
+      linkToken: '0xb0897686c545045aFc77CF20eC7A532E3120E0F1'
+    }
+  },
+  optimism: {
+    name: 'OP Mainnet',
+    chainId: 10,
+    aliases: ['op'],
+    sourceNames: { defillama: 'Optimism', vaultsfyi: 'optimism' },
+    blockTimeSeconds: 2,
+    rpcEnv: 'ALCHEMY_OPTIMISM_URL',
+    riskMultiplier: 0.9, // Established L2
+    collect: true,
+    contracts: {
+      aaveV3Pool: '0x794a61358D6845594F94dc1DB02A252b5b4814aD'
+    }
+  },
+  avalanche: {
+    name: 'Avalanche C-Chain',
+    chainId: 43114,
+    aliases: ['avax'],
+    sourceNames: { defillama: 'Avalanche', vaultsfyi: 'avalanche' },
+    blockTimeSeconds: 2,
+    rpcEnv: 'ALCHEMY_AVALANCHE_URL',
+    riskMultiplier: 0.8, // Less established
+    collect: false,
+    contracts: {
+      aaveV3Pool: '0x794a61358D6845594F94dc1DB02A252b5b4814aD'
+    }
+  },
+  bsc: {
+    name: 'BNB Smart Chain',
+    chainId: 56,
+    aliases: ['bnb', 'binance'],
+    sourceNames: { defillama: 'BSC', vaultsfyi: 'bsc' },
+    blockTimeSeconds: 3,
+    riskMultiplier: 0.7, // Higher risk
+    collect: false,
+    contracts: {}
+  },
+  gnosis: {
+    name: 'Gnosis',
+    chainId: 100,
+    aliases: ['xdai'],
+    sourceNames: { defillama: 'xDai', vaultsfyi: 'gnosis' },
+    blockTimeSeconds: 5,
+    riskMultiplier: 0.7,
+    collect: false,
+    contracts: {}
+  },
+
+  // Testnets, for contract deployment only
+  sepolia: {
+    name: 'Sepolia',
+    chainId: 11155111,
+    aliases: [],
+    sourceNames: {},
+    blockTimeSeconds: 12,
+    testnet: true,
+    collect: false,
+    contracts: {
+      linkToken: '0x779877A7B0D9E8603169DdbD7836e478b4624789'
+    }
+  },
+  mumbai: {
+    name: 'Mumbai',
+    chainId: 80001,
+    aliases: [],
+    sourceNames: {},
+    blockTimeSeconds: 2,
+    testnet: true,
+    collect: false,
+    contracts: {
+      linkToken: '0x326C977E6efc84E512bB9C30f76E30c160eD06FB'
+    }
+  }
+};
+
+module.exports = CHAINS;
@@ -0,0 +1,193 @@
+// src/config/migrate.js
+// Versioned schema migrations. Files in ./migrations are named NNN_description.js and export up/down.
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const { Pool } = require('pg');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const MIGRATION_LOCK_ID = 72140913; // Arbitrary key for pg_advisory_lock
+
+function createPool() {
+  return new Pool({
+    host: process.env.DB_HOST,
+    port: process.env.DB_PORT,
+    database: process.env.DB_NAME,
+    user: process.env.DB_USER,
+    password: process.env.DB_PASS,
+  });
+}
+
+function loadMigrations() {
+  return fs.readdirSync(MIGRATIONS_DIR)
+    .filter(file => /^\d+_.+\.js$/.test(file))
+    .map(file => {
+      const [version] = file.split('_');
+      const migration = require(path.join(MIGRATIONS_DIR, file));
+
+      if (typeof migration.up !== 'function' || typeof migration.down !== 'function') {
+        throw new Error(`Migration ${file} must export up() and down()`);
+      }
+
+      return {
+        version: parseInt(version, 10),
+        name: file.replace(/\.js$/, ''),
+        up: migration.up,
+        down: migration.down
+      };
+    })
+    .sort((a, b) => a.version - b.version);
+}
+
+async function ensureMigrationsTable(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name VARCHAR(255) NOT NULL,
+      applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+  `);
+}
+
+async function getAppliedVersions(client) {
+  const result = await client.query('SELECT version FROM schema_migrations ORDER BY version');
+  return result.rows.map(row => row.version);
+}
+
+// Serialize runners across processes so two deploys can't migrate at once
+async function withMigrationLock(pool, fn) {
+  const client = await pool.connect();
+
+  try {
+    await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_ID]);
+    await ensureMigrationsTable(client);
+    return await fn(client);
+  } finally {
+    await client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_ID]).catch(() => {});
+    client.release();
+  }
+}
+
+async function runInTransaction(client, fn) {
+  await client.query('BEGIN');
+  try {
+    await fn();
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  }
+}
+
+/**
+ * Apply all pending migrations in version order, each in its own transaction
+ */
+async function migrate(pool, { target = Infinity } = {}) {
+  return withMigrationLock(pool, async (client) => {
+    const applied = new Set(await getAppliedVersions(client));
+    const pending = loadMigrations().filter(m => !applied.has(m.version) && m.version <= target);
+
+    if (pending.length === 0) {
+      console.log('✅ Database schema is up to date');
+      return [];
+    }
+
+    for (const migration of pending) {
+      console.log(`⬆️  Applying ${migration.name}...`);
+      await runInTransaction(client, async () => {
+        await migration.up(client);
+        await client.query(
+          'INSERT INTO schema_migrations (version, name) VALUES ($1, $2)',
+          [migration.version, migration.name]
+        );
+      });
+    }
+
+    console.log(`✅ Applied ${pending.length} migration(s)`);
+    return pending.map(m => m.name);
+  });
+}
+
+/**
+ * Revert the most recently applied migrations
+ */
+async function rollback(pool, { steps = 1 } = {}) {
+  return withMigrationLock(pool, async (client) => {
+    const migrations = new Map(loadMigrations().map(m => [m.version, m]));
+    const toRevert = (await getAppliedVersions(client)).reverse().slice(0, steps);
+
+    if (toRevert.length === 0) {
+      console.log('📝 No migrations to roll back');
+      return [];
+    }
+
+    for (const version of toRevert) {
+      const migration = migrations.get(version);
+      if (!migration) {
+        throw new Error(`Migration file for applied version ${version} not found`);
+      }
+
+      console.log(`⬇️  Reverting ${migration.name}...`);
+      await runInTransaction(client, async () => {
+        await migration.down(client);
+        await client.query('DELETE FROM schema_migrations WHERE version = $1', [version]);
+      });
+    }
+
+    console.log(`✅ Rolled back ${toRevert.length} migration(s)`);
+    return toRevert;
+  });
+}
+
+async function status(pool) {
+  return withMigrationLock(pool, async (client) => {
+    const result = await client.query('SELECT version, applied_at FROM schema_migrations');
+    const appliedAt = new Map(result.rows.map(row => [row.version, row.applied_at]));
+
+    return loadMigrations().map(m => ({
+      version: m.version,
+      name: m.name,
+      status: appliedAt.has(m.version) ? 'applied' : 'pending',
+      applied_at: appliedAt.get(m.version) || null
+    }));
+  });
+}
+
+// CLI: node src/config/migrate.js <up|down|status> [--steps=N] [--to=VERSION]
+async function main() {
+  const [command = 'up', ...args] = process.argv.slice(2);
+  const options = Object.fromEntries(
+    args.map(arg => arg.replace(/^--/, '').split('=')).map(([key, value]) => [key, parseInt(value, 10)])
+  );
+  const pool = createPool();
+
+  try {
+    switch (command) {
+      case 'up':
+        await migrate(pool, { target: options.to || Infinity });
+        break;
+
+      case 'down':
+        await rollback(pool, { steps: options.steps || 1 });
+        break;
+
+      case 'status':
+        console.table(await status(pool));
+        break;
+
+      default:
+        throw new Error(`Unknown command: ${command} (expected up, down or status)`);
+    }
+  } catch (error) {
+    console.error('❌ Migration failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await pool.end();
+  }
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { migrate, rollback, status, loadMigrations };
@@ -0,0 +1,129 @@
+// src/config/migrations/001_baseline.js
+// Baseline schema: the vaults, vault_metrics and protocols tables previously created by setup-db.js
+
+module.exports = {
+  async up(client) {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS vaults (
+        id SERIAL PRIMARY KEY,
+        vault_address VARCHAR(42) NOT NULL,
+        chain VARCHAR(20) NOT NULL,
+        protocol VARCHAR(50) NOT NULL,
+        name VARCHAR(255) NOT NULL,
+        asset_symbol VARCHAR(10) NOT NULL,
+        asset_address VARCHAR(42),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        CONSTRAINT vaults_chain_vault_address_key UNIQUE (chain, vault_address)
+      );
+    `);
+
+    // Databases created by the old setup-db.js may still use the address-only identity
+    await migrateVaultIdentity(client);
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS vault_metrics (
+        id SERIAL PRIMARY KEY,
+        vault_address VARCHAR(42) NOT NULL,
+        chain VARCHAR(20) NOT NULL,
+        apy DECIMAL(10,4),
+        apr DECIMAL(10,4),
+        tvl_usd BIGINT,
+        utilization_rate DECIMAL(5,4),
+        risk_score INTEGER,
+        data_source VARCHAR(20) NOT NULL,
+        timestamp TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        CONSTRAINT vault_metrics_chain_vault_address_fkey
+          FOREIGN KEY (chain, vault_address) REFERENCES vaults(chain, vault_address)
+      );
+    `);
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS protocols (
+        id SERIAL PRIMARY KEY,
+        name VARCHAR(50) UNIQUE NOT NULL,
+        chain VARCHAR(20) NOT NULL,
+        audit_status VARCHAR(20) DEFAULT 'unknown',
+        launch_date DATE,
+        governance_token VARCHAR(10),
+        total_tvl_usd BIGINT DEFAULT 0,
+        risk_category VARCHAR(20) DEFAULT 'medium',
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_vault_metrics_timestamp
+      ON vault_metrics(timestamp DESC);
+    `);
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_vault_metrics_chain_vault_address
+      ON vault_metrics(chain, vault_address, timestamp DESC);
+    `);
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_vaults_chain_protocol
+      ON vaults(chain, protocol);
+    `);
+
+    await client.query(`
+      INSERT INTO protocols (name, chain, audit_status, launch_date, governance_token, risk_category)
+      VALUES
+        ('Aave', 'ethereum', 'audited', '2020-01-01', 'AAVE', 'low'),
+        ('Aave', 'polygon', 'audited', '2021-03-01', 'AAVE', 'low'),
+        ('Compound', 'ethereum', 'audited', '2018-09-01', 'COMP', 'low'),
+        ('Yearn', 'ethereum', 'audited', '2020-02-01', 'YFI', 'medium')
+      ON CONFLICT (name) DO NOTHING;
+    `);
+  },
+
+  async down(client) {
+    await client.query('DROP TABLE IF EXISTS vault_metrics');
+    await client.query('DROP TABLE IF EXISTS protocols');
+    await client.query('DROP TABLE IF EXISTS vaults');
+  }
+};
+
+/**
+ * Move an existing vaults/vault_metrics pair from an address-only identity to (chain, vault_address).
+ * A no-op on fresh databases and on databases already using the composite identity.
+ */
+async function migrateVaultIdentity(client) {
+  const { rows } = await client.query(`SELECT to_regclass('vault_metrics') IS NOT NULL AS exists`);
+  const hasMetrics = rows[0].exists;
+
+  if (hasMetrics) {
+    // Backfill chain on existing metrics rows from their parent vault
+    await client.query(`ALTER TABLE vault_metrics ADD COLUMN IF NOT EXISTS chain VARCHAR(20)`);
+    await client.query(`
+      UPDATE vault_metrics vm
+      SET chain = v.chain
+      FROM vaults v
+      WHERE vm.chain IS NULL AND vm.vault_address = v.vault_address
+    `);
+    await client.query(`ALTER TABLE vault_metrics ALTER COLUMN chain SET NOT NULL`);
+    await client.query(`ALTER TABLE vault_metrics DROP CONSTRAINT IF EXISTS vault_metrics_vault_address_fkey`);
+  }
+
+  await client.query(`ALTER TABLE vaults DROP CONSTRAINT IF EXISTS vaults_vault_address_key`);
+  await client.query(`
+    DO $$ BEGIN
+      IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'vaults_chain_vault_address_key') THEN
+        ALTER TABLE vaults ADD CONSTRAINT vaults_chain_vault_address_key UNIQUE (chain, vault_address);
+      END IF;
+    END $$;
+  `);
+
+  if (hasMetrics) {
+    await client.query(`
+      DO $$ BEGIN
+        IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'vault_metrics_chain_vault_address_fkey') THEN
+          ALTER TABLE vault_metrics ADD CONSTRAINT vault_metrics_chain_vault_address_fkey
+            FOREIGN KEY (chain, vault_address) REFERENCES vaults(chain, vault_address);
+        END IF;
+      END $$;
+    `);
+    await client.query(`DROP INDEX IF EXISTS idx_vault_metrics_vault_address`);
+  }
+}
@@ -0,0 +1,49 @@
+// src/config/migrations/002_metrics_rollups.js
+// Hourly and daily OHLC rollups of vault_metrics, filled by src/utils/metrics-rollup.js
+
+const rollupTable = (table) => `
+  CREATE TABLE IF NOT EXISTS ${table} (
+    chain VARCHAR(20) NOT NULL,
+    vault_address VARCHAR(42) NOT NULL,
+    bucket_start TIMESTAMP NOT NULL,
+    sample_count INTEGER NOT NULL,
+    apy_open DECIMAL(10,4),
+    apy_high DECIMAL(10,4),
+    apy_low DECIMAL(10,4),
+    apy_close DECIMAL(10,4),
+    apy_avg DECIMAL(10,4),
+    tvl_open BIGINT,
+    tvl_high BIGINT,
+    tvl_low BIGINT,
+    tvl_close BIGINT,
+    tvl_avg BIGINT,
+    risk_score_min INTEGER,
+    risk_score_max INTEGER,
+    risk_score_avg DECIMAL(5,2),
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (chain, vault_address, bucket_start),
+    FOREIGN KEY (chain, vault_address) REFERENCES vaults(chain, vault_address)
+  );
+`;
+
+module.exports = {
+  async up(client) {
+    await client.query(rollupTable('vault_metrics_hourly'));
+    await client.query(rollupTable('vault_metrics_daily'));
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_vault_metrics_hourly_bucket
+      ON vault_metrics_hourly(bucket_start DESC);
+    `);
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_vault_metrics_daily_bucket
+      ON vault_metrics_daily(bucket_start DESC);
+    `);
+  },
+
+  async down(client) {
+    await client.query('DROP TABLE IF EXISTS vault_metrics_daily');
+    await client.query('DROP TABLE IF EXISTS vault_metrics_hourly');
+  }
+};
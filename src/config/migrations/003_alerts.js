@@ -0,0 +1,54 @@
+// src/config/migrations/003_alerts.js
+// Alert rules and their webhook delivery log (dead letters are deliveries with status 'dead_letter')
+
+module.exports = {
+  async up(client) {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS alert_rules (
+        id SERIAL PRIMARY KEY,
+        name VARCHAR(255) NOT NULL,
+        rule_type VARCHAR(30) NOT NULL,
+        conditions JSONB NOT NULL DEFAULT '{}',
+        webhook_url TEXT NOT NULL,
+        webhook_secret VARCHAR(128) NOT NULL,
+        enabled BOOLEAN NOT NULL DEFAULT TRUE,
+        cooldown_minutes INTEGER NOT NULL DEFAULT 60,
+        state JSONB NOT NULL DEFAULT '{}',
+        last_triggered_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS alert_deliveries (
+        id SERIAL PRIMARY KEY,
+        rule_id INTEGER NOT NULL REFERENCES alert_rules(id) ON DELETE CASCADE,
+        event_type VARCHAR(30) NOT NULL,
+        payload JSONB NOT NULL,
+        status VARCHAR(20) NOT NULL DEFAULT 'pending',
+        attempts INTEGER NOT NULL DEFAULT 0,
+        response_status INTEGER,
+        last_error TEXT,
+        next_attempt_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        delivered_at TIMESTAMP
+      );
+    `);
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_alert_deliveries_rule
+      ON alert_deliveries(rule_id, created_at DESC);
+    `);
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_alert_deliveries_status
+      ON alert_deliveries(status, next_attempt_at);
+    `);
+  },
+
+  async down(client) {
+    await client.query('DROP TABLE IF EXISTS alert_deliveries');
+    await client.query('DROP TABLE IF EXISTS alert_rules');
+  }
+};
@@ -0,0 +1,35 @@
+// src/config/migrations/004_api_keys.js
+// API keys (stored as SHA-256 hashes) and their per-day usage counters
+
+module.exports = {
+  async up(client) {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS api_keys (
+        id SERIAL PRIMARY KEY,
+        name VARCHAR(255) NOT NULL,
+        plan VARCHAR(30) NOT NULL,
+        key_prefix VARCHAR(16) NOT NULL,
+        key_hash CHAR(64) UNIQUE NOT NULL,
+        status VARCHAR(20) NOT NULL DEFAULT 'active',
+        rotated_from INTEGER REFERENCES api_keys(id) ON DELETE SET NULL,
+        last_used_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        revoked_at TIMESTAMP
+      );
+    `);
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS api_key_usage (
+        api_key_id INTEGER NOT NULL REFERENCES api_keys(id) ON DELETE CASCADE,
+        usage_date DATE NOT NULL,
+        request_count INTEGER NOT NULL DEFAULT 0,
+        PRIMARY KEY (api_key_id, usage_date)
+      );
+    `);
+  },
+
+  async down(client) {
+    await client.query('DROP TABLE IF EXISTS api_key_usage');
+    await client.query('DROP TABLE IF EXISTS api_keys');
+  }
+};
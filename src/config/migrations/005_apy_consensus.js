@@ -0,0 +1,22 @@
+// src/config/migrations/005_apy_consensus.js
+// Per-source APY values and the consensus confidence recorded with each vault_metrics sample
+
+module.exports = {
+  async up(client) {
+    await client.query(`
+      ALTER TABLE vault_metrics
+        ADD COLUMN IF NOT EXISTS source_apys JSONB,
+        ADD COLUMN IF NOT EXISTS consensus_confidence DECIMAL(3,2),
+        ADD COLUMN IF NOT EXISTS apy_disagreement BOOLEAN NOT NULL DEFAULT FALSE;
+    `);
+  },
+
+  async down(client) {
+    await client.query(`
+      ALTER TABLE vault_metrics
+        DROP COLUMN IF EXISTS apy_disagreement,
+        DROP COLUMN IF EXISTS consensus_confidence,
+        DROP COLUMN IF EXISTS source_apys;
+    `);
+  }
+};
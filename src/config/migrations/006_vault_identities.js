@@ -0,0 +1,30 @@
+// src/config/migrations/006_vault_identities.js
+// Maps source-specific vault ids (DefiLlama pool UUIDs) to on-chain (chain, address, underlying) identities
+
+module.exports = {
+  async up(client) {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS vault_identities (
+        source VARCHAR(20) NOT NULL,
+        source_id VARCHAR(100) NOT NULL,
+        chain VARCHAR(20) NOT NULL,
+        vault_address VARCHAR(42) NOT NULL,
+        underlying_address VARCHAR(42),
+        resolution_method VARCHAR(30) NOT NULL,
+        confidence DECIMAL(3,2) NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (source, source_id)
+      );
+    `);
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_vault_identities_address
+      ON vault_identities(chain, vault_address);
+    `);
+  },
+
+  async down(client) {
+    await client.query('DROP TABLE IF EXISTS vault_identities');
+  }
+};
@@ -0,0 +1,18 @@
+// src/config/migrations/007_risk_model_version.js
+// The risk model version that produced each vault_metrics risk_score (NULL for scores before versioned models)
+
+module.exports = {
+  async up(client) {
+    await client.query(`
+      ALTER TABLE vault_metrics
+        ADD COLUMN IF NOT EXISTS risk_model_version VARCHAR(32);
+    `);
+  },
+
+  async down(client) {
+    await client.query(`
+      ALTER TABLE vault_metrics
+        DROP COLUMN IF EXISTS risk_model_version;
+    `);
+  }
+};
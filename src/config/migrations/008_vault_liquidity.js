@@ -0,0 +1,19 @@
+// src/config/migrations/008_vault_liquidity.js
+// USD liquidity withdrawable right now, recorded with each vault_metrics sample
+// (utilization_rate is a baseline column, so rolling back leaves it alone)
+
+module.exports = {
+  async up(client) {
+    await client.query(`
+      ALTER TABLE vault_metrics
+        ADD COLUMN IF NOT EXISTS withdrawable_liquidity_usd BIGINT;
+    `);
+  },
+
+  async down(client) {
+    await client.query(`
+      ALTER TABLE vault_metrics
+        DROP COLUMN IF EXISTS withdrawable_liquidity_usd;
+    `);
+  }
+};
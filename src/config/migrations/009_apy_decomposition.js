@@ -0,0 +1,22 @@
+// src/config/migrations/009_apy_decomposition.js
+// Base vs reward (incentive) APY and the reward tokens paying it, recorded with each vault_metrics sample
+
+module.exports = {
+  async up(client) {
+    await client.query(`
+      ALTER TABLE vault_metrics
+        ADD COLUMN IF NOT EXISTS base_apy DECIMAL(10,4),
+        ADD COLUMN IF NOT EXISTS reward_apy DECIMAL(10,4),
+        ADD COLUMN IF NOT EXISTS reward_tokens JSONB;
+    `);
+  },
+
+  async down(client) {
+    await client.query(`
+      ALTER TABLE vault_metrics
+        DROP COLUMN IF EXISTS reward_tokens,
+        DROP COLUMN IF EXISTS reward_apy,
+        DROP COLUMN IF EXISTS base_apy;
+    `);
+  }
+};
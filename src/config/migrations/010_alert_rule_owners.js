@@ -0,0 +1,32 @@
+// src/config/migrations/010_alert_rule_owners.js
+// Alert rules belong to the API key that created them. Rules created before this have
+// no owner that could manage them, so they are disabled rather than left firing.
+
+module.exports = {
+  async up(client) {
+    await client.query(`
+      ALTER TABLE alert_rules
+        ADD COLUMN IF NOT EXISTS api_key_id INTEGER REFERENCES api_keys(id) ON DELETE CASCADE;
+    `);
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_alert_rules_api_key
+      ON alert_rules(api_key_id);
+    `);
+
+    await client.query(`
+      UPDATE alert_rules
+      SET enabled = FALSE, updated_at = CURRENT_TIMESTAMP
+      WHERE api_key_id IS NULL AND enabled = TRUE
+    `);
+  },
+
+  // Rules disabled by up() stay disabled
+  async down(client) {
+    await client.query('DROP INDEX IF EXISTS idx_alert_rules_api_key');
+    await client.query(`
+      ALTER TABLE alert_rules
+        DROP COLUMN IF EXISTS api_key_id;
+    `);
+  }
+};
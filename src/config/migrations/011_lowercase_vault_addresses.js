@@ -0,0 +1,88 @@
+// src/config/migrations/011_lowercase_vault_addresses.js
+// Vault addresses are stored lowercase, so lookups compare them directly and use the
+// (chain, vault_address) indexes. Folds rows written before that into their lowercase form.
+// Not reversible: down() leaves the addresses lowercase.
+
+const ROLLUP_TABLES = ['vault_metrics_hourly', 'vault_metrics_daily'];
+
+module.exports = {
+  async up(client) {
+    // Lowercase parents first so the metrics foreign keys always have a target
+    await client.query(`
+      INSERT INTO vaults (vault_address, chain, protocol, name, asset_symbol, asset_address, created_at, updated_at)
+      SELECT DISTINCT ON (chain, LOWER(vault_address))
+             LOWER(vault_address), chain, protocol, name, asset_symbol, asset_address, created_at, updated_at
+      FROM vaults
+      WHERE vault_address <> LOWER(vault_address)
+      ORDER BY chain, LOWER(vault_address), updated_at DESC
+      ON CONFLICT (chain, vault_address) DO NOTHING;
+    `);
+
+    await client.query(`
+      UPDATE vault_metrics SET vault_address = LOWER(vault_address)
+      WHERE vault_address <> LOWER(vault_address);
+    `);
+
+    // Every casing of an address folds into one bucket row: counts add up, extremes
+    // widen, averages are weighted by samples; open/close come from the fullest row
+    for (const table of ROLLUP_TABLES) {
+      await client.query(`
+        CREATE TEMP TABLE rollup_merge AS
+        SELECT chain, LOWER(vault_address) AS vault_address, bucket_start,
+               SUM(sample_count) AS sample_count,
+               (ARRAY_AGG(apy_open ORDER BY sample_count DESC))[1] AS apy_open,
+               MAX(apy_high) AS apy_high,
+               MIN(apy_low) AS apy_low,
+               (ARRAY_AGG(apy_close ORDER BY sample_count DESC))[1] AS apy_close,
+               SUM(apy_avg * sample_count) / NULLIF(SUM(sample_count) FILTER (WHERE apy_avg IS NOT NULL), 0) AS apy_avg,
+               (ARRAY_AGG(tvl_open ORDER BY sample_count DESC))[1] AS tvl_open,
+               MAX(tvl_high) AS tvl_high,
+               MIN(tvl_low) AS tvl_low,
+               (ARRAY_AGG(tvl_close ORDER BY sample_count DESC))[1] AS tvl_close,
+               ROUND(SUM(tvl_avg * sample_count) / NULLIF(SUM(sample_count) FILTER (WHERE tvl_avg IS NOT NULL), 0)) AS tvl_avg,
+               MIN(risk_score_min) AS risk_score_min,
+               MAX(risk_score_max) AS risk_score_max,
+               SUM(risk_score_avg * sample_count) / NULLIF(SUM(sample_count) FILTER (WHERE risk_score_avg IS NOT NULL), 0) AS risk_score_avg
+        FROM ${table}
+        GROUP BY chain, LOWER(vault_address), bucket_start
+        HAVING BOOL_OR(vault_address <> LOWER(vault_address));
+      `);
+
+      await client.query(`
+        DELETE FROM ${table} t
+        USING rollup_merge m
+        WHERE t.chain = m.chain
+        AND LOWER(t.vault_address) = m.vault_address
+        AND t.bucket_start = m.bucket_start;
+      `);
+
+      await client.query(`
+        INSERT INTO ${table}
+        (chain, vault_address, bucket_start, sample_count,
+         apy_open, apy_high, apy_low, apy_close, apy_avg,
+         tvl_open, tvl_high, tvl_low, tvl_close, tvl_avg,
+         risk_score_min, risk_score_max, risk_score_avg, updated_at)
+        SELECT chain, vault_address, bucket_start, sample_count,
+               apy_open, apy_high, apy_low, apy_close, apy_avg,
+               tvl_open, tvl_high, tvl_low, tvl_close, tvl_avg,
+               risk_score_min, risk_score_max, risk_score_avg, CURRENT_TIMESTAMP
+        FROM rollup_merge;
+      `);
+
+      await client.query('DROP TABLE rollup_merge');
+    }
+
+    await client.query('DELETE FROM vaults WHERE vault_address <> LOWER(vault_address)');
+
+    await client.query(`
+      UPDATE vault_identities SET vault_address = LOWER(vault_address)
+      WHERE vault_address <> LOWER(vault_address);
+    `);
+  },
+
+  // Irreversible: the original casing is not kept anywhere. Rolling back leaves the
+  // addresses lowercase, which the code before this migration reads just as well.
+  async down() {
+    console.warn('⚠️  011_lowercase_vault_addresses cannot restore the original address casing; addresses stay lowercase');
+  }
+};
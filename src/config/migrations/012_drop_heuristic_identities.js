@@ -0,0 +1,15 @@
+// src/config/migrations/012_drop_heuristic_identities.js
+// TVL-only identity matches are no longer stored; the resolver re-checks them every run.
+// Forget the ones stored before, so a wrong match stops overriding later exact ones.
+
+module.exports = {
+  async up(client) {
+    await client.query(`
+      DELETE FROM vault_identities
+      WHERE resolution_method = 'vaultsfyi_tvl_match';
+    `);
+  },
+
+  // Nothing to restore: the deleted matches are derived data the resolver recomputes
+  async down() {}
+};
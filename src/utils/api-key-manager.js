@@ -0,0 +1,181 @@
+// src/utils/api-key-manager.js
+const crypto = require('crypto');
+const { API_PLANS } = require('../config/api-plans');
+
+const KEY_PREFIX = 'vapy_';
+const AUTH_CACHE_TTL_MS = 60000;
+
+const PUBLIC_COLUMNS = `
+  id, name, plan, key_prefix, status, rotated_from, last_used_at, created_at, revoked_at
+`;
+
+/**
+ * Issues and validates API keys. Only a SHA-256 hash of each key is stored;
+ * the plaintext is returned once, on creation or rotation.
+ */
+class ApiKeyManager {
+  constructor(pool) {
+    this.pool = pool;
+    this.authCache = new Map(); // key hash -> { record, expiresAt }
+  }
+
+  static hashKey(apiKey) {
+    return crypto.createHash('sha256').update(apiKey).digest('hex');
+  }
+
+  generateKey() {
+    const apiKey = KEY_PREFIX + crypto.randomBytes(24).toString('hex');
+    return {
+      apiKey,
+      keyPrefix: apiKey.slice(0, 12),
+      keyHash: ApiKeyManager.hashKey(apiKey)
+    };
+  }
+
+  isValidPlan(plan) {
+    return Object.prototype.hasOwnProperty.call(API_PLANS, plan);
+  }
+
+  getPlan(plan) {
+    return this.isValidPlan(plan) ? API_PLANS[plan] : null;
+  }
+
+  async createKey({ name, plan = 'free', rotatedFrom = null }, client = this.pool) {
+    const { apiKey, keyPrefix, keyHash } = this.generateKey();
+
+    const result = await client.query(`
+      INSERT INTO api_keys (name, plan, key_prefix, key_hash, rotated_from)
+      VALUES ($1, $2, $3, $4, $5)
+      RETURNING ${PUBLIC_COLUMNS}
+    `, [name, plan, keyPrefix, keyHash, rotatedFrom]);
+
+    return { ...result.rows[0], api_key: apiKey };
+  }
+
+  /**
+   * Revoke a key and issue a replacement with the same name and plan
+   */
+  async rotateKey(id) {
+    const client = await this.pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      const revoked = await this.revokeKey(id, client);
+      if (!revoked) {
+        await client.query('ROLLBACK');
+        return null;
+      }
+
+      const replacement = await this.createKey({
+        name: revoked.name,
+        plan: revoked.plan,
+        rotatedFrom: revoked.id
+      }, client);
+
+      // The replacement takes over the revoked key's alert rules
+      await client.query('UPDATE alert_rules SET api_key_id = $2 WHERE api_key_id = $1', [revoked.id, replacement.id]);
+
+      await client.query('COMMIT');
+      return replacement;
+
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  async revokeKey(id, client = this.pool) {
+    const result = await client.query(`
+      UPDATE api_keys
+      SET status = 'revoked', revoked_at = CURRENT_TIMESTAMP
+      WHERE id = $1 AND status = 'active'
+      RETURNING ${PUBLIC_COLUMNS}, key_hash
+    `, [id]);
+
+    if (result.rows.length === 0) return null;
+
+    const { key_hash, ...record } = result.rows[0];
+    this.authCache.delete(key_hash);
+    return record;
+  }
+
+  async listKeys() {
+    const result = await this.pool.query(`
+      SELECT k.id, k.name, k.plan, k.key_prefix, k.status, k.rotated_from,
+             k.last_used_at, k.created_at, k.revoked_at,
+             COALESCE(SUM(u.request_count), 0) AS total_requests,
+             COALESCE(SUM(u.request_count) FILTER (WHERE u.usage_date = CURRENT_DATE), 0) AS requests_today
+      FROM api_keys k
+      LEFT JOIN api_key_usage u ON u.api_key_id = k.id
+      GROUP BY k.id
+      ORDER BY k.id
+    `);
+
+    return result.rows.map(row => ({
+      ...row,
+      total_requests: parseInt(row.total_requests),
+      requests_today: parseInt(row.requests_today)
+    }));
+  }
+
+  /**
+   * Resolve a plaintext key to its active record, or null. Lookups are cached
+   * briefly so every request does not hit Postgres.
+   */
+  async authenticate(apiKey) {
+    if (!apiKey || !apiKey.startsWith(KEY_PREFIX)) return null;
+
+    const keyHash = ApiKeyManager.hashKey(apiKey);
+    const cached = this.authCache.get(keyHash);
+    if (cached && cached.expiresAt > Date.now()) return cached.record;
+
+    const result = await this.pool.query(`
+      SELECT id, name, plan FROM api_keys
+      WHERE key_hash = $1 AND status = 'active'
+    `, [keyHash]);
+
+    const record = result.rows[0] || null;
+    this.authCache.set(keyHash, { record, expiresAt: Date.now() + AUTH_CACHE_TTL_MS });
+    return record;
+  }
+
+  /**
+   * Count one request against today's quota. The increment only happens while
+   * under quota, so rejected requests do not consume it.
+   */
+  async recordUsage(keyRecord) {
+    const plan = this.getPlan(keyRecord.plan);
+    const quota = plan?.dailyQuota ?? null;
+
+    const result = await this.pool.query(`
+      WITH usage AS (
+        INSERT INTO api_key_usage (api_key_id, usage_date, request_count)
+        VALUES ($1, CURRENT_DATE, 1)
+        ON CONFLICT (api_key_id, usage_date)
+        DO UPDATE SET request_count = api_key_usage.request_count + 1
+        WHERE $2::int IS NULL OR api_key_usage.request_count < $2::int
+        RETURNING request_count
+      ), touch AS (
+        UPDATE api_keys SET last_used_at = CURRENT_TIMESTAMP WHERE id = $1
+      )
+      SELECT request_count FROM usage
+    `, [keyRecord.id, quota]);
+
+    if (result.rows.length === 0) {
+      return { allowed: false, used: quota, quota, remaining: 0 };
+    }
+
+    const used = result.rows[0].request_count;
+    return {
+      allowed: true,
+      used,
+      quota,
+      remaining: quota === null ? null : Math.max(quota - used, 0)
+    };
+  }
+}
+
+module.exports = ApiKeyManager;
@@ -0,0 +1,236 @@
+// src/utils/apy-consensus.js
+
+// On-chain calculations read the contracts directly, so they outvote aggregators
+const DEFAULT_SOURCE_WEIGHTS = {
+  onchain: 3,
+  defillama: 1,
+  vaultsfyi: 1
+};
+
+// Corroboration by number of agreeing sources; a lone source is never fully trusted
+const AGREEMENT_FACTORS = [0, 0.5, 0.8, 1];
+
+// Never flag differences smaller than this many APY percentage points
+const MIN_TOLERANCE_PCT_POINTS = 0.25;
+
+const round = (value, places) => Math.round(value * 10 ** places) / 10 ** places;
+
+const hasSplit = observation => Number.isFinite(observation.reward_apy);
+
+/**
+ * Reconciles the APY that several sources report for the same vault.
+ *
+ * The consensus APY is the lower weighted median, so an even split between two
+ * sources settles on the more conservative value. Observations further from it
+ * than the tolerance (APY_CONSENSUS_TOLERANCE, relative, default 15%) are
+ * outliers and take no part in the final median.
+ */
+class ApyConsensus {
+  constructor(options = {}) {
+    this.tolerance = options.tolerance ??
+      parseFloat(process.env.APY_CONSENSUS_TOLERANCE || 0.15);
+    this.weights = {
+      ...DEFAULT_SOURCE_WEIGHTS,
+      ...ApyConsensus.parseWeights(process.env.APY_SOURCE_WEIGHTS),
+      ...options.weights
+    };
+  }
+
+  // "onchain:3,defillama:1" -> { onchain: 3, defillama: 1 }
+  static parseWeights(value) {
+    if (!value) return {};
+
+    return Object.fromEntries(value.split(',')
+      .map(entry => entry.split(':').map(part => part.trim()))
+      .filter(([source, weight]) => source && !isNaN(parseFloat(weight)))
+      .map(([source, weight]) => [source.toLowerCase(), parseFloat(weight)]));
+  }
+
+  weightFor(source) {
+    return this.weights[source] ?? 1;
+  }
+
+  /**
+   * Key that lines up the same vault across sources. DefiLlama ids of the
+   * form "<address>-<chain>" reduce to the address.
+   */
+  keyFor(vault) {
+    const address = String(vault.vault_address || '').toLowerCase();
+    const match = address.match(/^(0x[0-9a-f]{40})(-|$)/);
+    return `${String(vault.chain || '').toLowerCase()}:${match ? match[1] : address}`;
+  }
+
+  // The observation at the lower weighted median
+  weightedMedian(observations) {
+    const sorted = [...observations].sort((a, b) => a.apy - b.apy);
+    const half = sorted.reduce((sum, observation) => sum + observation.weight, 0) / 2;
+
+    let cumulative = 0;
+    for (const observation of sorted) {
+      cumulative += observation.weight;
+      if (cumulative >= half) return observation;
+    }
+    return sorted[sorted.length - 1];
+  }
+
+  /**
+   * Observations may carry the source's base_apy/reward_apy split; the
+   * consensus split is rescaled from the winning source's (or, when it has
+   * none, the first reported) so that base_apy + reward_apy equals the
+   * consensus APY.
+   *
+   * @param {Array<{source: string, apy: number, base_apy?: number, reward_apy?: number}>} observations
+   * @returns {{apy, base_apy, reward_apy, split_source, source, source_apys, consensus_confidence, apy_disagreement}}
+   */
+  reconcile(observations) {
+    const usable = observations
+      .filter(observation => Number.isFinite(observation.apy))
+      .map(observation => ({
+        ...observation,
+        weight: observation.weight ?? this.weightFor(observation.source)
+      }))
+      .filter(observation => observation.weight > 0);
+
+    if (usable.length === 0) {
+      return { apy: null, source: null, source_apys: {}, consensus_confidence: 0, apy_disagreement: false };
+    }
+
+    const median = this.weightedMedian(usable).apy;
+    const tolerance = Math.max(MIN_TOLERANCE_PCT_POINTS, Math.abs(median) * this.tolerance);
+    const inliers = usable.filter(observation => Math.abs(observation.apy - median) <= tolerance);
+    const winner = this.weightedMedian(inliers);
+    const apy = winner.apy;
+
+    const totalWeight = usable.reduce((sum, observation) => sum + observation.weight, 0);
+    const inlierWeight = inliers.reduce((sum, observation) => sum + observation.weight, 0);
+    const agreement = AGREEMENT_FACTORS[Math.min(inliers.length, AGREEMENT_FACTORS.length - 1)];
+
+    const sourceApys = {};
+    usable.forEach(observation => {
+      sourceApys[observation.source] = {
+        apy: observation.apy,
+        ...(hasSplit(observation) && { base_apy: observation.base_apy, reward_apy: observation.reward_apy }),
+        weight: observation.weight,
+        deviation: round(observation.apy - apy, 4),
+        outlier: !inliers.includes(observation)
+      };
+    });
+
+    return {
+      apy,
+      ...this.splitFor(usable, winner),
+      source: winner.source,
+      source_apys: sourceApys,
+      consensus_confidence: round((inlierWeight / totalWeight) * agreement, 2),
+      apy_disagreement: inliers.length < usable.length
+    };
+  }
+
+  // Rescale one source's base/reward split onto the consensus APY
+  splitFor(observations, winner) {
+    const reported = hasSplit(winner) ? winner : observations.find(hasSplit);
+    if (!reported) return {};
+
+    const share = reported.apy > 0 ? Math.min(1, Math.max(0, reported.reward_apy / reported.apy)) : 0;
+    const rewardApy = round(winner.apy * share, 6);
+
+    return {
+      base_apy: round(winner.apy - rewardApy, 6),
+      reward_apy: rewardApy,
+      split_source: reported.source
+    };
+  }
+
+  /**
+   * Merge per-source vault lists (in priority order) into one row per vault.
+   * Descriptive fields come from the row with the highest TVL, or the first
+   * one carrying a risk score; APY and its base/reward split come from the
+   * consensus. Reward tokens come from the source whose split was used.
+   *
+   * @param {Array<{source: string, vaults: Array}>} results
+   */
+  merge(results) {
+    const groups = new Map();
+
+    results.forEach(({ source, vaults }) => {
+      vaults.forEach(vault => {
+        const key = this.keyFor(vault);
+        if (!groups.has(key)) groups.set(key, { base: null, stats: null, rewardTokens: {}, observations: [] });
+
+        const group = groups.get(key);
+        group.observations.push({ source, apy: vault.apy, base_apy: vault.base_apy, reward_apy: vault.reward_apy });
+        if (vault.reward_tokens) group.rewardTokens[source] = vault.reward_tokens;
+
+        if (!group.base ||
+            vault.tvl_usd > group.base.tvl_usd ||
+            (vault.risk_score && !group.base.risk_score)) {
+          group.base = { ...vault, source_priority: source };
+        }
+
+        // DefiLlama's APY statistics feed the stability score whichever source wins
+        if (vault.sigma && !group.stats) {
+          group.stats = { mu: vault.mu, sigma: vault.sigma, count: vault.count };
+        }
+      });
+    });
+
+    return Array.from(groups.values()).map(({ base, stats, rewardTokens, observations }) => {
+      const consensus = this.reconcile(observations);
+      const tokens = rewardTokens[consensus.split_source];
+      return this.applyConsensus({ ...base, ...stats, ...(tokens && { reward_tokens: tokens }) }, consensus);
+    });
+  }
+
+  /**
+   * Fold one more observation (e.g. an on-chain calculation) into a merged vault.
+   *
+   * Aggregators report total APY. An observation with basis 'base' excludes
+   * incentives (an on-chain supply rate), so the vault's reward APY is added
+   * before it is compared with them.
+   */
+  addObservation(vault, source, apy, { basis = 'total' } = {}) {
+    const observations = Object.entries(vault.source_apys || {})
+      .filter(([existing]) => existing !== source)
+      .map(([existing, value]) => ({
+        source: existing,
+        apy: value.apy,
+        base_apy: value.base_apy,
+        reward_apy: value.reward_apy
+      }));
+
+    if (observations.length === 0 && Number.isFinite(vault.apy)) {
+      observations.push({
+        source: vault.source_priority || vault.data_source || 'api',
+        apy: vault.apy,
+        base_apy: vault.base_apy,
+        reward_apy: vault.reward_apy
+      });
+    }
+
+    const rewardApy = parseFloat(vault.reward_apy);
+    if (basis === 'base' && Number.isFinite(rewardApy)) {
+      observations.push({ source, apy: apy + rewardApy, base_apy: apy, reward_apy: rewardApy });
+    } else {
+      observations.push({ source, apy });
+    }
+
+    return this.applyConsensus(vault, this.reconcile(observations));
+  }
+
+  applyConsensus(vault, consensus) {
+    const split = consensus.reward_apy !== undefined
+      ? { base_apy: consensus.base_apy, reward_apy: consensus.reward_apy }
+      : {};
+
+    return {
+      ...vault,
+      ...split,
+      apy: consensus.apy ?? vault.apy,
+      source_apys: consensus.source_apys,
+      consensus_confidence: consensus.consensus_confidence,
+      apy_disagreement: consensus.apy_disagreement
+    };
+  }
+}
+
+module.exports = ApyConsensus;
@@ -0,0 +1,159 @@
+// src/utils/apy-fallback.js
+const VaultIdentityResolver = require('./vault-identity-resolver');
+
+// Tiers in the order they are tried. 'none' labels a direct calculation.
+const FALLBACK_TIERS = ['none', 'last_known', 'source_median', 'protocol_median', 'unavailable'];
+
+const TIER_CONFIDENCE = {
+  last_known: 0.5,
+  source_median: 0.4,
+  protocol_median: 0.25,
+  unavailable: 0
+};
+
+/**
+ * Deterministic APY fallbacks from persisted vault_metrics, for vaults whose
+ * APY cannot be calculated on-chain:
+ *   last_known      - the vault's newest sample within APY_FALLBACK_MAX_AGE_HOURS (24)
+ *   source_median   - median of the vault's samples over APY_FALLBACK_WINDOW_DAYS (7)
+ *   protocol_median - median latest APY of the protocol's other vaults on the chain
+ *                     (same asset when known) over the same window
+ *
+ * Results use the calculated_apy convention (fraction, 0.05 = 5%) and carry
+ * fallback_tier. The same database state always yields the same answer.
+ * DefiLlama pool UUIDs are looked up under the address they resolved to, or
+ * under the pool id while they are unresolved.
+ */
+class ApyFallback {
+  constructor(pool, options = {}) {
+    this.pool = pool;
+    this.maxAgeHours = options.maxAgeHours ??
+      parseInt(process.env.APY_FALLBACK_MAX_AGE_HOURS || 24);
+    this.windowDays = options.windowDays ??
+      parseInt(process.env.APY_FALLBACK_WINDOW_DAYS || 7);
+  }
+
+  async resolve(vaultAddress, chain, protocol, metadata = {}) {
+    if (!this.pool) {
+      return this.result('unavailable', null, { reason: 'no database configured' });
+    }
+
+    try {
+      const storedAddress = await this.storedAddress(vaultAddress, chain);
+
+      const lastKnown = await this.pool.query(`
+        SELECT apy, timestamp, data_source
+        FROM vault_metrics
+        WHERE chain = $1 AND vault_address = $2
+          AND apy IS NOT NULL
+          AND timestamp > NOW() - make_interval(hours => $3)
+        ORDER BY timestamp DESC, id DESC
+        LIMIT 1
+      `, [chain, storedAddress, this.maxAgeHours]);
+
+      if (lastKnown.rows.length > 0) {
+        const row = lastKnown.rows[0];
+        return this.result('last_known', row.apy, {
+          as_of: row.timestamp,
+          data_source: row.data_source
+        });
+      }
+
+      const sourceMedian = await this.pool.query(`
+        SELECT percentile_cont(0.5) WITHIN GROUP (ORDER BY apy) AS apy,
+               COUNT(*) AS sample_count,
+               MAX(timestamp) AS as_of
+        FROM vault_metrics
+        WHERE chain = $1 AND vault_address = $2
+          AND apy IS NOT NULL
+          AND timestamp > NOW() - make_interval(days => $3)
+      `, [chain, storedAddress, this.windowDays]);
+
+      if (parseInt(sourceMedian.rows[0].sample_count) > 0) {
+        const row = sourceMedian.rows[0];
+        return this.result('source_median', row.apy, {
+          as_of: row.as_of,
+          sample_count: parseInt(row.sample_count),
+          window_days: this.windowDays
+        });
+      }
+
+      if (protocol) {
+        const params = [protocol, chain, this.windowDays];
+        let assetFilter = '';
+        if (metadata.asset_symbol) {
+          params.push(metadata.asset_symbol);
+          assetFilter = 'AND v.asset_symbol = $4';
+        }
+
+        const protocolMedian = await this.pool.query(`
+          SELECT percentile_cont(0.5) WITHIN GROUP (ORDER BY latest.apy) AS apy,
+                 COUNT(*) AS vault_count,
+                 MAX(latest.timestamp) AS as_of
+          FROM (
+            SELECT DISTINCT ON (vm.chain, vm.vault_address) vm.apy, vm.timestamp
+            FROM vault_metrics vm
+            JOIN vaults v ON v.chain = vm.chain AND v.vault_address = vm.vault_address
+            WHERE LOWER(v.protocol) = LOWER($1) AND v.chain = $2
+              AND vm.apy IS NOT NULL
+              AND vm.timestamp > NOW() - make_interval(days => $3)
+              ${assetFilter}
+            ORDER BY vm.chain, vm.vault_address, vm.timestamp DESC
+          ) latest
+        `, params);
+
+        if (parseInt(protocolMedian.rows[0].vault_count) > 0) {
+          const row = protocolMedian.rows[0];
+          return this.result('protocol_median', row.apy, {
+            as_of: row.as_of,
+            vault_count: parseInt(row.vault_count),
+            protocol,
+            asset_symbol: metadata.asset_symbol || null,
+            window_days: this.windowDays
+          });
+        }
+      }
+
+      return this.result('unavailable', null, { reason: 'no persisted APY for vault or protocol' });
+
+    } catch (error) {
+      console.error(`❌ APY fallback lookup failed: ${error.message}`);
+      return this.result('unavailable', null, { reason: error.message });
+    }
+  }
+
+  // Lowercase key vault_metrics keeps the vault under: its resolved address, else the pool id itself
+  async storedAddress(vaultAddress, chain) {
+    if (VaultIdentityResolver.isAddress(vaultAddress)) return vaultAddress.toLowerCase();
+
+    const identity = await this.pool.query(`
+      SELECT vault_address FROM vault_identities
+      WHERE source = 'defillama' AND source_id = $1 AND chain = $2
+    `, [vaultAddress, chain]);
+
+    return (identity.rows[0]?.vault_address || vaultAddress).toLowerCase();
+  }
+
+  // vault_metrics stores percentages with 4 decimals
+  result(tier, apyPercent, details) {
+    const apy = apyPercent === null || apyPercent === undefined
+      ? null
+      : Math.round(parseFloat(apyPercent) * 10000) / 1000000;
+
+    if (apy !== null) {
+      console.log(`📦 APY fallback (${tier}): ${(apy * 100).toFixed(2)}%`);
+    }
+
+    return {
+      calculated_apy: apy,
+      method: `fallback_${tier}`,
+      fallback_tier: tier,
+      confidence_score: TIER_CONFIDENCE[tier],
+      calculation_details: details
+    };
+  }
+}
+
+ApyFallback.FALLBACK_TIERS = FALLBACK_TIERS;
+
+module.exports = ApyFallback;
@@ -0,0 +1,97 @@
+// src/utils/apy-stability.js
+
+const DEFAULT_WINDOW_DAYS = 30;
+const DEFAULT_REFRESH_MS = 15 * 60 * 1000; // one collection run
+
+/**
+ * APY stability statistics from our own hourly rollups: coefficient of
+ * variation (stddev / mean), worst peak-to-trough drawdown and how often the
+ * APY moves more than a jump threshold between consecutive hours.
+ *
+ * Statistics for every vault are loaded with one query and reused until
+ * APY_STABILITY_REFRESH_MS has passed, so scoring a batch costs one query.
+ */
+class ApyStability {
+  constructor(pool, options = {}) {
+    this.pool = pool;
+    this.windowDays = options.windowDays ??
+      parseInt(process.env.APY_STABILITY_WINDOW_DAYS || DEFAULT_WINDOW_DAYS);
+    this.refreshMs = options.refreshMs ??
+      parseInt(process.env.APY_STABILITY_REFRESH_MS || DEFAULT_REFRESH_MS);
+
+    this.series = new Map(); // "chain:address" -> [apy, ...] oldest first
+    this.loadedAt = 0;
+    this.loading = null;
+  }
+
+  /**
+   * @returns {Promise<{samples, mean, stddev, cv, max_drawdown, jump_rate}|null>}
+   *   null when the vault has no history in the window
+   */
+  async getStats(chain, vaultAddress, jumpThreshold) {
+    await this.refresh();
+
+    const series = this.series.get(`${String(chain).toLowerCase()}:${String(vaultAddress).toLowerCase()}`);
+    return series ? ApyStability.summarize(series, jumpThreshold) : null;
+  }
+
+  async refresh() {
+    if (Date.now() - this.loadedAt < this.refreshMs) return;
+
+    // Concurrent scorers share one load
+    if (!this.loading) {
+      this.loading = this.load()
+        .catch(error => console.error('⚠️ APY history load failed:', error.message))
+        .finally(() => { this.loading = null; });
+    }
+    await this.loading;
+  }
+
+  async load() {
+    const result = await this.pool.query(`
+      SELECT chain, vault_address, apy_close
+      FROM vault_metrics_hourly
+      WHERE bucket_start > NOW() - ($1 * INTERVAL '1 day')
+        AND apy_close IS NOT NULL
+      ORDER BY chain, vault_address, bucket_start
+    `, [this.windowDays]);
+
+    const series = new Map();
+    result.rows.forEach(row => {
+      const key = `${row.chain.toLowerCase()}:${row.vault_address.toLowerCase()}`;
+      if (!series.has(key)) series.set(key, []);
+      series.get(key).push(parseFloat(row.apy_close));
+    });
+
+    this.series = series;
+    this.loadedAt = Date.now();
+  }
+
+  static summarize(series, jumpThreshold = 0.25) {
+    const samples = series.length;
+    const mean = series.reduce((sum, apy) => sum + apy, 0) / samples;
+    const stddev = Math.sqrt(series.reduce((sum, apy) => sum + (apy - mean) ** 2, 0) / samples);
+
+    let peak = series[0];
+    let maxDrawdown = 0;
+    let jumps = 0;
+    series.forEach((apy, index) => {
+      peak = Math.max(peak, apy);
+      if (peak > 0) maxDrawdown = Math.max(maxDrawdown, (peak - apy) / peak);
+
+      const previous = series[index - 1];
+      if (index > 0 && previous > 0 && Math.abs(apy - previous) / previous > jumpThreshold) jumps++;
+    });
+
+    return {
+      samples,
+      mean,
+      stddev,
+      cv: mean > 0 ? stddev / mean : null,
+      max_drawdown: maxDrawdown,
+      jump_rate: samples > 1 ? jumps / (samples - 1) : 0
+    };
+  }
+}
+
+module.exports = ApyStability;
@@ -0,0 +1,118 @@
+// src/utils/asset-registry.js
+const ASSETS = require('../config/assets');
+
+// Aliases shorter than this are only matched exactly, so "ETH" doesn't claim stETH or weETH
+const MIN_SUBSTRING_ALIAS_LENGTH = 4;
+
+/**
+ * Resolves token symbols and addresses to canonical assets, and decides which
+ * assets the collectors fetch. Canonical symbols (USDC, WETH, wstETH, ...) are
+ * what gets stored in vaults.asset_symbol.
+ */
+class AssetRegistry {
+  constructor(assets = ASSETS, options = {}) {
+    this.assets = assets;
+    this.aliases = new Map(); // UPPERCASE alias -> canonical symbol
+    this.addresses = new Map(); // "chain:address" -> canonical symbol
+
+    for (const [symbol, asset] of Object.entries(assets)) {
+      this.aliases.set(symbol.toUpperCase(), symbol);
+      asset.aliases.forEach(alias => this.aliases.set(alias.toUpperCase(), symbol));
+
+      for (const [chain, addresses] of Object.entries(asset.addresses)) {
+        addresses.forEach(address => this.addresses.set(`${chain}:${address.toLowerCase()}`, symbol));
+      }
+    }
+
+    // Longest first so WSTETH wins over WETH-like fragments
+    this.substringAliases = Array.from(this.aliases.keys())
+      .filter(alias => alias.length >= MIN_SUBSTRING_ALIAS_LENGTH)
+      .sort((a, b) => b.length - a.length);
+
+    const configured = options.collectAssets ?? process.env.COLLECT_ASSETS;
+    this.collected = configured
+      ? configured.split(',').map(symbol => this.resolveSymbol(symbol.trim())).filter(Boolean)
+      : Object.keys(assets);
+  }
+
+  resolveSymbol(symbol) {
+    if (!symbol) return null;
+    return this.aliases.get(String(symbol).trim().toUpperCase()) || null;
+  }
+
+  resolveAddress(chain, address) {
+    if (!chain || !address) return null;
+    return this.addresses.get(`${String(chain).toLowerCase()}:${String(address).toLowerCase()}`) || null;
+  }
+
+  getAsset(symbol) {
+    const canonical = this.resolveSymbol(symbol);
+    return canonical ? { symbol: canonical, ...this.assets[canonical] } : null;
+  }
+
+  getCanonicalAddress(symbol, chain) {
+    const asset = this.getAsset(symbol);
+    return asset?.addresses[chain?.toLowerCase()]?.[0] || null;
+  }
+
+  isStable(symbol) {
+    return this.getAsset(symbol)?.class === 'stable';
+  }
+
+  /**
+   * Identify a pool or vault's underlying asset: token address first, then an
+   * exact symbol alias, then a known alias inside the symbol (e.g. "steakUSDC")
+   */
+  identify({ symbol, chain, addresses = [] }) {
+    for (const address of addresses || []) {
+      const match = this.resolveAddress(chain, address);
+      if (match) return match;
+    }
+
+    const exact = this.resolveSymbol(symbol);
+    if (exact) return exact;
+
+    const upper = String(symbol || '').toUpperCase();
+    const fragment = this.substringAliases.find(alias => upper.includes(alias));
+    return fragment ? this.aliases.get(fragment) : null;
+  }
+
+  isCollected(symbol) {
+    return this.collected.includes(this.resolveSymbol(symbol));
+  }
+
+  getCollectedAssets() {
+    return [...this.collected];
+  }
+
+  // Every symbol spelling of the collected assets, for APIs that filter by symbol
+  getCollectionSymbols() {
+    return this.collected.flatMap(symbol => this.assets[symbol].aliases);
+  }
+
+  /**
+   * Whether a vault's asset symbol satisfies a requested asset (aliases allowed)
+   */
+  matches(vaultAsset, requestedAsset) {
+    const requested = this.resolveSymbol(requestedAsset);
+    if (!requested) {
+      return String(vaultAsset || '').toUpperCase() === String(requestedAsset || '').toUpperCase();
+    }
+    return this.resolveSymbol(vaultAsset) === requested;
+  }
+
+  list() {
+    return Object.entries(this.assets).map(([symbol, asset]) => ({
+      symbol,
+      name: asset.name,
+      class: asset.class,
+      decimals: asset.decimals,
+      aliases: asset.aliases,
+      chains: Object.keys(asset.addresses),
+      addresses: asset.addresses,
+      collected: this.collected.includes(symbol)
+    }));
+  }
+}
+
+module.exports = AssetRegistry;
@@ -0,0 +1,79 @@
+// src/utils/block-finder.js
+
+// Targets are bucketed so repeated lookups within the hour reuse one search.
+// Callers should use the returned block's own timestamp, not the target.
+const TARGET_BUCKET_SECONDS = 3600;
+const MAX_CACHED_BLOCKS = 5000;
+
+/**
+ * Finds the last block at or before a timestamp by searching block
+ * timestamps, so it stays correct on chains whose block time varies
+ * (Arbitrum, Base, Optimism) instead of assuming a fixed blocks-per-year.
+ */
+class BlockFinder {
+  constructor() {
+    this.blockTimestamps = new Map(); // "chain:number" -> timestamp
+    this.results = new Map(); // "chain:bucketedTarget" -> { number, timestamp }
+  }
+
+  async getBlockTimestamp(provider, chain, number) {
+    const key = `${chain}:${number}`;
+    if (this.blockTimestamps.has(key)) return this.blockTimestamps.get(key);
+
+    const block = await provider.getBlock(number);
+    if (!block) throw new Error(`Block ${number} not found on ${chain}`);
+
+    if (this.blockTimestamps.size >= MAX_CACHED_BLOCKS) this.blockTimestamps.clear();
+    this.blockTimestamps.set(key, block.timestamp);
+    return block.timestamp;
+  }
+
+  /**
+   * @param {number} timestamp unix seconds
+   * @param {{number, timestamp}} [latest] latest block, if the caller already has it
+   * @returns {Promise<{number, timestamp}>}
+   */
+  async findBlockByTimestamp(provider, chain, timestamp, latest = null) {
+    const target = Math.floor(timestamp / TARGET_BUCKET_SECONDS) * TARGET_BUCKET_SECONDS;
+    const cacheKey = `${chain}:${target}`;
+    if (this.results.has(cacheKey)) return this.results.get(cacheKey);
+
+    if (!latest) {
+      const block = await provider.getBlock('latest');
+      latest = { number: block.number, timestamp: block.timestamp };
+    }
+
+    let low = { number: 1, timestamp: await this.getBlockTimestamp(provider, chain, 1) };
+    let high = latest;
+
+    if (target >= high.timestamp) return high;
+    if (target <= low.timestamp) return low;
+
+    // Interpolate from the timestamps at the bounds, alternating with plain
+    // bisection so uneven block times can't stall the search
+    let step = 0;
+    while (high.number - low.number > 1) {
+      let guess;
+      if (step++ % 2 === 0) {
+        const ratio = (target - low.timestamp) / (high.timestamp - low.timestamp);
+        guess = low.number + Math.floor(ratio * (high.number - low.number));
+      } else {
+        guess = Math.floor((low.number + high.number) / 2);
+      }
+      guess = Math.min(Math.max(guess, low.number + 1), high.number - 1);
+
+      const guessTimestamp = await this.getBlockTimestamp(provider, chain, guess);
+      if (guessTimestamp <= target) {
+        low = { number: guess, timestamp: guessTimestamp };
+      } else {
+        high = { number: guess, timestamp: guessTimestamp };
+      }
+    }
+
+    if (this.results.size >= MAX_CACHED_BLOCKS) this.results.clear();
+    this.results.set(cacheKey, low);
+    return low;
+  }
+}
+
+module.exports = BlockFinder;
@@ -0,0 +1,82 @@
+// src/utils/chain-registry.js
+const CHAINS = require('../config/chains');
+
+const SECONDS_PER_YEAR = 31536000;
+
+/**
+ * Resolves chain names, aliases, source-specific names, CAIP-2 ids and chain
+ * ids to the canonical chain key (what gets stored in vaults.chain), and
+ * answers per-chain questions: deployments, block time, RPC env, risk.
+ */
+class ChainRegistry {
+  constructor(chains = CHAINS, options = {}) {
+    this.chains = chains;
+    this.names = new Map(); // lowercase name -> chain key
+    this.chainIds = new Map(); // chainId -> chain key
+
+    for (const [key, chain] of Object.entries(chains)) {
+      [key, chain.name, ...chain.aliases, ...Object.values(chain.sourceNames), `eip155:${chain.chainId}`]
+        .forEach(name => this.names.set(String(name).toLowerCase(), key));
+      this.chainIds.set(chain.chainId, key);
+    }
+
+    const configured = options.collectChains ?? process.env.COLLECT_CHAINS;
+    this.collected = configured
+      ? configured.split(',').map(name => this.resolve(name.trim())).filter(Boolean)
+      : Object.keys(chains).filter(key => chains[key].collect);
+  }
+
+  resolve(name) {
+    if (name === null || name === undefined || name === '') return null;
+    if (typeof name === 'number') return this.chainIds.get(name) || null;
+    return this.names.get(String(name).trim().toLowerCase()) || null;
+  }
+
+  get(name) {
+    const key = this.resolve(name);
+    if (!key) return null;
+
+    const chain = this.chains[key];
+    return { key, caip2: `eip155:${chain.chainId}`, ...chain };
+  }
+
+  byChainId(chainId) {
+    return this.get(Number(chainId));
+  }
+
+  getContract(chain, contract) {
+    return this.get(chain)?.contracts[contract] || null;
+  }
+
+  blocksPerYear(chain) {
+    const blockTime = this.get(chain)?.blockTimeSeconds;
+    return blockTime ? Math.round(SECONDS_PER_YEAR / blockTime) : null;
+  }
+
+  riskMultiplier(chain) {
+    return this.get(chain)?.riskMultiplier ?? null;
+  }
+
+  // The name a data source uses for the chain, e.g. "mainnet" on Vaults.fyi
+  sourceName(chain, source) {
+    const entry = this.get(chain);
+    return entry ? entry.sourceNames[source] || entry.key : null;
+  }
+
+  isCollected(chain) {
+    return this.collected.includes(this.resolve(chain));
+  }
+
+  getCollectedChains() {
+    return [...this.collected];
+  }
+
+  list() {
+    return Object.keys(this.chains).map(key => ({
+      ...this.get(key),
+      collected: this.collected.includes(key)
+    }));
+  }
+}
+
+module.exports = ChainRegistry;
@@ -0,0 +1,195 @@
+// src/utils/metrics-rollup.js
+
+const ROLLUP_COLUMNS = `
+  chain, vault_address, bucket_start, sample_count,
+  apy_open, apy_high, apy_low, apy_close, apy_avg,
+  tvl_open, tvl_high, tvl_low, tvl_close, tvl_avg,
+  risk_score_min, risk_score_max, risk_score_avg, updated_at
+`;
+
+const ROLLUP_UPSERT = `
+  ON CONFLICT (chain, vault_address, bucket_start)
+  DO UPDATE SET
+    sample_count = EXCLUDED.sample_count,
+    apy_open = EXCLUDED.apy_open,
+    apy_high = EXCLUDED.apy_high,
+    apy_low = EXCLUDED.apy_low,
+    apy_close = EXCLUDED.apy_close,
+    apy_avg = EXCLUDED.apy_avg,
+    tvl_open = EXCLUDED.tvl_open,
+    tvl_high = EXCLUDED.tvl_high,
+    tvl_low = EXCLUDED.tvl_low,
+    tvl_close = EXCLUDED.tvl_close,
+    tvl_avg = EXCLUDED.tvl_avg,
+    risk_score_min = EXCLUDED.risk_score_min,
+    risk_score_max = EXCLUDED.risk_score_max,
+    risk_score_avg = EXCLUDED.risk_score_avg,
+    updated_at = CURRENT_TIMESTAMP
+`;
+
+// Newest bucket per vault in a rollup table. A vault's rows from its watermark on are
+// (re)aggregated and rows before it are settled, whatever the other vaults have reached.
+const watermarks = (table) => `
+  SELECT chain, vault_address, MAX(bucket_start) AS watermark
+  FROM ${table}
+  GROUP BY chain, vault_address
+`;
+
+/**
+ * Downsamples vault_metrics into hourly and daily OHLC rollups and prunes
+ * rows that have aged out of their retention window.
+ */
+class MetricsRollup {
+  constructor(pool, options = {}) {
+    this.pool = pool;
+
+    // Retention in days; 0 keeps rows forever. Daily rollups are never pruned.
+    this.rawRetentionDays = options.rawRetentionDays ??
+      parseInt(process.env.METRICS_RAW_RETENTION_DAYS || 30);
+    this.hourlyRetentionDays = options.hourlyRetentionDays ??
+      parseInt(process.env.METRICS_HOURLY_RETENTION_DAYS || 365);
+  }
+
+  /**
+   * Recompute each vault's hourly buckets from its latest existing bucket
+   * onwards. That bucket may be partial, so it is re-aggregated on every run.
+   */
+  async rollupHourly() {
+    const result = await this.pool.query(`
+      INSERT INTO vault_metrics_hourly (${ROLLUP_COLUMNS})
+      SELECT chain, vault_address, date_trunc('hour', timestamp) AS bucket,
+             COUNT(*),
+             (ARRAY_AGG(apy ORDER BY timestamp ASC))[1],
+             MAX(apy), MIN(apy),
+             (ARRAY_AGG(apy ORDER BY timestamp DESC))[1],
+             AVG(apy),
+             (ARRAY_AGG(tvl_usd ORDER BY timestamp ASC))[1],
+             MAX(tvl_usd), MIN(tvl_usd),
+             (ARRAY_AGG(tvl_usd ORDER BY timestamp DESC))[1],
+             ROUND(AVG(tvl_usd)),
+             MIN(risk_score), MAX(risk_score), AVG(risk_score),
+             CURRENT_TIMESTAMP
+      FROM vault_metrics vm
+      LEFT JOIN (${watermarks('vault_metrics_hourly')}) w USING (chain, vault_address)
+      WHERE vm.timestamp >= COALESCE(w.watermark, '-infinity'::timestamp)
+      GROUP BY chain, vault_address, bucket
+      ${ROLLUP_UPSERT}
+    `);
+
+    return result.rowCount;
+  }
+
+  /**
+   * Recompute each vault's daily buckets from hourly rollups, so days survive
+   * raw pruning
+   */
+  async rollupDaily() {
+    const result = await this.pool.query(`
+      INSERT INTO vault_metrics_daily (${ROLLUP_COLUMNS})
+      SELECT chain, vault_address, date_trunc('day', bucket_start) AS bucket,
+             SUM(sample_count),
+             (ARRAY_AGG(apy_open ORDER BY bucket_start ASC))[1],
+             MAX(apy_high), MIN(apy_low),
+             (ARRAY_AGG(apy_close ORDER BY bucket_start DESC))[1],
+             SUM(apy_avg * sample_count) / NULLIF(SUM(sample_count), 0),
+             (ARRAY_AGG(tvl_open ORDER BY bucket_start ASC))[1],
+             MAX(tvl_high), MIN(tvl_low),
+             (ARRAY_AGG(tvl_close ORDER BY bucket_start DESC))[1],
+             ROUND(SUM(tvl_avg * sample_count) / NULLIF(SUM(sample_count), 0)),
+             MIN(risk_score_min), MAX(risk_score_max),
+             SUM(risk_score_avg * sample_count) / NULLIF(SUM(sample_count), 0),
+             CURRENT_TIMESTAMP
+      FROM vault_metrics_hourly h
+      LEFT JOIN (${watermarks('vault_metrics_daily')}) w USING (chain, vault_address)
+      WHERE h.bucket_start >= COALESCE(w.watermark, '-infinity'::timestamp)
+      GROUP BY chain, vault_address, bucket
+      ${ROLLUP_UPSERT}
+    `);
+
+    return result.rowCount;
+  }
+
+  /**
+   * Delete raw and hourly rows past retention. Only rows older than their
+   * vault's newest rollup bucket are eligible, so nothing is dropped before it
+   * is aggregated.
+   */
+  async prune() {
+    const pruned = { raw: 0, hourly: 0 };
+
+    if (this.rawRetentionDays > 0) {
+      const result = await this.pool.query(`
+        DELETE FROM vault_metrics vm
+        USING (${watermarks('vault_metrics_hourly')}) w
+        WHERE w.chain = vm.chain AND w.vault_address = vm.vault_address
+        AND vm.timestamp < NOW() - make_interval(days => $1)
+        AND vm.timestamp < w.watermark
+      `, [this.rawRetentionDays]);
+      pruned.raw = result.rowCount;
+    }
+
+    if (this.hourlyRetentionDays > 0) {
+      const result = await this.pool.query(`
+        DELETE FROM vault_metrics_hourly h
+        USING (${watermarks('vault_metrics_daily')}) w
+        WHERE w.chain = h.chain AND w.vault_address = h.vault_address
+        AND h.bucket_start < NOW() - make_interval(days => $1)
+        AND h.bucket_start < w.watermark
+      `, [this.hourlyRetentionDays]);
+      pruned.hourly = result.rowCount;
+    }
+
+    return pruned;
+  }
+
+  async run({ prune = false } = {}) {
+    const hourly = await this.rollupHourly();
+    const daily = await this.rollupDaily();
+    console.log(`📦 Rolled up ${hourly} hourly and ${daily} daily buckets`);
+
+    if (prune) {
+      const pruned = await this.prune();
+      console.log(`🧹 Pruned ${pruned.raw} raw and ${pruned.hourly} hourly metric rows`);
+      return { hourly, daily, pruned };
+    }
+
+    return { hourly, daily };
+  }
+
+  /**
+   * Choose the coarsest-needed source for a time range: raw rows for short
+   * recent windows, hourly up to two months, daily beyond that
+   */
+  resolveInterval(fromDate, toDate) {
+    const rangeDays = (toDate - fromDate) / (24 * 60 * 60 * 1000);
+    const rawCutoff = Date.now() - this.rawRetentionDays * 24 * 60 * 60 * 1000;
+    const rawAvailable = this.rawRetentionDays === 0 || fromDate.getTime() >= rawCutoff;
+
+    if (rangeDays <= 2 && rawAvailable) return 'raw';
+    if (rangeDays <= 60) return 'hourly';
+    return 'daily';
+  }
+}
+
+// Run rollups and pruning once if called directly
+if (require.main === module) {
+  require('dotenv').config();
+  const { Pool } = require('pg');
+
+  const pool = new Pool({
+    host: process.env.DB_HOST,
+    port: process.env.DB_PORT,
+    database: process.env.DB_NAME,
+    user: process.env.DB_USER,
+    password: process.env.DB_PASS,
+  });
+
+  new MetricsRollup(pool).run({ prune: true })
+    .catch(error => {
+      console.error('❌ Metrics rollup failed:', error.message);
+      process.exitCode = 1;
+    })
+    .finally(() => pool.end());
+}
+
+module.exports = MetricsRollup;
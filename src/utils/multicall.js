@@ -0,0 +1,94 @@
+// src/utils/multicall.js
+const { ethers } = require('ethers');
+
+// Multicall3 is deployed at the same address on every chain we collect from
+const MULTICALL3_ADDRESS = '0xcA11bde05977b3631167028862bE2a173976CA11';
+
+const MULTICALL3_ABI = [
+  "function aggregate3(tuple(address target, bool allowFailure, bytes callData)[] calls) payable returns (tuple(bool success, bytes returnData)[] returnData)",
+  "function getBlockNumber() view returns (uint256 blockNumber)"
+];
+
+const DEFAULT_MAX_CALLS = 200;
+
+const FAILED = { success: false, value: null };
+
+/**
+ * Batches contract reads into Multicall3 aggregate3 calls, so a set of reads
+ * costs one eth_call per MULTICALL_MAX_CALLS (200) calls instead of one each.
+ *
+ * A call is { target, abi, method, args }, where abi is a human-readable ABI
+ * array or an ethers Interface. Every call may fail on its own (allowFailure);
+ * reverts and undecodable returns come back as { success: false, value: null }.
+ */
+class Multicall {
+  constructor(options = {}) {
+    this.address = options.address || MULTICALL3_ADDRESS;
+    this.maxCalls = options.maxCalls ??
+      parseInt(process.env.MULTICALL_MAX_CALLS || DEFAULT_MAX_CALLS);
+    this.interface = new ethers.Interface(MULTICALL3_ABI);
+    this.interfaces = new WeakMap(); // abi array -> Interface
+  }
+
+  interfaceFor(abi) {
+    if (abi instanceof ethers.Interface) return abi;
+    if (!this.interfaces.has(abi)) this.interfaces.set(abi, new ethers.Interface(abi));
+    return this.interfaces.get(abi);
+  }
+
+  // Read the block number inside the same aggregate as the other calls
+  blockNumberCall() {
+    return { target: this.address, abi: this.interface, method: 'getBlockNumber' };
+  }
+
+  /**
+   * @param {Array<{target, abi, method, args}>} calls
+   * @param {{blockTag}} [overrides]
+   * @returns {Promise<Array<{success: boolean, value: any}>>} in call order; value
+   *   is the single return value, or the full Result for multi-value returns
+   */
+  async aggregate(provider, calls, overrides = {}) {
+    const encoded = calls.map(call => {
+      const iface = this.interfaceFor(call.abi);
+      const fragment = iface.getFunction(call.method);
+      return {
+        iface,
+        fragment,
+        target: call.target,
+        callData: iface.encodeFunctionData(fragment, call.args || [])
+      };
+    });
+
+    const results = [];
+    for (let i = 0; i < encoded.length; i += this.maxCalls) {
+      results.push(...await this.execute(provider, encoded.slice(i, i + this.maxCalls), overrides));
+    }
+    return results;
+  }
+
+  async execute(provider, chunk, overrides) {
+    const data = this.interface.encodeFunctionData('aggregate3', [
+      chunk.map(({ target, callData }) => ({ target, allowFailure: true, callData }))
+    ]);
+
+    const raw = await provider.call({ to: this.address, data, blockTag: overrides.blockTag });
+    const [returnData] = this.interface.decodeFunctionResult('aggregate3', raw);
+
+    return returnData.map((result, index) => {
+      if (!result.success) return FAILED;
+
+      try {
+        const { iface, fragment } = chunk[index];
+        const decoded = iface.decodeFunctionResult(fragment, result.returnData);
+        return { success: true, value: decoded.length === 1 ? decoded[0] : decoded };
+      } catch (error) {
+        // Calls to addresses without code succeed with empty return data
+        return FAILED;
+      }
+    });
+  }
+}
+
+Multicall.MULTICALL3_ADDRESS = MULTICALL3_ADDRESS;
+
+module.exports = Multicall;
@@ -0,0 +1,133 @@
+// src/utils/rate-limiter.js
+const Redis = require('ioredis');
+
+/**
+ * Sliding-window counter: the previous fixed window's count is weighted by how
+ * much of it still overlaps the sliding window, plus the current window's count.
+ * Each request consumes `cost` units, so expensive routes can weigh more.
+ */
+function evaluateWindow({ previous, current, limit, windowMs, now, cost }) {
+  const elapsed = now % windowMs;
+  const resetMs = windowMs - elapsed;
+  const used = previous * (resetMs / windowMs) + current;
+  const allowed = used + cost <= limit;
+
+  let retryAfterMs = 0;
+  if (!allowed) {
+    // Wait for enough of the previous window to slide out, or for the next window
+    retryAfterMs = previous > 0 && current + cost <= limit
+      ? Math.max(resetMs - ((limit - current - cost) * windowMs) / previous, 1)
+      : resetMs;
+  }
+
+  return {
+    allowed,
+    limit,
+    cost,
+    remaining: Math.max(Math.floor(limit - used - (allowed ? cost : 0)), 0),
+    resetMs,
+    retryAfterMs: Math.ceil(retryAfterMs)
+  };
+}
+
+// Reads both windows and increments the current one only if the request fits
+const SLIDING_WINDOW_LUA = `
+  local previous = tonumber(redis.call('GET', KEYS[1]) or '0')
+  local current = tonumber(redis.call('GET', KEYS[2]) or '0')
+  local limit = tonumber(ARGV[1])
+  local window_ms = tonumber(ARGV[2])
+  local elapsed = tonumber(ARGV[3])
+  local cost = tonumber(ARGV[4])
+
+  local used = previous * ((window_ms - elapsed) / window_ms) + current
+  if used + cost <= limit then
+    current = redis.call('INCRBY', KEYS[2], cost)
+    redis.call('PEXPIRE', KEYS[2], window_ms * 2)
+    return {1, previous, current - cost}
+  end
+
+  return {0, previous, current}
+`;
+
+class MemoryRateLimiter {
+  constructor() {
+    this.windows = new Map(); // key -> { index, current, previous }
+    this.sweeper = setInterval(() => this.sweep(), 60000);
+    this.sweeper.unref();
+  }
+
+  async consume(key, { limit, windowMs = 60000, cost = 1 }) {
+    const now = Date.now();
+    const index = Math.floor(now / windowMs);
+    let entry = this.windows.get(key);
+
+    if (!entry || entry.index < index - 1) {
+      entry = { index, current: 0, previous: 0, windowMs };
+    } else if (entry.index === index - 1) {
+      entry = { index, current: 0, previous: entry.current, windowMs };
+    }
+
+    const result = evaluateWindow({ previous: entry.previous, current: entry.current, limit, windowMs, now, cost });
+    if (result.allowed) entry.current += cost;
+    this.windows.set(key, entry);
+
+    return result;
+  }
+
+  sweep() {
+    const now = Date.now();
+    for (const [key, entry] of this.windows) {
+      if (entry.index < Math.floor(now / entry.windowMs) - 1) {
+        this.windows.delete(key);
+      }
+    }
+  }
+}
+
+class RedisRateLimiter {
+  constructor(redis, fallback = new MemoryRateLimiter()) {
+    this.redis = redis;
+    this.fallback = fallback;
+    this.redis.defineCommand('slidingWindowConsume', { numberOfKeys: 2, lua: SLIDING_WINDOW_LUA });
+  }
+
+  async consume(key, { limit, windowMs = 60000, cost = 1 }) {
+    const now = Date.now();
+    const index = Math.floor(now / windowMs);
+
+    try {
+      const [, previous, current] = await this.redis.slidingWindowConsume(
+        `ratelimit:${key}:${index - 1}`,
+        `ratelimit:${key}:${index}`,
+        limit, windowMs, now % windowMs, cost
+      );
+
+      return evaluateWindow({ previous, current, limit, windowMs, now, cost });
+    } catch (error) {
+      console.warn('Redis rate limiter unavailable, using memory:', error.message);
+      return this.fallback.consume(key, { limit, windowMs, cost });
+    }
+  }
+}
+
+/**
+ * Redis-backed limiter when REDIS_URL is set (shared across instances),
+ * otherwise a per-process in-memory limiter
+ */
+function createRateLimiter() {
+  if (!process.env.REDIS_URL) {
+    return new MemoryRateLimiter();
+  }
+
+  const redis = new Redis(process.env.REDIS_URL, {
+    maxRetriesPerRequest: 1,
+    enableOfflineQueue: false
+  });
+  redis.on('error', (error) => {
+    console.warn('Rate limiter Redis error:', error.message);
+  });
+
+  return new RedisRateLimiter(redis);
+}
+
+module.exports = { createRateLimiter, MemoryRateLimiter, RedisRateLimiter, evaluateWindow };
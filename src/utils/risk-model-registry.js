@@ -0,0 +1,116 @@
+// src/utils/risk-model-registry.js
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_MODELS_DIR = path.join(__dirname, '../config/risk-models');
+const DEFAULT_VERSION = 'v4';
+
+const CATEGORIES = ['low', 'medium-low', 'medium', 'medium-high', 'high'];
+
+const isScore = (value) => typeof value === 'number' && value >= 0 && value <= 100;
+
+/**
+ * Versioned risk models: component weights, TVL/APY step curves and
+ * protocol, chain and source tables, one JSON file per version in
+ * config/risk-models (plus RISK_MODELS_DIR, which may override a version).
+ *
+ * RISK_MODEL_VERSION picks the model used when a request doesn't name one.
+ * Published versions should never be edited; tune by adding a new version so
+ * stored risk scores stay traceable to the model that produced them.
+ */
+class RiskModelRegistry {
+  constructor(options = {}) {
+    this.models = new Map(); // version -> model
+
+    const dirs = [options.modelsDir || DEFAULT_MODELS_DIR, process.env.RISK_MODELS_DIR].filter(Boolean);
+    dirs.forEach(dir => RiskModelRegistry.loadDir(dir).forEach(model => this.models.set(model.version, model)));
+
+    this.defaultVersion = options.defaultVersion || process.env.RISK_MODEL_VERSION || DEFAULT_VERSION;
+    if (!this.models.has(this.defaultVersion)) {
+      throw new Error(`Default risk model ${this.defaultVersion} not found`);
+    }
+  }
+
+  static loadDir(dir) {
+    if (!fs.existsSync(dir)) return [];
+
+    return fs.readdirSync(dir)
+      .filter(file => file.endsWith('.json'))
+      .sort()
+      .map(file => RiskModelRegistry.validate(JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8')), file));
+  }
+
+  static validate(model, file) {
+    const fail = (reason) => { throw new Error(`Invalid risk model ${file}: ${reason}`); };
+
+    if (!model.version || typeof model.version !== 'string') fail('missing version');
+
+    const weights = Object.entries(model.weights || {});
+    if (weights.length === 0) fail('no weights');
+    weights.forEach(([component, weight]) => {
+      if (typeof weight !== 'number' || weight < 0) fail(`weight for ${component} must be a non-negative number`);
+    });
+    if (weights.every(([, weight]) => weight === 0)) fail('weights sum to zero');
+
+    Object.entries(model.curves || {}).forEach(([name, curve]) => {
+      if (!Array.isArray(curve.steps)) fail(`curve ${name} has no steps`);
+      curve.steps.forEach(step => {
+        if ((step.min === undefined) === (step.max === undefined)) fail(`curve ${name} steps need either min or max`);
+        if (!isScore(step.score)) fail(`curve ${name} step score must be 0-100`);
+      });
+      if (!isScore(curve.missing) || !isScore(curve.otherwise)) fail(`curve ${name} needs missing and otherwise scores`);
+    });
+
+    if (model.weights.stability !== undefined) {
+      const { stability } = model;
+      if (!stability || !isScore(stability.missing)) fail('stability needs a missing score');
+      ['apy_cv', 'apy_drawdown', 'apy_jumps'].forEach(curve => {
+        if (!model.curves?.[curve]) fail(`stability needs the ${curve} curve`);
+      });
+    }
+
+    if (model.weights.liquidity !== undefined) {
+      if (!isScore(model.liquidity?.missing)) fail('liquidity needs a missing score');
+      ['utilization', 'withdrawable_share'].forEach(curve => {
+        if (!model.curves?.[curve]) fail(`liquidity needs the ${curve} curve`);
+      });
+    }
+
+    if (model.rewards !== undefined) {
+      const discount = model.rewards?.discount;
+      if (typeof discount !== 'number' || discount < 0 || discount > 1) fail('rewards discount must be 0-1');
+    }
+
+    CATEGORIES.forEach(category => {
+      if (!isScore(model.categories?.[category])) fail(`category ${category} needs a 0-100 minimum score`);
+    });
+
+    return model;
+  }
+
+  // Unknown versions throw, so a typo doesn't silently score with the default
+  get(version = null) {
+    const model = this.models.get(version || this.defaultVersion);
+    if (!model) throw new Error(`Unknown risk model: ${version}`);
+    return model;
+  }
+
+  has(version) {
+    return this.models.has(version);
+  }
+
+  versions() {
+    return Array.from(this.models.keys());
+  }
+
+  list() {
+    return Array.from(this.models.values()).map(model => ({
+      ...model,
+      default: model.version === this.defaultVersion
+    }));
+  }
+}
+
+RiskModelRegistry.CATEGORIES = CATEGORIES;
+
+module.exports = RiskModelRegistry;
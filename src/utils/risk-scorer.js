@@ -1,108 +1,65 @@
 // src/utils/risk-scorer.js
 const CacheManager = require('./cache-manager');
-
+const ChainRegistry = require('./chain-registry');
+const RiskModelRegistry = require('./risk-model-registry');
+
+/**
+ * Scores vaults 0-100 (higher = safer) as a weighted sum of component scores.
+ * Weights, curves and protocol/chain/source tables come from a versioned risk
+ * model (see RiskModelRegistry); every result names the model that produced it.
+ */
 class RiskScorer {
-  constructor() {
+  constructor(options = {}) {
     this.cacheManager = new CacheManager();
-    
-    // Known protocol risk ratings (lower = safer)
-    this.protocolRiskScores = {
-      // Ultra Safe (90-100)
-      'aave-v3': 95,
-      'aave-v2': 92,
-      'compound-v3': 94,
-      'compound-v2': 90,
-      
-      // Safe (80-89)
-      'yearn': 85,
-      'convex': 83,
-      'curve': 87,
-      'lido': 88,
-      'maker': 89,
-      
-      // Medium Risk (60-79)
-      'uniswap-v3': 75,
-      'sushiswap': 72,
-      'balancer': 78,
-      'morpho-blue': 82,
-      'fluid-lending': 75,
-      
-      // Higher Risk (40-59)
-      'aerodrome-slipstream': 45, // Those crazy APYs we saw
-      'pancakeswap': 65,
-      'trader-joe': 68,
-      
-      // Unknown protocols start at 50
-      'default': 50
-    };
-
-    // Chain risk multipliers
-    this.chainRiskMultipliers = {
-      'ethereum': 1.0,    // Safest, most established
-      'base': 0.95,       // Coinbase L2, very safe
-      'arbitrum': 0.9,    // Established L2
-      'polygon': 0.85,    // Established but some risks
-      'optimism': 0.9,    // Established L2
-      'avalanche': 0.8,   // Less established
-      'bsc': 0.7          // Higher risk
-    };
-  }
-
-  async calculateRiskScore(vaultData) {
+    this.models = options.models || new RiskModelRegistry();
+
+    // APY history for the stability component; without it only DefiLlama mu/sigma is used
+    this.apyStability = options.apyStability || null;
+
+    // Only resolves chain names; the multipliers come from the model
+    this.chainRegistry = options.chainRegistry || new ChainRegistry();
+  }
+
+  async calculateRiskScore(vaultData, modelVersion = null) {
+    // Unknown model versions are a caller error, not a scoring failure
+    const model = this.models.get(modelVersion);
+
     try {
-      // Check cache first
-      const cacheKey = `${vaultData.vault_address}-${vaultData.protocol}-${vaultData.tvl_usd}`;
+      // Check cache first; chain is in the key because the same address can be deployed on
+      // several chains, and every scored input so a changed APY or drained vault is rescored right away
+      const cacheKey = `${model.version}:${vaultData.chain}:${vaultData.vault_address}-` + [
+        vaultData.protocol, vaultData.tvl_usd, vaultData.apy, vaultData.mu, vaultData.sigma,
+        vaultData.withdrawable_liquidity_usd, vaultData.utilization_rate
+      ].map(value => value ?? '').join('-');
       const cached = await this.cacheManager.getRiskScore(cacheKey);
       if (cached) {
         return cached;
       }
-      
+
       let score = 0;
       let maxScore = 0;
+      const breakdown = {};
 
-      // 1. Protocol Risk (40% weight)
-      const protocolScore = this.getProtocolScore(vaultData.protocol);
-      score += protocolScore * 0.4;
-      maxScore += 100 * 0.4;
-
-      // 2. TVL Risk (25% weight) - Higher TVL = Lower Risk
-      const tvlScore = this.getTVLScore(vaultData.tvl_usd);
-      score += tvlScore * 0.25;
-      maxScore += 100 * 0.25;
-
-      // 3. APY Reasonableness (20% weight) - Too high APY = Higher Risk
-      const apyScore = this.getAPYScore(vaultData.apy);
-      score += apyScore * 0.2;
-      maxScore += 100 * 0.2;
-
-      // 4. Chain Risk (10% weight)
-      const chainScore = this.getChainScore(vaultData.chain);
-      score += chainScore * 0.1;
-      maxScore += 100 * 0.1;
-
-      // 5. Data Source Reliability (5% weight)
-      const sourceScore = this.getSourceScore(vaultData.data_source);
-      score += sourceScore * 0.05;
-      maxScore += 100 * 0.05;
+      for (const [component, weight] of Object.entries(model.weights)) {
+        const componentScore = await this.getComponentScore(component, vaultData, model);
+        score += componentScore * weight;
+        maxScore += 100 * weight;
+        breakdown[component] = Math.round(componentScore);
+      }
 
       // Normalize to 0-100 scale
       const finalScore = Math.round((score / maxScore) * 100);
-      
+
       const result = {
         riskScore: Math.max(0, Math.min(100, finalScore)),
-        breakdown: {
-          protocol: Math.round(protocolScore),
-          tvl: Math.round(tvlScore),
-          apy: Math.round(apyScore),
-          chain: Math.round(chainScore),
-          source: Math.round(sourceScore)
-        },
-        riskCategory: this.getRiskCategory(finalScore)
+        breakdown,
+        riskCategory: this.getRiskCategory(finalScore, model),
+        modelVersion: model.version
       };
-      
+
       // Cache the result
       await this.cacheManager.setRiskScore(cacheKey, result, 3600); // 1 hour cache
-      
+
       return result;
 
     } catch (error) {
@@ -110,106 +67,181 @@ class RiskScorer {
       return {
         riskScore: 50, // Default medium risk
         breakdown: {},
-        riskCategory: 'medium'
+        riskCategory: 'medium',
+        modelVersion: model.version
       };
     }
   }
 
-  getProtocolScore(protocol) {
-    if (!protocol) return 30;
-    
+  async getComponentScore(component, vaultData, model) {
+    switch (component) {
+      case 'protocol': return this.getProtocolScore(vaultData.protocol, model);
+      case 'tvl': return this.getTVLScore(vaultData.tvl_usd, model);
+      case 'apy': return this.getAPYScore(vaultData.apy, model);
+      case 'stability': return this.getStabilityScore(vaultData, model);
+      case 'liquidity': return this.getLiquidityScore(vaultData, model);
+      case 'chain': return this.getChainScore(vaultData.chain, model);
+      case 'source': return this.getSourceScore(vaultData.data_source, model);
+      default:
+        throw new Error(`Risk model ${model.version} weights unknown component: ${component}`);
+    }
+  }
+
+  // First step the value reaches (min) or stays within (max) wins. Levels
+  // (TVL, APY) of zero count as missing; ratios like drawdown can be zero.
+  scoreCurve(curve, value, { allowZero = false } = {}) {
+    if (value === null || value === undefined || Number.isNaN(value)) return curve.missing;
+    if (!allowZero && value <= 0) return curve.missing;
+
+    const step = curve.steps.find(({ min, max }) =>
+      min !== undefined ? value >= min : value <= max
+    );
+    return step ? step.score : curve.otherwise;
+  }
+
+  getProtocolScore(protocol, model = this.models.get()) {
+    if (!protocol) return model.protocols.missing;
+
     const protocolKey = protocol.toLowerCase().replace(/\s+/g, '-');
-    return this.protocolRiskScores[protocolKey] || this.protocolRiskScores['default'];
-  }
-
-  getTVLScore(tvlUsd) {
-    if (!tvlUsd || tvlUsd <= 0) return 20;
-    
-    // TVL scoring - logarithmic scale
-    if (tvlUsd >= 100000000) return 95;      // $100M+ = Ultra safe
-    if (tvlUsd >= 50000000) return 90;       // $50M+ = Very safe  
-    if (tvlUsd >= 10000000) return 85;       // $10M+ = Safe
-    if (tvlUsd >= 5000000) return 75;        // $5M+ = Good
-    if (tvlUsd >= 1000000) return 65;        // $1M+ = Medium
-    if (tvlUsd >= 500000) return 55;         // $500k+ = Moderate risk
-    if (tvlUsd >= 100000) return 45;         // $100k+ = Higher risk
-    return 30;                               // <$100k = High risk
-  }
-
-  getAPYScore(apy) {
-    if (!apy || apy <= 0) return 20;
-    
-    // APY scoring - suspicious if too high
-    if (apy <= 5) return 95;           // 0-5% = Very reasonable
-    if (apy <= 10) return 90;          // 5-10% = Reasonable  
-    if (apy <= 20) return 80;          // 10-20% = Good but watch
-    if (apy <= 50) return 60;          // 20-50% = Moderate risk
-    if (apy <= 100) return 40;         // 50-100% = High risk
-    if (apy <= 200) return 25;         // 100-200% = Very high risk
-    return 10;                         // >200% = Extreme risk (like those 1342% we saw!)
-  }
-
-  getChainScore(chain) {
-    if (!chain) return 50;
-    
-    const multiplier = this.chainRiskMultipliers[chain.toLowerCase()] || 0.7;
+    return model.protocols.scores[protocolKey] || model.protocols.default;
+  }
+
+  getTVLScore(tvlUsd, model = this.models.get()) {
+    return this.scoreCurve(model.curves.tvl, tvlUsd);
+  }
+
+  // Suspiciously high APYs score low
+  getAPYScore(apy, model = this.models.get()) {
+    return this.scoreCurve(model.curves.apy, apy);
+  }
+
+  /**
+   * How steady the APY has been: our own hourly history when there is enough
+   * of it, else DefiLlama's mu/sigma (coefficient of variation only)
+   */
+  async getStabilityScore(vaultData, model = this.models.get()) {
+    const { stability, curves } = model;
+
+    let stats = null;
+    if (this.apyStability && vaultData.chain && vaultData.vault_address) {
+      stats = await this.apyStability.getStats(vaultData.chain, vaultData.vault_address, stability.jump_threshold);
+    }
+
+    if (stats && stats.samples >= stability.min_history_samples) {
+      const weights = stability.history_weights;
+      const total = weights.cv + weights.drawdown + weights.jumps;
+      return (
+        this.scoreCurve(curves.apy_cv, stats.cv, { allowZero: true }) * weights.cv +
+        this.scoreCurve(curves.apy_drawdown, stats.max_drawdown, { allowZero: true }) * weights.drawdown +
+        this.scoreCurve(curves.apy_jumps, stats.jump_rate, { allowZero: true }) * weights.jumps
+      ) / total;
+    }
+
+    const mu = parseFloat(vaultData.mu);
+    const sigma = parseFloat(vaultData.sigma);
+    if (mu > 0 && sigma >= 0) {
+      return this.scoreCurve(curves.apy_cv, sigma / mu, { allowZero: true });
+    }
+
+    return stability.missing;
+  }
+
+  /**
+   * Whether withdrawals can be honoured now: the lower of the utilization
+   * score and the withdrawable-share-of-TVL score, whichever are known
+   */
+  getLiquidityScore(vaultData, model = this.models.get()) {
+    const { curves } = model;
+    const scores = [];
+
+    const utilization = parseFloat(vaultData.utilization_rate);
+    if (!Number.isNaN(utilization)) {
+      scores.push(this.scoreCurve(curves.utilization, utilization, { allowZero: true }));
+    }
+
+    const withdrawable = parseFloat(vaultData.withdrawable_liquidity_usd);
+    if (!Number.isNaN(withdrawable) && vaultData.tvl_usd > 0) {
+      scores.push(this.scoreCurve(curves.withdrawable_share, withdrawable / vaultData.tvl_usd, { allowZero: true }));
+    }
+
+    return scores.length > 0 ? Math.min(...scores) : model.liquidity.missing;
+  }
+
+  getChainScore(chain, model = this.models.get()) {
+    if (!chain) return model.chains.missing;
+
+    // Scores under a published model must not move when the chain registry is edited
+    const key = this.chainRegistry.resolve(chain);
+    const multiplier = model.chains.multipliers?.[key] ?? model.chains.default_multiplier;
     return multiplier * 100;
   }
 
-  getSourceScore(source) {
-    const sourceScores = {
-      'vaultsfyi': 90,     // Specialized vault data
-      'defillama': 85,     // Established aggregator
-      'onchain': 95,       // Direct from contracts
-      'default': 70
-    };
-    
-    return sourceScores[source] || sourceScores['default'];
+  getSourceScore(source, model = this.models.get()) {
+    return model.sources.scores[source] || model.sources.default;
   }
 
-  getRiskCategory(score) {
-    if (score >= 85) return 'low';
-    if (score >= 70) return 'medium-low';
-    if (score >= 55) return 'medium';
-    if (score >= 40) return 'medium-high';
-    return 'high';
+  getRiskCategory(score, model = this.models.get()) {
+    return RiskModelRegistry.CATEGORIES.find(category => score >= model.categories[category]) || 'high';
   }
 
   // Filter vaults by risk tolerance with parallel processing
-  async filterByRiskTolerance(vaults, maxRiskLevel = 'medium') {
-    const riskLevelScores = {
-      'low': 85,
-      'medium-low': 70,
-      'medium': 55,
-      'medium-high': 40,
-      'high': 0
-    };
-
-    const minScore = riskLevelScores[maxRiskLevel] || 55;
-    
+  async filterByRiskTolerance(vaults, maxRiskLevel = 'medium', modelVersion = null) {
+    const model = this.models.get(modelVersion);
+    const minScore = model.categories[maxRiskLevel] ?? model.categories['medium'];
+
     // Process vaults in parallel for better performance
     const enrichedVaults = await Promise.all(
       vaults.map(async vault => {
-        const riskAnalysis = await this.calculateRiskScore(vault);
+        const riskAnalysis = await this.calculateRiskScore(vault, model.version);
         return {
           ...vault,
           risk_score: riskAnalysis.riskScore,
           risk_category: riskAnalysis.riskCategory,
-          risk_breakdown: riskAnalysis.breakdown
+          risk_breakdown: riskAnalysis.breakdown,
+          risk_model_version: riskAnalysis.modelVersion
         };
       })
     );
-    
+
     return enrichedVaults
       .filter(vault => vault.risk_score >= minScore)
       .sort((a, b) => b.risk_score - a.risk_score); // Sort by safest first
   }
 
-  // Get risk-adjusted APY (APY weighted by risk)
-  getRiskAdjustedAPY(apy, riskScore) {
+  /**
+   * Risk-adjusted APY (APY weighted by risk). Reward APY is discounted first
+   * by the model's rewards.discount, since incentives can end or the reward
+   * token can fall before it is sold.
+   */
+  getRiskAdjustedAPY(apy, riskScore, { rewardApy = 0, modelVersion = null } = {}) {
+    const model = this.models.has(modelVersion) ? this.models.get(modelVersion) : this.models.get();
+    const discount = model.rewards?.discount ?? 0;
+    const effectiveApy = apy - Math.min(Math.max(rewardApy || 0, 0), apy) * discount;
+
     // Simple risk adjustment: higher risk = lower effective APY
     const riskMultiplier = riskScore / 100;
-    return apy * riskMultiplier;
+    return effectiveApy * riskMultiplier;
+  }
+
+  /**
+   * Risk-adjusted APY of a scored vault. With apyBasis 'base' only the base
+   * APY counts, so there is no reward APY left to discount.
+   */
+  getVaultRiskAdjustedAPY(vault, apyBasis = 'total') {
+    if (apyBasis === 'base') {
+      return this.getRiskAdjustedAPY(RiskScorer.baseAPY(vault), vault.risk_score);
+    }
+    return this.getRiskAdjustedAPY(vault.apy, vault.risk_score, {
+      rewardApy: parseFloat(vault.reward_apy) || 0,
+      modelVersion: vault.risk_model_version
+    });
+  }
+
+  // Base APY as reported, else total minus reward
+  static baseAPY(vault) {
+    const base = parseFloat(vault.base_apy);
+    if (!Number.isNaN(base)) return base;
+    return Math.max(0, (vault.apy || 0) - (parseFloat(vault.reward_apy) || 0));
   }
 }
 
@@ -0,0 +1,300 @@
+// src/utils/rpc-provider-pool.js
+const { ethers } = require('ethers');
+const ChainRegistry = require('./chain-registry');
+
+// Reverts and bad arguments come back the same from every endpoint
+const DETERMINISTIC_ERRORS = [
+  'CALL_EXCEPTION',
+  'INVALID_ARGUMENT',
+  'MISSING_ARGUMENT',
+  'UNEXPECTED_ARGUMENT',
+  'NUMERIC_FAULT'
+];
+
+const RATE_LIMIT_PATTERN = /429|rate.?limit|too many requests|exceeded.*(capacity|limit|quota)/i;
+
+const LATENCY_SMOOTHING = 0.3;
+const MAX_COOLDOWN_MS = 300000;
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const isProviderFailure = (error) => !DETERMINISTIC_ERRORS.includes(error?.code);
+
+const isRateLimited = (error) =>
+  error?.error?.code === 429 || RATE_LIMIT_PATTERN.test(error?.message || '');
+
+// Endpoint URLs carry API keys; stats only show the host
+const endpointLabel = (url, index) => {
+  try {
+    return `${new URL(url).host}#${index}`;
+  } catch (error) {
+    return `endpoint#${index}`;
+  }
+};
+
+/**
+ * Stands in for an ethers provider on one chain (as a Contract runner too),
+ * sending each request through the pool.
+ */
+class PooledProvider {
+  constructor(pool, chain) {
+    this.pool = pool;
+    this.chain = chain;
+  }
+
+  call(tx) {
+    return this.pool.execute(this.chain, provider => provider.call(tx));
+  }
+
+  getBlock(blockTag) {
+    return this.pool.execute(this.chain, provider => provider.getBlock(blockTag));
+  }
+
+  getBlockNumber() {
+    return this.pool.execute(this.chain, provider => provider.getBlockNumber());
+  }
+}
+
+/**
+ * Several RPC endpoints per chain, ranked by health. Each chain's primary
+ * endpoint comes from its rpcEnv in the chain registry; more can be listed in
+ * RPC_URLS_<CHAIN> (comma-separated), e.g. RPC_URLS_ETHEREUM.
+ *
+ * Requests go to the best endpoint and fail over to the next on network
+ * errors, timeouts or rate limits; once every endpoint has failed, the round
+ * is retried after an exponential backoff (RPC_RETRY_BASE_MS, RPC_MAX_RETRIES).
+ *
+ * Failing endpoints cool down before they are preferred again, rate-limited
+ * ones for at least RPC_RATE_LIMIT_COOLDOWN_MS. Health checks record latency
+ * and how many blocks each endpoint lags behind the chain's best.
+ */
+class RpcProviderPool {
+  constructor(options = {}) {
+    this.timeoutMs = options.timeoutMs ?? parseInt(process.env.RPC_TIMEOUT_MS || 10000);
+    this.maxRetries = options.maxRetries ?? parseInt(process.env.RPC_MAX_RETRIES || 2);
+    this.retryBaseMs = options.retryBaseMs ?? parseInt(process.env.RPC_RETRY_BASE_MS || 250);
+    this.cooldownMs = options.cooldownMs ?? parseInt(process.env.RPC_COOLDOWN_MS || 5000);
+    this.rateLimitCooldownMs = options.rateLimitCooldownMs ??
+      parseInt(process.env.RPC_RATE_LIMIT_COOLDOWN_MS || 30000);
+    this.maxBlockLag = options.maxBlockLag ?? parseInt(process.env.RPC_MAX_BLOCK_LAG || 5);
+    this.chainRegistry = options.chainRegistry || new ChainRegistry();
+
+    this.endpoints = new Map(); // chain -> [endpoint]
+    this.providers = {}; // chain -> PooledProvider
+    this.healthTimer = null;
+
+    const urls = options.urls || this.loadUrls();
+    Object.entries(urls).forEach(([chain, chainUrls]) => {
+      if (chainUrls.length === 0) return;
+
+      const network = ethers.Network.from(this.chainRegistry.get(chain)?.chainId ?? chain);
+      this.endpoints.set(chain, chainUrls.map((url, index) => ({
+        label: endpointLabel(url, index),
+        provider: RpcProviderPool.createProvider(url, network),
+        stats: {
+          requests: 0,
+          failures: 0,
+          rate_limited: 0,
+          consecutive_failures: 0,
+          latency_ms: null,
+          block_number: null,
+          block_lag: null,
+          cooldown_until: null,
+          last_error: null,
+          last_checked_at: null
+        }
+      })));
+      this.providers[chain] = new PooledProvider(this, chain);
+    });
+
+    console.log(`🛰️ RPC pool: ${Array.from(this.endpoints.entries())
+      .map(([chain, endpoints]) => `${chain} (${endpoints.length})`).join(', ') || 'no endpoints configured'}`);
+  }
+
+  static createProvider(url, network) {
+    // Rate limits fail over here instead of being retried inside ethers
+    const request = new ethers.FetchRequest(url);
+    request.setThrottleParams({ maxAttempts: 1 });
+
+    // A static network keeps an unreachable endpoint from retrying detection forever
+    return new ethers.JsonRpcProvider(request, network, { staticNetwork: network });
+  }
+
+  loadUrls() {
+    return Object.fromEntries(this.chainRegistry.list().map(({ key, rpcEnv }) => {
+      const extra = (process.env[`RPC_URLS_${key.toUpperCase()}`] || '').split(',');
+      const urls = [rpcEnv && process.env[rpcEnv], ...extra].map(url => (url || '').trim()).filter(Boolean);
+      return [key, [...new Set(urls)]];
+    }));
+  }
+
+  getProvider(chain) {
+    return this.providers[chain] || null;
+  }
+
+  isCoolingDown(endpoint, now = Date.now()) {
+    return endpoint.stats.cooldown_until !== null && endpoint.stats.cooldown_until > now;
+  }
+
+  isHealthy(endpoint) {
+    return !this.isCoolingDown(endpoint) &&
+      (endpoint.stats.block_lag === null || endpoint.stats.block_lag <= this.maxBlockLag);
+  }
+
+  // Success rate, discounted by latency and block lag
+  score(endpoint) {
+    const { requests, failures, latency_ms: latency, block_lag: lag } = endpoint.stats;
+    const successRate = (requests - failures + 1) / (requests + 1);
+    const lagPenalty = lag !== null && lag > this.maxBlockLag ? 1 + lag : 1;
+    return Math.round(successRate / (1 + (latency ?? 500) / 500) / lagPenalty * 1000) / 1000;
+  }
+
+  rankedEndpoints(chain) {
+    const now = Date.now();
+    return [...(this.endpoints.get(chain) || [])].sort((a, b) =>
+      (this.isCoolingDown(a, now) - this.isCoolingDown(b, now)) || (this.score(b) - this.score(a))
+    );
+  }
+
+  /**
+   * Run a request against the chain's best endpoint, failing over and
+   * retrying as described above. Deterministic errors (reverts) are thrown
+   * straight away.
+   *
+   * @param {(provider: ethers.JsonRpcProvider) => Promise} operation
+   */
+  async execute(chain, operation) {
+    if (!this.endpoints.has(chain)) {
+      throw new Error(`No RPC endpoints configured for chain: ${chain}`);
+    }
+
+    let lastError;
+    for (let round = 0; round <= this.maxRetries; round++) {
+      if (round > 0) {
+        await delay(this.retryBaseMs * 2 ** (round - 1));
+      }
+
+      for (const endpoint of this.rankedEndpoints(chain)) {
+        try {
+          return await this.attempt(endpoint, operation);
+        } catch (error) {
+          if (!isProviderFailure(error)) throw error;
+          lastError = error;
+          console.log(`⚠️ RPC ${chain} ${endpoint.label} failed: ${error.shortMessage || error.message}`);
+        }
+      }
+    }
+
+    throw lastError;
+  }
+
+  async attempt(endpoint, operation) {
+    const { stats } = endpoint;
+    const startTime = Date.now();
+    let timer;
+    stats.requests++;
+
+    try {
+      const result = await Promise.race([
+        operation(endpoint.provider),
+        new Promise((_, reject) => {
+          timer = setTimeout(() => reject(new Error(`RPC request timed out after ${this.timeoutMs}ms`)), this.timeoutMs);
+        })
+      ]);
+      this.recordSuccess(endpoint, Date.now() - startTime);
+      return result;
+    } catch (error) {
+      if (isProviderFailure(error)) {
+        this.recordFailure(endpoint, error);
+      } else {
+        // The endpoint answered; the call itself was bad
+        this.recordSuccess(endpoint, Date.now() - startTime);
+      }
+      throw error;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  recordSuccess(endpoint, latencyMs) {
+    const { stats } = endpoint;
+    stats.latency_ms = stats.latency_ms === null
+      ? latencyMs
+      : Math.round(stats.latency_ms * (1 - LATENCY_SMOOTHING) + latencyMs * LATENCY_SMOOTHING);
+    stats.consecutive_failures = 0;
+    stats.cooldown_until = null;
+  }
+
+  recordFailure(endpoint, error) {
+    const { stats } = endpoint;
+    stats.failures++;
+    stats.consecutive_failures++;
+    stats.last_error = error.shortMessage || error.message;
+
+    let cooldown = Math.min(this.cooldownMs * 2 ** (stats.consecutive_failures - 1), MAX_COOLDOWN_MS);
+    if (isRateLimited(error)) {
+      stats.rate_limited++;
+      cooldown = Math.max(cooldown, this.rateLimitCooldownMs);
+    }
+    stats.cooldown_until = Date.now() + cooldown;
+  }
+
+  /**
+   * Probe every endpoint for its block number, recording latency and block lag
+   * behind the chain's most advanced endpoint
+   */
+  async healthCheck() {
+    await Promise.all(Array.from(this.endpoints.values()).map(async endpoints => {
+      const blocks = await Promise.all(endpoints.map(async endpoint => {
+        endpoint.stats.last_checked_at = new Date().toISOString();
+        try {
+          const blockNumber = await this.attempt(endpoint, provider => provider.getBlockNumber());
+          endpoint.stats.block_number = blockNumber;
+          return blockNumber;
+        } catch (error) {
+          return null;
+        }
+      }));
+
+      const best = Math.max(...blocks.filter(block => block !== null));
+      endpoints.forEach((endpoint, index) => {
+        endpoint.stats.block_lag = blocks[index] === null ? null : best - blocks[index];
+      });
+    }));
+
+    return this.getStats();
+  }
+
+  startHealthChecks(intervalMs = parseInt(process.env.RPC_HEALTH_INTERVAL_MS || 60000)) {
+    if (this.healthTimer || this.endpoints.size === 0) return;
+
+    const run = () => this.healthCheck().catch(error =>
+      console.error('⚠️ RPC health check failed:', error.message)
+    );
+    run();
+    this.healthTimer = setInterval(run, intervalMs);
+    this.healthTimer.unref();
+  }
+
+  stopHealthChecks() {
+    clearInterval(this.healthTimer);
+    this.healthTimer = null;
+  }
+
+  getStats() {
+    return Object.fromEntries(Array.from(this.endpoints.entries()).map(([chain, endpoints]) => [
+      chain,
+      this.rankedEndpoints(chain).map(endpoint => ({
+        endpoint: endpoint.label,
+        healthy: this.isHealthy(endpoint),
+        score: this.score(endpoint),
+        ...endpoint.stats,
+        cooldown_until: endpoint.stats.cooldown_until && endpoint.stats.cooldown_until > Date.now()
+          ? new Date(endpoint.stats.cooldown_until).toISOString()
+          : null
+      }))
+    ]));
+  }
+}
+
+module.exports = RpcProviderPool;
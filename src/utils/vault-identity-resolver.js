@@ -0,0 +1,268 @@
+// src/utils/vault-identity-resolver.js
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_OVERRIDES_PATH = path.join(__dirname, '../config/vault-identity-overrides.json');
+
+const ADDRESS_PATTERN = /0x[0-9a-fA-F]{40}/;
+
+// Vaults.fyi matches must be this close in TVL to count
+const TVL_MATCH_TOLERANCE = 0.25;
+
+const CONFIDENCE = {
+  override: 1,
+  pool_id: 0.95,
+  pool_meta: 0.9,
+  vaultsfyi_match: 0.8,
+  vaultsfyi_tvl_match: 0.6
+};
+
+// Matches below this (TVL heuristics) are redone every run instead of being stored,
+// so a wrong one does not stick and an exact match can replace it
+const PERSIST_MIN_CONFIDENCE = 0.8;
+
+const isAddress = (value) => typeof value === 'string' && /^0x[0-9a-fA-F]{40}$/.test(value);
+
+// "aave-v3" and "Aave" both belong to "aave"
+const protocolFamily = (protocol) =>
+  String(protocol || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim().split(' ')[0];
+
+/**
+ * Maps source-specific vault ids (DefiLlama pool UUIDs) to the vault's real
+ * (chain, contract address, underlying token). Tried in order:
+ *   1. curated overrides (config/vault-identity-overrides.json or VAULT_IDENTITY_OVERRIDES)
+ *   2. a pool id that already is an address ("0x...-ethereum")
+ *   3. an address in the pool's poolMeta
+ *   4. a Vaults.fyi vault on the same chain, protocol family and underlying token
+ *
+ * Resolved identities are kept in vault_identities, so a vault stays mapped
+ * when the source that matched it is unavailable. TVL-only matches are not:
+ * they are re-checked against current TVLs on every run.
+ */
+class VaultIdentityResolver {
+  constructor(pool, options = {}) {
+    this.pool = pool;
+    this.identities = new Map(); // "source:source_id" -> identity
+    this.loaded = false;
+    this.overrides = VaultIdentityResolver.loadOverrides(
+      options.overridesPath || process.env.VAULT_IDENTITY_OVERRIDES || DEFAULT_OVERRIDES_PATH
+    );
+  }
+
+  static loadOverrides(file) {
+    const overrides = new Map();
+    if (!fs.existsSync(file)) return overrides;
+
+    const entries = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (!Array.isArray(entries)) {
+      throw new Error(`${file} must contain an array of identity overrides`);
+    }
+
+    for (const entry of entries) {
+      if (!entry.source_id || !entry.chain || !isAddress(entry.vault_address)) {
+        throw new Error(`Invalid identity override: ${JSON.stringify(entry)}`);
+      }
+      overrides.set(`${entry.source || 'defillama'}:${entry.source_id}`, {
+        chain: entry.chain.toLowerCase(),
+        vault_address: entry.vault_address,
+        underlying_address: entry.underlying_address || null,
+        resolution_method: 'override',
+        confidence: CONFIDENCE.override
+      });
+    }
+
+    return overrides;
+  }
+
+  async load() {
+    if (this.loaded || !this.pool) return;
+
+    try {
+      const result = await this.pool.query(`
+        SELECT source, source_id, chain, vault_address, underlying_address, resolution_method, confidence
+        FROM vault_identities
+        WHERE confidence >= $1
+      `, [PERSIST_MIN_CONFIDENCE]);
+
+      result.rows.forEach(row => {
+        this.identities.set(`${row.source}:${row.source_id}`, {
+          chain: row.chain,
+          vault_address: row.vault_address,
+          underlying_address: row.underlying_address,
+          resolution_method: row.resolution_method,
+          confidence: parseFloat(row.confidence)
+        });
+      });
+
+      this.loaded = true;
+      console.log(`🪪 Loaded ${result.rows.length} vault identities`);
+    } catch (error) {
+      console.error('⚠️ Could not load vault identities:', error.message);
+    }
+  }
+
+  lookup(source, sourceId) {
+    const key = `${source}:${sourceId}`;
+    return this.overrides.get(key) || this.identities.get(key) || null;
+  }
+
+  // Index vaults that carry real addresses by chain, protocol family and underlying token
+  buildAddressIndex(vaults) {
+    const index = new Map();
+
+    vaults
+      .filter(vault => isAddress(vault.vault_address) && vault.asset_address)
+      .forEach(vault => {
+        const key = `${vault.chain}:${protocolFamily(vault.protocol)}:${vault.asset_address.toLowerCase()}`;
+        if (!index.has(key)) index.set(key, []);
+        index.get(key).push(vault);
+      });
+
+    return index;
+  }
+
+  matchByIndex(vault, index) {
+    const underlying = vault.underlying_tokens?.length === 1 ? vault.underlying_tokens[0] : vault.asset_address;
+    if (!underlying) return null;
+
+    const candidates = index.get(`${vault.chain}:${protocolFamily(vault.protocol)}:${underlying.toLowerCase()}`) || [];
+    if (candidates.length === 1) {
+      return { vault: candidates[0], method: 'vaultsfyi_match' };
+    }
+
+    // Several vaults share the market; only accept one whose TVL lines up
+    const closest = candidates
+      .map(candidate => ({
+        candidate,
+        difference: Math.abs(candidate.tvl_usd - vault.tvl_usd) / Math.max(candidate.tvl_usd, vault.tvl_usd, 1)
+      }))
+      .filter(({ difference }) => difference <= TVL_MATCH_TOLERANCE)
+      .sort((a, b) => a.difference - b.difference)[0];
+
+    return closest ? { vault: closest.candidate, method: 'vaultsfyi_tvl_match' } : null;
+  }
+
+  resolveVault(source, vault, index) {
+    const sourceId = vault.pool_id || vault.vault_address;
+    const known = this.lookup(source, sourceId);
+    if (known) return known;
+
+    const underlying = vault.underlying_tokens?.length === 1
+      ? vault.underlying_tokens[0]
+      : vault.asset_address || null;
+    const identity = (vaultAddress, method) => ({
+      chain: vault.chain,
+      vault_address: vaultAddress,
+      underlying_address: underlying,
+      resolution_method: method,
+      confidence: CONFIDENCE[method]
+    });
+
+    const idAddress = String(sourceId).match(new RegExp(`^(${ADDRESS_PATTERN.source})(-|$)`));
+    if (idAddress) return identity(idAddress[1], 'pool_id');
+
+    const metaAddress = String(vault.pool_meta || '').match(ADDRESS_PATTERN);
+    if (metaAddress) return identity(metaAddress[0], 'pool_meta');
+
+    const match = this.matchByIndex(vault, index);
+    if (match) {
+      return {
+        ...identity(match.vault.vault_address, match.method),
+        underlying_address: underlying || match.vault.asset_address
+      };
+    }
+
+    return null;
+  }
+
+  /**
+   * Rewrite UUID-keyed vaults to their contract address wherever one can be
+   * resolved. The original id is kept in pool_id.
+   *
+   * @param {Array<{source: string, vaults: Array}>} results per-source vault lists
+   */
+  async resolveAll(results) {
+    await this.load();
+
+    const index = this.buildAddressIndex(results.flatMap(result => result.vaults));
+    const discovered = [];
+    let unresolved = 0;
+
+    const resolved = results.map(({ source, vaults }) => ({
+      source,
+      vaults: vaults.map(vault => {
+        if (isAddress(vault.vault_address)) return vault;
+
+        const sourceId = vault.pool_id || vault.vault_address;
+        const identity = this.resolveVault(source, vault, index);
+        if (!identity) {
+          unresolved++;
+          return vault;
+        }
+
+        const key = `${source}:${sourceId}`;
+        const durable = identity.confidence >= PERSIST_MIN_CONFIDENCE;
+        if (durable && !this.overrides.has(key) && !this.identities.has(key)) {
+          this.identities.set(key, identity);
+          discovered.push({ source, source_id: sourceId, ...identity });
+        }
+
+        return {
+          ...vault,
+          pool_id: sourceId,
+          vault_address: identity.vault_address,
+          asset_address: identity.underlying_address || vault.asset_address,
+          identity_resolution: identity.resolution_method,
+          identity_confidence: identity.confidence
+        };
+      })
+    }));
+
+    if (discovered.length > 0) {
+      await this.persist(discovered);
+    }
+
+    console.log(`🪪 Vault identities: ${discovered.length} newly resolved, ${unresolved} still unresolved`);
+    return resolved;
+  }
+
+  async persist(identities) {
+    if (!this.pool) return;
+
+    const values = identities.map((identity, i) =>
+      `(${Array.from({ length: 7 }, (_, j) => `$${i*7+j+1}`).join(', ')})`
+    ).join(', ');
+
+    const params = identities.flatMap(identity => [
+      identity.source,
+      identity.source_id,
+      identity.chain,
+      identity.vault_address,
+      identity.underlying_address,
+      identity.resolution_method,
+      identity.confidence
+    ]);
+
+    try {
+      await this.pool.query(`
+        INSERT INTO vault_identities
+        (source, source_id, chain, vault_address, underlying_address, resolution_method, confidence)
+        VALUES ${values}
+        ON CONFLICT (source, source_id)
+        DO UPDATE SET
+          chain = EXCLUDED.chain,
+          vault_address = EXCLUDED.vault_address,
+          underlying_address = EXCLUDED.underlying_address,
+          resolution_method = EXCLUDED.resolution_method,
+          confidence = EXCLUDED.confidence,
+          updated_at = CURRENT_TIMESTAMP
+      `, params);
+    } catch (error) {
+      console.error('⚠️ Could not persist vault identities:', error.message);
+    }
+  }
+}
+
+VaultIdentityResolver.isAddress = isAddress;
+
+module.exports = VaultIdentityResolver;
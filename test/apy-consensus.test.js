@@ -0,0 +1,110 @@
+// test/apy-consensus.test.js
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const ApyConsensus = require('../src/utils/apy-consensus');
+
+const ADDRESS = '0x' + 'ab'.repeat(20);
+
+const vault = (overrides) => ({ vault_address: ADDRESS, chain: 'ethereum', apy: 5, tvl_usd: 1000000, ...overrides });
+
+test('keyFor lines up DefiLlama "<address>-<chain>" ids with plain addresses', () => {
+  const consensus = new ApyConsensus();
+  assert.equal(consensus.keyFor(vault({ vault_address: `${ADDRESS.toUpperCase().replace('0X', '0x')}-ethereum` })),
+    consensus.keyFor(vault()));
+});
+
+test('reconcile settles an even split on the lower value and flags the outlier', () => {
+  const consensus = new ApyConsensus({ weights: { onchain: 3, defillama: 1, vaultsfyi: 1 } });
+
+  const even = consensus.reconcile([{ source: 'defillama', apy: 4 }, { source: 'vaultsfyi', apy: 6 }]);
+  assert.equal(even.apy, 4);
+  assert.equal(even.apy_disagreement, true);
+
+  const outlier = consensus.reconcile([
+    { source: 'onchain', apy: 5 },
+    { source: 'defillama', apy: 5.1 },
+    { source: 'vaultsfyi', apy: 12 }
+  ]);
+  assert.equal(outlier.apy, 5);
+  assert.equal(outlier.source_apys.vaultsfyi.outlier, true);
+  assert.equal(outlier.consensus_confidence, 0.64); // 4 of 5 weight agreeing, two sources
+});
+
+test('reconcile ignores non-finite observations', () => {
+  const result = new ApyConsensus().reconcile([{ source: 'defillama', apy: NaN }]);
+  assert.equal(result.apy, null);
+  assert.equal(result.consensus_confidence, 0);
+});
+
+test('merge keeps DefiLlama mu/sigma/count when a higher-TVL source becomes the base', () => {
+  const [merged] = new ApyConsensus().merge([
+    { source: 'defillama', vaults: [vault({ mu: 4.8, sigma: 0.3, count: 90 })] },
+    { source: 'vaultsfyi', vaults: [vault({ apy: 5.05, tvl_usd: 2000000 })] }
+  ]);
+
+  assert.equal(merged.source_priority, 'vaultsfyi');
+  assert.equal(merged.tvl_usd, 2000000);
+  assert.deepEqual([merged.mu, merged.sigma, merged.count], [4.8, 0.3, 90]);
+});
+
+test('merge keeps the base/reward split when a source without one becomes the base', () => {
+  const rewardTokens = [{ address: '0x' + '11'.repeat(20), symbol: 'OP' }];
+  const [merged] = new ApyConsensus().merge([
+    { source: 'defillama', vaults: [vault({ base_apy: 3, reward_apy: 2, reward_tokens: rewardTokens })] },
+    { source: 'vaultsfyi', vaults: [vault({ tvl_usd: 2000000, base_apy: 5, reward_apy: undefined, reward_tokens: [] })] }
+  ]);
+
+  assert.equal(merged.source_priority, 'vaultsfyi');
+  assert.equal(merged.base_apy, 3);
+  assert.equal(merged.reward_apy, 2);
+  assert.deepEqual(merged.reward_tokens, rewardTokens);
+});
+
+test('merge reconciles the APY across sources', () => {
+  const [merged] = new ApyConsensus().merge([
+    { source: 'defillama', vaults: [vault({ apy: 5 })] },
+    { source: 'vaultsfyi', vaults: [vault({ apy: 5.2 })] }
+  ]);
+
+  assert.equal(merged.apy, 5);
+  assert.deepEqual(Object.keys(merged.source_apys).sort(), ['defillama', 'vaultsfyi']);
+});
+
+test('merge takes the base/reward split from the source whose APY won', () => {
+  const consensus = new ApyConsensus({ weights: { defillama: 1, vaultsfyi: 2 } });
+  const [merged] = consensus.merge([
+    { source: 'defillama', vaults: [vault({ apy: 5, base_apy: 3, reward_apy: 2 })] },
+    { source: 'vaultsfyi', vaults: [vault({ apy: 5.2, base_apy: 4.2, reward_apy: 1 })] }
+  ]);
+
+  assert.equal(merged.apy, 5.2);
+  assert.deepEqual([merged.base_apy, merged.reward_apy], [4.2, 1]);
+  assert.equal(merged.source_apys.defillama.reward_apy, 2);
+});
+
+test('merge rescales another source\'s split when the winning source reports none', () => {
+  const consensus = new ApyConsensus({ weights: { defillama: 1, vaultsfyi: 2 } });
+  const [merged] = consensus.merge([
+    { source: 'defillama', vaults: [vault({ apy: 5, base_apy: 3, reward_apy: 2 })] },
+    { source: 'vaultsfyi', vaults: [vault({ apy: 5.2, base_apy: null, reward_apy: undefined })] }
+  ]);
+
+  assert.equal(merged.apy, 5.2);
+  assert.equal(merged.reward_apy, 2.08);
+  assert.equal(merged.base_apy + merged.reward_apy, merged.apy);
+});
+
+test('on-chain supply rates are compared with the aggregators on the base APY', () => {
+  const consensus = new ApyConsensus();
+  const [merged] = consensus.merge([
+    { source: 'defillama', vaults: [vault({ apy: 5, base_apy: 3, reward_apy: 2 })] },
+    { source: 'vaultsfyi', vaults: [vault({ apy: 5.1, base_apy: 3.1, reward_apy: 2 })] }
+  ]);
+
+  const reconciled = consensus.addObservation(merged, 'onchain', 3.05, { basis: 'base' });
+
+  assert.equal(reconciled.apy, 5.05);
+  assert.equal(reconciled.apy_disagreement, false);
+  assert.deepEqual([reconciled.base_apy, reconciled.reward_apy], [3.05, 2]);
+  assert.equal(reconciled.source_apys.onchain.apy, 5.05);
+});
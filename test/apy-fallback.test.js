@@ -0,0 +1,78 @@
+// test/apy-fallback.test.js
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const ApyFallback = require('../src/utils/apy-fallback');
+
+// Records queries and answers them in order
+function mockPool(responses) {
+  const queries = [];
+  return {
+    queries,
+    query: async (sql, params) => {
+      queries.push({ sql, params });
+      return responses.shift() || { rows: [] };
+    }
+  };
+}
+
+test('addresses are compared lowercase without LOWER(), so the index applies', async () => {
+  const pool = mockPool([{ rows: [{ apy: '5.1234', timestamp: new Date(0), data_source: 'defillama' }] }]);
+
+  const result = await new ApyFallback(pool).resolve('0xABCDEF0000000000000000000000000000000001', 'ethereum', 'aave');
+
+  assert.equal(result.fallback_tier, 'last_known');
+  assert.equal(result.calculated_apy, 0.051234);
+  assert.equal(pool.queries[0].params[1], '0xabcdef0000000000000000000000000000000001');
+  assert.doesNotMatch(pool.queries[0].sql, /LOWER\(vault_address\)/);
+});
+
+test('DefiLlama pool ids are looked up under the address they resolved to', async () => {
+  const pool = mockPool([
+    { rows: [{ vault_address: '0xAbC0000000000000000000000000000000000001' }] },
+    { rows: [] },
+    { rows: [{ apy: '4', sample_count: '12', as_of: new Date(0) }] }
+  ]);
+
+  const result = await new ApyFallback(pool).resolve('747c1d2a-c668-4682-b9f9-296708a3dd90', 'ethereum', 'aave');
+
+  assert.match(pool.queries[0].sql, /FROM vault_identities/);
+  assert.equal(pool.queries[1].params[1], '0xabc0000000000000000000000000000000000001');
+  assert.equal(result.fallback_tier, 'source_median');
+  assert.equal(result.calculated_apy, 0.04);
+});
+
+test('unresolved pool ids are looked up under the lowercased pool id', async () => {
+  const pool = mockPool([
+    { rows: [] },
+    { rows: [{ apy: '3.5', timestamp: new Date(0), data_source: 'defillama' }] }
+  ]);
+
+  const result = await new ApyFallback(pool).resolve('747C1D2A-C668-4682-B9F9-296708A3DD90', 'ethereum', 'aave');
+
+  assert.equal(pool.queries[1].params[1], '747c1d2a-c668-4682-b9f9-296708a3dd90');
+  assert.equal(result.fallback_tier, 'last_known');
+  assert.equal(result.calculated_apy, 0.035);
+});
+
+test('vaults without persisted samples fall through to the protocol median', async () => {
+  const pool = mockPool([
+    { rows: [] },
+    { rows: [] },
+    { rows: [{ apy: null, sample_count: '0', as_of: null }] },
+    { rows: [{ apy: '3', vault_count: '4', as_of: new Date(0) }] }
+  ]);
+
+  const result = await new ApyFallback(pool).resolve('unknown-pool', 'ethereum', 'aave', { asset_symbol: 'USDC' });
+
+  assert.equal(pool.queries.length, 4);
+  assert.equal(result.fallback_tier, 'protocol_median');
+  assert.deepEqual(pool.queries[3].params, ['aave', 'ethereum', 7, 'USDC']);
+});
+
+test('without a database the fallback is unavailable', async () => {
+  const result = await new ApyFallback(null).resolve('0x' + '00'.repeat(20), 'ethereum', 'aave');
+
+  assert.equal(result.fallback_tier, 'unavailable');
+  assert.equal(result.calculated_apy, null);
+  assert.equal(result.confidence_score, 0);
+});
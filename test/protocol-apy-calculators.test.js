@@ -0,0 +1,106 @@
+// test/protocol-apy-calculators.test.js
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const ProtocolAPYCalculators = require('../src/collectors/onchain/protocol-apy-calculators');
+
+const SECONDS_PER_YEAR = 31536000;
+const RAY = 10n ** 27n;
+const USDC = 10n ** 6n;
+
+// Answers aggregate3 calls from `${target}.${method}` or plain method handlers; a missing one fails the call
+function mockMulticall(handlers) {
+  return {
+    aggregate: async (provider, calls) => calls.map(({ target, method, args = [] }) => {
+      const handler = handlers[`${target}.${method}`] ?? handlers[method];
+      if (handler === undefined) return { success: false, value: null };
+      return { success: true, value: typeof handler === 'function' ? handler(...args) : handler };
+    })
+  };
+}
+
+const closeTo = (actual, expected, tolerance = 1e-9) =>
+  assert.ok(Math.abs(actual - expected) < tolerance, `${actual} is not within ${tolerance} of ${expected}`);
+
+test('Compound V3 deposits are priced with the market\'s rate model at the new utilization', async () => {
+  const calculators = new ProtocolAPYCalculators();
+  // Supply rate per second proportional to utilization (1e18 = 100%)
+  calculators.multicall = mockMulticall({
+    totalSupply: 1000000n * USDC,
+    totalBorrow: 800000n * USDC,
+    decimals: 6n,
+    getSupplyRate: utilization => utilization / 10n ** 9n,
+    getBorrowRate: utilization => (utilization * 2n) / 10n ** 9n
+  });
+
+  const result = await calculators.simulateCompoundDeposit('0xcomet', '1000000', null);
+
+  assert.equal(result.method, 'compound_v3_rate_model');
+  assert.equal(result.utilization_before, 0.8);
+  assert.equal(result.utilization_after, 0.4);
+  assert.equal(result.reward_dilution, 0.5);
+  assert.equal(result.accepts_full_amount, true);
+  closeTo(result.apy_before, Math.pow(1 + 0.8e-9, SECONDS_PER_YEAR) - 1);
+  closeTo(result.apy_after, Math.pow(1 + 0.4e-9, SECONDS_PER_YEAR) - 1);
+});
+
+test('Compound V3 simulation fails on contracts that are not Comet markets', async () => {
+  const calculators = new ProtocolAPYCalculators();
+  calculators.multicall = mockMulticall({ decimals: 6n });
+
+  await assert.rejects(calculators.simulateCompoundDeposit('0xtoken', '1', null), /Not a Compound V3 market/);
+});
+
+function aaveReserve({ reserveFactorBps = 1000n, supplyCap = 0n, totalSupply = 1000n * USDC } = {}) {
+  const pool = new ProtocolAPYCalculators().chainRegistry.getContract('ethereum', 'aaveV3Pool');
+  return {
+    '0xatoken.UNDERLYING_ASSET_ADDRESS': '0xusdc',
+    '0xatoken.totalSupply': totalSupply,
+    '0xatoken.decimals': 6n,
+    [`${pool}.getReserveData`]: () => ({
+      configuration: (reserveFactorBps << 64n) | (supplyCap << 116n),
+      interestRateStrategyAddress: '0xstrategy',
+      variableDebtTokenAddress: '0xvdebt',
+      stableDebtTokenAddress: '0xsdebt'
+    }),
+    '0xusdc.balanceOf': 200n * USDC,
+    '0xvdebt.totalSupply': 800n * USDC,
+    '0xsdebt.totalSupply': 0n,
+    // Only the v3.0 per-strategy getters answer
+    'OPTIMAL_USAGE_RATIO()': (RAY * 8n) / 10n,
+    'getBaseVariableBorrowRate()': 0n,
+    'getVariableRateSlope1()': (RAY * 4n) / 100n,
+    'getVariableRateSlope2()': (RAY * 60n) / 100n
+  };
+}
+
+test('Aave deposits move the supply APY along the two-slope curve net of the reserve factor', async () => {
+  const calculators = new ProtocolAPYCalculators();
+  calculators.multicall = mockMulticall(aaveReserve());
+
+  const result = await calculators.simulateAaveDeposit('0xatoken', '800', null, 'ethereum');
+  const supplyApy = (borrowRate, utilization) =>
+    Math.pow(1 + (borrowRate * utilization * 0.9) / SECONDS_PER_YEAR, SECONDS_PER_YEAR) - 1;
+
+  assert.equal(result.method, 'aave_rate_strategy');
+  assert.equal(result.utilization_before, 0.8);
+  closeTo(result.utilization_after, 800 / 1800);
+  closeTo(result.apy_before, supplyApy(0.04, 0.8));
+  closeTo(result.apy_after, supplyApy(0.04 * (800 / 1800) / 0.8, 800 / 1800));
+  assert.equal(result.details.reserve_factor, 0.1);
+  assert.equal(result.accepts_full_amount, true);
+});
+
+test('Aave deposits beyond the supply cap are not accepted in full', async () => {
+  const calculators = new ProtocolAPYCalculators();
+  calculators.multicall = mockMulticall(aaveReserve({ supplyCap: 1500n }));
+
+  const result = await calculators.simulateAaveDeposit('0xatoken', '800', null, 'ethereum');
+
+  assert.equal(result.accepts_full_amount, false);
+  assert.equal(result.details.supply_cap, '1500');
+});
+
+test('simulateDeposit returns null for protocols without a rate model', async () => {
+  const calculators = new ProtocolAPYCalculators();
+  assert.equal(await calculators.simulateDeposit('0xvault', 'yearn', '1000', null, 'ethereum'), null);
+});
@@ -0,0 +1,39 @@
+// test/rate-limiter.test.js
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { MemoryRateLimiter, evaluateWindow } = require('../src/utils/rate-limiter');
+
+test('evaluateWindow weights the previous window by its remaining overlap', () => {
+  // A quarter into the window, 75% of the previous window still counts
+  const result = evaluateWindow({ previous: 40, current: 20, limit: 60, windowMs: 60000, now: 15000, cost: 1 });
+
+  assert.equal(result.allowed, true);
+  assert.equal(result.remaining, 9); // 60 - (30 + 20) - 1
+  assert.equal(result.resetMs, 45000);
+});
+
+test('evaluateWindow rejects requests that would exceed the limit and says when to retry', () => {
+  const result = evaluateWindow({ previous: 120, current: 0, limit: 60, windowMs: 60000, now: 30000, cost: 10 });
+
+  assert.equal(result.allowed, false);
+  assert.equal(result.remaining, 0);
+  // 60 used; the 10 fits once another 10 of the previous window has slid out
+  assert.equal(result.retryAfterMs, 5000);
+});
+
+test('evaluateWindow waits for the next window when the current one is full', () => {
+  const result = evaluateWindow({ previous: 0, current: 60, limit: 60, windowMs: 60000, now: 45000, cost: 1 });
+
+  assert.equal(result.allowed, false);
+  assert.equal(result.retryAfterMs, 15000);
+});
+
+test('MemoryRateLimiter charges each request its cost per key', async () => {
+  const limiter = new MemoryRateLimiter();
+  const options = { limit: 20, windowMs: 3600000, cost: 10 };
+
+  assert.equal((await limiter.consume('key:1', options)).allowed, true);
+  assert.equal((await limiter.consume('key:1', options)).allowed, true);
+  assert.equal((await limiter.consume('key:1', options)).allowed, false);
+  assert.equal((await limiter.consume('key:2', options)).allowed, true);
+});
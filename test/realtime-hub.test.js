@@ -0,0 +1,66 @@
+// test/realtime-hub.test.js
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const WebSocket = require('ws');
+const RealtimeHub = require('../src/api/realtime-hub');
+
+async function listen(authorize) {
+  const server = http.createServer();
+  const hub = new RealtimeHub({ maxConnectionsPerCaller: 1 });
+  hub.attach(server, { authorize });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  return {
+    hub,
+    url: (path) => `ws://127.0.0.1:${server.address().port}${path}`,
+    close: () => {
+      hub.close();
+      return new Promise(resolve => server.close(resolve));
+    }
+  };
+}
+
+// Resolves to the open socket, or to the HTTP status of a refused upgrade
+function connect(url, headers = {}) {
+  return new Promise((resolve, reject) => {
+    const ws = new WebSocket(url, { headers });
+    ws.on('open', () => resolve(ws));
+    ws.on('unexpected-response', (req, res) => resolve(res.statusCode));
+    ws.on('error', reject);
+  });
+}
+
+test('upgrades are authorized before they are accepted', async () => {
+  const stream = await listen(async (req) => (
+    req.headers['x-api-key'] === 'good' ? { caller: 'key:1' } : { status: 401, error: 'Invalid or revoked API key' }
+  ));
+
+  try {
+    assert.equal(await connect(stream.url('/api/v1/stream'), { 'X-API-Key': 'bad' }), 401);
+    assert.equal(await connect(stream.url('/elsewhere'), { 'X-API-Key': 'good' }), 400);
+
+    const ws = await connect(stream.url('/api/v1/stream?asset=USDC'), { 'X-API-Key': 'good' });
+    assert.equal(stream.hub.clientCount, 1);
+    ws.terminate();
+  } finally {
+    await stream.close();
+  }
+});
+
+test('each caller is capped at the configured number of concurrent connections', async () => {
+  const stream = await listen(async (req) => ({ caller: `key:${req.headers['x-api-key']}` }));
+
+  try {
+    const first = await connect(stream.url('/api/v1/stream'), { 'X-API-Key': 'a' });
+    assert.equal(await connect(stream.url('/api/v1/stream'), { 'X-API-Key': 'a' }), 429);
+
+    const other = await connect(stream.url('/api/v1/stream'), { 'X-API-Key': 'b' });
+    assert.equal(stream.hub.connectionCount('key:b'), 1);
+
+    first.terminate();
+    other.terminate();
+  } finally {
+    await stream.close();
+  }
+});
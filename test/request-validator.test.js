@@ -0,0 +1,37 @@
+// test/request-validator.test.js
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const RequestValidator = require('../src/api/request-validator');
+const { spec } = require('../src/api/openapi');
+
+const validator = new RequestValidator(spec);
+
+test('query values are checked with type coercion and enums report their allowed values', () => {
+  const params = { asset: 'USDC' };
+
+  assert.deepEqual(validator.validateRequest('getTopVaults', { params, query: { limit: '10' } }), []);
+
+  const [limit] = validator.validateRequest('getTopVaults', { params, query: { limit: '500' } });
+  assert.equal(limit.location, 'query');
+  assert.equal(limit.field, 'limit');
+
+  const [risk] = validator.validateRequest('getTopVaults', { params, query: { risk: 'reckless' } });
+  assert.equal(risk.field, 'risk');
+  assert.ok(risk.allowed_values.includes('medium'));
+});
+
+test('request bodies are checked strictly', () => {
+  const req = (body) => ({ params: {}, query: {}, body });
+
+  assert.deepEqual(validator.validateRequest('compareVaults', req({ vaults: [{ chain: 'ethereum', address: '0x1' }] })), []);
+  assert.deepEqual(validator.validateRequest('compareVaults', req({})), [
+    { location: 'body', field: null, message: 'request body is required' }
+  ]);
+
+  const [missing] = validator.validateRequest('compareVaults', req({ vaults: [{ chain: 'ethereum' }] }));
+  assert.equal(missing.field, 'vaults.0.address');
+});
+
+test('unknown operations are a programming error', () => {
+  assert.throws(() => validator.middleware('getNothing'), /No OpenAPI operation named getNothing/);
+});
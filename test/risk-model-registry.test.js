@@ -0,0 +1,50 @@
+// test/risk-model-registry.test.js
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const RiskModelRegistry = require('../src/utils/risk-model-registry');
+const ChainRegistry = require('../src/utils/chain-registry');
+const v1 = require('../src/config/risk-models/v1.json');
+
+const clone = (model) => JSON.parse(JSON.stringify(model));
+
+test('loads every published model and defaults to v4', () => {
+  const registry = new RiskModelRegistry({ defaultVersion: 'v4' });
+
+  assert.deepEqual(registry.versions(), ['v1', 'v2', 'v3', 'v4']);
+  assert.equal(registry.get().version, 'v4');
+  assert.equal(registry.list().filter(model => model.default).length, 1);
+});
+
+test('unknown versions throw instead of falling back to the default', () => {
+  assert.throws(() => new RiskModelRegistry().get('v0'), /Unknown risk model: v0/);
+  assert.throws(() => new RiskModelRegistry({ defaultVersion: 'v0' }), /Default risk model v0 not found/);
+});
+
+test('every published model carries its own multiplier for each rated registry chain', () => {
+  const rated = new ChainRegistry().list().filter(chain => chain.riskMultiplier !== undefined);
+  const registry = new RiskModelRegistry();
+
+  for (const model of registry.list()) {
+    for (const chain of rated) {
+      assert.equal(typeof model.chains.multipliers[chain.key], 'number', `${model.version} ${chain.key}`);
+    }
+  }
+});
+
+test('validate rejects malformed models', () => {
+  const invalid = [
+    [{ ...clone(v1), version: undefined }, /missing version/],
+    [{ ...clone(v1), weights: { protocol: 0 } }, /weights sum to zero/],
+    [{ ...clone(v1), weights: { ...v1.weights, stability: 0.1 } }, /stability needs a missing score/],
+    [{ ...clone(v1), rewards: { discount: 2 } }, /rewards discount must be 0-1/],
+    [{ ...clone(v1), categories: { ...v1.categories, low: 101 } }, /category low/]
+  ];
+
+  for (const [model, message] of invalid) {
+    assert.throws(() => RiskModelRegistry.validate(model, 'test.json'), message);
+  }
+
+  const steps = clone(v1);
+  steps.curves.tvl.steps.push({ min: 1, max: 2, score: 50 });
+  assert.throws(() => RiskModelRegistry.validate(steps, 'test.json'), /either min or max/);
+});
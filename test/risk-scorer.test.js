@@ -0,0 +1,74 @@
+// test/risk-scorer.test.js
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const RiskScorer = require('../src/utils/risk-scorer');
+const ChainRegistry = require('../src/utils/chain-registry');
+const CHAINS = require('../src/config/chains');
+
+const vault = {
+  vault_address: '0x' + 'cd'.repeat(20),
+  protocol: 'aave',
+  tvl_usd: 50000000,
+  apy: 4,
+  data_source: 'defillama'
+};
+
+test('the same address on two chains is scored with each chain\'s risk', async () => {
+  const scorer = new RiskScorer();
+
+  const ethereum = await scorer.calculateRiskScore({ ...vault, chain: 'ethereum' }, 'v1');
+  const bsc = await scorer.calculateRiskScore({ ...vault, chain: 'bsc' }, 'v1');
+
+  assert.equal(ethereum.breakdown.chain, 100);
+  assert.equal(bsc.breakdown.chain, 70);
+  assert.ok(ethereum.riskScore > bsc.riskScore);
+});
+
+test('chain scores come from the model, not the chain registry', () => {
+  const edited = new ChainRegistry({ ...CHAINS, ethereum: { ...CHAINS.ethereum, riskMultiplier: 0.1 } });
+  const scorer = new RiskScorer({ chainRegistry: edited });
+  const model = scorer.models.get('v1');
+
+  assert.equal(scorer.getChainScore('ethereum', model), 100);
+  assert.equal(scorer.getChainScore('Mainnet', model), 100);
+  assert.equal(scorer.getChainScore('zksync', model), model.chains.default_multiplier * 100);
+  assert.equal(scorer.getChainScore(null, model), model.chains.missing);
+});
+
+test('risk-adjusted APY discounts reward APY by the model\'s reward discount', () => {
+  const scorer = new RiskScorer();
+  const { discount } = scorer.models.get('v4').rewards;
+
+  assert.equal(scorer.getRiskAdjustedAPY(10, 80, { modelVersion: 'v1' }), 8);
+  assert.equal(
+    scorer.getRiskAdjustedAPY(10, 80, { rewardApy: 4, modelVersion: 'v4' }),
+    (10 - 4 * discount) * 0.8
+  );
+});
+
+test('baseAPY prefers the reported base and otherwise subtracts the reward', () => {
+  assert.equal(RiskScorer.baseAPY({ apy: 6, base_apy: '3.5', reward_apy: 1 }), 3.5);
+  assert.equal(RiskScorer.baseAPY({ apy: 6, reward_apy: 2 }), 4);
+  assert.equal(RiskScorer.baseAPY({ apy: 1, reward_apy: 2 }), 0);
+});
+
+test('a utilization change at the same TVL is rescored rather than served from cache', async () => {
+  const scorer = new RiskScorer();
+  const calm = await scorer.calculateRiskScore({ ...vault, chain: 'ethereum', utilization_rate: 0.5 }, 'v3');
+  const drained = await scorer.calculateRiskScore({ ...vault, chain: 'ethereum', utilization_rate: 0.99 }, 'v3');
+
+  assert.equal(calm.breakdown.liquidity, 95);
+  assert.equal(drained.breakdown.liquidity, 10);
+});
+
+test('an APY or mu/sigma change at the same TVL is rescored rather than served from cache', async () => {
+  const scorer = new RiskScorer();
+  const scored = (overrides) => scorer.calculateRiskScore({ ...vault, chain: 'ethereum', ...overrides }, 'v2');
+
+  const steady = await scored({ mu: 4, sigma: 0.1 });
+  const volatile = await scored({ mu: 4, sigma: 4 });
+  const spiked = await scored({ mu: 4, sigma: 4, apy: 400 });
+
+  assert.ok(volatile.breakdown.stability < steady.breakdown.stability);
+  assert.ok(spiked.breakdown.apy < volatile.breakdown.apy);
+});
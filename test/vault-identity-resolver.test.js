@@ -0,0 +1,55 @@
+// test/vault-identity-resolver.test.js
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const VaultIdentityResolver = require('../src/utils/vault-identity-resolver');
+
+const USDC = '0x' + 'a0'.repeat(20);
+const address = (byte) => '0x' + byte.repeat(20);
+
+const resolver = (queries) => new VaultIdentityResolver({
+  query: async (sql, params) => {
+    queries.push({ sql, params });
+    return { rows: [] };
+  }
+}, { overridesPath: '/nonexistent' });
+
+const pool = (overrides) => ({
+  vault_address: '747c1d2a-c668-4682-b9f9-296708a3dd90', chain: 'ethereum', protocol: 'morpho-blue',
+  underlying_tokens: [USDC], tvl_usd: 1000000, ...overrides
+});
+
+const vaultsfyi = (byte, tvl) => ({
+  vault_address: address(byte), chain: 'ethereum', protocol: 'Morpho', asset_address: USDC, tvl_usd: tvl
+});
+
+test('a unique Vaults.fyi match is stored', async () => {
+  const queries = [];
+  const [defillama] = await resolver(queries).resolveAll([
+    { source: 'defillama', vaults: [pool()] },
+    { source: 'vaultsfyi', vaults: [vaultsfyi('11', 5000000)] }
+  ]);
+
+  assert.equal(defillama.vaults[0].vault_address, address('11'));
+  assert.match(queries[1].sql, /INSERT INTO vault_identities/);
+});
+
+test('TVL-only matches are used but re-checked every run instead of stored', async () => {
+  const queries = [];
+  const identities = resolver(queries);
+
+  const [first] = await identities.resolveAll([
+    { source: 'defillama', vaults: [pool()] },
+    { source: 'vaultsfyi', vaults: [vaultsfyi('11', 1100000), vaultsfyi('22', 9000000)] }
+  ]);
+  assert.equal(first.vaults[0].vault_address, address('11'));
+  assert.equal(first.vaults[0].identity_resolution, 'vaultsfyi_tvl_match');
+  assert.equal(queries.filter(({ sql }) => sql.includes('INSERT')).length, 0);
+
+  // Once the pool names its address, the exact match wins
+  const [second] = await identities.resolveAll([
+    { source: 'defillama', vaults: [pool({ pool_meta: `Vault ${address('22')}` })] },
+    { source: 'vaultsfyi', vaults: [vaultsfyi('11', 1100000), vaultsfyi('22', 9000000)] }
+  ]);
+  assert.equal(second.vaults[0].vault_address, address('22'));
+  assert.equal(second.vaults[0].identity_resolution, 'pool_meta');
+});
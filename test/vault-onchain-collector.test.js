@@ -0,0 +1,88 @@
+// test/vault-onchain-collector.test.js
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const VaultOnChainCollector = require('../src/collectors/onchain/vault-onchain-collector');
+
+const E18 = 10n ** 18n;
+const USDC = 10n ** 6n;
+
+const tokenValue = (overrides) => ({
+  name: 'Token', symbol: 'TKN', decimals: 6n, totalSupply: 0n,
+  asset: null, totalAssets: null, UNDERLYING_ASSET_ADDRESS: null,
+  underlying: null, supplyRatePerBlock: null, exchangeRateStored: null, totalBorrows: null, getCash: null,
+  baseToken: null, totalBorrow: null, getUtilization: null,
+  token: null, pricePerShare: null,
+  ...overrides
+});
+
+test('Comet markets profile as Compound V3 with supply less borrows withdrawable', async () => {
+  const collector = new VaultOnChainCollector();
+  const read = { family: 'compound', protocol: 'compound-v3' };
+  const profile = collector.buildProfile(read, tokenValue({
+    name: 'Compound USDC', symbol: 'cUSDCv3',
+    totalSupply: 500n * USDC,
+    baseToken: '0xusdc',
+    totalBorrow: 400n * USDC,
+    getUtilization: (8n * E18) / 10n
+  }), { decimals: 6, symbol: 'USDC' }, 'ethereum');
+
+  assert.equal(profile.vault_type, 'compound-v3');
+  assert.equal(profile.asset_address, '0xusdc');
+  assert.equal(profile.available_liquidity, '100.0');
+
+  collector.multicall = { aggregate: async (provider, calls) => calls.map(() => ({ success: false })) };
+  const [liquid] = await collector.loadLiquidity(null, [read], [{ ...profile, vault_address: '0xcomet' }]);
+
+  assert.equal(liquid.utilization_rate, 0.8);
+  assert.equal(liquid.withdrawable_ratio, 0.2);
+  assert.deepEqual(collector.liquidityFor({ tvl_usd: 1000000 }, liquid), {
+    utilization_rate: 0.8,
+    withdrawable_liquidity_usd: 200000
+  });
+});
+
+test('unreadable liquidity yields nulls, never NaN', () => {
+  const collector = new VaultOnChainCollector();
+  const liquid = collector.withLiquidity({ total_assets: '100' }, undefined, undefined);
+
+  assert.equal(liquid.available_liquidity, null);
+  assert.equal(liquid.utilization_rate, null);
+  assert.equal(liquid.withdrawable_ratio, null);
+  assert.deepEqual(collector.liquidityFor({ tvl_usd: 1000000 }, liquid), {});
+});
+
+test('ERC-4626 liquidity counts what redeeming every share pays out, not just idle assets', async () => {
+  const collector = new VaultOnChainCollector();
+  const profile = {
+    vault_address: '0xvault', asset_address: '0xusdc', vault_type: 'erc4626',
+    total_supply: '95.5', decimals: 18, asset_decimals: 6, total_assets: '100'
+  };
+  const respond = (previewRedeem) => async (provider, calls) => calls.map(({ method }) => (
+    method === 'balanceOf' ? { success: true, value: 5n * USDC }
+      : previewRedeem ? { success: true, value: 99n * USDC } : { success: false, value: null }
+  ));
+
+  collector.multicall = { aggregate: respond(true) };
+  const [strategy] = await collector.loadLiquidity(null, [{ family: 'erc4626' }], [profile]);
+  assert.equal(strategy.withdrawable_ratio, 0.99);
+
+  // Vaults whose previewRedeem reverts fall back to the idle balance
+  collector.multicall = { aggregate: respond(false) };
+  const [idle] = await collector.loadLiquidity(null, [{ family: 'erc4626' }], [profile]);
+  assert.equal(idle.withdrawable_ratio, 0.05);
+});
+
+test('aTokens report utilization from the reserve\'s unborrowed balance', async () => {
+  const collector = new VaultOnChainCollector();
+  collector.multicall = {
+    aggregate: async (provider, calls) => calls.map(() => ({ success: true, value: 250n * USDC }))
+  };
+
+  const [liquid] = await collector.loadLiquidity(null, [{ family: 'aave' }], [{
+    vault_address: '0xatoken', asset_address: '0xusdc', vault_type: 'aave-v3',
+    decimals: 6, total_assets: '1000'
+  }]);
+
+  assert.equal(liquid.utilization_rate, 0.75);
+  assert.equal(liquid.withdrawable_ratio, 0.25);
+});
@@ -0,0 +1,61 @@
+// test/webhook-dispatcher.test.js
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const WebhookDispatcher = require('../src/alerts/webhook-dispatcher');
+
+test('webhook targets inside the network are refused', async () => {
+  const internal = [
+    'http://localhost:8080/hook',
+    'http://api.localhost/hook',
+    'http://127.0.0.1/hook',
+    'http://2130706433/hook', // 127.0.0.1 as a single number
+    'http://10.1.2.3/hook',
+    'http://172.16.0.1/hook',
+    'http://192.168.1.10/hook',
+    'http://169.254.169.254/latest/meta-data',
+    'http://[::1]/hook',
+    'http://[fd00::1]/hook',
+    'http://[::ffff:10.0.0.1]/hook'
+  ];
+
+  for (const url of internal) {
+    assert.match(await WebhookDispatcher.checkTarget(url), /must not point at/, url);
+  }
+});
+
+test('public webhook targets are accepted', async () => {
+  assert.equal(await WebhookDispatcher.checkTarget('https://8.8.8.8/hook'), null);
+  assert.equal(await WebhookDispatcher.checkTarget('https://172.32.0.1/hook'), null);
+  assert.equal(await WebhookDispatcher.checkTarget('http://[2606:4700::1111]/hook'), null);
+});
+
+test('webhook URLs must be http(s)', async () => {
+  assert.equal(await WebhookDispatcher.checkTarget('not a url'), 'webhook_url must be a valid URL');
+  assert.equal(await WebhookDispatcher.checkTarget('file:///etc/passwd'), 'webhook_url must be http(s)');
+});
+
+test('signatures are an HMAC of the timestamp and body', () => {
+  assert.equal(
+    WebhookDispatcher.sign('secret', '1700000000', '{}'),
+    'sha256=' + require('crypto').createHmac('sha256', 'secret').update('1700000000.{}').digest('hex')
+  );
+});
+
+test('retries are claimed one at a time with SKIP LOCKED until none are due', async () => {
+  const queries = [];
+  const due = [{ id: 7, rule_id: 3, attempts: 1, name: 'r', rule_type: 'tvl_below', webhook_url: 'x', webhook_secret: 's' }];
+  const dispatcher = new WebhookDispatcher({
+    query: async (sql, params) => {
+      queries.push({ sql, params });
+      return { rows: due.splice(0, 1) };
+    }
+  });
+  const attempted = [];
+  dispatcher.attempt = async (delivery, rule) => attempted.push([delivery.id, rule.id]);
+
+  assert.equal(await dispatcher.processRetries(), 1);
+  assert.deepEqual(attempted, [[7, 3]]);
+  assert.equal(queries.length, 2);
+  assert.match(queries[0].sql, /FOR UPDATE OF d SKIP LOCKED/);
+  assert.match(queries[0].sql, /SET next_attempt_at = NOW\(\) \+ make_interval/);
+});